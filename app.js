@@ -2,9 +2,23 @@ import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
 import { initializeDatabase, closeDatabase } from "./db/utils.js";
+import { authenticate } from "./middlewares/auth.middleware.js";
+import { requestId } from "./middlewares/requestId.middleware.js";
+import { AppError, NotFoundError, ERROR_CODES } from "./utils/errors.js";
 
 const app = express();
 
+// req.ip is the client address as seen by the proxies we trust. TRUST_PROXY is
+// a hop count (default 1: the Vercel edge), true/false, or a list of proxy
+// addresses/subnets; X-Forwarded-For entries added beyond those are ignored.
+const parseTrustProxy = (value) => {
+    if (value === undefined || value === '') return 1;
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^\d+$/.test(value)) return Number(value);
+    return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Initialize database connection pool
 const initApp = async () => {
   try {
@@ -19,16 +33,23 @@ const initApp = async () => {
 // Initialize database when app starts
 initApp();
 
+// Tag every request/response with an id (X-Request-Id) for log correlation
+app.use(requestId);
+
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-Id'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-Id', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'],
 }));
 
 // Preflight requests are handled by the cors middleware above
 app.use(express.json({ limit: '20mb' }));
 app.use(cookieParser())
 
+// Resolve the caller from the Bearer token (sets req.userId / req.admin) for every router
+app.use(authenticate);
+
 // Import Routes
 import userRouter from "./routes/users.routes.js";
 import otpRouter from "./routes/otp.routes.js";
@@ -40,9 +61,14 @@ import socialRouter from "./routes/social.routes.js";
 import notificationsRouter from "./routes/notifications.routes.js";
 import fieldAdminRouter from "./routes/fieldAdmin.routes.js";
 import priorityRouter from "./routes/priority.routes.js";
+import authRouter from "./routes/auth.routes.js";
+import jobsRouter from "./routes/jobs.routes.js";
+import webhooksRouter from "./routes/webhooks.routes.js";
+import boundariesRouter from "./routes/boundaries.routes.js";
 
 
 //routes declaration
+app.use("/api/v1/auth", authRouter);
 app.use("/api/v1/users", userRouter);
 app.use("/api/v1/otp", otpRouter);
 app.use("/api/v1/reports", reportsRouter);
@@ -53,6 +79,9 @@ app.use("/api/v1/social", socialRouter);
 app.use("/api/v1/notifications", notificationsRouter);
 app.use("/api/v1/field-admin", fieldAdminRouter);
 app.use("/api/v1/priority", priorityRouter);
+app.use("/api/v1/jobs", jobsRouter);
+app.use("/api/v1/webhooks", webhooksRouter);
+app.use("/api/v1/boundaries", boundariesRouter);
 
 
 
@@ -60,11 +89,19 @@ app.get("/", (req, res) => {
   res.send("Hello World!");
 });
 
+// Unknown routes
+app.use((req, res, next) => {
+    next(new NotFoundError(`Route not found: ${req.method} ${req.path}`, ERROR_CODES.ROUTE_NOT_FOUND));
+});
 
-// Database error handling middleware
+
+// Central error handler - every error response goes out in the same shape:
+// { success: false, message, error: <code>, requestId, errors? }
 app.use((err, req, res, next) => {
     // Log the error for debugging
     console.error('🚨 Error caught by middleware:', {
+        requestId: req.id,
+        name: err.name,
         message: err.message,
         code: err.code,
         url: req.url,
@@ -72,12 +109,48 @@ app.use((err, req, res, next) => {
         timestamp: new Date().toISOString()
     });
 
+    // Check if headers have already been sent
+    if (res.headersSent) {
+        console.error('⚠️ Headers already sent, cannot send error response:', err.message);
+        return;
+    }
+
+    const sendError = (statusCode, message, code, extra = {}) => res.status(statusCode).json({
+        success: false,
+        message,
+        error: code,
+        requestId: req.id,
+        ...extra
+    });
+
+    // Typed application errors (utils/errors.js)
+    if (err instanceof AppError) {
+        const extra = {};
+        if (err.errors) extra.errors = err.errors;
+        if (err.retryAfter !== undefined) {
+            extra.retryAfter = err.retryAfter;
+            res.set('Retry-After', String(err.retryAfter));
+        }
+        if (err.permission) extra.permission = err.permission;
+        return sendError(err.statusCode, err.message, err.code, extra);
+    }
+
+    // Body parser errors (malformed JSON, oversized payloads)
+    if (err.type === 'entity.parse.failed') {
+        return sendError(400, 'Request body is not valid JSON', ERROR_CODES.INVALID_JSON);
+    }
+    if (err.type === 'entity.too.large') {
+        return sendError(413, 'Request body is too large', ERROR_CODES.PAYLOAD_TOO_LARGE);
+    }
+
+    // Upload errors (file too large, unexpected field, ...)
+    if (err.name === 'MulterError') {
+        return sendError(400, err.message, err.code);
+    }
+
     // Database connection errors
     if (err.message && err.message.includes('Database connection unavailable')) {
-        return res.status(503).json({
-            success: false,
-            message: 'Database temporarily unavailable. Please try again later.',
-            error: 'DATABASE_UNAVAILABLE',
+        return sendError(503, 'Database temporarily unavailable. Please try again later.', 'DATABASE_UNAVAILABLE', {
             retryAfter: 30 // seconds
         });
     }
@@ -86,52 +159,45 @@ app.use((err, req, res, next) => {
     if (err.code) {
         switch (err.code) {
             case 'ENOTFOUND':
-                return res.status(503).json({
-                    success: false,
-                    message: 'Database server not reachable',
-                    error: 'DATABASE_DNS_ERROR'
-                });
+                return sendError(503, 'Database server not reachable', 'DATABASE_DNS_ERROR');
             case 'ECONNREFUSED':
-                return res.status(503).json({
-                    success: false,
-                    message: 'Database connection refused',
-                    error: 'DATABASE_CONNECTION_REFUSED'
-                });
+                return sendError(503, 'Database connection refused', 'DATABASE_CONNECTION_REFUSED');
             case 'ETIMEDOUT':
-                return res.status(503).json({
-                    success: false,
-                    message: 'Database connection timeout',
-                    error: 'DATABASE_TIMEOUT'
-                });
+                return sendError(503, 'Database connection timeout', 'DATABASE_TIMEOUT');
             case '28000': // Invalid authorization
-                return res.status(503).json({
-                    success: false,
-                    message: 'Database authentication failed',
-                    error: 'DATABASE_AUTH_ERROR'
-                });
+                return sendError(503, 'Database authentication failed', 'DATABASE_AUTH_ERROR');
             case '57P03': // Cannot connect now
-                return res.status(503).json({
-                    success: false,
-                    message: 'Database is not ready to accept connections',
-                    error: 'DATABASE_NOT_READY'
+                return sendError(503, 'Database is not ready to accept connections', 'DATABASE_NOT_READY');
+            case '23505': // unique_violation
+                return sendError(409, 'A record with these details already exists', ERROR_CODES.DUPLICATE_RESOURCE, {
+                    constraint: err.constraint
+                });
+            case '23503': // foreign_key_violation
+                return sendError(409, 'The request references a record that does not exist or is still in use', ERROR_CODES.REFERENCE_VIOLATION, {
+                    constraint: err.constraint
                 });
+            case '23502': // not_null_violation
+                return sendError(400, `Missing required value${err.column ? `: ${err.column}` : ''}`, ERROR_CODES.VALIDATION_FAILED);
+            case '23514': // check_violation
+                return sendError(400, 'A value is outside the allowed range', ERROR_CODES.VALIDATION_FAILED, {
+                    constraint: err.constraint
+                });
+            case '22P02': // invalid_text_representation (e.g. malformed uuid)
+            case '22003': // numeric_value_out_of_range
+            case '22001': // string_data_right_truncation
+                return sendError(400, 'A value has an invalid format or size', ERROR_CODES.VALIDATION_FAILED);
         }
     }
 
-    // Default error handling
-    const statusCode = err.statusCode || 500;
+    // Anything else is a bug or an unexpected failure - never leak its message
+    const statusCode = err.statusCode || err.status || 500;
 
-    // Check if headers have already been sent
-    if (res.headersSent) {
-        console.error('⚠️ Headers already sent, cannot send error response:', err.message);
-        return;
+    if (statusCode < 500 && err.expose) {
+        return sendError(statusCode, err.message, err.code || 'BAD_REQUEST');
     }
 
-    return res.status(statusCode).json({
-        success: false,
-        message: err.message || "Internal Server Error",
-        errors: err.errors || [],
-        stack: process.env.NODE_ENV === "development" ? err.stack : undefined,
+    return sendError(500, 'Internal server error', ERROR_CODES.INTERNAL_ERROR, {
+        stack: process.env.NODE_ENV === "development" ? err.stack : undefined
     });
 });
 
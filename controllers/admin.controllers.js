@@ -1,27 +1,49 @@
 import { query, queryOne, transaction } from '../db/utils.js';
-import emailService from '../services/emailService.js';
+import outboxService from '../services/notifications/outboxService.js';
 import redisService from '../services/redis.js';
+import { SUBJECT_TYPES } from '../services/tokenService.js';
+import { startSession, revokeAllSessions, getClientIp } from '../services/sessionService.js';
+import { boundaryExists } from '../services/boundaryService.js';
+import otpService from '../services/otp/otpService.js';
+import { ROLES, PERMISSIONS, hasPermission, normalizeRole, getVisibleAdminRoles } from '../utils/permissions.js';
+import {
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    RateLimitError,
+    UpstreamError
+} from '../utils/errors.js';
 
 // Helper to convert DB timestamp values to ISO strings (null-safe)
 const toISO = (val) => (val ? new Date(val).toISOString() : null);
 
-// Store OTPs temporarily (in production, use Redis or database)
-const otpStore = new Map();
+// Admin OTPs are sent by email through services/otp/otpService.js under this scope
+const ADMIN_OTP_SCOPE = 'admin';
+const ADMIN_OTP_TTL_SECONDS = 10 * 60; // 10 minutes
+
+// Error for requests blocked by the OTP lockout
+const lockedOut = (retryAfter) => new RateLimitError('Too many failed attempts. Please try again later.', retryAfter);
 
 // Admin email verification - sends OTP to admin email
-const sendAdminOTP = async (req, res) => {
+const sendAdminOTP = async (req, res, next) => {
     try {
         const { email } = req.body;
 
         if (!email) {
-            return res.status(400).json({
-                success: false,
-                message: "Email is required"
-            });
+            throw new ValidationError('Email is required');
         }
 
         console.log('🔍 Sending OTP for admin email:', email);
 
+        const emailKey = email.toLowerCase();
+        const lockout = await otpService.getLockout(ADMIN_OTP_SCOPE, emailKey, getClientIp(req));
+        if (lockout.locked) {
+            throw lockedOut(lockout.retryAfter);
+        }
+
         // Check if admin exists with the provided email
         const checkAdminQuery = `
             SELECT id, email, full_name, is_active
@@ -32,31 +54,22 @@ const sendAdminOTP = async (req, res) => {
         const adminResult = await queryOne(checkAdminQuery, [email.toLowerCase()]);
 
         if (!adminResult) {
-            return res.status(401).json({
-                success: false,
-                message: "Admin not found or inactive"
-            });
+            throw new UnauthorizedError('Admin not found or inactive', 'ADMIN_INACTIVE');
         }
 
-        // Generate OTP
-        const otp = emailService.generateOTP();
-        const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
-        // Store OTP with expiry
-        otpStore.set(email.toLowerCase(), {
-            otp,
-            expiry: otpExpiry,
-            adminId: adminResult.id,
-            attempts: 0
+        // Generate the OTP, store it (hashed) with a 10 minute TTL and email it
+        const sendResult = await otpService.sendCode({
+            scope: ADMIN_OTP_SCOPE,
+            recipient: emailKey,
+            recipientType: 'email',
+            ttlSeconds: ADMIN_OTP_TTL_SECONDS,
+            meta: { adminId: adminResult.id }
         });
 
-        // Send OTP email
-        const emailResult = await emailService.sendAdminOTP(email, otp);
-
-        if (!emailResult.success) {
-            return res.status(500).json({
-                success: false,
-                message: "Failed to send OTP email"
+        if (!sendResult.success) {
+            throw new UpstreamError('Failed to send OTP email', {
+                service: 'email',
+                code: 'OTP_DELIVERY_FAILED'
             });
         }
 
@@ -66,76 +79,48 @@ const sendAdminOTP = async (req, res) => {
             success: true,
             message: "OTP sent to your email address",
             data: {
-                email: email.toLowerCase(),
-                expiresIn: 600, // 10 minutes in seconds
-                otp: otp // For testing purposes; remove in production
+                email: emailKey,
+                expiresIn: ADMIN_OTP_TTL_SECONDS,
+                // Only ever echoed back for allow-listed emails in (non-production) test mode
+                ...(sendResult.testRecipient ? { otp: sendResult.code } : {})
             }
         });
 
     } catch (error) {
         console.error('❌ Error sending admin OTP:', error);
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Verify OTP and complete admin login
-const verifyAdminOTP = async (req, res) => {
+const verifyAdminOTP = async (req, res, next) => {
     try {
         const { email, otp } = req.body;
 
         if (!email || !otp) {
-            return res.status(400).json({
-                success: false,
-                message: "Email and OTP are required"
-            });
+            throw new ValidationError('Email and OTP are required');
         }
 
         console.log('🔍 Verifying OTP for admin email:', email);
 
         const emailKey = email.toLowerCase();
-        const storedOTPData = otpStore.get(emailKey);
-
-        if (!storedOTPData) {
-            return res.status(400).json({
-                success: false,
-                message: "OTP not found or expired. Please request a new one."
-            });
-        }
-
-        // Check if OTP is expired
-        if (new Date() > storedOTPData.expiry) {
-            otpStore.delete(emailKey);
-            return res.status(400).json({
-                success: false,
-                message: "OTP has expired. Please request a new one."
-            });
-        }
-
-        // Check attempt limit
-        if (storedOTPData.attempts >= 3) {
-            otpStore.delete(emailKey);
-            return res.status(400).json({
-                success: false,
-                message: "Too many failed attempts. Please request a new OTP."
-            });
-        }
-
-        // Verify OTP
-        if (storedOTPData.otp !== otp) {
-            storedOTPData.attempts += 1;
-            otpStore.set(emailKey, storedOTPData);
-            
-            return res.status(400).json({
-                success: false,
-                message: `Invalid OTP. ${3 - storedOTPData.attempts} attempts remaining.`
-            });
+        const verification = await otpService.verifyCode(ADMIN_OTP_SCOPE, emailKey, otp, getClientIp(req));
+
+        if (!verification.success) {
+            switch (verification.reason) {
+                case 'locked':
+                    throw lockedOut(verification.retryAfter);
+                case 'expired':
+                    throw new ValidationError('OTP not found or expired. Please request a new one.', [], 'OTP_EXPIRED');
+                case 'too_many_attempts':
+                    throw new ValidationError('Too many failed attempts. Please request a new OTP.', [], 'OTP_ATTEMPTS_EXCEEDED');
+                default:
+                    throw new ValidationError(`Invalid OTP. ${verification.attemptsRemaining} attempts remaining.`, [], 'OTP_INVALID');
+            }
         }
 
-        // OTP verified successfully, get admin data and clear OTP
-        otpStore.delete(emailKey);
+        // OTP verified successfully (the store already cleared it), get admin data
+        const storedOTPData = verification.meta;
 
         const admin = await transaction(async (client) => {
             // Get admin data
@@ -148,7 +133,10 @@ const verifyAdminOTP = async (req, res) => {
             const adminResult = await client.query(getAdminQuery, [storedOTPData.adminId]);
 
             if (adminResult.rows.length === 0) {
-                throw new Error('Admin not found or inactive');
+                throw new AppError('Invalid credentials or admin account is inactive', {
+                    statusCode: 401,
+                    code: 'INVALID_CREDENTIALS'
+                });
             }
 
             const adminData = adminResult.rows[0];
@@ -168,6 +156,14 @@ const verifyAdminOTP = async (req, res) => {
 
         console.log('✅ Admin OTP verified and logged in successfully:', admin.id);
 
+        const tokens = await startSession({
+            id: admin.id,
+            type: SUBJECT_TYPES.ADMIN,
+            role: admin.role,
+            department: admin.department,
+            email: admin.email
+        }, req);
+
         // Return admin data (excluding sensitive information)
         const adminData = {
             id: admin.id,
@@ -183,28 +179,24 @@ const verifyAdminOTP = async (req, res) => {
         return res.status(200).json({
             success: true,
             message: "Admin login successful",
-            data: adminData
+            data: adminData,
+            tokens
         });
 
     } catch (error) {
         console.error('❌ Error verifying admin OTP:', error);
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
-// Legacy admin login (kept for backward compatibility)
-const adminLogin = async (req, res) => {
+// Legacy admin login (kept for backward compatibility).
+// Email alone proves nothing, so this never issues tokens - use /verify-otp to sign in.
+const adminLogin = async (req, res, next) => {
     try {
         const { email } = req.body;
 
         if (!email) {
-            return res.status(400).json({
-                success: false,
-                message: "Email is required"
-            });
+            throw new ValidationError('Email is required');
         }
 
         console.log('🔍 Checking admin login for email:', email);
@@ -220,7 +212,10 @@ const adminLogin = async (req, res) => {
             const adminResult = await client.query(checkAdminQuery, [email.toLowerCase()]);
 
             if (adminResult.rows.length === 0) {
-                throw new Error('Admin not found or inactive');
+                throw new AppError('Invalid credentials or admin account is inactive', {
+                    statusCode: 401,
+                    code: 'INVALID_CREDENTIALS'
+                });
             }
 
             const adminData = adminResult.rows[0];
@@ -260,36 +255,21 @@ const adminLogin = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error in admin login:', error);
-        
-        if (error.message === 'Admin not found or inactive') {
-            console.log('❌ Admin not found or inactive:', email);
-            return res.status(401).json({
-                success: false,
-                message: "Invalid credentials or admin account is inactive"
-            });
-        }
-        
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Get admin profile by ID
-const getAdminProfile = async (req, res) => {
+const getAdminProfile = async (req, res, next) => {
     try {
         const { adminId } = req.params;
 
         if (!adminId) {
-            return res.status(400).json({
-                success: false,
-                message: "Admin ID is required"
-            });
+            throw new ValidationError('Admin ID is required');
         }
 
         const getAdminQuery = `
-            SELECT id, email, full_name, department, role, is_active, last_login, created_at
+            SELECT id, email, full_name, department, jurisdiction_id, role, is_active, last_login, created_at
             FROM admins
             WHERE id = $1
         `;
@@ -297,10 +277,7 @@ const getAdminProfile = async (req, res) => {
         const admin = await queryOne(getAdminQuery, [adminId]);
 
         if (!admin) {
-            return res.status(404).json({
-                success: false,
-                message: "Admin not found"
-            });
+            throw new NotFoundError('Admin not found', 'ADMIN_NOT_FOUND');
         }
 
         // Map database fields to camelCase for frontend
@@ -309,6 +286,7 @@ const getAdminProfile = async (req, res) => {
             email: admin.email,
             fullName: admin.full_name,
             department: admin.department,
+            jurisdictionId: admin.jurisdiction_id ? Number(admin.jurisdiction_id) : null,
             role: admin.role,
             isActive: admin.is_active,
             lastLogin: toISO(admin.last_login),
@@ -323,24 +301,15 @@ const getAdminProfile = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error getting admin profile:', error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Get all active admins based on role hierarchy with flexible filtering
-const getAllAdmins = async (req, res) => {
+const getAllAdmins = async (req, res, next) => {
     try {
-        const { requesterRole, requestedRoles } = req.body;
-
-        if (!requesterRole) {
-            return res.status(400).json({
-                success: false,
-                message: "Requester role is required"
-            });
-        }
+        const { requestedRoles } = req.body;
+        const requesterRole = req.admin.role;
 
         // Generate cache key based on requester role and requested roles
         const cacheKey = `admins:${requesterRole.toLowerCase()}:${requestedRoles ? requestedRoles.sort().join(',') : 'all'}`;
@@ -385,50 +354,30 @@ const getAllAdmins = async (req, res) => {
 
         console.log('🔍 Getting admins for role:', requesterRole, 'requested roles:', requestedRoles);
 
-        // Define role hierarchy and permissions
-        let allowedRoles = [];
-        let canFilterByRole = false;
-
-        switch (requesterRole.toLowerCase()) {
-            case 'super_admin':
-                // Super admin can see all roles and can filter
-                allowedRoles = ['viewer', 'admin', 'super_admin'];
-                canFilterByRole = true;
-                break;
-            case 'admin':
-                // Admin can only see viewers
-                allowedRoles = ['viewer'];
-                canFilterByRole = false;
-                break;
-            default:
-                return res.status(403).json({
-                    success: false,
-                    message: "Invalid requester role or insufficient permissions"
-                });
+        // Visible roles and role filtering come from the central policy
+        const allowedRoles = getVisibleAdminRoles(requesterRole);
+        const canFilterByRole = hasPermission(requesterRole, PERMISSIONS.ADMINS_MANAGE);
+
+        if (allowedRoles.length === 0) {
+            throw new ForbiddenError('Invalid requester role or insufficient permissions');
         }
 
         // If specific roles are requested, validate them against permissions
-        let filterRoles = allowedRoles.map(role => role.toLowerCase());
+        let filterRoles = [...allowedRoles];
 
         if (requestedRoles && Array.isArray(requestedRoles)) {
             if (!canFilterByRole) {
-                return res.status(403).json({
-                    success: false,
-                    message: "You don't have permission to filter by specific roles"
-                });
+                throw new ForbiddenError("You don't have permission to filter by specific roles");
             }
 
             // Validate that all requested roles are within allowed roles
-            const invalidRoles = requestedRoles.filter(role => !allowedRoles.includes(role.toLowerCase()));
+            const invalidRoles = requestedRoles.filter(role => !allowedRoles.includes(normalizeRole(role)));
 
             if (invalidRoles.length > 0) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Invalid roles requested: ${invalidRoles.join(', ')}. Allowed roles: ${allowedRoles.join(', ')}`
-                });
+                throw new ValidationError(`Invalid roles requested: ${invalidRoles.join(', ')}. Allowed roles: ${allowedRoles.join(', ')}`);
             }
 
-            filterRoles = requestedRoles.map(role => role.toLowerCase());
+            filterRoles = requestedRoles.map(normalizeRole);
         }
 
         // Build placeholders for the IN clause
@@ -443,8 +392,9 @@ const getAllAdmins = async (req, res) => {
                 CASE
                     WHEN LOWER(role) = 'super_admin' THEN 1
                     WHEN LOWER(role) = 'admin' THEN 2
-                    WHEN LOWER(role) = 'viewer' THEN 3
-                    ELSE 4
+                    WHEN LOWER(role) = 'field_admin' THEN 3
+                    WHEN LOWER(role) = 'viewer' THEN 4
+                    ELSE 5
                 END,
                 created_at DESC
         `;
@@ -496,51 +446,30 @@ const getAllAdmins = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error getting admins:', error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Add new admin (Super Admin only)
-const createAdmin = async (req, res) => {
+const createAdmin = async (req, res, next) => {
     try {
-        const { requesterRole } = req.body;
         const { email, fullName, department, role } = req.body;
 
-        // Check if requester is super_admin
-        if (requesterRole?.toLowerCase() !== 'super_admin') {
-            return res.status(403).json({
-                success: false,
-                message: "Only super admins can create new admins"
-            });
-        }
-
         // Validate required fields
         if (!email || !fullName || !department || !role) {
-            return res.status(400).json({
-                success: false,
-                message: "Email, full name, department, and role are required"
-            });
+            throw new ValidationError('Email, full name, department, and role are required');
         }
 
         // Validate email format
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         if (!emailRegex.test(email)) {
-            return res.status(400).json({
-                success: false,
-                message: "Invalid email format"
-            });
+            throw new ValidationError('Invalid email format');
         }
 
         // Validate role
-        const validRoles = ['viewer', 'admin', 'super_admin'];
-        if (!validRoles.includes(role.toLowerCase())) {
-            return res.status(400).json({
-                success: false,
-                message: `Invalid role. Must be one of: ${validRoles.join(', ')}`
-            });
+        const validRoles = Object.values(ROLES);
+        if (!normalizeRole(role)) {
+            throw new ValidationError(`Invalid role. Must be one of: ${validRoles.join(', ')}`);
         }
 
         console.log('🔧 Creating new admin:', { email, fullName, department, role });
@@ -554,9 +483,9 @@ const createAdmin = async (req, res) => {
             
             if (existingAdmin.rows.length > 0) {
                 if (existingAdmin.rows[0].is_active) {
-                    throw new Error('Admin with this email already exists');
+                    throw new ConflictError('Admin with this email already exists', 'ADMIN_EXISTS');
                 } else {
-                    throw new Error('Admin with this email exists but is inactive');
+                    throw new ConflictError('Admin with this email already exists but is inactive. Restore the account instead.', 'ADMIN_EXISTS_INACTIVE');
                 }
             }
 
@@ -571,7 +500,7 @@ const createAdmin = async (req, res) => {
                 email.toLowerCase(),
                 fullName.trim(),
                 department.trim(),
-                role.toLowerCase()
+                normalizeRole(role)
             ]);
 
             return result.rows[0];
@@ -586,11 +515,17 @@ const createAdmin = async (req, res) => {
             console.log('⚠️ Failed to invalidate admin cache:', cacheError.message);
         }
 
-        // Send welcome email to new admin
+        // Queue welcome email to new admin
         try {
-            await emailService.sendAdminWelcomeEmail(email, fullName, role);
+            await outboxService.enqueue({
+                channel: 'email',
+                kind: 'admin_welcome',
+                recipient: email,
+                adminId: newAdmin.id,
+                payload: { template: 'admin_welcome', data: { fullName, role } }
+            });
         } catch (emailError) {
-            console.log('⚠️ Failed to send welcome email:', emailError.message);
+            console.log('⚠️ Failed to queue welcome email:', emailError.message);
         }
 
         const adminData = {
@@ -611,66 +546,40 @@ const createAdmin = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error creating admin:', error);
-        
-        if (error.message.includes('already exists')) {
-            return res.status(409).json({
-                success: false,
-                message: error.message
-            });
-        }
-        
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Update admin (Super Admin only)
-const updateAdmin = async (req, res) => {
+const updateAdmin = async (req, res, next) => {
     try {
         const { adminId } = req.params;
-        const { requesterRole } = req.body;
-        const { fullName, department, role, isActive } = req.body;
-
-        // Check if requester is super_admin
-        if (requesterRole?.toLowerCase() !== 'super_admin') {
-            return res.status(403).json({
-                success: false,
-                message: "Only super admins can update admin details"
-            });
-        }
+        const { fullName, department, role, isActive, jurisdictionId } = req.body;
 
         if (!adminId) {
-            return res.status(400).json({
-                success: false,
-                message: "Admin ID is required"
-            });
+            throw new ValidationError('Admin ID is required');
         }
 
         // Validate role if provided
         if (role) {
-            const validRoles = ['viewer', 'admin', 'super_admin'];
-            if (!validRoles.includes(role.toLowerCase())) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Invalid role. Must be one of: ${validRoles.join(', ')}`
-                });
+            const validRoles = Object.values(ROLES);
+            if (!normalizeRole(role)) {
+                throw new ValidationError(`Invalid role. Must be one of: ${validRoles.join(', ')}`);
             }
         }
 
-        console.log('🔧 Updating admin:', adminId, { fullName, department, role, isActive });
+        console.log('🔧 Updating admin:', adminId, { fullName, department, role, isActive, jurisdictionId });
 
         const updatedAdmin = await transaction(async (client) => {
             // Check if admin exists
             const checkAdminQuery = `
-                SELECT id, email, full_name, department, role, is_active 
+                SELECT id, email, full_name, department, jurisdiction_id, role, is_active 
                 FROM admins WHERE id = $1
             `;
             const existingAdmin = await client.query(checkAdminQuery, [adminId]);
             
             if (existingAdmin.rows.length === 0) {
-                throw new Error('Admin not found');
+                throw new NotFoundError('Admin not found', 'ADMIN_NOT_FOUND');
             }
 
             const currentAdmin = existingAdmin.rows[0];
@@ -692,7 +601,7 @@ const updateAdmin = async (req, res) => {
             
             if (role !== undefined) {
                 updateFields.push(`role = $${paramCount++}`);
-                updateValues.push(role.toLowerCase());
+                updateValues.push(normalizeRole(role));
             }
             
             if (isActive !== undefined) {
@@ -700,6 +609,15 @@ const updateAdmin = async (req, res) => {
                 updateValues.push(isActive);
             }
 
+            // null lifts the limit
+            if (jurisdictionId !== undefined) {
+                if (jurisdictionId !== null && !await boundaryExists(jurisdictionId)) {
+                    throw new NotFoundError('Boundary not found', 'BOUNDARY_NOT_FOUND');
+                }
+                updateFields.push(`jurisdiction_id = $${paramCount++}`);
+                updateValues.push(jurisdictionId);
+            }
+
             if (updateFields.length === 0) {
                 return currentAdmin; // No changes
             }
@@ -711,7 +629,7 @@ const updateAdmin = async (req, res) => {
                 UPDATE admins 
                 SET ${updateFields.join(', ')}
                 WHERE id = $${paramCount}
-                RETURNING id, email, full_name, department, role, is_active, updated_at
+                RETURNING id, email, full_name, department, jurisdiction_id, role, is_active, updated_at
             `;
 
             const result = await client.query(updateAdminQuery, updateValues);
@@ -720,6 +638,11 @@ const updateAdmin = async (req, res) => {
 
         console.log('✅ Admin updated successfully:', updatedAdmin.id);
 
+        // Tokens embed role and department - force a fresh login when they change
+        if (role !== undefined || department !== undefined || isActive === false) {
+            await revokeAllSessions(SUBJECT_TYPES.ADMIN, updatedAdmin.id);
+        }
+
         // IMPORTANT: Invalidate cache BEFORE sending response to ensure fresh data on next request
         // Aggressively invalidate ALL admin-related cache - clear both list cache and individual profile cache
         try {
@@ -751,6 +674,7 @@ const updateAdmin = async (req, res) => {
             email: updatedAdmin.email,
             fullName: updatedAdmin.full_name,
             department: updatedAdmin.department,
+            jurisdictionId: updatedAdmin.jurisdiction_id ? Number(updatedAdmin.jurisdiction_id) : null,
             role: updatedAdmin.role,
             isActive: updatedAdmin.is_active,
             updatedAt: toISO(updatedAdmin.updated_at)
@@ -764,48 +688,23 @@ const updateAdmin = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error updating admin:', error);
-        
-        if (error.message === 'Admin not found') {
-            return res.status(404).json({
-                success: false,
-                message: error.message
-            });
-        }
-        
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Delete admin (Super Admin only) - Soft delete by setting is_active to false
-const deleteAdmin = async (req, res) => {
+const deleteAdmin = async (req, res, next) => {
     try {
         const { adminId } = req.params;
-        const { requesterRole, requesterId } = req.body;
-
-        // Check if requester is super_admin
-        if (requesterRole?.toLowerCase() !== 'super_admin') {
-            return res.status(403).json({
-                success: false,
-                message: "Only super admins can delete admins"
-            });
-        }
+        const requesterId = req.admin.id;
 
         if (!adminId) {
-            return res.status(400).json({
-                success: false,
-                message: "Admin ID is required"
-            });
+            throw new ValidationError('Admin ID is required');
         }
 
         // Prevent self-deletion
         if (adminId === requesterId) {
-            return res.status(400).json({
-                success: false,
-                message: "Cannot delete your own admin account"
-            });
+            throw new ValidationError('Cannot delete your own admin account', [], 'CANNOT_DELETE_SELF');
         }
 
         console.log('🗑️ Deleting admin:', adminId);
@@ -819,17 +718,17 @@ const deleteAdmin = async (req, res) => {
             const existingAdmin = await client.query(checkAdminQuery, [adminId]);
             
             if (existingAdmin.rows.length === 0) {
-                throw new Error('Admin not found');
+                throw new NotFoundError('Admin not found', 'ADMIN_NOT_FOUND');
             }
 
             const adminToDelete = existingAdmin.rows[0];
 
             if (!adminToDelete.is_active) {
-                throw new Error('Admin is already inactive');
+                throw new ConflictError('Admin is already inactive', 'ADMIN_ALREADY_INACTIVE');
             }
 
             // Check if this is the last super_admin
-            if (adminToDelete.role.toLowerCase() === 'super_admin') {
+            if (normalizeRole(adminToDelete.role) === ROLES.SUPER_ADMIN) {
                 const countSuperAdminsQuery = `
                     SELECT COUNT(*) as count FROM admins 
                     WHERE role = 'super_admin' AND is_active = true AND id != $1
@@ -837,7 +736,7 @@ const deleteAdmin = async (req, res) => {
                 const countResult = await client.query(countSuperAdminsQuery, [adminId]);
                 
                 if (parseInt(countResult.rows[0].count) === 0) {
-                    throw new Error('Cannot delete the last active super admin');
+                    throw new ConflictError('Cannot delete the last active super admin', 'LAST_SUPER_ADMIN');
                 }
             }
 
@@ -855,6 +754,9 @@ const deleteAdmin = async (req, res) => {
 
         console.log('✅ Admin deleted successfully:', deletedAdmin.id);
 
+        // End any sessions the deactivated admin still has open
+        await revokeAllSessions(SUBJECT_TYPES.ADMIN, deletedAdmin.id);
+
         // Aggressively invalidate ALL admin-related cache
         try {
             // Set cache bypass flag for 30 seconds
@@ -886,42 +788,17 @@ const deleteAdmin = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error deleting admin:', error);
-        
-        if (error.message === 'Admin not found' || 
-            error.message === 'Admin is already inactive' ||
-            error.message === 'Cannot delete the last active super admin') {
-            return res.status(400).json({
-                success: false,
-                message: error.message
-            });
-        }
-        
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Restore deleted admin (Super Admin only)
-const restoreAdmin = async (req, res) => {
+const restoreAdmin = async (req, res, next) => {
     try {
         const { adminId } = req.params;
-        const { requesterRole } = req.body;
-
-        // Check if requester is super_admin
-        if (requesterRole?.toLowerCase() !== 'super_admin') {
-            return res.status(403).json({
-                success: false,
-                message: "Only super admins can restore admins"
-            });
-        }
 
         if (!adminId) {
-            return res.status(400).json({
-                success: false,
-                message: "Admin ID is required"
-            });
+            throw new ValidationError('Admin ID is required');
         }
 
         console.log('🔄 Restoring admin:', adminId);
@@ -935,13 +812,13 @@ const restoreAdmin = async (req, res) => {
             const existingAdmin = await client.query(checkAdminQuery, [adminId]);
             
             if (existingAdmin.rows.length === 0) {
-                throw new Error('Admin not found');
+                throw new NotFoundError('Admin not found', 'ADMIN_NOT_FOUND');
             }
 
             const adminToRestore = existingAdmin.rows[0];
 
             if (adminToRestore.is_active) {
-                throw new Error('Admin is already active');
+                throw new ConflictError('Admin is already active', 'ADMIN_ALREADY_ACTIVE');
             }
 
             // Restore admin - set is_active to true
@@ -989,39 +866,15 @@ const restoreAdmin = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error restoring admin:', error);
-        
-        if (error.message === 'Admin not found' || 
-            error.message === 'Admin is already active') {
-            return res.status(400).json({
-                success: false,
-                message: error.message
-            });
-        }
-        
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Get admin activity logs (Super Admin only)
-const getAdminActivityLogs = async (req, res) => {
+const getAdminActivityLogs = async (req, res, next) => {
     try {
-        const { requesterRole } = req.body;
         const { adminId, limit = 50, offset = 0 } = req.query;
 
-        // Check if requester is super admin (handle different role formats)
-        const roleLower = requesterRole?.toLowerCase();
-        const isSuperAdmin = roleLower === 'superadmin' || roleLower === 'super_admin' || roleLower === 'super admin';
-        
-        if (!isSuperAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: "Only super admins can view activity logs"
-            });
-        }
-
         console.log('📊 Getting admin activity logs for:', adminId || 'all admins');
 
         let activityQuery = `
@@ -1147,10 +1000,7 @@ const getAdminActivityLogs = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error getting admin activity logs:', error);
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
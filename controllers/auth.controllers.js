@@ -0,0 +1,176 @@
+import { queryOne } from '../db/utils.js';
+import { verifyRefreshToken, SUBJECT_TYPES } from '../services/tokenService.js';
+import { rotateSession, listSessions, revokeSession, revokeAllSessions } from '../services/sessionService.js';
+import { ValidationError, UnauthorizedError, NotFoundError } from '../utils/errors.js';
+
+// The authenticated caller as a session subject
+const getSubject = (req) => (
+    req.admin
+        ? { type: SUBJECT_TYPES.ADMIN, id: req.admin.id }
+        : { type: SUBJECT_TYPES.USER, id: req.userId }
+);
+
+// Exchange a refresh token for a new access/refresh token pair.
+// Refresh tokens are single-use: the session's token id rotates on every call.
+const refreshAccessToken = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            throw new ValidationError('Refresh token is required');
+        }
+
+        let payload;
+        try {
+            payload = verifyRefreshToken(refreshToken);
+        } catch (tokenError) {
+            throw new UnauthorizedError(
+                'Invalid or expired refresh token',
+                tokenError.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+            );
+        }
+
+        // Tokens without a session cannot be rotated or revoked; sign in again
+        if (!payload.sid) {
+            throw new UnauthorizedError('Refresh token has no session. Please sign in again.', 'SESSION_REVOKED');
+        }
+
+        let subject;
+
+        if (payload.type === SUBJECT_TYPES.ADMIN) {
+            // Re-read the admin so role/department changes and deactivation take effect
+            const admin = await queryOne(
+                `SELECT id, email, role, department FROM admins WHERE id = $1 AND is_active = true`,
+                [payload.sub]
+            );
+
+            if (!admin) {
+                throw new UnauthorizedError('Admin not found or inactive', 'ADMIN_INACTIVE');
+            }
+
+            subject = {
+                id: admin.id,
+                type: SUBJECT_TYPES.ADMIN,
+                role: admin.role,
+                department: admin.department,
+                email: admin.email
+            };
+        } else {
+            const user = await queryOne(`SELECT id FROM users WHERE id = $1`, [payload.sub]);
+
+            if (!user) {
+                throw new UnauthorizedError('User not found', 'USER_NOT_FOUND');
+            }
+
+            subject = { id: user.id, type: SUBJECT_TYPES.USER };
+        }
+
+        // Revoked sessions and refresh token reuse surface as 401s from rotateSession
+        const tokens = await rotateSession(payload, subject, req);
+
+        console.log('🔄 Tokens refreshed for', subject.type, subject.id);
+
+        return res.status(200).json({
+            success: true,
+            message: "Token refreshed successfully",
+            tokens
+        });
+
+    } catch (error) {
+        console.error('❌ Error refreshing token:', error);
+        next(error);
+    }
+};
+
+// List the caller's active sessions
+const getSessions = async (req, res, next) => {
+    try {
+        const subject = getSubject(req);
+        const sessions = await listSessions(subject.type, subject.id, req.sessionId);
+
+        return res.status(200).json({
+            success: true,
+            message: "Sessions retrieved successfully",
+            data: sessions
+        });
+
+    } catch (error) {
+        console.error('❌ Error listing sessions:', error);
+        next(error);
+    }
+};
+
+// Revoke one of the caller's sessions (e.g. a forgotten office computer)
+const revokeOneSession = async (req, res, next) => {
+    try {
+        const { sessionId } = req.params;
+        const subject = getSubject(req);
+
+        const revoked = await revokeSession(subject.type, subject.id, sessionId);
+
+        if (!revoked) {
+            throw new NotFoundError('Session not found', 'SESSION_NOT_FOUND');
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Session revoked successfully",
+            data: { sessionId }
+        });
+
+    } catch (error) {
+        console.error('❌ Error revoking session:', error);
+        next(error);
+    }
+};
+
+// Revoke all of the caller's sessions. ?keepCurrent=true keeps the calling session.
+const revokeEverySession = async (req, res, next) => {
+    try {
+        const subject = getSubject(req);
+        const keepCurrent = req.query.keepCurrent === 'true';
+
+        const revokedCount = await revokeAllSessions(
+            subject.type,
+            subject.id,
+            keepCurrent ? req.sessionId : null
+        );
+
+        return res.status(200).json({
+            success: true,
+            message: "Sessions revoked successfully",
+            data: { revokedCount }
+        });
+
+    } catch (error) {
+        console.error('❌ Error revoking sessions:', error);
+        next(error);
+    }
+};
+
+// End the calling session
+const logout = async (req, res, next) => {
+    try {
+        if (req.sessionId) {
+            const subject = getSubject(req);
+            await revokeSession(subject.type, subject.id, req.sessionId);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Logged out successfully"
+        });
+
+    } catch (error) {
+        console.error('❌ Error logging out:', error);
+        next(error);
+    }
+};
+
+export {
+    refreshAccessToken,
+    getSessions,
+    revokeOneSession,
+    revokeEverySession,
+    logout
+};
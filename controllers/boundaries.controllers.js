@@ -0,0 +1,199 @@
+/**
+ * Boundaries Controller
+ * Ward, ULB and district polygons used to route reports to their jurisdiction
+ */
+
+import boundaryService from "../services/boundaryService.js";
+import redisService from "../services/redis.js";
+import { NotFoundError } from "../utils/errors.js";
+
+const toISO = (val) => (val ? new Date(val).toISOString() : null);
+
+const mapBoundary = (boundary) => ({
+  id: Number(boundary.id),
+  level: boundary.level,
+  code: boundary.code,
+  name: boundary.name,
+  parentId: boundary.parent_id ? Number(boundary.parent_id) : null,
+  ...(boundary.properties !== undefined && { properties: boundary.properties }),
+  ...(boundary.geometry !== undefined && { geometry: boundary.geometry }),
+  createdAt: toISO(boundary.created_at),
+  updatedAt: toISO(boundary.updated_at)
+});
+
+// Jurisdiction filters are part of the cached admin report lists
+const invalidateReportCaches = async () => {
+  try {
+    await redisService.invalidateAdminReports();
+  } catch (cacheError) {
+    console.warn('⚠️ Failed to invalidate admin report caches:', cacheError.message);
+  }
+};
+
+/**
+ * Boundaries, without their geometry
+ * GET /api/v1/boundaries?level=ward&parentId=&search=
+ */
+export const listBoundaries = async (req, res, next) => {
+  try {
+    const { level = null, parentId = null, search = null } = req.query;
+
+    const boundaries = await boundaryService.listBoundaries({ level, parentId, search });
+
+    res.status(200).json({
+      success: true,
+      data: { boundaries: boundaries.map(mapBoundary) }
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing boundaries:', error);
+    next(error);
+  }
+};
+
+/**
+ * The ward, ULB and district containing a point
+ * GET /api/v1/boundaries/lookup?latitude=&longitude=
+ */
+export const lookupBoundaries = async (req, res, next) => {
+  try {
+    const { latitude, longitude } = req.query;
+
+    const jurisdiction = await boundaryService.locatePoint(parseFloat(latitude), parseFloat(longitude));
+
+    res.status(200).json({
+      success: true,
+      data: jurisdiction
+    });
+
+  } catch (error) {
+    console.error('❌ Error looking up boundaries:', error);
+    next(error);
+  }
+};
+
+/**
+ * One boundary; ?geometry=true includes the polygon as GeoJSON
+ * GET /api/v1/boundaries/:id
+ */
+export const getBoundary = async (req, res, next) => {
+  try {
+    const boundary = await boundaryService.getBoundary(req.params.id, {
+      withGeometry: String(req.query.geometry) === 'true'
+    });
+
+    if (!boundary) {
+      throw new NotFoundError('Boundary not found', 'BOUNDARY_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: mapBoundary(boundary)
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching boundary:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create or redraw boundaries of one level from GeoJSON; existing codes are redrawn
+ * POST /api/v1/boundaries/import
+ */
+export const importBoundaries = async (req, res, next) => {
+  try {
+    const { level, geojson, parentId, codeProperty, nameProperty, code, name } = req.body;
+
+    const { boundaries, reportsRelocated } = await boundaryService.importBoundaries({
+      level,
+      geojson,
+      parentId,
+      codeProperty,
+      nameProperty,
+      code,
+      name,
+      createdBy: req.admin.id
+    });
+
+    const created = boundaries.filter((boundary) => boundary.created).length;
+    console.log(`🗺️ Imported ${boundaries.length} ${level} boundary(ies) (${created} new) by admin ${req.admin.id}; ${reportsRelocated} report(s) re-placed`);
+
+    await invalidateReportCaches();
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${boundaries.length} ${level} boundary(ies)`,
+      data: {
+        created,
+        updated: boundaries.length - created,
+        reportsRelocated,
+        boundaries: boundaries.map((boundary) => ({
+          id: boundary.id,
+          code: boundary.code,
+          name: boundary.name,
+          created: boundary.created
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error importing boundaries:', error);
+    next(error);
+  }
+};
+
+/**
+ * Rename a boundary or change its parent
+ * PATCH /api/v1/boundaries/:id
+ */
+export const updateBoundary = async (req, res, next) => {
+  try {
+    const { name, parentId } = req.body;
+
+    const boundary = await boundaryService.updateBoundary(req.params.id, { name, parentId });
+
+    if (!boundary) {
+      throw new NotFoundError('Boundary not found', 'BOUNDARY_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Boundary updated',
+      data: mapBoundary(boundary)
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating boundary:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a boundary no admin is limited to. Its reports move to another
+ * boundary of the level, if one covers them.
+ * DELETE /api/v1/boundaries/:id
+ */
+export const deleteBoundary = async (req, res, next) => {
+  try {
+    const deleted = await boundaryService.deleteBoundary(req.params.id);
+
+    if (!deleted) {
+      throw new NotFoundError('Boundary not found', 'BOUNDARY_NOT_FOUND');
+    }
+
+    console.log(`🗑️ Boundary ${deleted.id} (${deleted.level}) deleted by admin ${req.admin.id}; ${deleted.reportsRelocated} report(s) re-placed`);
+
+    await invalidateReportCaches();
+
+    res.status(200).json({
+      success: true,
+      message: 'Boundary deleted',
+      data: { reportsRelocated: deleted.reportsRelocated }
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting boundary:', error);
+    next(error);
+  }
+};
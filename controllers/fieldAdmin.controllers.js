@@ -1,7 +1,11 @@
 import { query, queryOne, transaction } from "../db/utils.js";
 import { uploadBufferToCloudinary } from "../services/cloudinary.js";
 import redisService from "../services/redis.js";
-import { sendWhatsAppMessage, sendWhatsAppImage } from "../services/whatsappService.js";
+import eventBus, { DOMAIN_EVENTS } from "../services/events/eventBus.js";
+import { canAccessDepartment } from "../utils/permissions.js";
+import { ValidationError, ForbiddenError, NotFoundError, ConflictError, UpstreamError } from "../utils/errors.js";
+import { REPORT_STATUS, actorFromRequest, lockReport, transitionReport } from "../services/reportLifecycle.js";
+import { describeSla } from "../services/slaService.js";
 
 // Helper to convert DB timestamp values to ISO strings (null-safe)
 const toISO = (val) => (val ? new Date(val).toISOString() : null);
@@ -19,13 +23,15 @@ const getFieldAdminDisplayStatus = (dbStatus) => {
         'pending': 'pending',         // Unassigned pending stays pending
         'in_progress': 'in_progress', // In progress stays the same
         'resolved': 'completed',      // Resolved shows as completed
-        'rejected': 'rejected'        // Rejected stays the same
+        'rejected': 'rejected',       // Rejected stays the same
+        'under_review': 'rejected',   // Appealed rejection - still off the field admin's plate
+        'merged': 'completed'         // Closed into the canonical report, which carries the work
     };
     return statusMap[dbStatus] || dbStatus;
 };
 
 // Get reports assigned to a specific field admin
-export const getAssignedReports = async (req, res) => {
+export const getAssignedReports = async (req, res, next) => {
     try {
         const { adminId } = req.params;
         const { status, priority, category } = req.query;
@@ -75,6 +81,7 @@ export const getAssignedReports = async (req, res) => {
                 WHEN 'medium' THEN 3
                 WHEN 'low' THEN 4
             END,
+            r.sla_due_at ASC NULLS LAST,
             r.created_at DESC
         `;
 
@@ -113,6 +120,7 @@ export const getAssignedReports = async (req, res) => {
             workStartedAt: toISO(r.work_started_at),
             workCompletedAt: toISO(r.work_completed_at),
             timeSpentMinutes: r.time_spent_minutes,
+            sla: describeSla(r),
             user: r.user_id ? {
                 id: r.user_id,
                 fullName: r.user_full_name,
@@ -128,15 +136,12 @@ export const getAssignedReports = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching assigned reports:', error);
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Get detailed report information
-export const getReportDetails = async (req, res) => {
+export const getReportDetails = async (req, res, next) => {
     try {
         const { reportId } = req.params;
 
@@ -162,10 +167,12 @@ export const getReportDetails = async (req, res) => {
         const report = await queryOne(reportQuery, [reportId]);
 
         if (!report) {
-            return res.status(404).json({
-                success: false,
-                message: "Report not found"
-            });
+            throw new NotFoundError('Report not found', 'REPORT_NOT_FOUND');
+        }
+
+        // Department-scoped roles only see their own department or work assigned to them
+        if (report.assigned_admin_id !== req.admin.id && !canAccessDepartment(req.admin, report.department)) {
+            throw new ForbiddenError('Report is outside your department', 'OUTSIDE_DEPARTMENT');
         }
 
         const formattedReport = {
@@ -200,6 +207,7 @@ export const getReportDetails = async (req, res) => {
             workStartedAt: toISO(report.work_started_at),
             workCompletedAt: toISO(report.work_completed_at),
             timeSpentMinutes: report.time_spent_minutes,
+            sla: describeSla(report),
             user: report.user_id ? {
                 id: report.user_id,
                 fullName: report.user_full_name,
@@ -216,36 +224,41 @@ export const getReportDetails = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching report details:', error);
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Mark report as in-progress
-export const startWork = async (req, res) => {
+export const startWork = async (req, res, next) => {
     try {
         const { reportId } = req.params;
-        const { adminId, notes, latitude, longitude } = req.body;
+        const adminId = req.admin.id;
+        const { notes, latitude, longitude } = req.body;
 
         const updatedReport = await transaction(async (client) => {
-            // Update report status
+            const report = await lockReport(client, reportId);
+
+            if (report.assigned_admin_id !== adminId) {
+                throw new NotFoundError('Report not found or not assigned to this admin', 'REPORT_NOT_FOUND');
+            }
+
+            // Update report status (assigned -> in_progress)
+            await transitionReport(client, report, REPORT_STATUS.IN_PROGRESS, actorFromRequest(req), {
+                reason: notes || null,
+                latitude,
+                longitude
+            });
+
             const updateQuery = `
                 UPDATE reports
-                SET status = 'in_progress',
-                    in_progress_at = CURRENT_TIMESTAMP,
+                SET in_progress_at = CURRENT_TIMESTAMP,
                     work_started_at = CURRENT_TIMESTAMP,
                     updated_at = CURRENT_TIMESTAMP
-                WHERE id = $1 AND assigned_admin_id = $2
+                WHERE id = $1
                 RETURNING *
             `;
 
-            const result = await client.query(updateQuery, [reportId, adminId]);
-
-            if (result.rows.length === 0) {
-                throw new Error('Report not found or not assigned to this admin');
-            }
+            const result = await client.query(updateQuery, [reportId]);
 
             // Create work log entry
             const logQuery = `
@@ -277,6 +290,11 @@ export const startWork = async (req, res) => {
             console.warn('⚠️ Failed to invalidate caches:', cacheError.message);
         }
 
+        await eventBus.publish(DOMAIN_EVENTS.REPORT_WORK_STARTED, {
+            report: updatedReport,
+            notes: notes || null
+        });
+
         return res.status(200).json({
             success: true,
             message: "Report marked as in progress",
@@ -285,18 +303,34 @@ export const startWork = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error starting work:', error);
-        return res.status(500).json({
-            success: false,
-            message: error.message || "Internal server error"
-        });
+        next(error);
+    }
+};
+
+// Progress updates are for the assigned admin while the work is open
+const PROGRESS_STATUSES = [REPORT_STATUS.ASSIGNED, REPORT_STATUS.IN_PROGRESS];
+
+const assertCanAddProgress = (report, adminId) => {
+    if (!report || report.assigned_admin_id !== adminId) {
+        throw new NotFoundError('Report not found or not assigned to this admin', 'REPORT_NOT_FOUND');
+    }
+    if (!PROGRESS_STATUSES.includes(report.status)) {
+        throw new ConflictError(`Progress cannot be added to a report that is '${report.status}'`, 'REPORT_NOT_IN_PROGRESS');
     }
 };
 
 // Add progress update to report
-export const addProgressUpdate = async (req, res) => {
+export const addProgressUpdate = async (req, res, next) => {
     try {
         const { reportId } = req.params;
-        const { adminId, notes, latitude, longitude } = req.body;
+        const adminId = req.admin.id;
+        const { notes, latitude, longitude } = req.body;
+
+        // Check before uploading anything; checked again under the lock below
+        assertCanAddProgress(
+            await queryOne(`SELECT assigned_admin_id, status FROM reports WHERE id = $1`, [reportId]),
+            adminId
+        );
 
         // Upload photos if any
         let photoUrls = [];
@@ -309,7 +343,10 @@ export const addProgressUpdate = async (req, res) => {
             }
         }
 
-        await transaction(async (client) => {
+        const report = await transaction(async (client) => {
+            const report = await lockReport(client, reportId);
+            assertCanAddProgress(report, adminId);
+
             // Add photos to report's in_progress_photos array
             if (photoUrls.length > 0) {
                 const updateQuery = `
@@ -328,6 +365,14 @@ export const addProgressUpdate = async (req, res) => {
             `;
 
             await client.query(logQuery, [reportId, adminId, notes, photoUrls, latitude, longitude]);
+
+            return report;
+        });
+
+        await eventBus.publish(DOMAIN_EVENTS.REPORT_PROGRESS, {
+            report,
+            notes: notes || null,
+            photos: photoUrls
         });
 
         return res.status(200).json({
@@ -338,18 +383,16 @@ export const addProgressUpdate = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error adding progress update:', error);
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Mark report as complete/resolved
-export const completeReport = async (req, res) => {
+export const completeReport = async (req, res, next) => {
     try {
         const { reportId } = req.params;
-        const { adminId, resolvedNotes, resolvedPhotos, timeSpentMinutes, materialsUsed } = req.body;
+        const adminId = req.admin.id;
+        const { resolvedNotes, resolvedPhotos, timeSpentMinutes, materialsUsed } = req.body;
 
         console.log('🔧 Completing report:', reportId, 'by admin:', adminId);
         console.log('📸 Resolved photos:', resolvedPhotos);
@@ -373,19 +416,16 @@ export const completeReport = async (req, res) => {
 
         const updatedReport = await transaction(async (client) => {
             // First, get the report to calculate time_taken_to_resolve
-            const getReportQuery = `
-                SELECT created_at, work_started_at, in_progress_at
-                FROM reports
-                WHERE id = $1 AND assigned_admin_id = $2
-            `;
-            
-            const reportResult = await client.query(getReportQuery, [reportId, adminId]);
+            const report = await lockReport(client, reportId);
             
-            if (reportResult.rows.length === 0) {
-                throw new Error('Report not found or not assigned to this admin');
+            if (report.assigned_admin_id !== adminId) {
+                throw new NotFoundError('Report not found or not assigned to this admin', 'REPORT_NOT_FOUND');
             }
 
-            const report = reportResult.rows[0];
+            await transitionReport(client, report, REPORT_STATUS.RESOLVED, actorFromRequest(req), {
+                reason: resolvedNotes || null,
+                metadata: { photos: finalResolvedPhotos.length }
+            });
             const now = new Date();
             
             // Calculate time_taken_to_resolve (from creation to resolution) in minutes
@@ -412,8 +452,7 @@ export const completeReport = async (req, res) => {
             // Update report to resolved
             const updateQuery = `
                 UPDATE reports
-                SET status = 'resolved',
-                    is_resolved = true,
+                SET is_resolved = true,
                     resolved_at = CURRENT_TIMESTAMP,
                     resolved_by_admin_id = $1,
                     resolution_note = $2,
@@ -422,6 +461,8 @@ export const completeReport = async (req, res) => {
                     time_spent_minutes = $4,
                     time_taken_to_resolve = $5,
                     materials_used = $6,
+                    citizen_verification = 'awaiting',
+                    citizen_verified_at = NULL,
                     updated_at = CURRENT_TIMESTAMP
                 WHERE id = $7 AND assigned_admin_id = $1
                 RETURNING *
@@ -438,7 +479,7 @@ export const completeReport = async (req, res) => {
             ]);
 
             if (result.rows.length === 0) {
-                throw new Error('Report not found or not assigned to this admin');
+                throw new NotFoundError('Report not found or not assigned to this admin', 'REPORT_NOT_FOUND');
             }
 
             // Create work log entry
@@ -454,45 +495,11 @@ export const completeReport = async (req, res) => {
 
         console.log('✅ Report completed successfully');
 
-        // Send WhatsApp notification
-        try {
-            if (updatedReport && updatedReport.user_id) {
-                const user = await queryOne(`SELECT phone_number, full_name FROM users WHERE id = $1`, [updatedReport.user_id]);
-                if (user && user.phone_number) {
-                    const title = updatedReport.title || 'Report';
-                    const notes = updatedReport.resolution_note || 'No resolution details provided.';
-                    
-                    let messageText = `🔔 *Jan Setu Update*\n\n`;
-                    messageText += `Hello *${user.full_name || 'Citizen'}*,\n\n`;
-                    messageText += `Your report *"${title}"* has been successfully resolved! 🎉\n\n`;
-                    messageText += `*Resolution Details:*\n`;
-                    messageText += `"${notes}"\n\n`;
-                    messageText += `Thank you for using Jan Setu to help improve our community.`;
-
-                    sendWhatsAppMessage(user.phone_number, messageText)
-                        .then(async (success) => {
-                            if (success) {
-                                console.log('✅ WhatsApp message sent for resolved report:', reportId);
-                                
-                                // Send resolved photos if any exist
-                                if (finalResolvedPhotos && finalResolvedPhotos.length > 0) {
-                                    console.log(`📸 [whatsappService] Sending ${finalResolvedPhotos.length} resolution photos to user...`);
-                                    for (let i = 0; i < finalResolvedPhotos.length; i++) {
-                                        const photoUrl = finalResolvedPhotos[i];
-                                        const caption = `Resolution Photo ${i + 1} for: *"${title}"*`;
-                                        await sendWhatsAppImage(user.phone_number, photoUrl, caption);
-                                    }
-                                }
-                            } else {
-                                console.warn('⚠️ WhatsApp message failed for resolved report:', reportId);
-                            }
-                        })
-                        .catch(err => console.error('❌ WhatsApp send error:', err));
-                }
-            }
-        } catch (waError) {
-            console.error('⚠️ Failed to initiate WhatsApp notification:', waError);
-        }
+        await eventBus.publish(DOMAIN_EVENTS.REPORT_RESOLVED, {
+            report: updatedReport,
+            notes: updatedReport.resolution_note,
+            photos: finalResolvedPhotos
+        });
 
         // Invalidate caches so all platforms see the completion
         try {
@@ -521,15 +528,12 @@ export const completeReport = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error completing report:', error);
-        return res.status(500).json({
-            success: false,
-            message: error.message || "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Get dashboard statistics for field admin
-export const getDashboardStats = async (req, res) => {
+export const getDashboardStats = async (req, res, next) => {
     try {
         const { adminId } = req.params;
 
@@ -555,11 +559,27 @@ export const getDashboardStats = async (req, res) => {
             ORDER BY count DESC
         `;
 
-        const [stats, categoriesResult] = await Promise.all([
+        // Fix quality: citizen confirmations vs disputes of this admin's resolutions
+        const qualityQuery = `
+            SELECT
+                (SELECT COUNT(*) FROM reports
+                 WHERE resolved_by_admin_id = $1 AND citizen_verification = 'confirmed') as confirmed_fixes,
+                (SELECT COUNT(*) FROM report_disputes WHERE admin_id = $1) as disputed_fixes,
+                (SELECT COUNT(*) FROM report_disputes
+                 WHERE admin_id = $1 AND created_at >= CURRENT_DATE - INTERVAL '30 days') as disputed_this_month,
+                (SELECT AVG(citizen_rating) FROM reports
+                 WHERE resolved_by_admin_id = $1 AND citizen_rating IS NOT NULL) as avg_citizen_rating
+        `;
+
+        const [stats, categoriesResult, quality] = await Promise.all([
             queryOne(statsQuery, [adminId]),
-            query(categoryQuery, [adminId])
+            query(categoryQuery, [adminId]),
+            queryOne(qualityQuery, [adminId])
         ]);
 
+        const confirmedFixes = parseInt(quality.confirmed_fixes) || 0;
+        const disputedFixes = parseInt(quality.disputed_fixes) || 0;
+
         const categories = categoriesResult.rows || [];
 
         return res.status(200).json({
@@ -572,6 +592,16 @@ export const getDashboardStats = async (req, res) => {
                 completedThisWeek: parseInt(stats.completed_this_week) || 0,
                 completedThisMonth: parseInt(stats.completed_this_month) || 0,
                 avgTimeSpent: parseFloat(stats.avg_time_spent) || 0,
+                quality: {
+                    confirmedFixes,
+                    disputedFixes,
+                    disputedThisMonth: parseInt(quality.disputed_this_month) || 0,
+                    // Share of citizen-verified fixes that held up; null until someone has verified one
+                    confirmationRate: confirmedFixes + disputedFixes > 0
+                        ? Math.round((confirmedFixes / (confirmedFixes + disputedFixes)) * 100) / 100
+                        : null,
+                    avgCitizenRating: quality.avg_citizen_rating !== null ? Math.round(parseFloat(quality.avg_citizen_rating) * 10) / 10 : null
+                },
                 categoryBreakdown: categories.map(c => ({
                     category: c.category,
                     count: parseInt(c.count)
@@ -581,15 +611,12 @@ export const getDashboardStats = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching dashboard stats:', error);
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Get today's reports for field admin
-export const getTodayReports = async (req, res) => {
+export const getTodayReports = async (req, res, next) => {
     try {
         const { adminId } = req.params;
 
@@ -640,30 +667,21 @@ export const getTodayReports = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching today\'s reports:', error);
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Upload work photo
-export const uploadWorkPhoto = async (req, res) => {
+export const uploadWorkPhoto = async (req, res, next) => {
     try {
         if (!req.file) {
-            return res.status(400).json({
-                success: false,
-                message: "No file uploaded"
-            });
+            throw new ValidationError('No file uploaded');
         }
 
         const result = await uploadBufferToCloudinary(req.file.buffer);
 
         if (!result || !result.url) {
-            return res.status(500).json({
-                success: false,
-                message: "Failed to upload photo"
-            });
+            throw new UpstreamError("Failed to upload photo", { service: 'cloudinary' });
         }
 
         return res.status(200).json({
@@ -675,17 +693,15 @@ export const uploadWorkPhoto = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error uploading work photo:', error);
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Update admin location (for team tracking)
-export const updateAdminLocation = async (req, res) => {
+export const updateAdminLocation = async (req, res, next) => {
     try {
-        const { adminId, latitude, longitude } = req.body;
+        const adminId = req.admin.id;
+        const { latitude, longitude } = req.body;
 
         const updateQuery = `
             INSERT INTO admin_locations (admin_id, latitude, longitude, updated_at)
@@ -706,15 +722,12 @@ export const updateAdminLocation = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error updating admin location:', error);
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
 
 // Get team member locations
-export const getTeamLocations = async (req, res) => {
+export const getTeamLocations = async (req, res, next) => {
     try {
         const { department } = req.query;
 
@@ -755,9 +768,6 @@ export const getTeamLocations = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching team locations:', error);
-        return res.status(500).json({
-            success: false,
-            message: "Internal server error"
-        });
+        next(error);
     }
 };
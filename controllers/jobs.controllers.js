@@ -0,0 +1,164 @@
+/**
+ * Background Jobs Controller
+ * Scheduler trigger for Vercel Cron, and the admin view of job runs
+ */
+
+import jobService, { JOB_TRIGGERS, isJobsEnabled } from "../services/jobs/jobService.js";
+import { NotFoundError } from "../utils/errors.js";
+
+const toISO = (val) => (val ? new Date(val).toISOString() : null);
+
+const mapRun = (run) => ({
+  id: Number(run.id),
+  jobName: run.job_name,
+  trigger: run.trigger,
+  status: run.status,
+  attempt: run.attempt,
+  requestedBy: run.requested_by_admin_id
+    ? { id: run.requested_by_admin_id, name: run.requested_by_name }
+    : null,
+  startedAt: toISO(run.started_at),
+  finishedAt: toISO(run.finished_at),
+  durationMs: run.duration_ms,
+  result: run.result,
+  error: run.error
+});
+
+/**
+ * Run one scheduler tick: enqueue due jobs and work the queue
+ * GET /api/v1/jobs/cron (Authorization: Bearer $CRON_SECRET)
+ */
+export const runCronTick = async (req, res, next) => {
+  try {
+    if (!isJobsEnabled()) {
+      return res.status(200).json({
+        success: true,
+        message: "Background jobs are disabled (JOBS_ENABLED=false)"
+      });
+    }
+
+    const summary = await jobService.tick({ trigger: JOB_TRIGGERS.CRON });
+
+    res.status(200).json({
+      success: true,
+      message: `Ran ${summary.ran.length} job(s)`,
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('❌ Error running cron tick:', error);
+    next(error);
+  }
+};
+
+/**
+ * Registered jobs with schedule, last outcome and recent failures
+ * GET /api/v1/jobs
+ */
+export const listJobs = async (req, res, next) => {
+  try {
+    const [jobs, queue] = await Promise.all([
+      jobService.listJobs(),
+      jobService.getQueueStats()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: isJobsEnabled(),
+        jobs: jobs.map((job) => ({
+          ...job,
+          lastStartedAt: toISO(job.lastStartedAt),
+          lastSuccessAt: toISO(job.lastSuccessAt),
+          lastFailureAt: toISO(job.lastFailureAt),
+          nextDueAt: toISO(job.nextDueAt)
+        })),
+        queue
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing jobs:', error);
+    next(error);
+  }
+};
+
+/**
+ * Job run history, newest first
+ * GET /api/v1/jobs/runs?jobName=&status=failed&limit=50&offset=0
+ */
+export const getJobRuns = async (req, res, next) => {
+  try {
+    const { jobName = null, status = null, limit = 50, offset = 0 } = req.query;
+
+    const { runs, total } = await jobService.getRuns({ jobName, status, limit, offset });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        runs: runs.map(mapRun),
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          hasMore: (parseInt(offset) + parseInt(limit)) < total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching job runs:', error);
+    next(error);
+  }
+};
+
+/**
+ * Run a job now. Queued when Redis is available (202), otherwise run inline (200).
+ * POST /api/v1/jobs/:jobName/run
+ */
+export const runJobNow = async (req, res, next) => {
+  try {
+    const { jobName } = req.params;
+
+    if (!jobService.getJob(jobName)) {
+      throw new NotFoundError(`Unknown job: ${jobName}`, 'JOB_NOT_FOUND');
+    }
+
+    console.log(`🧰 Job ${jobName} requested by admin ${req.admin.id}`);
+
+    const queued = await jobService.enqueue(jobName, {
+      trigger: JOB_TRIGGERS.MANUAL,
+      requestedBy: req.admin.id
+    });
+
+    if (queued) {
+      return res.status(202).json({
+        success: true,
+        message: `Job ${jobName} queued`,
+        data: { queued: true, id: queued.id }
+      });
+    }
+
+    const outcome = await jobService.runJob(jobName, {
+      trigger: JOB_TRIGGERS.MANUAL,
+      requestedBy: req.admin.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Job ${jobName} ${outcome.status}`,
+      data: { queued: false, ...outcome }
+    });
+
+  } catch (error) {
+    console.error('❌ Error running job:', error);
+    next(error);
+  }
+};
+
+export default {
+  runCronTick,
+  listJobs,
+  getJobRuns,
+  runJobNow
+};
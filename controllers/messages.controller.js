@@ -1,18 +1,17 @@
 import { query, transaction } from '../db/utils.js';
 import generateAIResponse from '../services/ai.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
 
 // Helper function to convert timestamps to ISO
 const toISO = (val) => (val ? new Date(val).toISOString() : null);
 
-export const sendMessage = async (req, res) => {
+export const sendMessage = async (req, res, next) => {
   try {
-    const { message, userId } = req.body;
+    const { message } = req.body;
+    const userId = req.userId;
 
-    if (!message || !userId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Message and userId are required'
-      });
+    if (!message) {
+      throw new ValidationError('Message is required');
     }
 
     const result = await transaction(async (client) => {
@@ -23,7 +22,7 @@ export const sendMessage = async (req, res) => {
       );
 
       if (userCheck.rows.length === 0) {
-        throw new Error('User not found');
+        throw new NotFoundError('User not found', 'USER_NOT_FOUND');
       }
 
       // Save user message
@@ -66,32 +65,13 @@ export const sendMessage = async (req, res) => {
 
   } catch (error) {
     console.error('Error in sendMessage:', error);
-    
-    if (error.message === 'User not found') {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-    
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: error.message
-    });
+    next(error);
   }
 };
 
-export const getMessages = async (req, res) => {
+export const getMessages = async (req, res, next) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: 'userId is required'
-      });
-    }
+    const userId = req.userId;
 
     const result = await query(
       'SELECT * FROM messages WHERE user_id = $1 ORDER BY created_at ASC',
@@ -113,26 +93,15 @@ export const getMessages = async (req, res) => {
 
   } catch (error) {
     console.error('Error in getMessages:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: error.message
-    });
+    next(error);
   }
 };
 
-export const deleteMessages = async (req, res) => {
+export const deleteMessages = async (req, res, next) => {
   try {
-    const { userId } = req.query;
+    const userId = req.userId;
     const { resetSequence } = req.query; // Optional parameter to reset sequence
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: 'userId is required'
-      });
-    }
-
     const result = await transaction(async (client) => {
       // Delete all messages for the user
       const deleteResult = await client.query(
@@ -165,10 +134,6 @@ export const deleteMessages = async (req, res) => {
 
   } catch (error) {
     console.error('Error in deleteMessages:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: error.message
-    });
+    next(error);
   }
 };
\ No newline at end of file
@@ -0,0 +1,280 @@
+/**
+ * Notifications Controller
+ * Device token registry for push, delivery status of outbound push, WhatsApp
+ * and email notifications, and previews of the message templates
+ */
+
+import outboxService from "../services/notifications/outboxService.js";
+import {
+    registerDeviceToken,
+    unregisterDeviceToken,
+    getUserDevices
+} from "../services/notifications/deviceTokenService.js";
+import {
+    TEMPLATE_CHANNELS,
+    hasTemplate,
+    getSampleVariables,
+    renderTemplate,
+    listTemplates as listNotificationTemplates
+} from "../services/notifications/templates/templateRegistry.js";
+import { DEFAULT_LANGUAGE } from "../utils/notificationPreferences.js";
+import { NotFoundError, ConflictError } from "../utils/errors.js";
+
+// Helper to convert DB timestamp values to ISO strings (null-safe)
+const toISO = (val) => (val ? new Date(val).toISOString() : null);
+
+// Tokens are credentials for pushing to a device; only show their tail
+const mapDevice = (device) => ({
+    id: Number(device.id),
+    tokenSuffix: device.token.slice(-8),
+    platform: device.platform,
+    deviceId: device.device_id,
+    createdAt: toISO(device.created_at),
+    lastSeenAt: toISO(device.last_seen_at)
+});
+
+const mapMessage = (message) => ({
+    id: Number(message.id),
+    channel: message.channel,
+    kind: message.kind,
+    recipient: message.recipient,
+    userId: message.user_id,
+    adminId: message.admin_id,
+    reportId: message.report_id,
+    webhookId: message.webhook_id ? Number(message.webhook_id) : null,
+    payload: message.payload,
+    afterId: message.after_id ? Number(message.after_id) : null,
+    status: message.status,
+    attempts: message.attempts,
+    maxAttempts: message.max_attempts,
+    nextAttemptAt: ['pending', 'failed'].includes(message.status) ? toISO(message.next_attempt_at) : null,
+    lastError: message.last_error,
+    providerMessageId: message.provider_message_id,
+    createdAt: toISO(message.created_at),
+    updatedAt: toISO(message.updated_at),
+    sentAt: toISO(message.sent_at)
+});
+
+/**
+ * Register this device for push notifications (call on every app start; it refreshes last_seen_at)
+ * POST /api/v1/notifications/device-tokens
+ */
+export const registerDevice = async (req, res, next) => {
+    try {
+        const { token, platform, deviceId } = req.body;
+
+        const device = await registerDeviceToken(req.userId, { token, platform, deviceId });
+
+        console.log(`📲 Device token registered for user ${req.userId} (${device.platform})`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Device registered for notifications',
+            data: mapDevice(device)
+        });
+
+    } catch (error) {
+        console.error('❌ Error registering device token:', error);
+        next(error);
+    }
+};
+
+/**
+ * Stop push notifications to this device (call on sign-out)
+ * DELETE /api/v1/notifications/device-tokens
+ */
+export const unregisterDevice = async (req, res, next) => {
+    try {
+        const removed = await unregisterDeviceToken(req.userId, req.body.token);
+
+        if (!removed) {
+            throw new NotFoundError('Device token not registered for this user', 'DEVICE_TOKEN_NOT_FOUND');
+        }
+
+        console.log(`📴 Device token unregistered for user ${req.userId}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Device unregistered from notifications'
+        });
+
+    } catch (error) {
+        console.error('❌ Error unregistering device token:', error);
+        next(error);
+    }
+};
+
+/**
+ * Devices registered for the logged-in user
+ * GET /api/v1/notifications/device-tokens
+ */
+export const listDevices = async (req, res, next) => {
+    try {
+        const devices = await getUserDevices(req.userId);
+
+        res.status(200).json({
+            success: true,
+            data: { devices: devices.map(mapDevice) }
+        });
+
+    } catch (error) {
+        console.error('❌ Error listing device tokens:', error);
+        next(error);
+    }
+};
+
+/**
+ * Outbox messages with their delivery status, newest first, plus per-channel counts
+ * GET /api/v1/notifications/outbox?status=dead&channel=whatsapp&kind=&reportId=&userId=&limit=50&offset=0
+ */
+export const listOutbox = async (req, res, next) => {
+    try {
+        const { status = null, channel = null, kind = null, reportId = null, userId = null, limit = 50, offset = 0 } = req.query;
+
+        const [{ messages, total }, stats] = await Promise.all([
+            outboxService.list({ status, channel, kind, reportId, userId, limit, offset }),
+            outboxService.getStats()
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                messages: messages.map(mapMessage),
+                stats,
+                pagination: {
+                    total,
+                    limit: parseInt(limit),
+                    offset: parseInt(offset),
+                    hasMore: (parseInt(offset) + parseInt(limit)) < total
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching notification outbox:', error);
+        next(error);
+    }
+};
+
+/**
+ * One outbox message
+ * GET /api/v1/notifications/outbox/:id
+ */
+export const getOutboxMessage = async (req, res, next) => {
+    try {
+        const message = await outboxService.getMessage(req.params.id);
+
+        if (!message) {
+            throw new NotFoundError('Notification not found', 'NOTIFICATION_NOT_FOUND');
+        }
+
+        res.status(200).json({
+            success: true,
+            data: mapMessage(message)
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching notification:', error);
+        next(error);
+    }
+};
+
+/**
+ * Requeue a failed or dead-lettered message with a fresh set of attempts
+ * POST /api/v1/notifications/outbox/:id/retry
+ */
+export const retryOutboxMessage = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const requeued = await outboxService.retry(id);
+
+        if (!requeued) {
+            const message = await outboxService.getMessage(id);
+            if (!message) {
+                throw new NotFoundError('Notification not found', 'NOTIFICATION_NOT_FOUND');
+            }
+            throw new ConflictError(`Only failed or dead notifications can be retried (this one is ${message.status})`, 'NOTIFICATION_NOT_RETRYABLE');
+        }
+
+        console.log(`🔁 Notification ${id} requeued by admin ${req.admin.id}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification queued for delivery',
+            data: mapMessage(requeued)
+        });
+
+    } catch (error) {
+        console.error('❌ Error retrying notification:', error);
+        next(error);
+    }
+};
+
+/**
+ * Notification templates with their channels, translations and variables
+ * GET /api/v1/notifications/templates
+ */
+export const listTemplates = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: { templates: listNotificationTemplates() }
+        });
+
+    } catch (error) {
+        console.error('❌ Error listing notification templates:', error);
+        next(error);
+    }
+};
+
+/**
+ * Render a template as a citizen or admin would receive it. Variables not
+ * supplied are taken from the template's example values.
+ * POST /api/v1/notifications/templates/:template/preview
+ */
+export const previewTemplate = async (req, res, next) => {
+    try {
+        const { template } = req.params;
+        const { locale = DEFAULT_LANGUAGE, channel = null, variables = {} } = req.body || {};
+
+        if (!hasTemplate(template)) {
+            throw new NotFoundError(`Unknown notification template: ${template}`, 'TEMPLATE_NOT_FOUND');
+        }
+
+        const values = { ...getSampleVariables(template), ...variables };
+        const rendered = {};
+        for (const name of channel ? [channel] : TEMPLATE_CHANNELS) {
+            const content = renderTemplate(template, name, locale, values);
+            if (content) rendered[name] = content;
+        }
+
+        if (channel && !rendered[channel]) {
+            throw new NotFoundError(`Template ${template} has no ${channel} message`, 'TEMPLATE_NOT_FOUND');
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                template,
+                locale,
+                variables: values,
+                channels: rendered
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error previewing notification template:', error);
+        next(error);
+    }
+};
+
+export default {
+    registerDevice,
+    unregisterDevice,
+    listDevices,
+    listOutbox,
+    getOutboxMessage,
+    retryOutboxMessage,
+    listTemplates,
+    previewTemplate
+};
@@ -1,290 +1,225 @@
-import { generateOTP, storeOTP, verifyOTP, sendOTP, sendTestOtp, getStoredOTPs } from "../services/sendSms.js";
 import { query, transaction } from "../db/utils.js";
-import redisService from "../services/redis.js";
-import phoneEmailService from "../services/phoneEmail.js";
+import otpService from "../services/otp/otpService.js";
+import { readOutbox } from "../services/otp/channels/consoleChannel.js";
+import { SUBJECT_TYPES } from "../services/tokenService.js";
+import { startSession, getClientIp } from "../services/sessionService.js";
+import { ValidationError, RateLimitError, UpstreamError } from "../utils/errors.js";
+
+// Citizen login codes (see services/otp/otpService.js)
+const CITIZEN_OTP_SCOPE = 'citizen';
+const CITIZEN_OTP_TTL_SECONDS = 5 * 60; // 5 minutes
+
+// Error for requests blocked by the OTP lockout
+const lockedOut = (retryAfter) => new RateLimitError('Too many failed attempts. Please try again later.', retryAfter);
 
 // Send OTP to phone number
-export const sendOTPController = async (req, res) => {
+export const sendOTPController = async (req, res, next) => {
   try {
     const { phoneNumber } = req.body;
     
     console.log('Request body:', req.body);
     
     if (!phoneNumber) {
-      return res.status(400).json({
-        success: false,
-        message: "Phone number is required"
-      });
+      throw new ValidationError('Phone number is required');
     }
     
-    // Rate limiting: 5 OTP requests per hour per phone number
-    const rateLimitResult = await redisService.checkRateLimit(
-      `otp_send:${phoneNumber}`, 
-      5, 
-      3600 // 1 hour
-    );
-    
-    if (!rateLimitResult.allowed) {
-      return res.status(429).json({
-        success: false,
-        message: "Too many OTP requests. Please try again later.",
-        resetTime: rateLimitResult.resetTime
-      });
+    const lockout = await otpService.getLockout(CITIZEN_OTP_SCOPE, phoneNumber, getClientIp(req));
+    if (lockout.locked) {
+      throw lockedOut(lockout.retryAfter);
     }
     
-    // Generate 6-digit OTP
-    const otp = generateOTP();
-    
-    // Store OTP in Redis (expires in 5 minutes) and memory as fallback
-    await redisService.cacheOTP(phoneNumber, otp, 300);
-    storeOTP(phoneNumber, otp);
-    
-    // Send OTP via SMS
-    const result = await sendOTP(phoneNumber, otp);
+    // Generate, store and send the code (SMS first, then the fallback channels)
+    const result = await otpService.sendCode({
+      scope: CITIZEN_OTP_SCOPE,
+      recipient: phoneNumber,
+      recipientType: 'phone',
+      ttlSeconds: CITIZEN_OTP_TTL_SECONDS
+    });
     
-    if (result.success) {
-      res.status(200).json({
-        success: true,
-        message: "OTP sent successfully",
-        messageSid: result.messageSid
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        message: "Failed to send OTP",
-        error: result.error
+    if (!result.success) {
+      throw new UpstreamError('Failed to send OTP. Please try again later.', {
+        service: 'otp',
+        code: 'OTP_DELIVERY_FAILED'
       });
     }
+
+    res.status(200).json({
+      success: true,
+      message: "OTP sent successfully",
+      channel: result.channel,
+      messageId: result.messageId,
+      expiresIn: CITIZEN_OTP_TTL_SECONDS,
+      // Only ever echoed back for allow-listed numbers in (non-production) test mode
+      ...(result.testRecipient ? { otp: result.code } : {})
+    });
     
   } catch (error) {
     console.error('Error in sendOTPController:', error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-      error: error.message
-    });
+    next(error);
   }
 };
 
 // Verify OTP
-export const verifyOTPController = async (req, res) => {
+export const verifyOTPController = async (req, res, next) => {
   try {
     const { phoneNumber, otp } = req.body;
     
-    console.log('🔍 Verify OTP request:', req.body);
-    
     if (!phoneNumber || !otp) {
-      return res.status(400).json({
-        success: false,
-        message: "Phone number and OTP are required"
-      });
+      throw new ValidationError('Phone number and OTP are required');
     }
     
-    // First try to verify OTP from Redis cache
-    const cachedOTP = await redisService.getCachedOTP(phoneNumber);
-    let result;
-    
-    if (cachedOTP && cachedOTP === otp) {
-      result = { success: true };
-      // Invalidate OTP after successful verification
-      await redisService.invalidateOTP(phoneNumber);
-    } else {
-      // Fallback to memory-based verification
-      result = verifyOTP(phoneNumber, otp);
-    }
+    const result = await otpService.verifyCode(CITIZEN_OTP_SCOPE, phoneNumber, otp, getClientIp(req));
     
     if (result.success) {
       console.log('✅ OTP verified, creating/logging in user...');
       
-      // OTP is valid - create or login user in database using transaction
-      try {
-        const user = await transaction(async (client) => {
-          // Check if user already exists
-          const checkUserQuery = `SELECT * FROM users WHERE phone_number = $1`;
-          const existingUser = await client.query(checkUserQuery, [phoneNumber]);
+      // OTP is valid - create or login user in database using transaction.
+      // Database and session store failures go to the error handler, so the
+      // client never sees a success without tokens.
+      const user = await transaction(async (client) => {
+        // Check if user already exists
+        const checkUserQuery = `SELECT * FROM users WHERE phone_number = $1`;
+        const existingUser = await client.query(checkUserQuery, [phoneNumber]);
+        
+        let userData;
+        let isNewUser = false;
+        let requiresProfileSetup = false;
+        
+        if (existingUser.rows.length > 0) {
+          // User exists - update last_login and return user data
+          userData = existingUser.rows[0];
+          const updateLoginQuery = `
+            UPDATE users 
+            SET last_login = CURRENT_TIMESTAMP, 
+                updated_at = CURRENT_TIMESTAMP 
+            WHERE id = $1 
+            RETURNING *
+          `;
+          const updatedUser = await client.query(updateLoginQuery, [userData.id]);
+          userData = updatedUser.rows[0];
+          isNewUser = false;
+          requiresProfileSetup = !userData.full_name || !userData.email;
           
-          let userData;
-          let isNewUser = false;
-          let requiresProfileSetup = false;
+          console.log('✅ Existing user logged in:', userData.id);
+        } else {
+          // New user - create with UUID and minimal data
+          const insertQuery = `
+            INSERT INTO users (
+              phone_number, 
+              email, 
+              full_name, 
+              profile_image_url, 
+              is_verified,
+              total_reports,
+              resolved_reports
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+          `;
+          
+          const newUserResult = await client.query(insertQuery, [
+            phoneNumber,
+            '', // Empty email initially
+            '', // Empty full_name initially  
+            '', // Empty profile_image_url initially
+            true, // is_verified = true after OTP
+            0, // total_reports = 0
+            0  // resolved_reports = 0
+          ]);
           
-          if (existingUser.rows.length > 0) {
-            // User exists - update last_login and return user data
-            userData = existingUser.rows[0];
-            const updateLoginQuery = `
-              UPDATE users 
-              SET last_login = CURRENT_TIMESTAMP, 
-                  updated_at = CURRENT_TIMESTAMP 
-              WHERE id = $1 
-              RETURNING *
-            `;
-            const updatedUser = await client.query(updateLoginQuery, [userData.id]);
-            userData = updatedUser.rows[0];
-            isNewUser = false;
-            requiresProfileSetup = !userData.full_name || !userData.email;
-            
-            console.log('✅ Existing user logged in:', userData.id);
-          } else {
-            // New user - create with UUID and minimal data
-            const insertQuery = `
-              INSERT INTO users (
-                phone_number, 
-                email, 
-                full_name, 
-                profile_image_url, 
-                is_verified,
-                total_reports,
-                resolved_reports
-              ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-              RETURNING *
-            `;
-            
-            const newUserResult = await client.query(insertQuery, [
-              phoneNumber,
-              '', // Empty email initially
-              '', // Empty full_name initially  
-              '', // Empty profile_image_url initially
-              true, // is_verified = true after OTP
-              0, // total_reports = 0
-              0  // resolved_reports = 0
-            ]);
-            
-            userData = newUserResult.rows[0];
-            isNewUser = true;
-            requiresProfileSetup = true;
-            
-            console.log('✅ New user created:', userData.id);
-          }
+          userData = newUserResult.rows[0];
+          isNewUser = true;
+          requiresProfileSetup = true;
           
-          return { userData, isNewUser, requiresProfileSetup };
-        });
-        
-        // Return successful response with user data
-        res.status(200).json({
-          success: true,
-          message: result.message,
-          user: {
-            id: user.userData.id,
-            phoneNumber: user.userData.phone_number,
-            email: user.userData.email,
-            fullName: user.userData.full_name,
-            profileImageUrl: user.userData.profile_image_url,
-            isVerified: user.userData.is_verified,
-            totalReports: user.userData.total_reports,
-            resolvedReports: user.userData.resolved_reports,
-            createdAt: user.userData.created_at ? new Date(user.userData.created_at).toISOString() : null,
-            updatedAt: user.userData.updated_at ? new Date(user.userData.updated_at).toISOString() : null,
-            lastLogin: user.userData.last_login ? new Date(user.userData.last_login).toISOString() : null
-          },
-          isNewUser: user.isNewUser,
-          requiresProfileSetup: user.requiresProfileSetup
-        });
+          console.log('✅ New user created:', userData.id);
+        }
         
-      } catch (dbError) {
-        console.error('❌ Database error after OTP verification:', dbError);
-        // Still return success for OTP verification, but note the DB error
-        res.status(200).json({
-          success: true,
-          message: result.message,
-          warning: "OTP verified but user creation failed",
-          dbError: dbError.message
-        });
-      }
-      
-    } else {
-      res.status(400).json({
-        success: false,
-        message: result.message
+        return { userData, isNewUser, requiresProfileSetup };
       });
-    }
-    
-  } catch (error) {
-    console.error('❌ Error in verifyOTPController:', error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-      error: error.message
-    });
-  }
-};
+      
+      const tokens = await startSession({ id: user.userData.id, type: SUBJECT_TYPES.USER }, req);
 
-// Send test OTP (for testing with your verified number)
-export const sendTestOTPController = async (req, res) => {
-  try {
-    const otp = generateOTP();
-    
-    // Store OTP for the test number
-    storeOTP(process.env.TEST_TO, otp);
-    
-    const result = await sendTestOtp(otp);
-    
-    if (result.success) {
+      // Return successful response with user data and tokens
       res.status(200).json({
         success: true,
-        message: "Test OTP sent successfully",
-        messageSid: result.messageSid,
-        // For testing purposes, return the OTP (remove in production)
-        testOTP: otp
+        message: "OTP verified successfully",
+        tokens,
+        user: {
+          id: user.userData.id,
+          phoneNumber: user.userData.phone_number,
+          email: user.userData.email,
+          fullName: user.userData.full_name,
+          profileImageUrl: user.userData.profile_image_url,
+          isVerified: user.userData.is_verified,
+          totalReports: user.userData.total_reports,
+          resolvedReports: user.userData.resolved_reports,
+          createdAt: user.userData.created_at ? new Date(user.userData.created_at).toISOString() : null,
+          updatedAt: user.userData.updated_at ? new Date(user.userData.updated_at).toISOString() : null,
+          lastLogin: user.userData.last_login ? new Date(user.userData.last_login).toISOString() : null
+        },
+        isNewUser: user.isNewUser,
+        requiresProfileSetup: user.requiresProfileSetup
       });
+      
     } else {
-      res.status(500).json({
-        success: false,
-        message: "Failed to send test OTP",
-        error: result.error
-      });
+      switch (result.reason) {
+        case 'locked':
+          throw lockedOut(result.retryAfter);
+        case 'expired':
+          throw new ValidationError('OTP not found or expired', [], 'OTP_EXPIRED');
+        case 'too_many_attempts':
+          throw new ValidationError('Too many failed attempts. Please request a new OTP.', [], 'OTP_ATTEMPTS_EXCEEDED');
+        default:
+          throw new ValidationError(`Invalid OTP. ${result.attemptsRemaining} attempts remaining.`, [], 'OTP_INVALID');
+      }
     }
     
   } catch (error) {
-    console.error('Error in sendTestOTPController:', error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-      error: error.message
-    });
+    console.error('❌ Error in verifyOTPController:', error);
+    next(error);
   }
 };
 
-// Debug endpoint to check stored OTPs
-export const getStoredOTPsController = async (req, res) => {
+// Test mode only: OTPs sent to allow-listed test numbers (the route is not registered otherwise)
+export const getOtpOutboxController = async (req, res, next) => {
   try {
-    const storedOTPs = getStoredOTPs();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const entries = readOutbox({
+      limit,
+      recipient: req.query.recipient || null,
+      testOnly: true
+    });
+
     res.status(200).json({
       success: true,
-      message: "Current stored OTPs",
-      data: storedOTPs
+      message: "Test OTP outbox retrieved successfully",
+      data: entries
     });
   } catch (error) {
-    console.error('Error in getStoredOTPsController:', error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-      error: error.message
-    });
+    console.error('Error in getOtpOutboxController:', error);
+    next(error);
   }
 };
 
 // Phone.email JWT verification endpoint
-export const verifyPhoneEmailController = async (req, res) => {
+export const verifyPhoneEmailController = async (req, res, next) => {
   try {
     const { jwt, deviceId } = req.body;
     
     console.log('📱 Phone.email JWT verification request');
     
     if (!jwt) {
-      return res.status(400).json({
-        success: false,
-        message: "JWT token is required"
-      });
+      throw new ValidationError('JWT token is required');
     }
 
     // Verify JWT and extract phone number
-    const verificationResult = await phoneEmailService.verifyJWT(jwt);
+    const verificationResult = await otpService.verifyExternal('phone_email', jwt);
     
     if (!verificationResult.success) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid or expired JWT token",
-        error: verificationResult.error
-      });
+      throw new ValidationError('Invalid or expired JWT token', [{
+        field: 'jwt',
+        location: 'body',
+        message: verificationResult.error
+      }], 'INVALID_TOKEN');
     }
 
     const phoneNumber = verificationResult.phoneNumber;
@@ -355,10 +290,13 @@ export const verifyPhoneEmailController = async (req, res) => {
         return { userData, isNewUser, requiresProfileSetup };
       });
       
-      // Return successful response
+      const tokens = await startSession({ id: user.userData.id, type: SUBJECT_TYPES.USER }, req);
+
+      // Return successful response with user data and tokens
       res.status(200).json({
         success: true,
         message: 'Phone number verified successfully',
+        tokens,
         user: {
           id: user.userData.id,
           phoneNumber: user.userData.phone_number,
@@ -383,19 +321,11 @@ export const verifyPhoneEmailController = async (req, res) => {
       
     } catch (dbError) {
       console.error('❌ Database error after phone.email verification:', dbError);
-      res.status(500).json({
-        success: false,
-        message: "Phone verified but user creation failed",
-        error: dbError.message
-      });
+      next(dbError);
     }
     
   } catch (error) {
     console.error('❌ Error in verifyPhoneEmailController:', error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-      error: error.message
-    });
+    next(error);
   }
 };
\ No newline at end of file
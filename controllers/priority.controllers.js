@@ -9,20 +9,18 @@ import {  calculateDynamicPriority,
   batchRecalculatePriorities
 } from "../services/priorityCalculation.js";
 import redisService from "../services/redis.js";
+import { ValidationError } from "../utils/errors.js";
 
 /**
  * Manually recalculate priority for a single report
  * GET /api/priority/recalculate/:reportId
  */
-export const recalculateSinglePriority = async (req, res) => {
+export const recalculateSinglePriority = async (req, res, next) => {
   try {
     const { reportId } = req.params;
     
     if (!reportId) {
-      return res.status(400).json({
-        success: false,
-        message: "Report ID is required"
-      });
+      throw new ValidationError('Report ID is required');
     }
     
     console.log(`🔄 Manual priority recalculation requested for report ${reportId}`);
@@ -43,11 +41,7 @@ export const recalculateSinglePriority = async (req, res) => {
     
   } catch (error) {
     console.error('❌ Error recalculating priority:', error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to recalculate priority",
-      error: error.message
-    });
+    next(error);
   }
 };
 
@@ -55,15 +49,12 @@ export const recalculateSinglePriority = async (req, res) => {
  * Get priority calculation details without updating
  * GET /api/priority/calculate/:reportId
  */
-export const calculatePriorityPreview = async (req, res) => {
+export const calculatePriorityPreview = async (req, res, next) => {
   try {
     const { reportId } = req.params;
     
     if (!reportId) {
-      return res.status(400).json({
-        success: false,
-        message: "Report ID is required"
-      });
+      throw new ValidationError('Report ID is required');
     }
     
     console.log(`👁️ Priority calculation preview for report ${reportId}`);
@@ -80,11 +71,7 @@ export const calculatePriorityPreview = async (req, res) => {
     
   } catch (error) {
     console.error('❌ Error calculating priority:', error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to calculate priority",
-      error: error.message
-    });
+    next(error);
   }
 };
 
@@ -93,7 +80,7 @@ export const calculatePriorityPreview = async (req, res) => {
  * POST /api/priority/recalculate-batch
  * Body: { reportIds?: number[], onlyUnresolved?: boolean }
  */
-export const recalculateBatchPriorities = async (req, res) => {
+export const recalculateBatchPriorities = async (req, res, next) => {
   try {
     const { reportIds, onlyUnresolved = true } = req.body;
     
@@ -117,11 +104,7 @@ export const recalculateBatchPriorities = async (req, res) => {
     
   } catch (error) {
     console.error('❌ Error in batch recalculation:', error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to batch recalculate priorities",
-      error: error.message
-    });
+    next(error);
   }
 };
 
@@ -129,7 +112,7 @@ export const recalculateBatchPriorities = async (req, res) => {
  * Get priority statistics
  * GET /api/priority/stats
  */
-export const getPriorityStats = async (req, res) => {
+export const getPriorityStats = async (req, res, next) => {
   try {
     const { onlyUnresolved = true } = req.query;
     
@@ -194,11 +177,7 @@ export const getPriorityStats = async (req, res) => {
     
   } catch (error) {
     console.error('❌ Error fetching priority stats:', error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch priority statistics",
-      error: error.message
-    });
+    next(error);
   }
 };
 
@@ -207,7 +186,7 @@ export const getPriorityStats = async (req, res) => {
  * Reports that haven't been updated in a while
  * GET /api/priority/needs-update
  */
-export const getReportsNeedingUpdate = async (req, res) => {
+export const getReportsNeedingUpdate = async (req, res, next) => {
   try {
     const { days = 7, limit = 50 } = req.query;
     
@@ -250,11 +229,7 @@ export const getReportsNeedingUpdate = async (req, res) => {
     
   } catch (error) {
     console.error('❌ Error fetching reports needing update:', error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch reports needing update",
-      error: error.message
-    });
+    next(error);
   }
 };
 
@@ -1,8 +1,41 @@
 import { query, queryOne, queryMany, transaction } from "../db/utils.js";
 import { uploadBufferToCloudinary } from "../services/cloudinary.js";
 import redisService from "../services/redis.js";
-import { sendReportResolvedNotification } from "../services/notificationService.js";
-import { sendWhatsAppMessage, sendWhatsAppImage } from "../services/whatsappService.js";
+import eventBus, { DOMAIN_EVENTS } from "../services/events/eventBus.js";
+import { updateReportPriority } from "../services/priorityCalculation.js";
+import { countNearbyUnresolvedReports, withinRadius, distanceMeters, nearestFirst } from "../services/geoQueries.js";
+import { locateReport } from "../services/boundaryService.js";
+import duplicateDetection, { DUPLICATE_RADIUS_METERS, DUPLICATE_WINDOW_DAYS } from "../services/duplicateDetection.js";
+import { getClusters, getHeatmap, getAddressSummary } from "../services/reportHotspots.js";
+import geocodingService from "../services/geocoding/geocodingService.js";
+import { PERMISSIONS, hasPermission, canAccessDepartment } from "../utils/permissions.js";
+import {
+    MAX_APPEALS_PER_REPORT,
+    APPEAL_WINDOW_DAYS,
+    getRejectionReasons,
+    getRejectionReasonLabel
+} from "../utils/rejectionReasons.js";
+import {
+    CITIZEN_VERIFICATION,
+    DISPUTE_WINDOW_DAYS,
+    MAX_DISPUTES_PER_REPORT
+} from "../utils/resolutionVerification.js";
+import { NotFoundError, ForbiddenError, ConflictError, ValidationError, UpstreamError } from "../utils/errors.js";
+import {
+    REPORT_STATUS,
+    actorFromRequest,
+    assertTransition,
+    lockReport,
+    recordStatusChange,
+    transitionReport,
+    getAllowedTransitions,
+    getStatusHistory
+} from "../services/reportLifecycle.js";
+import { describeSla, startSlaClock, refreshSlaTarget } from "../services/slaService.js";
+import { SLA_AT_RISK_PERCENT, getSlaPolicies } from "../utils/slaPolicies.js";
+
+// Dashboard map aggregates are cached briefly; report changes also clear them
+const HOTSPOT_CACHE_TTL = 120;
 
 // Helper to convert DB timestamp values to ISO strings (null-safe)
 const toISO = (val) => (val ? new Date(val).toISOString() : null);
@@ -23,6 +56,71 @@ const parseArrayField = (val) => {
 };
 
 
+// Rejection / appeal details of a report row (null-safe)
+const mapRejection = (report) => ({
+    reasonCode: report.rejection_reason_code,
+    reason: getRejectionReasonLabel(report.rejection_reason_code) || report.rejection_reason_code,
+    note: report.rejection_note,
+    rejectedAt: toISO(report.rejected_at),
+    rejectedByAdminId: report.rejected_by_admin_id
+});
+
+const mapVerification = (report) => ({
+    status: report.citizen_verification || null,
+    verifiedAt: toISO(report.citizen_verified_at),
+    rating: report.citizen_rating ?? null,
+    feedback: report.citizen_feedback || null,
+    disputeCount: report.dispute_count || 0,
+    reopenedAt: toISO(report.reopened_at)
+});
+
+const mapAppeal = (report) => ({
+    reason: report.appeal_reason,
+    appealedAt: toISO(report.appealed_at),
+    appealCount: report.appeal_count,
+    decision: report.appeal_decision,
+    decidedAt: toISO(report.appeal_decided_at),
+    decidedByAdminId: report.appeal_decided_by_admin_id
+});
+
+// Ward, ULB and district the report lies in (services/boundaryService.js)
+const mapJurisdiction = (report) => {
+    const boundary = (id, name) => (id ? { id: Number(id), name: name || null } : null);
+    return {
+        ward: boundary(report.ward_id, report.ward_name),
+        ulb: boundary(report.ulb_id, report.ulb_name),
+        district: boundary(report.district_id, report.district_name)
+    };
+};
+
+// Structured address derived from the location (services/geocoding)
+const mapAddressComponents = (report) => ({
+    locality: report.address_locality || null,
+    ward: report.address_ward || null,
+    city: report.address_city || null,
+    district: report.address_district || null,
+    state: report.address_state || null,
+    pincode: report.address_pincode || null
+});
+
+// A possible duplicate from services/duplicateDetection.js; `userId` marks the citizen's own reports
+const mapPossibleDuplicate = (candidate, userId = null) => ({
+    id: candidate.id,
+    title: candidate.title,
+    category: candidate.category,
+    status: candidate.status,
+    department: candidate.department,
+    address: candidate.address,
+    createdAt: toISO(candidate.created_at),
+    distanceMeters: Math.round(Number(candidate.distance_meters)),
+    similarity: Number(Number(candidate.text_similarity).toFixed(2)),
+    score: Number(candidate.score),
+    postId: candidate.post_id || null,
+    upvotes: Number(candidate.upvotes) || 0,
+    followerCount: parseInt(candidate.follower_count || 0, 10),
+    ...(userId && { isOwnReport: candidate.user_id === userId })
+});
+
 /**
  * Compute automatic priority based on:
  *  - number of unresolved reports in the area (radiusMeters)
@@ -35,22 +133,7 @@ const computeAutoPriority = async (client, latitude, longitude, category = '', d
   try {
     console.log(`🔍 Computing auto-priority for category "${category}" at (${latitude}, ${longitude})`);
     
-    // Use haversine distance formula to find nearby unresolved reports
-    const nearbyQuery = `
-      SELECT COUNT(*) AS cnt
-      FROM reports
-      WHERE is_resolved = false
-        AND created_at >= NOW() - ($3 || ' days')::interval
-        AND (
-          6371000 * acos(
-            LEAST(1, cos(radians($1)) * cos(radians(latitude)) * cos(radians(longitude) - radians($2))
-            + sin(radians($1)) * sin(radians(latitude)))
-          )
-        ) <= $4
-    `;
-    
-    const result = await client.query(nearbyQuery, [latitude, longitude, days, radiusMeters]);
-    const nearbyCount = parseInt(result.rows[0]?.cnt || 0, 10);
+    const nearbyCount = await countNearbyUnresolvedReports(client, { latitude, longitude, radiusMeters, days });
     
     // Category severity weights - critical categories get higher priority
     const highSeverityCategories = [
@@ -97,10 +180,9 @@ const computeAutoPriority = async (client, latitude, longitude, category = '', d
 };
 
 // Create a new report
-const createReport = async (req, res) => {
+const createReport = async (req, res, next) => {
     try {
         const {
-            userId,
             title,
             description,
             category,
@@ -113,19 +195,16 @@ const createReport = async (req, res) => {
             department
         } = req.body;
 
-        // Use either format for userId
-        const actualUserId = userId;
+        // Reports are always filed by the authenticated citizen
+        const actualUserId = req.userId;
         // Use either format for mediaUrls
         const actualMediaUrls = mediaUrls.length > 0 ? mediaUrls : [];
         // Use either format for audioUrl
         const actualAudioUrl = audioUrl || null;
 
         // Validation
-        if (!actualUserId || !title) {
-            return res.status(400).json({
-                success: false,
-                message: "User ID and title are required"
-            });
+        if (!title) {
+            throw new ValidationError('Title is required');
         }
 
         console.log('📝 Creating new report for user:', actualUserId);
@@ -136,7 +215,7 @@ const createReport = async (req, res) => {
             const userExists = await client.query(userCheckQuery, [actualUserId]);
 
             if (userExists.rows.length === 0) {
-                throw new Error('User not found');
+                throw new NotFoundError('User not found', 'USER_NOT_FOUND');
             }
 
             // Compute priority - use auto-priority if priority is 'auto' or missing
@@ -192,7 +271,20 @@ const createReport = async (req, res) => {
                 department || 'General'
             ]);
 
-            const createdReport = result.rows[0];
+            const createdReport = {
+                ...result.rows[0],
+                ...await locateReport(client, result.rows[0].id),
+                ...await startSlaClock(client, result.rows[0])
+            };
+
+            // First timeline entry: the citizen filed the report
+            await recordStatusChange(client, {
+                reportId: createdReport.id,
+                toStatus: REPORT_STATUS.PENDING,
+                actor: actorFromRequest(req),
+                latitude: createdReport.latitude,
+                longitude: createdReport.longitude
+            });
 
             // Update user's total_reports count
             const updateUserQuery = `
@@ -208,6 +300,13 @@ const createReport = async (req, res) => {
 
         console.log('✅ Report created successfully:', newReport.id);
 
+        // Structured address from offline sources; the report-geocoding job retries and asks online providers
+        try {
+            Object.assign(newReport, await geocodingService.geocodeReport(newReport.id, { offlineOnly: true }));
+        } catch (geocodingError) {
+            console.warn('⚠️ Geocoding failed (report still created):', geocodingError.message);
+        }
+
         // Auto-create social post for the report (make it public by default)
         try {
             console.log('📱 Auto-creating social post for report:', newReport.id);
@@ -279,6 +378,19 @@ const createReport = async (req, res) => {
             // Don't fail the request if cache invalidation fails
         }
 
+        await eventBus.publish(DOMAIN_EVENTS.REPORT_CREATED, { report: newReport });
+
+        // Open reports this one may repeat; the client offers to follow or upvote them instead
+        let possibleDuplicates = [];
+        try {
+            possibleDuplicates = await duplicateDetection.findPossibleDuplicates(newReport, { excludeReportId: newReport.id });
+            if (possibleDuplicates.length > 0) {
+                console.log(`🔁 Report ${newReport.id} has ${possibleDuplicates.length} possible duplicate(s)`);
+            }
+        } catch (duplicateError) {
+            console.warn('⚠️ Duplicate detection failed (report still created):', duplicateError.message);
+        }
+
         // Map database fields to camelCase
         const mappedReport = {
             id: newReport.id,
@@ -292,6 +404,7 @@ const createReport = async (req, res) => {
             latitude: newReport.latitude,
             longitude: newReport.longitude,
             address: newReport.address,
+            addressComponents: mapAddressComponents(newReport),
             department: newReport.department,
             isResolved: newReport.is_resolved,
             createdAt: toISO(newReport.created_at),
@@ -305,38 +418,24 @@ const createReport = async (req, res) => {
         res.status(201).json({
             success: true,
             message: 'Report created successfully',
-            report: mappedReport
+            report: mappedReport,
+            possibleDuplicates: possibleDuplicates.map((candidate) => mapPossibleDuplicate(candidate, actualUserId))
         });
 
     } catch (error) {
         console.error('❌ Error creating report:', error);
-        
-        if (error.message === 'User not found') {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            message: 'Server error while creating report',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Get all reports for a specific user
-const getUserReports = async (req, res) => {
+const getUserReports = async (req, res, next) => {
     try {
         const { userId } = req.params;
         const { isResolved, category, priority, limit = 50, offset = 0 } = req.query;
 
         if (!userId) {
-            return res.status(400).json({
-                success: false,
-                message: "User ID is required"
-            });
+            throw new ValidationError('User ID is required');
         }
 
         console.log('🔍 Fetching reports for user:', userId);
@@ -419,7 +518,10 @@ const getUserReports = async (req, res) => {
             resolvedByAdminId: report.resolved_by_admin_id,
             resolvedBy: report.resolved_by,
             resolvedByRole: report.resolved_by_role,
-            timeTakenToResolve: report.time_taken_to_resolve
+            timeTakenToResolve: report.time_taken_to_resolve,
+            rejection: report.rejection_reason_code ? mapRejection(report) : null,
+            appeal: report.appealed_at ? mapAppeal(report) : null,
+            verification: mapVerification(report)
         }));
 
         console.log(`✅ Found ${mappedReports.length} reports for user`);
@@ -443,30 +545,22 @@ const getUserReports = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching user reports:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching reports',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Get a specific report by ID
-const getReportById = async (req, res) => {
+const getReportById = async (req, res, next) => {
     try {
         const { reportId } = req.params;
-        const { userId } = req.query; // Optional: to ensure user owns the report
 
         if (!reportId) {
-            return res.status(400).json({
-                success: false,
-                message: "Report ID is required"
-            });
+            throw new ValidationError('Report ID is required');
         }
 
         console.log('🔍 Fetching report:', reportId);
 
-        let reportQuery = `
+        const reportQuery = `
             SELECT
                 r.*,
                 users.full_name as user_name,
@@ -489,30 +583,27 @@ const getReportById = async (req, res) => {
             LEFT JOIN social_posts sp ON r.id = sp.report_id
             WHERE r.id = $1
         `;
-        const queryParams = [reportId];
+        const report = await queryOne(reportQuery, [reportId]);
 
-        // If userId is provided, ensure the report belongs to the user
-        if (userId) {
-            reportQuery += ` AND r.user_id = $2`;
-            queryParams.push(userId);
+        if (!report) {
+            throw new NotFoundError('Report not found', 'REPORT_NOT_FOUND');
         }
 
-        const report = await queryOne(reportQuery, queryParams);
+        const followState = await duplicateDetection.getFollowState(report.id, req.userId || null);
 
-        if (!report) {
-            return res.status(404).json({
-                success: false,
-                message: 'Report not found'
-            });
-        }
+        // The reporter's contact details go only to the reporter and to admins who handle reports
+        const canSeeContact = (req.userId && report.user_id === req.userId) ||
+            (req.admin && hasPermission(req.admin.role, PERMISSIONS.REPORTS_VIEW));
+        const userEmail = canSeeContact ? report.user_email : null;
+        const userPhone = canSeeContact ? report.user_phone : null;
 
         // Map to camelCase
         const mappedReport = {
             id: report.id,
             userId: report.user_id,
             userName: report.user_name,
-            userEmail: report.user_email,
-            userPhone: report.user_phone,
+            userEmail,
+            userPhone,
             title: report.title,
             description: report.description,
             category: report.category,
@@ -522,6 +613,7 @@ const getReportById = async (req, res) => {
             latitude: report.latitude,
             longitude: report.longitude,
             address: report.address,
+            addressComponents: mapAddressComponents(report),
             department: report.department,
             isResolved: report.is_resolved,
             status: report.status,
@@ -539,14 +631,21 @@ const getReportById = async (req, res) => {
             resolvedBy: report.resolved_by,
             resolvedByRole: report.resolved_by_role,
             timeTakenToResolve: report.time_taken_to_resolve,
+            rejection: report.rejection_reason_code ? mapRejection(report) : null,
+            appeal: report.appealed_at ? mapAppeal(report) : null,
+            verification: mapVerification(report),
+            mergedIntoId: report.merged_into_id || null,
+            mergedAt: toISO(report.merged_at),
             upvotes: report.upvotes,
             downvotes: report.downvotes,
             viewCount: report.view_count,
             shareCount: report.share_count,
+            followerCount: followState.followerCount,
+            isFollowing: followState.following,
             user: {
                 fullName: report.user_name,
-                email: report.user_email,
-                phoneNumber: report.user_phone
+                email: userEmail,
+                phoneNumber: userPhone
             }
         };
 
@@ -561,16 +660,12 @@ const getReportById = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching report:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching report',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Update a report
-const updateReport = async (req, res) => {
+const updateReport = async (req, res, next) => {
     try {
         const { reportId } = req.params;
         const {
@@ -583,21 +678,23 @@ const updateReport = async (req, res) => {
             latitude,
             longitude,
             address,
-            department,
-            userId // To ensure user owns the report
+            department
         } = req.body;
 
+        // Citizens may only update their own reports; admins need reports.update
+        if (req.admin && !hasPermission(req.admin.role, PERMISSIONS.REPORTS_UPDATE)) {
+            throw new ForbiddenError('You do not have permission to update reports');
+        }
+        const userId = req.admin ? null : req.userId;
+
         if (!reportId) {
-            return res.status(400).json({
-                success: false,
-                message: "Report ID is required"
-            });
+            throw new ValidationError('Report ID is required');
         }
 
         console.log('📝 Updating report:', reportId);
 
         const updatedReport = await transaction(async (client) => {
-            // Check if report exists and belongs to user (if userId provided)
+            // Check if report exists and belongs to the calling citizen
             let checkQuery = `SELECT * FROM reports WHERE id = $1`;
             const checkParams = [reportId];
 
@@ -609,12 +706,12 @@ const updateReport = async (req, res) => {
             const existingReport = await client.query(checkQuery, checkParams);
 
             if (existingReport.rows.length === 0) {
-                throw new Error('Report not found or access denied');
+                throw new NotFoundError('Report not found or access denied', 'REPORT_NOT_FOUND');
             }
 
             // Check if report is already resolved
             if (existingReport.rows[0].is_resolved) {
-                throw new Error('Cannot update a resolved report');
+                throw new ConflictError('Cannot update a resolved report', 'REPORT_ALREADY_RESOLVED');
             }
 
             // Build dynamic update query
@@ -683,7 +780,7 @@ const updateReport = async (req, res) => {
             }
 
             if (updateFields.length === 0) {
-                throw new Error('No fields to update');
+                throw new ValidationError('No fields to update');
             }
 
             const updateQuery = `
@@ -696,9 +793,29 @@ const updateReport = async (req, res) => {
             updateValues.push(reportId);
 
             const result = await client.query(updateQuery, updateValues);
+
+            // Re-triage changes the deadline too
+            if (category !== undefined || priority !== undefined) {
+                await refreshSlaTarget(client, result.rows[0]);
+            }
+
+            // A moved report may be in another ward
+            if (latitude !== undefined || longitude !== undefined) {
+                return { ...result.rows[0], ...await locateReport(client, reportId) };
+            }
+
             return result.rows[0];
         });
 
+        // A moved report gets a new structured address
+        if (latitude !== undefined || longitude !== undefined) {
+            try {
+                Object.assign(updatedReport, await geocodingService.geocodeReport(reportId, { offlineOnly: true }));
+            } catch (geocodingError) {
+                console.warn('⚠️ Geocoding failed (report still updated):', geocodingError.message);
+            }
+        }
+
         // Map to camelCase
         const mappedReport = {
             id: updatedReport.id,
@@ -712,6 +829,7 @@ const updateReport = async (req, res) => {
             latitude: updatedReport.latitude,
             longitude: updatedReport.longitude,
             address: updatedReport.address,
+            addressComponents: mapAddressComponents(updatedReport),
             department: updatedReport.department,
             isResolved: updatedReport.is_resolved,
             createdAt: toISO(updatedReport.created_at),
@@ -739,156 +857,125 @@ const updateReport = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error updating report:', error);
-        
-        if (error.message === 'Report not found or access denied') {
-            return res.status(404).json({
-                success: false,
-                message: 'Report not found or access denied'
-            });
-        }
-        
-        if (error.message === 'Cannot update a resolved report') {
-            return res.status(400).json({
-                success: false,
-                message: 'Cannot update a resolved report'
-            });
-        }
-        
-        if (error.message === 'No fields to update') {
-            return res.status(400).json({
-                success: false,
-                message: 'No fields to update'
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            message: 'Server error while updating report',
-            error: error.message
-        });
+        next(error);
+    }
+};
+
+// Resolving needs an active admin with reports.resolve, and an unresolved
+// report in their department
+const assertCanResolve = (admin, report) => {
+    if (!admin) {
+        throw new ForbiddenError('Admin not found or inactive', 'ADMIN_INACTIVE');
+    }
+    // Checked against the stored role in case it changed since the token was issued
+    if (!hasPermission(admin.role, PERMISSIONS.REPORTS_RESOLVE)) {
+        throw new ForbiddenError('Insufficient permissions to resolve reports');
+    }
+    if (!report) {
+        throw new NotFoundError('Report not found', 'REPORT_NOT_FOUND');
+    }
+    if (report.is_resolved) {
+        throw new ConflictError('Report is already resolved', 'REPORT_ALREADY_RESOLVED');
+    }
+    if (!canAccessDepartment(admin, report.department)) {
+        throw new ForbiddenError('Report is outside your department', 'OUTSIDE_DEPARTMENT');
     }
 };
 
 // Mark report as resolved (Admin only)
-const resolveReport = async (req, res) => {
+const resolveReport = async (req, res, next) => {
     try {
         const { reportId } = req.params;
-        const { adminId, adminRole, resolutionNotes } = req.body;
+        const adminId = req.admin.id;
+        const { resolutionNotes } = req.body;
 
         // Get uploaded files
         const resolvedPhotos = req.files && req.files.resolvedPhotos ? req.files.resolvedPhotos.map(file => file.path) : [];
 
         if (!reportId) {
-            return res.status(400).json({
-                success: false,
-                message: "Report ID is required"
-            });
-        }
-
-        if (!adminId || !adminRole) {
-            return res.status(400).json({
-                success: false,
-                message: "Admin ID and role are required"
-            });
-        }
-
-        // Validate admin role
-        const validRoles = ['viewer', 'admin', 'super_admin'];
-        if (!validRoles.includes(adminRole.toLowerCase())) {
-            return res.status(403).json({
-                success: false,
-                message: "Invalid admin role"
-            });
+            throw new ValidationError('Report ID is required');
         }
 
         // Limit to maximum 2 photos
         if (resolvedPhotos.length > 2) {
-            return res.status(400).json({
-                success: false,
-                message: "Maximum 2 photos allowed for resolution"
-            });
+            throw new ValidationError('Maximum 2 photos allowed for resolution');
         }
 
         console.log('✅ Resolving report:', reportId, 'by admin:', adminId, 'with', resolvedPhotos.length, 'photos');
 
-        const resolvedReport = await transaction(async (client) => {
-            // Verify admin exists and is active
-            const adminCheckQuery = `SELECT id, role FROM admins WHERE id = $1 AND is_active = true`;
-            const adminResult = await client.query(adminCheckQuery, [adminId]);
-
-            if (adminResult.rows.length === 0) {
-                throw new Error('Admin not found or inactive');
-            }
-
-            const admin = adminResult.rows[0];
-            if (admin.role.toLowerCase() !== adminRole.toLowerCase()) {
-                throw new Error('Admin role mismatch');
-            }
-
-            // Check if report exists
-            const reportCheckQuery = `SELECT * FROM reports WHERE id = $1`;
-            const existingReport = await client.query(reportCheckQuery, [reportId]);
-
-            if (existingReport.rows.length === 0) {
-                throw new Error('Report not found');
-            }
-
-            if (existingReport.rows[0].is_resolved) {
-                throw new Error('Report is already resolved');
-            }
+        // Check before uploading anything; checked again under the lock below
+        assertCanResolve(
+            await queryOne(`SELECT id, role, department FROM admins WHERE id = $1 AND is_active = true`, [adminId]),
+            await queryOne(`SELECT is_resolved, department FROM reports WHERE id = $1`, [reportId])
+        );
 
-            // Upload photos to Cloudinary if any
-            let resolvedMediaUrls = [];
-            if (resolvedPhotos.length > 0) {
-                console.log('📤 Uploading resolved photos to Cloudinary...');
-                for (const photoPath of resolvedPhotos) {
-                    try {
-                        console.log('📤 Uploading file:', photoPath);
-                        // For resolved photos from disk, read file and upload as buffer
-                        const fs = await import('fs');
-                        const fileBuffer = fs.readFileSync(photoPath);
-                        const cloudinaryResult = await uploadBufferToCloudinary(fileBuffer);
-                        if (cloudinaryResult && cloudinaryResult.url) {
-                            resolvedMediaUrls.push(cloudinaryResult.url);
-                            console.log('✅ Successfully uploaded:', cloudinaryResult.url);
-                            
-                            // Cleanup the temp file
-                            try {
-                                if (fs.existsSync(photoPath)) {
-                                    fs.unlinkSync(photoPath);
-                                    console.log('🧹 Cleanup completed for:', photoPath);
-                                }
-                            } catch (extraCleanupError) {
-                                console.error('⚠️ Cleanup failed (but upload succeeded):', photoPath, extraCleanupError);
-                            }
-                        } else {
-                            console.error('❌ Upload failed for:', photoPath);
-                            // Cleanup failed upload
-                            try {
-                                if (fs.existsSync(photoPath)) {
-                                    fs.unlinkSync(photoPath);
-                                    console.log('🧹 Cleaned up failed upload file:', photoPath);
-                                }
-                            } catch (cleanupError) {
-                                console.error('❌ Failed to cleanup failed upload file:', photoPath, cleanupError);
+        // Upload photos to Cloudinary if any
+        let resolvedMediaUrls = [];
+        if (resolvedPhotos.length > 0) {
+            console.log('📤 Uploading resolved photos to Cloudinary...');
+            for (const photoPath of resolvedPhotos) {
+                try {
+                    console.log('📤 Uploading file:', photoPath);
+                    // For resolved photos from disk, read file and upload as buffer
+                    const fs = await import('fs');
+                    const fileBuffer = fs.readFileSync(photoPath);
+                    const cloudinaryResult = await uploadBufferToCloudinary(fileBuffer);
+                    if (cloudinaryResult && cloudinaryResult.url) {
+                        resolvedMediaUrls.push(cloudinaryResult.url);
+                        console.log('✅ Successfully uploaded:', cloudinaryResult.url);
+                        
+                        // Cleanup the temp file
+                        try {
+                            if (fs.existsSync(photoPath)) {
+                                fs.unlinkSync(photoPath);
+                                console.log('🧹 Cleanup completed for:', photoPath);
                             }
+                        } catch (extraCleanupError) {
+                            console.error('⚠️ Cleanup failed (but upload succeeded):', photoPath, extraCleanupError);
                         }
-                    } catch (uploadError) {
-                        console.error('❌ Error uploading photo:', photoPath, uploadError);
-                        // The uploadOnCloudinary function should handle cleanup, but let's be extra safe
+                    } else {
+                        console.error('❌ Upload failed for:', photoPath);
+                        // Cleanup failed upload
                         try {
-                            const fs = await import('fs');
                             if (fs.existsSync(photoPath)) {
                                 fs.unlinkSync(photoPath);
-                                console.log('🧹 Manually cleaned up file after upload error:', photoPath);
+                                console.log('🧹 Cleaned up failed upload file:', photoPath);
                             }
                         } catch (cleanupError) {
-                            console.error('❌ Failed to cleanup file:', photoPath, cleanupError);
+                            console.error('❌ Failed to cleanup failed upload file:', photoPath, cleanupError);
                         }
                     }
+                } catch (uploadError) {
+                    console.error('❌ Error uploading photo:', photoPath, uploadError);
+                    // The uploadOnCloudinary function should handle cleanup, but let's be extra safe
+                    try {
+                        const fs = await import('fs');
+                        if (fs.existsSync(photoPath)) {
+                            fs.unlinkSync(photoPath);
+                            console.log('🧹 Manually cleaned up file after upload error:', photoPath);
+                        }
+                    } catch (cleanupError) {
+                        console.error('❌ Failed to cleanup file:', photoPath, cleanupError);
+                    }
                 }
-                console.log('✅ Uploaded', resolvedMediaUrls.length, 'resolved photos out of', resolvedPhotos.length);
             }
+            console.log('✅ Uploaded', resolvedMediaUrls.length, 'resolved photos out of', resolvedPhotos.length);
+        }
+
+        const resolvedReport = await transaction(async (client) => {
+            // Verify admin exists and is active, and lock the report until the resolution is saved
+            const adminResult = await client.query(
+                `SELECT id, role, department FROM admins WHERE id = $1 AND is_active = true`,
+                [adminId]
+            );
+            const admin = adminResult.rows[0];
+            const existingReport = await lockReport(client, reportId);
+            assertCanResolve(admin, existingReport);
+
+            await transitionReport(client, existingReport, REPORT_STATUS.RESOLVED, actorFromRequest(req, admin), {
+                reason: resolutionNotes || null,
+                metadata: { photos: resolvedMediaUrls.length }
+            });
 
             // Mark as resolved with photos
             const resolveQuery = `
@@ -898,7 +985,9 @@ const resolveReport = async (req, res) => {
                     resolved_media_urls = $2,
                     resolution_note = $3,
                     resolved_by_admin_id = $4,
-                    time_taken_to_resolve = AGE(CURRENT_TIMESTAMP, created_at)
+                    time_taken_to_resolve = AGE(CURRENT_TIMESTAMP, created_at),
+                    citizen_verification = 'awaiting',
+                    citizen_verified_at = NULL
                 WHERE id = $1
                 RETURNING *
             `;
@@ -920,15 +1009,6 @@ const resolveReport = async (req, res) => {
             `;
             await client.query(updateUserQuery, [resolved.user_id]);
 
-            // Send notification to user about report resolution
-            try {
-                await sendReportResolvedNotification(resolved.user_id, resolved.id, resolved.title || 'Your Report');
-                console.log('✅ Notification sent to user for resolved report:', reportId);
-            } catch (notificationError) {
-                console.error('⚠️ Failed to send notification, but report was resolved:', notificationError);
-                // Don't fail the entire operation if notification fails
-            }
-
             // Invalidate Redis cache for this report
             try {
                 const cacheKey = `report:${reportId}`;
@@ -996,45 +1076,11 @@ const resolveReport = async (req, res) => {
 
         console.log('✅ Report resolved successfully by admin:', adminId);
 
-        // Send WhatsApp notification
-        try {
-            const user = await queryOne(`SELECT phone_number, full_name FROM users WHERE id = $1`, [mappedReport.userId]);
-            if (user && user.phone_number) {
-                const title = mappedReport.title || 'Report';
-                const notes = mappedReport.resolutionNotes || 'No resolution details provided.';
-                
-                let messageText = `🔔 *Jan Setu Update*\n\n`;
-                messageText += `Hello *${user.full_name || 'Citizen'}*,\n\n`;
-                messageText += `Your report *"${title}"* has been successfully resolved! 🎉\n\n`;
-                messageText += `*Resolution Details:*\n`;
-                messageText += `"${notes}"\n\n`;
-                messageText += `Thank you for using Jan Setu to help improve our community.`;
-
-                const photos = mappedReport.resolvedMediaUrls || [];
-
-                sendWhatsAppMessage(user.phone_number, messageText)
-                    .then(async (success) => {
-                        if (success) {
-                            console.log('✅ WhatsApp message sent for resolved report:', reportId);
-                            
-                            // Send resolved photos if any exist
-                            if (photos && photos.length > 0) {
-                                console.log(`📸 [whatsappService] Sending ${photos.length} resolution photos to user...`);
-                                for (let i = 0; i < photos.length; i++) {
-                                    const photoUrl = photos[i];
-                                    const caption = `Resolution Photo ${i + 1} for: *"${title}"*`;
-                                    await sendWhatsAppImage(user.phone_number, photoUrl, caption);
-                                }
-                            }
-                        } else {
-                            console.warn('⚠️ WhatsApp message failed for resolved report:', reportId);
-                        }
-                    })
-                    .catch(err => console.error('❌ WhatsApp send error:', err));
-            }
-        } catch (waError) {
-            console.error('⚠️ Failed to initiate WhatsApp notification:', waError);
-        }
+        await eventBus.publish(DOMAIN_EVENTS.REPORT_RESOLVED, {
+            report: resolvedReport.resolved,
+            notes: resolvedReport.resolved.resolution_note,
+            photos: resolvedReport.resolved.resolved_media_urls || []
+        });
 
         // Invalidate admin report caches since report status changed
         try {
@@ -1052,78 +1098,39 @@ const resolveReport = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error resolving report:', error);
-        
-        if (error.message === 'Admin not found or inactive') {
-            return res.status(403).json({
-                success: false,
-                message: "Admin not found or inactive"
-            });
-        }
-        
-        if (error.message === 'Admin role mismatch') {
-            return res.status(403).json({
-                success: false,
-                message: "Admin role mismatch"
-            });
-        }
-        
-        if (error.message === 'Report not found') {
-            return res.status(404).json({
-                success: false,
-                message: 'Report not found'
-            });
-        }
-        
-        if (error.message === 'Report is already resolved') {
-            return res.status(400).json({
-                success: false,
-                message: 'Report is already resolved'
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            message: 'Server error while resolving report',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Delete a report
-const deleteReport = async (req, res) => {
+const deleteReport = async (req, res, next) => {
     try {
         const { reportId } = req.params;
-        const { userId, adminId, reason, fraudIndicators } = req.body; // Admin deletion uses body params
+        const { reason, fraudIndicators } = req.body;
+        const adminId = req.admin?.id;
+        const userId = req.userId;
 
         if (!reportId) {
-            return res.status(400).json({
-                success: false,
-                message: "Report ID is required"
-            });
+            throw new ValidationError('Report ID is required');
         }
 
         // Check if this is an admin deletion
         const isAdminDeletion = Boolean(adminId);
 
+        if (isAdminDeletion && !hasPermission(req.admin.role, PERMISSIONS.REPORTS_DELETE)) {
+            throw new ForbiddenError('You do not have permission to delete reports');
+        }
+
         if (isAdminDeletion && !reason) {
-            return res.status(400).json({
-                success: false,
-                message: "Deletion reason is required for admin deletions"
-            });
+            throw new ValidationError('Deletion reason is required for admin deletions');
         }
 
         console.log('🗑️ Deleting report:', reportId, isAdminDeletion ? `by admin: ${adminId}` : `by user: ${userId}`);
 
         const deleteResult = await transaction(async (client) => {
-            // First, get the report to check ownership and get full details
-            const getReportQuery = `SELECT * FROM reports WHERE id = $1`;
-            const reportResult = await client.query(getReportQuery, [reportId]);
-
-            if (reportResult.rows.length === 0) {
-                throw new Error('Report not found');
-            }
-
-            const report = reportResult.rows[0];
+            // First, lock the report to check ownership and get full details.
+            // The lock also holds off a merge into it until the deletion commits.
+            const report = await lockReport(client, reportId);
 
             // Authorization check
             if (isAdminDeletion) {
@@ -1132,7 +1139,7 @@ const deleteReport = async (req, res) => {
                 const adminResult = await client.query(adminQuery, [adminId]);
                 
                 if (adminResult.rows.length === 0 || !adminResult.rows[0].is_active) {
-                    throw new Error('Invalid or inactive admin');
+                    throw new ForbiddenError('Invalid or inactive admin', 'ADMIN_INACTIVE');
                 }
 
                 const admin = adminResult.rows[0];
@@ -1174,10 +1181,23 @@ const deleteReport = async (req, res) => {
             } else if (userId) {
                 // User deletion - check ownership
                 if (report.user_id !== userId) {
-                    throw new Error('Access denied: You can only delete your own reports');
+                    throw new ForbiddenError('You can only delete your own reports');
                 }
             } else {
-                throw new Error('Either userId or adminId must be provided');
+                throw new ValidationError('Either userId or adminId must be provided');
+            }
+
+            // Duplicates merged into this report only point at it; deleting it would
+            // leave them closed with nothing to follow
+            const mergedChildren = await client.query(
+                `SELECT COUNT(*)::int AS count FROM reports WHERE merged_into_id = $1`,
+                [reportId]
+            );
+            if (mergedChildren.rows[0].count > 0) {
+                throw new ConflictError(
+                    `${mergedChildren.rows[0].count} report(s) were merged into this report, so it cannot be deleted`,
+                    'REPORT_HAS_MERGED_DUPLICATES'
+                );
             }
 
             // Delete related social posts and their associated data (comments, votes, etc.)
@@ -1219,7 +1239,8 @@ const deleteReport = async (req, res) => {
                 reportId, 
                 userId: report.user_id, 
                 wasResolved: report.is_resolved,
-                deletedBy: isAdminDeletion ? 'admin' : 'user'
+                deletedBy: isAdminDeletion ? 'admin' : 'user',
+                report
             };
         });
 
@@ -1234,6 +1255,11 @@ const deleteReport = async (req, res) => {
             console.warn('⚠️ Failed to invalidate caches:', cacheError.message);
         }
 
+        await eventBus.publish(DOMAIN_EVENTS.REPORT_DELETED, {
+            report: deleteResult.report,
+            deletedBy: deleteResult.deletedBy
+        });
+
         res.status(200).json({
             success: true,
             message: 'Report deleted successfully',
@@ -1243,54 +1269,18 @@ const deleteReport = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error deleting report:', error);
-        
-        if (error.message === 'Report not found') {
-            return res.status(404).json({
-                success: false,
-                message: 'Report not found'
-            });
-        }
-        
-        if (error.message === 'Access denied: You can only delete your own reports') {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied: You can only delete your own reports'
-            });
-        }
-
-        if (error.message === 'Invalid or inactive admin') {
-            return res.status(403).json({
-                success: false,
-                message: 'Invalid or inactive admin'
-            });
-        }
-
-        if (error.message === 'Either userId or adminId must be provided') {
-            return res.status(400).json({
-                success: false,
-                message: 'Either userId or adminId must be provided'
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            message: 'Server error while deleting report',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Get nearby reports (for social feed)
-const getNearbyReports = async (req, res) => {
+const getNearbyReports = async (req, res, next) => {
     try {
-        const { latitude, longitude, radius = 10, limit = 20, offset = 0, userId } = req.query;
-        const currentUserId = req.userId || userId; // Use userId from query if no auth middleware
+        const { latitude, longitude, radius = 10, limit = 20, offset = 0 } = req.query;
+        const currentUserId = req.userId || null;
 
         if (!latitude || !longitude) {
-            return res.status(400).json({
-                success: false,
-                message: "Latitude and longitude are required"
-            });
+            throw new ValidationError('Latitude and longitude are required');
         }
 
         console.log(`🌍 Fetching reports within ${radius}km of (${latitude}, ${longitude})`);
@@ -1312,7 +1302,7 @@ const getNearbyReports = async (req, res) => {
             });
         }
 
-        // Using the haversine formula to calculate distance
+        // Radius is in km; the location index serves the lookup and the ordering
         let nearbyQuery, queryParams;
         
         if (currentUserId) {
@@ -1321,19 +1311,13 @@ const getNearbyReports = async (req, res) => {
                 SELECT r.*, u.full_name as user_name,
                     admins.full_name as resolved_by,
                     admins.role as resolved_by_role,
-                    (6371 * acos(cos(radians($1)) * cos(radians(r.latitude)) * 
-                    cos(radians(r.longitude) - radians($2)) + 
-                    sin(radians($1)) * sin(radians(r.latitude)))) AS distance
+                    ${distanceMeters('r.location', '$1', '$2')} / 1000 AS distance
                 FROM reports r
                 JOIN users u ON r.user_id = u.id
                 LEFT JOIN admins ON r.resolved_by_admin_id = admins.id
-                WHERE r.latitude IS NOT NULL 
-                    AND r.longitude IS NOT NULL
+                WHERE ${withinRadius('r.location', '$1', '$2', '$3::float8 * 1000')}
                     AND r.user_id != $6
-                    AND (6371 * acos(cos(radians($1)) * cos(radians(r.latitude)) * 
-                         cos(radians(r.longitude) - radians($2)) + 
-                         sin(radians($1)) * sin(radians(r.latitude)))) <= $3
-                ORDER BY distance ASC, r.created_at DESC
+                ORDER BY ${nearestFirst('r.location', '$1', '$2')}, r.created_at DESC
                 LIMIT $4 OFFSET $5 
             `;
             queryParams = [
@@ -1350,18 +1334,12 @@ const getNearbyReports = async (req, res) => {
                 SELECT r.*, u.full_name as user_name,
                     admins.full_name as resolved_by,
                     admins.role as resolved_by_role,
-                    (6371 * acos(cos(radians($1)) * cos(radians(r.latitude)) * 
-                    cos(radians(r.longitude) - radians($2)) + 
-                    sin(radians($1)) * sin(radians(r.latitude)))) AS distance
+                    ${distanceMeters('r.location', '$1', '$2')} / 1000 AS distance
                 FROM reports r
                 JOIN users u ON r.user_id = u.id
                 LEFT JOIN admins ON r.resolved_by_admin_id = admins.id
-                WHERE r.latitude IS NOT NULL 
-                    AND r.longitude IS NOT NULL
-                    AND (6371 * acos(cos(radians($1)) * cos(radians(r.latitude)) * 
-                         cos(radians(r.longitude) - radians($2)) + 
-                         sin(radians($1)) * sin(radians(r.latitude)))) <= $3
-                ORDER BY distance ASC, r.created_at DESC
+                WHERE ${withinRadius('r.location', '$1', '$2', '$3::float8 * 1000')}
+                ORDER BY ${nearestFirst('r.location', '$1', '$2')}, r.created_at DESC
                 LIMIT $4 OFFSET $5 
             `;
             queryParams = [
@@ -1428,24 +1406,17 @@ const getNearbyReports = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching nearby reports:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching nearby reports',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Get reports statistics for a user
-const getUserReportsStats = async (req, res) => {
+const getUserReportsStats = async (req, res, next) => {
     try {
         const { userId } = req.params;
 
         if (!userId) {
-            return res.status(400).json({
-                success: false,
-                message: "User ID is required"
-            });
+            throw new ValidationError('User ID is required');
         }
 
         console.log('📊 Fetching report statistics for user:', userId);
@@ -1487,25 +1458,14 @@ const getUserReportsStats = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching report statistics:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching statistics',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Upload multiple media files for reports
-const uploadReportMedia = async (req, res) => {
+const uploadReportMedia = async (req, res, next) => {
     try {
-        const { userId } = req.body;
-        
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                message: "User ID is required"
-            });
-        }
+        const userId = req.userId;
 
         console.log('📁 Uploading report media for user:', userId);
         console.log('📄 Files received:', {
@@ -1564,31 +1524,17 @@ const uploadReportMedia = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error uploading report media:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while uploading media',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Upload single media file
-const uploadSingleMedia = async (req, res) => {
+const uploadSingleMedia = async (req, res, next) => {
     try {
-        const { userId } = req.body;
-        
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                message: "User ID is required"
-            });
-        }
+        const userId = req.userId;
 
         if (!req.file) {
-            return res.status(400).json({
-                success: false,
-                message: "No file uploaded"
-            });
+            throw new ValidationError('No file uploaded');
         }
 
         console.log('📁 Uploading single media for user:', userId);
@@ -1597,10 +1543,7 @@ const uploadSingleMedia = async (req, res) => {
         const cloudinaryResponse = await uploadBufferToCloudinary(req.file.buffer);
         
         if (!cloudinaryResponse) {
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to upload file to cloud storage'
-            });
+            throw new UpstreamError('Failed to upload file to cloud storage', { service: 'cloudinary' });
         }
 
         console.log('✅ File uploaded successfully:', cloudinaryResponse.secure_url);
@@ -1613,15 +1556,11 @@ const uploadSingleMedia = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error uploading single media:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while uploading media',
-            error: error.message
-        });
+        next(error);
     }
 };
 
-const getCommunityStats = async (req, res) => {
+const getCommunityStats = async (req, res, next) => {
     try {
         console.log('📊 Fetching community statistics');
 
@@ -1670,16 +1609,11 @@ const getCommunityStats = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching community statistics:', error);
-
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching community statistics',
-            error: error.message
-        });
+        next(error);
     }
 };
 
-const getAdminReports = async (req, res) => {
+const getAdminReports = async (req, res, next) => {
     try {
         const { adminId } = req.params;
         const {
@@ -1687,42 +1621,46 @@ const getAdminReports = async (req, res) => {
             category,
             priority,
             department,
+            boundaryId,
+            locality,
+            city,
+            district,
+            pincode,
             limit = 50,
             offset = 0,
             status
         } = req.query;
 
         if (!adminId) {
-            return res.status(400).json({
-                success: false,
-                message: "Admin ID is required"
-            });
+            throw new ValidationError('Admin ID is required');
         }
 
         console.log('🔍 Fetching reports for admin:', adminId);
 
         // First, get the admin's role and department
         const adminQuery = `
-            SELECT role, department, is_active
+            SELECT role, department, jurisdiction_id, is_active
             FROM admins
             WHERE id = $1 AND is_active = true
         `;
         const admin = await queryOne(adminQuery, [adminId]);
 
         if (!admin) {
-            return res.status(404).json({
-                success: false,
-                message: "Admin not found or inactive"
-            });
+            throw new NotFoundError('Admin not found or inactive', 'ADMIN_INACTIVE');
         }
 
         const adminRole = admin.role.toLowerCase();
         const adminDepartment = admin.department;
+        const adminJurisdictionId = admin.jurisdiction_id ? Number(admin.jurisdiction_id) : null;
+        const canViewAllDepartments = hasPermission(adminRole, PERMISSIONS.REPORTS_VIEW_ALL_DEPARTMENTS);
+        // A jurisdiction replaces the department limit: the department is whatever the
+        // citizen typed, while the boundaries come from the report's location
+        const scopeByDepartment = !canViewAllDepartments && !adminJurisdictionId;
 
         console.log('👤 Admin role:', adminRole, 'Department:', adminDepartment);
 
         // Create cache key based on admin info and all parameters
-        const cacheKey = `admin_reports:${adminId}:${adminRole}:${adminDepartment || 'none'}:${isResolved || 'all'}:${category || 'all'}:${priority || 'all'}:${department || 'all'}:${status || 'all'}:${limit}:${offset}`;
+        const cacheKey = `admin_reports:${adminId}:${adminRole}:${adminDepartment || 'none'}:${adminJurisdictionId || 'none'}:${isResolved || 'all'}:${category || 'all'}:${priority || 'all'}:${department || 'all'}:${boundaryId || 'all'}:${locality || 'all'}:${city || 'all'}:${district || 'all'}:${pincode || 'all'}:${status || 'all'}:${limit}:${offset}`;
         
         // Try to get from Redis cache first
         const cachedReports = await redisService.getCachedReports(cacheKey);
@@ -1738,6 +1676,13 @@ const getAdminReports = async (req, res) => {
             });
         }
 
+        const addressFilters = Object.entries({
+            address_locality: locality,
+            address_city: city,
+            address_district: district,
+            address_pincode: pincode
+        }).filter(([, value]) => value);
+
         // Build dynamic query based on role and filters
         let baseQuery = `
             SELECT
@@ -1745,23 +1690,26 @@ const getAdminReports = async (req, res) => {
                 u.full_name as user_name,
                 u.phone_number as user_phone,
                 assigned_admin.full_name as assigned_admin_name,
-                assigned_admin.email as assigned_admin_email
+                assigned_admin.email as assigned_admin_email,
+                ward.name as ward_name,
+                ulb.name as ulb_name,
+                district.name as district_name
             FROM reports r
             LEFT JOIN users u ON r.user_id = u.id
             LEFT JOIN admins assigned_admin ON r.assigned_admin_id = assigned_admin.id
+            LEFT JOIN boundaries ward ON r.ward_id = ward.id
+            LEFT JOIN boundaries ulb ON r.ulb_id = ulb.id
+            LEFT JOIN boundaries district ON r.district_id = district.id
             WHERE 1=1
         `;
         const queryParams = [];
         let paramIndex = 1;
 
         // Apply role-based filtering
-        if (adminRole === 'viewer') {
-            // Viewers can only see reports from their department
+        if (scopeByDepartment) {
+            // Department-scoped roles without a jurisdiction can only see reports from their department
             if (!adminDepartment) {
-                return res.status(403).json({
-                    success: false,
-                    message: "Viewer admin must have a department assigned"
-                });
+                throw new ForbiddenError('Department-scoped admin must have a department assigned', 'DEPARTMENT_REQUIRED');
             }
             baseQuery += ` AND LOWER(r.department) = LOWER($${paramIndex})`;
             queryParams.push(adminDepartment);
@@ -1769,6 +1717,13 @@ const getAdminReports = async (req, res) => {
         }
         // Admins and super_admins can see all reports (no additional WHERE clause needed)
 
+        // An admin with a jurisdiction sees every report inside it, whatever department the citizen typed
+        if (adminJurisdictionId) {
+            baseQuery += ` AND $${paramIndex} IN (r.ward_id, r.ulb_id, r.district_id)`;
+            queryParams.push(adminJurisdictionId);
+            paramIndex++;
+        }
+
         // Apply additional filters
         if (isResolved !== undefined) {
             baseQuery += ` AND r.is_resolved = $${paramIndex}`;
@@ -1788,13 +1743,26 @@ const getAdminReports = async (req, res) => {
             paramIndex++;
         }
 
-        if (department && adminRole !== 'viewer') {
-            // Only allow department filtering for non-viewer roles
+        if (department && canViewAllDepartments) {
+            // Only allow department filtering for roles that see every department
             baseQuery += ` AND LOWER(r.department) = LOWER($${paramIndex})`;
             queryParams.push(department);
             paramIndex++;
         }
 
+        if (boundaryId) {
+            baseQuery += ` AND $${paramIndex} IN (r.ward_id, r.ulb_id, r.district_id)`;
+            queryParams.push(parseInt(boundaryId));
+            paramIndex++;
+        }
+
+        // Structured address from geocoding (services/geocoding)
+        for (const [column, value] of addressFilters) {
+            baseQuery += ` AND LOWER(r.${column}) = LOWER($${paramIndex})`;
+            queryParams.push(value);
+            paramIndex++;
+        }
+
         if (status) {
             baseQuery += ` AND r.status = $${paramIndex}`;
             queryParams.push(status);
@@ -1823,18 +1791,18 @@ const getAdminReports = async (req, res) => {
         let countParamIndex = 1;
 
         // Apply role-based filtering for count
-        if (adminRole === 'viewer') {
-            if (!adminDepartment) {
-                return res.status(403).json({
-                    success: false,
-                    message: "Viewer admin must have a department assigned"
-                });
-            }
+        if (scopeByDepartment) {
             countQuery += ` AND LOWER(r.department) = LOWER($${countParamIndex})`;
             countParams.push(adminDepartment);
             countParamIndex++;
         }
 
+        if (adminJurisdictionId) {
+            countQuery += ` AND $${countParamIndex} IN (r.ward_id, r.ulb_id, r.district_id)`;
+            countParams.push(adminJurisdictionId);
+            countParamIndex++;
+        }
+
         // Apply additional filters for count
         if (isResolved !== undefined) {
             countQuery += ` AND r.is_resolved = $${countParamIndex}`;
@@ -1854,12 +1822,24 @@ const getAdminReports = async (req, res) => {
             countParamIndex++;
         }
 
-        if (department && adminRole !== 'viewer') {
+        if (department && canViewAllDepartments) {
             countQuery += ` AND LOWER(r.department) = LOWER($${countParamIndex})`;
             countParams.push(department);
             countParamIndex++;
         }
 
+        if (boundaryId) {
+            countQuery += ` AND $${countParamIndex} IN (r.ward_id, r.ulb_id, r.district_id)`;
+            countParams.push(parseInt(boundaryId));
+            countParamIndex++;
+        }
+
+        for (const [column, value] of addressFilters) {
+            countQuery += ` AND LOWER(r.${column}) = LOWER($${countParamIndex})`;
+            countParams.push(value);
+            countParamIndex++;
+        }
+
         if (status) {
             countQuery += ` AND r.status = $${countParamIndex}`;
             countParams.push(status);
@@ -1884,6 +1864,7 @@ const getAdminReports = async (req, res) => {
             latitude: report.latitude,
             longitude: report.longitude,
             address: report.address,
+            addressComponents: mapAddressComponents(report),
             department: report.department,
             isResolved: report.is_resolved,
             resolvedBy: report.resolved_by,
@@ -1897,7 +1878,11 @@ const getAdminReports = async (req, res) => {
             assignedAdminEmail: report.assigned_admin_email,
             createdAt: toISO(report.created_at),
             updatedAt: toISO(report.updated_at),
-            resolvedAt: toISO(report.resolved_at)
+            resolvedAt: toISO(report.resolved_at),
+            rejection: report.rejection_reason_code ? mapRejection(report) : null,
+            appeal: report.appealed_at ? mapAppeal(report) : null,
+            sla: describeSla(report),
+            jurisdiction: mapJurisdiction(report)
         }));
 
         console.log(`✅ Found ${mappedReports.length} reports for admin ${adminId} (role: ${adminRole})`);
@@ -1913,7 +1898,8 @@ const getAdminReports = async (req, res) => {
             adminInfo: {
                 role: adminRole,
                 department: adminDepartment,
-                canViewAllDepartments: adminRole !== 'viewer'
+                jurisdictionId: adminJurisdictionId,
+                canViewAllDepartments
             },
             message: `Reports fetched successfully for ${adminRole}`
         };
@@ -1928,27 +1914,20 @@ const getAdminReports = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching admin reports:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Internal server error',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Assign report to field admin
-const assignReport = async (req, res) => {
+const assignReport = async (req, res, next) => {
     try {
         const { reportId } = req.params;
-        const { assignedAdminId, assignedBy } = req.body;
+        const { assignedAdminId } = req.body;
 
         console.log('🔄 Assigning report:', reportId, 'to admin:', assignedAdminId);
 
         if (!assignedAdminId) {
-            return res.status(400).json({
-                success: false,
-                message: "Field admin ID is required"
-            });
+            throw new ValidationError('Field admin ID is required');
         }
 
         // Verify the field admin exists and is active
@@ -1961,54 +1940,42 @@ const assignReport = async (req, res) => {
         const adminResult = await queryOne(adminCheckQuery, [assignedAdminId]);
 
         if (!adminResult) {
-            return res.status(404).json({
-                success: false,
-                message: "Field admin not found"
-            });
+            throw new NotFoundError('Field admin not found', 'ADMIN_NOT_FOUND');
         }
 
         if (!adminResult.is_active) {
-            return res.status(400).json({
-                success: false,
-                message: "Field admin is not active"
-            });
+            throw new ValidationError('Field admin is not active', [], 'ADMIN_INACTIVE');
         }
 
-        // Check if report exists
-        const reportCheckQuery = `
-            SELECT id, title, user_id, is_resolved, status
-            FROM reports
-            WHERE id = $1
-        `;
-        
-        const reportResult = await queryOne(reportCheckQuery, [reportId]);
+        const result = await transaction(async (client) => {
+            // Check if report exists (and lock it until the assignment is saved)
+            const reportResult = await lockReport(client, reportId);
 
-        if (!reportResult) {
-            return res.status(404).json({
-                success: false,
-                message: "Report not found"
-            });
-        }
+            if (reportResult.is_resolved) {
+                throw new ConflictError('Cannot assign an already resolved report', 'REPORT_ALREADY_RESOLVED');
+            }
 
-        if (reportResult.is_resolved) {
-            return res.status(400).json({
-                success: false,
-                message: "Cannot assign an already resolved report"
+            // pending/in_progress -> assigned, or a reassignment
+            await transitionReport(client, reportResult, REPORT_STATUS.ASSIGNED, actorFromRequest(req), {
+                metadata: {
+                    assignedAdminId,
+                    previousAdminId: reportResult.assigned_admin_id || null
+                }
             });
-        }
 
-        // Update the report with assigned admin
-        const updateQuery = `
-            UPDATE reports
-            SET 
-                assigned_admin_id = $1,
-                status = 'assigned',
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = $2
-            RETURNING *
-        `;
+            // Update the report with assigned admin
+            const updateQuery = `
+                UPDATE reports
+                SET 
+                    assigned_admin_id = $1,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $2
+                RETURNING *
+            `;
 
-        const result = await queryOne(updateQuery, [assignedAdminId, reportId]);
+            const updated = await client.query(updateQuery, [assignedAdminId, reportId]);
+            return updated.rows[0];
+        });
 
         console.log('✅ Report assigned successfully:', reportId);
 
@@ -2018,7 +1985,7 @@ const assignReport = async (req, res) => {
             await redisService.invalidateAdminReports();
             
             // Invalidate user reports cache for this report's user
-            const userId = reportResult.user_id || result.user_id;
+            const userId = result.user_id;
             if (userId) {
                 const userCachePattern = `user_reports:${userId}:*`;
                 const userKeys = await redisService.scanKeys(userCachePattern);
@@ -2042,6 +2009,11 @@ const assignReport = async (req, res) => {
             // Don't fail the request if cache invalidation fails
         }
 
+        await eventBus.publish(DOMAIN_EVENTS.REPORT_ASSIGNED, {
+            report: result,
+            assignee: { id: adminResult.id, fullName: adminResult.full_name }
+        });
+
         // Map the result to camelCase
         const mappedReport = {
             id: result.id,
@@ -2064,64 +2036,923 @@ const assignReport = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error assigning report:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Internal server error',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 /**
- * Get deletion audit logs (Super Admin only)
- * GET /api/v1/reports/audit-logs
+ * Status timeline of a report (reporter, or admins who can see the report)
+ * GET /api/v1/reports/:reportId/timeline
  */
-const getDeletionAuditLogs = async (req, res) => {
+const getReportTimeline = async (req, res, next) => {
     try {
-        const { adminId, adminRole } = req.query;
-        const { limit = 50, offset = 0, reportId } = req.query;
+        const { reportId } = req.params;
 
-        // Verify super admin access
-        if (!adminId || !adminRole) {
-            return res.status(400).json({
-                success: false,
-                message: "Admin ID and role are required"
-            });
+        const report = await queryOne(
+            `SELECT id, user_id, status, department, assigned_admin_id FROM reports WHERE id = $1`,
+            [reportId]
+        );
+
+        // Citizens only see their own reports; don't reveal that others exist
+        if (!report || (!req.admin && report.user_id !== req.userId)) {
+            throw new NotFoundError('Report not found', 'REPORT_NOT_FOUND');
         }
 
-        if (adminRole !== 'super_admin') {
-            return res.status(403).json({
-                success: false,
-                message: "Access denied. Only super admins can view deletion audit logs."
-            });
+        if (req.admin && !(hasPermission(req.admin.role, PERMISSIONS.REPORTS_VIEW) && canAccessDepartment(req.admin, report.department))) {
+            throw new ForbiddenError('Report is outside your department', 'OUTSIDE_DEPARTMENT');
         }
 
-        // Build query with admin join to get full details
-        let auditQuery = `
-            SELECT 
-                rdal.id,
-                rdal.report_id,
-                rdal.deleted_by_admin_id,
-                rdal.deleted_by_admin_email as admin_email,
-                a.full_name as admin_full_name,
-                a.role as admin_role,
-                rdal.deletion_reason,
-                rdal.fraud_indicators,
-                rdal.report_snapshot,
-                rdal.deleted_at
-            FROM report_deletion_audit rdal
-            LEFT JOIN admins a ON rdal.deleted_by_admin_id = a.id
-        `;
+        const history = await getStatusHistory(reportId);
 
-        const queryParams = [];
-        let paramIndex = 1;
+        const timeline = history.map((entry) => ({
+            id: entry.id,
+            fromStatus: entry.from_status,
+            toStatus: entry.to_status,
+            actor: {
+                type: entry.actor_type,
+                role: entry.actor_role,
+                name: entry.actor_name || null,
+                // Staff ids are internal; only other admins see them
+                ...(req.admin ? { id: entry.actor_id } : {})
+            },
+            reason: entry.reason,
+            location: entry.latitude !== null && entry.longitude !== null
+                ? { latitude: entry.latitude, longitude: entry.longitude }
+                : null,
+            createdAt: toISO(entry.created_at)
+        }));
 
-        // Filter by specific report if provided
-        if (reportId) {
-            auditQuery += ` WHERE rdal.report_id = $${paramIndex}`;
-            queryParams.push(reportId);
-            paramIndex++;
-        }
+        res.status(200).json({
+            success: true,
+            data: {
+                reportId: report.id,
+                currentStatus: report.status,
+                allowedTransitions: getAllowedTransitions(report, actorFromRequest(req)),
+                timeline
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching report timeline:', error);
+        next(error);
+    }
+};
+
+// Drop cached report lists after a status change
+const invalidateReportCaches = async (userId) => {
+    try {
+        await redisService.invalidateAdminReports();
+
+        if (userId) {
+            const userKeys = await redisService.scanKeys(`reports:user_reports:${userId}:*`);
+            if (userKeys.length > 0) {
+                await redisService.del(userKeys);
+            }
+        }
+    } catch (cacheError) {
+        console.warn('⚠️ Failed to invalidate report caches:', cacheError.message);
+    }
+};
+
+/**
+ * Rejection reasons admins can choose from
+ * GET /api/v1/reports/rejection-reasons
+ */
+const getRejectionReasonsList = async (req, res, next) => {
+    try {
+        const reasons = Object.entries(getRejectionReasons()).map(([code, label]) => ({ code, label }));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                reasons,
+                appealWindowDays: APPEAL_WINDOW_DAYS
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching rejection reasons:', error);
+        next(error);
+    }
+};
+
+/**
+ * SLA targets in effect (hours per category and priority)
+ * GET /api/v1/reports/sla-policies
+ */
+const getSlaPolicyList = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: {
+                policies: getSlaPolicies(),
+                atRiskPercent: SLA_AT_RISK_PERCENT
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching SLA policies:', error);
+        next(error);
+    }
+};
+
+/**
+ * Reject a report with a reason code (admins with reports.update)
+ * POST /api/v1/reports/:reportId/reject
+ */
+const rejectReport = async (req, res, next) => {
+    try {
+        const { reportId } = req.params;
+        const { reasonCode, note } = req.body;
+
+        const reasonLabel = getRejectionReasonLabel(reasonCode);
+        if (!reasonLabel) {
+            throw new ValidationError('Validation failed', [{
+                field: 'reasonCode',
+                location: 'body',
+                message: `reasonCode must be one of: ${Object.keys(getRejectionReasons()).join(', ')}`
+            }]);
+        }
+
+        console.log('🚫 Rejecting report:', reportId, 'reason:', reasonCode, 'by admin:', req.admin.id);
+
+        const rejected = await transaction(async (client) => {
+            const report = await lockReport(client, reportId);
+
+            await transitionReport(client, report, REPORT_STATUS.REJECTED, actorFromRequest(req), {
+                reason: note || reasonLabel,
+                metadata: { reasonCode }
+            });
+
+            const result = await client.query(`
+                UPDATE reports
+                SET rejection_reason_code = $2,
+                    rejection_note = $3,
+                    rejected_at = CURRENT_TIMESTAMP,
+                    rejected_by_admin_id = $4,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [reportId, reasonCode, note || null, req.admin.id]);
+
+            return result.rows[0];
+        });
+
+        console.log('✅ Report rejected:', reportId);
+
+        await eventBus.publish(DOMAIN_EVENTS.REPORT_REJECTED, {
+            report: rejected,
+            reasonCode,
+            reasonLabel,
+            note: note || null
+        });
+
+        await invalidateReportCaches(rejected.user_id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Report rejected',
+            data: {
+                id: rejected.id,
+                status: rejected.status,
+                rejection: mapRejection(rejected)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error rejecting report:', error);
+        next(error);
+    }
+};
+
+/**
+ * Appeal a rejection (the citizen who filed the report). Moves the report to
+ * 'under_review' for a super admin to decide.
+ * POST /api/v1/reports/:reportId/appeal
+ */
+const appealReport = async (req, res, next) => {
+    try {
+        const { reportId } = req.params;
+        const { reason } = req.body;
+        const actor = actorFromRequest(req);
+
+        const appealed = await transaction(async (client) => {
+            const report = await lockReport(client, reportId);
+
+            // Citizens only see their own reports
+            if (report.user_id !== req.userId) {
+                throw new NotFoundError('Report not found', 'REPORT_NOT_FOUND');
+            }
+
+            assertTransition(report, REPORT_STATUS.UNDER_REVIEW, actor);
+
+            if ((report.appeal_count || 0) >= MAX_APPEALS_PER_REPORT) {
+                throw new ConflictError('This report has already been appealed', 'APPEAL_LIMIT_REACHED');
+            }
+
+            const windowEnds = new Date(report.rejected_at || report.updated_at).getTime() + APPEAL_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+            if (Date.now() > windowEnds) {
+                throw new ConflictError(`Appeals must be filed within ${APPEAL_WINDOW_DAYS} days of the rejection`, 'APPEAL_WINDOW_CLOSED');
+            }
+
+            await transitionReport(client, report, REPORT_STATUS.UNDER_REVIEW, actor, { reason });
+
+            const result = await client.query(`
+                UPDATE reports
+                SET appeal_reason = $2,
+                    appealed_at = CURRENT_TIMESTAMP,
+                    appeal_count = COALESCE(appeal_count, 0) + 1,
+                    appeal_decision = NULL,
+                    appeal_decided_at = NULL,
+                    appeal_decided_by_admin_id = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [reportId, reason]);
+
+            return result.rows[0];
+        });
+
+        console.log('📨 Rejection appealed for report:', reportId);
+
+        await invalidateReportCaches(appealed.user_id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Appeal submitted. A senior official will review your report.',
+            data: {
+                id: appealed.id,
+                status: appealed.status,
+                rejection: mapRejection(appealed),
+                appeal: mapAppeal(appealed)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error appealing report:', error);
+        next(error);
+    }
+};
+
+/**
+ * Decide an appeal (super admin): 'reinstate' reopens the report as pending,
+ * 'uphold' keeps it rejected.
+ * POST /api/v1/reports/:reportId/appeal/decision
+ */
+const decideAppeal = async (req, res, next) => {
+    try {
+        const { reportId } = req.params;
+        const { decision, note } = req.body;
+        const reinstate = decision === 'reinstate';
+
+        const decided = await transaction(async (client) => {
+            const report = await lockReport(client, reportId);
+
+            await transitionReport(
+                client,
+                report,
+                reinstate ? REPORT_STATUS.PENDING : REPORT_STATUS.REJECTED,
+                actorFromRequest(req),
+                { reason: note || null, metadata: { appealDecision: decision } }
+            );
+
+            // A reinstated report goes back to the queue unassigned and without its rejection
+            const result = await client.query(`
+                UPDATE reports
+                SET appeal_decision = $2,
+                    appeal_decided_at = CURRENT_TIMESTAMP,
+                    appeal_decided_by_admin_id = $3,
+                    rejection_reason_code = CASE WHEN $4 THEN NULL ELSE rejection_reason_code END,
+                    rejection_note = CASE WHEN $4 THEN NULL ELSE rejection_note END,
+                    rejected_at = CASE WHEN $4 THEN NULL ELSE rejected_at END,
+                    rejected_by_admin_id = CASE WHEN $4 THEN NULL ELSE rejected_by_admin_id END,
+                    assigned_admin_id = CASE WHEN $4 THEN NULL ELSE assigned_admin_id END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [reportId, reinstate ? 'reinstated' : 'upheld', req.admin.id, reinstate]);
+
+            return result.rows[0];
+        });
+
+        console.log(`⚖️ Appeal ${reinstate ? 'granted' : 'rejected'} for report:`, reportId);
+
+        await eventBus.publish(DOMAIN_EVENTS.REPORT_APPEAL_DECIDED, {
+            report: decided,
+            reinstated: reinstate,
+            note: note || null
+        });
+
+        await invalidateReportCaches(decided.user_id);
+
+        res.status(200).json({
+            success: true,
+            message: reinstate ? 'Appeal granted - report reopened' : 'Appeal rejected - report stays rejected',
+            data: {
+                id: decided.id,
+                status: decided.status,
+                rejection: reinstate ? null : mapRejection(decided),
+                appeal: mapAppeal(decided)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error deciding appeal:', error);
+        next(error);
+    }
+};
+
+/**
+ * Confirm that a resolved report was actually fixed (the citizen who filed it)
+ * POST /api/v1/reports/:reportId/confirm
+ */
+const confirmResolution = async (req, res, next) => {
+    try {
+        const { reportId } = req.params;
+        const { rating, comment } = req.body;
+
+        const confirmed = await transaction(async (client) => {
+            const report = await lockReport(client, reportId);
+
+            if (report.user_id !== req.userId) {
+                throw new NotFoundError('Report not found', 'REPORT_NOT_FOUND');
+            }
+
+            if (report.status !== REPORT_STATUS.RESOLVED) {
+                throw new ConflictError('Only resolved reports can be confirmed', 'REPORT_NOT_RESOLVED');
+            }
+
+            if (report.citizen_verification === CITIZEN_VERIFICATION.CONFIRMED) {
+                throw new ConflictError('You have already confirmed this fix', 'RESOLUTION_ALREADY_CONFIRMED');
+            }
+
+            const result = await client.query(`
+                UPDATE reports
+                SET citizen_verification = 'confirmed',
+                    citizen_verified_at = CURRENT_TIMESTAMP,
+                    citizen_rating = $2,
+                    citizen_feedback = $3,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [reportId, rating !== undefined ? Number(rating) : null, comment || null]);
+
+            // Not a status change, but it belongs on the citizen's timeline
+            await recordStatusChange(client, {
+                reportId,
+                fromStatus: report.status,
+                toStatus: report.status,
+                actor: actorFromRequest(req),
+                reason: comment || 'Fix confirmed by the reporter',
+                metadata: { event: 'resolution_confirmed', rating: rating !== undefined ? Number(rating) : null }
+            });
+
+            return result.rows[0];
+        });
+
+        console.log('👍 Resolution confirmed by reporter for report:', reportId);
+
+        await invalidateReportCaches(confirmed.user_id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Thank you for confirming the fix',
+            data: {
+                id: confirmed.id,
+                status: confirmed.status,
+                verification: mapVerification(confirmed)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error confirming resolution:', error);
+        next(error);
+    }
+};
+
+/**
+ * Dispute a resolution (the citizen who filed the report). Reopens the report
+ * for the field admin who had it, bumps its priority and records the dispute
+ * against that admin's quality metrics.
+ * POST /api/v1/reports/:reportId/dispute
+ */
+const disputeReport = async (req, res, next) => {
+    try {
+        const { reportId } = req.params;
+        const { reason, photoUrls } = req.body;
+        const actor = actorFromRequest(req);
+
+        // Photos: already-uploaded URLs from the body, or files in this request
+        let photos = Array.isArray(photoUrls) ? photoUrls : [];
+        if (photos.length === 0 && req.files && req.files.length > 0) {
+            for (const file of req.files) {
+                const cloudinaryResponse = await uploadBufferToCloudinary(file.buffer);
+                if (cloudinaryResponse?.secure_url) {
+                    photos.push(cloudinaryResponse.secure_url);
+                }
+            }
+        }
+
+        const { reopened, dispute, priority } = await transaction(async (client) => {
+            const report = await lockReport(client, reportId);
+
+            if (report.user_id !== req.userId) {
+                throw new NotFoundError('Report not found', 'REPORT_NOT_FOUND');
+            }
+
+            // Back to the field admin who worked it, or to the queue if nobody was assigned
+            const nextStatus = report.assigned_admin_id ? REPORT_STATUS.ASSIGNED : REPORT_STATUS.PENDING;
+            assertTransition(report, nextStatus, actor);
+
+            if (report.citizen_verification === CITIZEN_VERIFICATION.CONFIRMED) {
+                throw new ConflictError('You have already confirmed this fix', 'RESOLUTION_ALREADY_CONFIRMED');
+            }
+
+            if ((report.dispute_count || 0) >= MAX_DISPUTES_PER_REPORT) {
+                throw new ConflictError('This report has been disputed too many times. Please contact the municipality.', 'DISPUTE_LIMIT_REACHED');
+            }
+
+            const windowEnds = new Date(report.resolved_at || report.updated_at).getTime() + DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+            if (Date.now() > windowEnds) {
+                throw new ConflictError(`Fixes can only be disputed within ${DISPUTE_WINDOW_DAYS} days of resolution`, 'DISPUTE_WINDOW_CLOSED');
+            }
+
+            const disputeResult = await client.query(`
+                INSERT INTO report_disputes (
+                    report_id, user_id, admin_id, reason, photos,
+                    previous_resolution_note, previous_resolved_media_urls, previous_resolved_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+            `, [
+                reportId,
+                req.userId,
+                report.resolved_by_admin_id || report.assigned_admin_id || null,
+                reason,
+                photos,
+                report.resolution_note,
+                parseArrayField(report.resolved_media_urls),
+                report.resolved_at
+            ]);
+            const disputeRow = disputeResult.rows[0];
+
+            await transitionReport(client, report, nextStatus, actor, {
+                reason,
+                metadata: { event: 'resolution_disputed', disputeId: disputeRow.id, photos: photos.length }
+            });
+
+            // The previous resolution lives on in report_disputes
+            const result = await client.query(`
+                UPDATE reports
+                SET is_resolved = false,
+                    resolved_at = NULL,
+                    resolved_by_admin_id = NULL,
+                    resolution_note = NULL,
+                    resolved_media_urls = NULL,
+                    work_completed_at = NULL,
+                    time_taken_to_resolve = NULL,
+                    citizen_verification = 'disputed',
+                    citizen_verified_at = CURRENT_TIMESTAMP,
+                    dispute_count = COALESCE(dispute_count, 0) + 1,
+                    reopened_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [reportId]);
+
+            const priorityResult = await updateReportPriority(client, reportId);
+
+            return { reopened: result.rows[0], dispute: disputeRow, priority: priorityResult };
+        });
+
+        console.log('👎 Resolution disputed for report:', reportId, '- reopened as', reopened.status);
+
+        await invalidateReportCaches(reopened.user_id);
+        try {
+            if (reopened.assigned_admin_id) {
+                await redisService.invalidateAdminReports(reopened.assigned_admin_id);
+            }
+        } catch (cacheError) {
+            console.warn('⚠️ Failed to invalidate admin report caches:', cacheError.message);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Your dispute was recorded and the report has been reopened',
+            data: {
+                id: reopened.id,
+                status: reopened.status,
+                priority: priority.priority,
+                priorityScore: priority.priorityScore,
+                assignedAdminId: reopened.assigned_admin_id,
+                verification: mapVerification(reopened),
+                dispute: {
+                    id: dispute.id,
+                    reason: dispute.reason,
+                    photos: dispute.photos,
+                    createdAt: toISO(dispute.created_at)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error disputing resolution:', error);
+        next(error);
+    }
+};
+
+/**
+ * Look for open reports a citizen is about to repeat, before filing
+ * POST /api/v1/reports/duplicates/check
+ */
+const checkDuplicates = async (req, res, next) => {
+    try {
+        const { title, description, category, latitude, longitude } = req.body;
+
+        const candidates = await duplicateDetection.findPossibleDuplicates({
+            title,
+            description,
+            category,
+            latitude,
+            longitude
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                possibleDuplicates: candidates.map((candidate) => mapPossibleDuplicate(candidate, req.userId)),
+                radiusMeters: DUPLICATE_RADIUS_METERS,
+                windowDays: DUPLICATE_WINDOW_DAYS
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error checking for duplicate reports:', error);
+        next(error);
+    }
+};
+
+/**
+ * Follow a report filed by someone else, to receive its updates. Following a
+ * merged report follows the report it was merged into.
+ * POST /api/v1/reports/:reportId/follow
+ */
+const followReport = async (req, res, next) => {
+    try {
+        const { reportId } = req.params;
+
+        const followed = await duplicateDetection.followReport(reportId, req.userId);
+
+        if (!followed) {
+            throw new NotFoundError('Report not found', 'REPORT_NOT_FOUND');
+        }
+
+        const followState = await duplicateDetection.getFollowState(followed.reportId, req.userId);
+
+        res.status(200).json({
+            success: true,
+            message: followed.followed ? 'You are now following this report' : 'You already follow this report',
+            data: {
+                reportId: followed.reportId,
+                following: true,
+                followerCount: followState.followerCount
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error following report:', error);
+        next(error);
+    }
+};
+
+/**
+ * Stop following a report
+ * DELETE /api/v1/reports/:reportId/follow
+ */
+const unfollowReport = async (req, res, next) => {
+    try {
+        const { reportId } = req.params;
+
+        const removed = await duplicateDetection.unfollowReport(reportId, req.userId);
+        const followState = await duplicateDetection.getFollowState(reportId, req.userId);
+
+        res.status(200).json({
+            success: true,
+            message: removed ? 'You no longer follow this report' : 'You were not following this report',
+            data: {
+                reportId,
+                following: false,
+                followerCount: followState.followerCount
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error unfollowing report:', error);
+        next(error);
+    }
+};
+
+/**
+ * Possible duplicates of a report, and the reports already merged into it
+ * GET /api/v1/reports/:reportId/duplicates
+ */
+const getReportDuplicates = async (req, res, next) => {
+    try {
+        const { reportId } = req.params;
+
+        const report = await queryOne(`SELECT * FROM reports WHERE id = $1`, [reportId]);
+
+        if (!report) {
+            throw new NotFoundError('Report not found', 'REPORT_NOT_FOUND');
+        }
+
+        if (!canAccessDepartment(req.admin, report.department)) {
+            throw new ForbiddenError('Report is outside your department', 'OUTSIDE_DEPARTMENT');
+        }
+
+        const [candidates, merged] = await Promise.all([
+            duplicateDetection.findDuplicatesOfReport(report),
+            queryMany(`
+                SELECT id, title, user_id, media_urls, merged_at, merged_by_admin_id
+                FROM reports
+                WHERE merged_into_id = $1
+                ORDER BY merged_at ASC
+            `, [reportId])
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                reportId: report.id,
+                status: report.status,
+                mergedIntoId: report.merged_into_id || null,
+                candidates: candidates.map((candidate) => mapPossibleDuplicate(candidate)),
+                mergedReports: merged.map((row) => ({
+                    id: row.id,
+                    title: row.title,
+                    userId: row.user_id,
+                    mediaCount: (row.media_urls || []).length,
+                    mergedAt: toISO(row.merged_at),
+                    mergedByAdminId: row.merged_by_admin_id
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching report duplicates:', error);
+        next(error);
+    }
+};
+
+/**
+ * Merge duplicate reports into this one (admins with reports.merge). The
+ * duplicates are closed as 'merged'; their photos, votes, comments, reporters
+ * and followers move to this report.
+ * POST /api/v1/reports/:reportId/merge
+ */
+const mergeDuplicateReports = async (req, res, next) => {
+    try {
+        const { reportId } = req.params;
+        const { duplicateIds, note } = req.body;
+
+        console.log('🔗 Merging', duplicateIds.length, 'report(s) into', reportId, 'by admin:', req.admin.id);
+
+        const merged = await duplicateDetection.mergeReports(reportId, duplicateIds, actorFromRequest(req), { note });
+
+        console.log(`✅ Merged ${merged.duplicates.length} report(s) into ${reportId}; ${merged.followersAdded} new follower(s), ${merged.commentsMoved} comment(s) moved`);
+
+        await invalidateReportCaches(merged.canonical.user_id);
+        for (const userId of new Set(merged.duplicates.map((duplicate) => duplicate.user_id))) {
+            await invalidateReportCaches(userId);
+        }
+        try {
+            await redisService.invalidatePattern('social_posts:*');
+        } catch (cacheError) {
+            console.warn('⚠️ Failed to invalidate social post caches:', cacheError.message);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Merged ${merged.duplicates.length} report(s)`,
+            data: {
+                id: merged.canonical.id,
+                status: merged.canonical.status,
+                mediaUrls: merged.canonical.media_urls || [],
+                mergedReportIds: merged.duplicates.map((duplicate) => duplicate.id),
+                followersAdded: merged.followersAdded,
+                commentsMoved: merged.commentsMoved,
+                upvotes: merged.post ? Number(merged.post.upvotes) : null,
+                downvotes: merged.post ? Number(merged.post.downvotes) : null,
+                commentCount: merged.post ? Number(merged.post.comment_count) : null
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error merging reports:', error);
+        next(error);
+    }
+};
+
+// Heatmap and cluster filters from the query, limited to the reports the admin
+// may see (their jurisdiction when set, otherwise the department for field roles),
+// plus a cache key
+const getHotspotFilters = async (req) => {
+    const admin = await queryOne(
+        `SELECT role, department, jurisdiction_id FROM admins WHERE id = $1 AND is_active = true`,
+        [req.admin.id]
+    );
+
+    if (!admin) {
+        throw new ForbiddenError('Admin not found or inactive', 'ADMIN_INACTIVE');
+    }
+
+    const canViewAllDepartments = hasPermission(admin.role, PERMISSIONS.REPORTS_VIEW_ALL_DEPARTMENTS);
+    const jurisdictionId = admin.jurisdiction_id ? Number(admin.jurisdiction_id) : null;
+    // As in getAdminReports, a jurisdiction replaces the typed-department limit
+    const scopeByDepartment = !canViewAllDepartments && !jurisdictionId;
+    if (scopeByDepartment && !admin.department) {
+        throw new ForbiddenError('Department-scoped admin must have a department assigned', 'DEPARTMENT_REQUIRED');
+    }
+
+    const {
+        from, to, department, category, priority, status, boundaryId,
+        locality, city, district, pincode, minLat, minLng, maxLat, maxLng
+    } = req.query;
+
+    const corners = [minLat, minLng, maxLat, maxLng];
+    const given = corners.filter((value) => value !== undefined && value !== '').length;
+    if (given > 0 && given < corners.length) {
+        throw new ValidationError('Validation failed', [{
+            field: 'minLat',
+            location: 'query',
+            message: 'minLat, minLng, maxLat and maxLng must be given together'
+        }]);
+    }
+    if (given > 0 && (Number(minLat) > Number(maxLat) || Number(minLng) > Number(maxLng))) {
+        throw new ValidationError('Validation failed', [{
+            field: 'minLat',
+            location: 'query',
+            message: 'minLat and minLng must not be greater than maxLat and maxLng'
+        }]);
+    }
+    if (from && to && new Date(from) > new Date(to)) {
+        throw new ValidationError('Validation failed', [{
+            field: 'from',
+            location: 'query',
+            message: 'from must not be after to'
+        }]);
+    }
+
+    const filters = {
+        scopeDepartment: scopeByDepartment ? admin.department : null,
+        jurisdictionId,
+        // Only roles that see every department can pick one
+        department: canViewAllDepartments ? department || null : null,
+        category: category || null,
+        priority: priority || null,
+        status: status || null,
+        boundaryId: boundaryId ? parseInt(boundaryId, 10) : null,
+        locality: locality || null,
+        city: city || null,
+        district: district || null,
+        pincode: pincode || null,
+        from: from || null,
+        to: to || null,
+        bounds: given > 0
+            ? { minLat: Number(minLat), minLng: Number(minLng), maxLat: Number(maxLat), maxLng: Number(maxLng) }
+            : null
+    };
+
+    // Under admin_reports so report changes invalidate it with the admin lists
+    const cacheKey = `admin_reports:${req.admin.id}:hotspots:${JSON.stringify(filters)}`;
+
+    return { filters, cacheKey };
+};
+
+/**
+ * Report clusters for the admin map, bucketed by geohash at the zoom level
+ * GET /api/v1/reports/clusters?zoom=12&minLat=&minLng=&maxLat=&maxLng=&from=&to=
+ */
+const getReportClusters = async (req, res, next) => {
+    try {
+        const zoom = parseInt(req.query.zoom, 10);
+        const { filters, cacheKey } = await getHotspotFilters(req);
+        const key = `${cacheKey}:clusters:${zoom}`;
+
+        const cached = await redisService.getCachedReports(key);
+        if (cached) {
+            return res.status(200).json({ success: true, data: cached, cached: true });
+        }
+
+        const clusters = await getClusters(filters, zoom);
+        await redisService.cacheReports(key, clusters, HOTSPOT_CACHE_TTL);
+
+        console.log(`🗺️ ${clusters.clusters.length} cluster(s) of ${clusters.totalReports} report(s) at zoom ${zoom} for admin ${req.admin.id}`);
+
+        res.status(200).json({
+            success: true,
+            data: clusters
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching report clusters:', error);
+        next(error);
+    }
+};
+
+/**
+ * Report density for the admin heatmap layer
+ * GET /api/v1/reports/heatmap?zoom=12&minLat=&minLng=&maxLat=&maxLng=&from=&to=
+ */
+const getReportHeatmap = async (req, res, next) => {
+    try {
+        const zoom = parseInt(req.query.zoom, 10);
+        const { filters, cacheKey } = await getHotspotFilters(req);
+        const key = `${cacheKey}:heatmap:${zoom}`;
+
+        const cached = await redisService.getCachedReports(key);
+        if (cached) {
+            return res.status(200).json({ success: true, data: cached, cached: true });
+        }
+
+        const heatmap = await getHeatmap(filters, zoom);
+        await redisService.cacheReports(key, heatmap, HOTSPOT_CACHE_TTL);
+
+        res.status(200).json({
+            success: true,
+            data: heatmap
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching report heatmap:', error);
+        next(error);
+    }
+};
+
+/**
+ * Report counts by district, city, locality, ward or PIN code, from the
+ * geocoded address; takes the same filters as the map
+ * GET /api/v1/reports/address-summary?groupBy=district&from=&to=
+ */
+const getReportAddressSummary = async (req, res, next) => {
+    try {
+        const { groupBy } = req.query;
+        const { filters, cacheKey } = await getHotspotFilters(req);
+        const key = `${cacheKey}:address:${groupBy}`;
+
+        const cached = await redisService.getCachedReports(key);
+        if (cached) {
+            return res.status(200).json({ success: true, data: cached, cached: true });
+        }
+
+        const summary = await getAddressSummary(filters, groupBy);
+        await redisService.cacheReports(key, summary, HOTSPOT_CACHE_TTL);
+
+        res.status(200).json({
+            success: true,
+            data: summary
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching report address summary:', error);
+        next(error);
+    }
+};
+
+/**
+ * Get deletion audit logs (Super Admin only)
+ * GET /api/v1/reports/audit-logs
+ */
+const getDeletionAuditLogs = async (req, res, next) => {
+    try {
+        const adminId = req.admin.id;
+        const { limit = 50, offset = 0, reportId } = req.query;
+
+        // Build query with admin join to get full details
+        let auditQuery = `
+            SELECT 
+                rdal.id,
+                rdal.report_id,
+                rdal.deleted_by_admin_id,
+                rdal.deleted_by_admin_email as admin_email,
+                a.full_name as admin_full_name,
+                a.role as admin_role,
+                rdal.deletion_reason,
+                rdal.fraud_indicators,
+                rdal.report_snapshot,
+                rdal.deleted_at
+            FROM report_deletion_audit rdal
+            LEFT JOIN admins a ON rdal.deleted_by_admin_id = a.id
+        `;
+
+        const queryParams = [];
+        let paramIndex = 1;
+
+        // Filter by specific report if provided
+        if (reportId) {
+            auditQuery += ` WHERE rdal.report_id = $${paramIndex}`;
+            queryParams.push(reportId);
+            paramIndex++;
+        }
 
         // Order by most recent first
         auditQuery += ` ORDER BY rdal.deleted_at DESC`;
@@ -2157,11 +2988,7 @@ const getDeletionAuditLogs = async (req, res) => {
 
     } catch (error) {
         console.error("❌ Error fetching deletion audit logs:", error);
-        res.status(500).json({
-            success: false,
-            message: "Failed to retrieve audit logs",
-            error: error.message
-        });
+        next(error);
     }
 };
 
@@ -2179,5 +3006,21 @@ export {
     uploadSingleMedia,
     getAdminReports,
     assignReport,
-    getDeletionAuditLogs
+    getReportTimeline,
+    getRejectionReasonsList,
+    getSlaPolicyList,
+    rejectReport,
+    appealReport,
+    decideAppeal,
+    confirmResolution,
+    disputeReport,
+    getDeletionAuditLogs,
+    checkDuplicates,
+    followReport,
+    unfollowReport,
+    getReportDuplicates,
+    mergeDuplicateReports,
+    getReportClusters,
+    getReportHeatmap,
+    getReportAddressSummary
 };
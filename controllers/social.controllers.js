@@ -1,28 +1,26 @@
 import { query, queryOne, transaction } from "../db/utils.js";
 import redisService from "../services/redis.js";
 import { updateReportPriority } from "../services/priorityCalculation.js";
+import { withinRadius } from "../services/geoQueries.js";
+import eventBus, { DOMAIN_EVENTS } from "../services/events/eventBus.js";
+import { ValidationError, UnauthorizedError, NotFoundError, ConflictError } from "../utils/errors.js";
+import { getReachedMilestone } from "../utils/voteMilestones.js";
 
 // Helper to convert DB timestamp values to ISO strings (null-safe)
 const toISO = (val) => (val ? new Date(val).toISOString() : null);
 
 // Create a social post from an existing report
-const createSocialPost = async (req, res) => {
+const createSocialPost = async (req, res, next) => {
     try {
         const { reportId, isPublic = true, isAnonymous = false } = req.body;
-        const userId = req.userId || req.body.userId;
+        const userId = req.userId;
 
         if (!reportId) {
-            return res.status(400).json({
-                success: false,
-                message: "Report ID is required"
-            });
+            throw new ValidationError('Report ID is required');
         }
 
         if (!userId) {
-            return res.status(401).json({
-                success: false,
-                message: "User authentication required"
-            });
+            throw new UnauthorizedError('User authentication required');
         }
 
         console.log('📱 Creating social post for report:', reportId, 'by user:', userId);
@@ -38,7 +36,7 @@ const createSocialPost = async (req, res) => {
             const report = await client.query(reportQuery, [reportId, userId]);
 
             if (report.rows.length === 0) {
-                throw new Error('Report not found or access denied');
+                throw new NotFoundError('Report not found or access denied', 'REPORT_NOT_FOUND');
             }
 
             // Check if social post already exists for this report
@@ -48,7 +46,7 @@ const createSocialPost = async (req, res) => {
             const existingPost = await client.query(existingPostQuery, [reportId]);
 
             if (existingPost.rows.length > 0) {
-                throw new Error('Social post already exists for this report');
+                throw new ConflictError('Social post already exists for this report', 'POST_EXISTS');
             }
 
             // Create social post
@@ -95,31 +93,12 @@ const createSocialPost = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error creating social post:', error);
-        
-        if (error.message === 'Report not found or access denied') {
-            return res.status(404).json({
-                success: false,
-                message: 'Report not found or access denied'
-            });
-        }
-        
-        if (error.message === 'Social post already exists for this report') {
-            return res.status(400).json({
-                success: false,
-                message: 'Social post already exists for this report'
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            message: 'Server error while creating social post',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Get social posts with filters and pagination
-const getSocialPosts = async (req, res) => {
+const getSocialPosts = async (req, res, next) => {
     try {
         const {
             tab = 'all', // all, trending, nearby, my_activity
@@ -136,8 +115,8 @@ const getSocialPosts = async (req, res) => {
         // Calculate offset from page number if page is provided, otherwise use offset
         const calculatedOffset = page ? (parseInt(page) - 1) * parseInt(limit) : (offset ? parseInt(offset) : 0);
 
-        // Handle userId from different sources - for GET requests, userId might come from query params
-        const requestingUserId = req.userId || req.body?.userId || req.query?.userId || null;
+        // Only the authenticated user's votes are personalised into the feed
+        const requestingUserId = req.userId || null;
 
         console.log('🔍 Fetching social posts:', { tab, page, limit, offset: calculatedOffset, requestingUserId });
         console.log('🔍 Query params:', req.query);
@@ -220,14 +199,7 @@ const getSocialPosts = async (req, res) => {
             queryParams.push(requestingUserId);
             paramIndex++;
         } else if (tab === 'nearby' && latitude && longitude) {
-            baseQuery += ` AND r.latitude IS NOT NULL AND r.longitude IS NOT NULL
-                AND (
-                    6371 * acos(
-                        cos(radians($${paramIndex})) * cos(radians(r.latitude)) *
-                        cos(radians(r.longitude) - radians($${paramIndex + 1})) +
-                        sin(radians($${paramIndex})) * sin(radians(r.latitude))
-                    ) <= $${paramIndex + 2}
-                )`;
+            baseQuery += ` AND ${withinRadius('r.location', `$${paramIndex}`, `$${paramIndex + 1}`, `$${paramIndex + 2}::float8 * 1000`)}`;
             queryParams.push(parseFloat(latitude), parseFloat(longitude), parseFloat(radius));
             paramIndex += 3;
         }
@@ -317,33 +289,23 @@ const getSocialPosts = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching social posts:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching social posts',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Vote on a post (upvote/downvote)
-const voteOnPost = async (req, res) => {
+const voteOnPost = async (req, res, next) => {
     try {
         const { postId } = req.params;
         const { voteType } = req.body; // 'upvote' or 'downvote'
-        const userId = req.userId || req.body.userId;
+        const userId = req.userId;
 
         if (!userId) {
-            return res.status(401).json({
-                success: false,
-                message: "User authentication required"
-            });
+            throw new UnauthorizedError('User authentication required');
         }
 
         if (!['upvote', 'downvote'].includes(voteType)) {
-            return res.status(400).json({
-                success: false,
-                message: "Vote type must be 'upvote' or 'downvote'"
-            });
+            throw new ValidationError("Vote type must be 'upvote' or 'downvote'");
         }
 
         console.log('🗳️ User', userId, 'voting', voteType, 'on post', postId);
@@ -354,7 +316,7 @@ const voteOnPost = async (req, res) => {
             const post = await client.query(postQuery, [postId]);
 
             if (post.rows.length === 0) {
-                throw new Error('Post not found');
+                throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
             }
 
             // Check existing vote
@@ -431,9 +393,23 @@ const voteOnPost = async (req, res) => {
             `;
             const updateResult = await client.query(updateQuery, [upvoteChange, downvoteChange, postId]);
 
+            // Claim the milestone this upvote reached, unless it was announced before
+            let milestonePost = null;
+            const milestone = upvoteChange > 0 ? getReachedMilestone(updateResult.rows[0].upvotes) : null;
+            if (milestone) {
+                const claimed = await client.query(`
+                    UPDATE social_posts
+                    SET vote_milestone_notified = $2
+                    WHERE id = $1 AND vote_milestone_notified < $2
+                    RETURNING id, user_id, report_id
+                `, [postId, milestone]);
+                milestonePost = claimed.rows[0] || null;
+            }
+
             return {
                 ...updateResult.rows[0],
-                actionTaken
+                actionTaken,
+                milestone: milestonePost ? { post: milestonePost, milestone } : null
             };
         });
 
@@ -442,6 +418,13 @@ const voteOnPost = async (req, res) => {
 
         console.log('✅ Vote recorded:', voteResult.actionTaken);
 
+        if (voteResult.milestone) {
+            await eventBus.publish(DOMAIN_EVENTS.POST_VOTE_MILESTONE, {
+                ...voteResult.milestone,
+                upvotes: voteResult.upvotes
+            });
+        }
+
         // Trigger priority recalculation in background (don't wait)
         transaction(async (client) => {
             const reportQuery = `SELECT report_id FROM social_posts WHERE id = $1`;
@@ -477,52 +460,34 @@ const voteOnPost = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error voting on post:', error);
-        
-        if (error.message === 'Post not found') {
-            return res.status(404).json({
-                success: false,
-                message: 'Post not found'
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            message: 'Server error while voting',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Add comment to a post
-const addComment = async (req, res) => {
+const addComment = async (req, res, next) => {
     try {
         const { postId } = req.params;
         const { content, parentCommentId, isAnonymous = false } = req.body;
-        const userId = req.userId || req.body.userId;
+        const userId = req.userId;
 
         if (!userId) {
-            return res.status(401).json({
-                success: false,
-                message: "User authentication required"
-            });
+            throw new UnauthorizedError('User authentication required');
         }
 
         if (!content || content.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: "Comment content is required"
-            });
+            throw new ValidationError('Comment content is required');
         }
 
         console.log('💬 Adding comment to post:', postId, 'by user:', userId);
 
-        const comment = await transaction(async (client) => {
+        const { post, comment } = await transaction(async (client) => {
             // Check if post exists
-            const postQuery = `SELECT id FROM social_posts WHERE id = $1`;
+            const postQuery = `SELECT id, user_id, report_id FROM social_posts WHERE id = $1`;
             const post = await client.query(postQuery, [postId]);
 
             if (post.rows.length === 0) {
-                throw new Error('Post not found');
+                throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
             }
 
             // If parent comment is specified, check if it exists
@@ -531,7 +496,7 @@ const addComment = async (req, res) => {
                 const parent = await client.query(parentQuery, [parentCommentId, postId]);
                 
                 if (parent.rows.length === 0) {
-                    throw new Error('Parent comment not found');
+                    throw new NotFoundError('Parent comment not found', 'COMMENT_NOT_FOUND');
                 }
             }
 
@@ -555,7 +520,7 @@ const addComment = async (req, res) => {
                 [postId]
             );
 
-            return result.rows[0];
+            return { post: post.rows[0], comment: result.rows[0] };
         });
 
         // Invalidate cache
@@ -564,6 +529,8 @@ const addComment = async (req, res) => {
 
         console.log('✅ Comment added successfully:', comment.id);
 
+        await eventBus.publish(DOMAIN_EVENTS.POST_COMMENTED, { post, comment });
+
         // Trigger priority recalculation in background (don't wait)
         transaction(async (client) => {
             const reportQuery = `SELECT report_id FROM social_posts WHERE id = $1`;
@@ -593,31 +560,12 @@ const addComment = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error adding comment:', error);
-        
-        if (error.message === 'Post not found') {
-            return res.status(404).json({
-                success: false,
-                message: 'Post not found'
-            });
-        }
-        
-        if (error.message === 'Parent comment not found') {
-            return res.status(404).json({
-                success: false,
-                message: 'Parent comment not found'
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            message: 'Server error while adding comment',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Get comments for a post
-const getPostComments = async (req, res) => {
+const getPostComments = async (req, res, next) => {
     try {
         const { postId } = req.params;
         const {
@@ -717,24 +665,17 @@ const getPostComments = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching comments:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching comments',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Get social feed statistics
-const getSocialStats = async (req, res) => {
+const getSocialStats = async (req, res, next) => {
     try {
         const { userId } = req.params;
         
         if (!userId) {
-            return res.status(400).json({
-                success: false,
-                message: 'User ID is required'
-            });
+            throw new ValidationError('User ID is required');
         }
 
         console.log('📊 Fetching social statistics for user:', userId);
@@ -790,19 +731,15 @@ const getSocialStats = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching user social statistics:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching statistics',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Track post view
-const trackPostView = async (req, res) => {
+const trackPostView = async (req, res, next) => {
     try {
         const { postId } = req.params;
-        const userId = req.userId || req.body.userId;
+        const userId = req.userId;
         const ipAddress = req.ip || req.connection.remoteAddress;
         const userAgent = req.get('User-Agent');
 
@@ -814,7 +751,7 @@ const trackPostView = async (req, res) => {
             const post = await client.query(postQuery, [postId]);
 
             if (post.rows.length === 0) {
-                throw new Error('Post not found');
+                throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
             }
 
             // Check if view already exists (to prevent duplicate views)
@@ -858,11 +795,8 @@ const trackPostView = async (req, res) => {
     } catch (error) {
         console.error('❌ Error tracking view:', error);
         
-        if (error.message === 'Post not found') {
-            return res.status(404).json({
-                success: false,
-                message: 'Post not found'
-            });
+        if (error instanceof NotFoundError) {
+            return next(error);
         }
         
         // Don't fail the request for view tracking errors
@@ -874,15 +808,12 @@ const trackPostView = async (req, res) => {
 };
 
 // Get social statistics for a specific report
-const getReportSocialStats = async (req, res) => {
+const getReportSocialStats = async (req, res, next) => {
     try {
         const { reportId } = req.params;
         
         if (!reportId) {
-            return res.status(400).json({
-                success: false,
-                message: "Report ID is required"
-            });
+            throw new ValidationError('Report ID is required');
         }
 
         console.log('📊 Fetching social stats for report:', reportId);
@@ -975,11 +906,7 @@ const getReportSocialStats = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error fetching report social statistics:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching report social statistics',
-            error: error.message
-        });
+        next(error);
     }
 };
 
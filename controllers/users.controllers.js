@@ -1,138 +1,87 @@
 import { query, queryOne, queryMany, transaction } from "../db/utils.js";
 import { uploadBufferToCloudinary, deleteOnCloudinary, extractPublicIdFromUrl } from "../services/cloudinary.js";
+import { revokeAllSessions } from "../services/sessionService.js";
+import { SUBJECT_TYPES } from "../services/tokenService.js";
+import { getPreferences, updatePreferences } from "../services/notifications/preferencesService.js";
+import { AppError, ValidationError, ForbiddenError, NotFoundError, UpstreamError } from "../utils/errors.js";
 
 // Helper to convert DB timestamp values to ISO strings (null-safe)
 const toISO = (val) => (val ? new Date(val).toISOString() : null);
 
-// Create or login user after OTP verification
-const createOrLoginUser = async (req, res) => {
+// Login user after OTP verification.
+// The OTP verify endpoints create the user and issue tokens, so this only
+// confirms the authenticated user owns the phone number and refreshes last_login.
+const createOrLoginUser = async (req, res, next) => {
     try {
         const { phoneNumber } = req.body;
         
         if (!phoneNumber) {
-            return res.status(400).json({
-                success: false,
-                message: "Phone number is required"
-            });
+            throw new ValidationError('Phone number is required');
         }
 
-        console.log('🔍 Creating/logging in user with phone:', phoneNumber);
-        
-        // Check if user already exists
-        const checkUserQuery = `SELECT * FROM users WHERE phone_number = $1`;
-        const existingUser = await query(checkUserQuery, [phoneNumber]);
-        
-        if (existingUser.rows.length > 0) {
-            // User exists - update last_login and return user data
-            const user = existingUser.rows[0];
-            const updateLoginQuery = `
-                UPDATE users 
-                SET last_login = CURRENT_TIMESTAMP, 
-                    updated_at = CURRENT_TIMESTAMP 
-                WHERE id = $1 
-                RETURNING *
-            `;
-            const updatedUser = await query(updateLoginQuery, [user.id]);
-            const rawUser = updatedUser.rows[0];
-            
-            console.log('✅ Existing user logged in:', user.id);
-            
-            // Map database fields to camelCase
-            const mappedUser = {
-                id: rawUser.id,
-                phoneNumber: rawUser.phone_number,
-                email: rawUser.email,
-                fullName: rawUser.full_name,
-                profileImageUrl: rawUser.profile_image_url,
-                isVerified: rawUser.is_verified,
-                totalReports: rawUser.total_reports,
-                resolvedReports: rawUser.resolved_reports,
-                createdAt: toISO(rawUser.created_at),
-                updatedAt: toISO(rawUser.updated_at),
-                lastLogin: toISO(rawUser.last_login)
-            };
-            
-            return res.status(200).json({
-                success: true,
-                message: 'Login successful',
-                user: mappedUser,
-                isNewUser: false,
-                requiresProfileSetup: !user.full_name || !user.email
-            });
-        } else {
-            // New user - create with UUID and minimal data
-            const insertQuery = `
-                INSERT INTO users (
-                    phone_number, 
-                    email, 
-                    full_name, 
-                    profile_image_url, 
-                    is_verified,
-                    total_reports,
-                    resolved_reports,
-                    last_login
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
-                RETURNING *
-            `;
-            
-            const newUserResult = await query(insertQuery, [
-                phoneNumber,
-                '', // Empty email initially
-                '', // Empty full_name initially  
-                '', // Empty profile_image_url initially
-                true, // is_verified = true after OTP
-                0, // total_reports = 0
-                0  // resolved_reports = 0
-            ]);
-            
-            const newUser = newUserResult.rows[0];
-            console.log('✅ New user created:', newUser.id);
-            
-            // Map snake_case to camelCase for frontend consistency
-            const mappedNewUser = {
-                id: newUser.id,
-                phoneNumber: newUser.phone_number,
-                email: newUser.email,
-                fullName: newUser.full_name,
-                profileImageUrl: newUser.profile_image_url,
-                isVerified: newUser.is_verified,
-                totalReports: newUser.total_reports,
-                resolvedReports: newUser.resolved_reports,
-                createdAt: toISO(newUser.created_at),
-                updatedAt: toISO(newUser.updated_at),
-                lastLogin: toISO(newUser.last_login)
-            };
-            
-            return res.status(201).json({
-                success: true,
-                message: 'User created successfully',
-                user: mappedNewUser,
-                isNewUser: true,
-                requiresProfileSetup: true
-            });
+        console.log('🔍 Logging in user with phone:', phoneNumber);
+        
+        // The phone number must belong to the authenticated user
+        const checkUserQuery = `SELECT * FROM users WHERE id = $1`;
+        const existingUser = await query(checkUserQuery, [req.userId]);
+        
+        if (existingUser.rows.length === 0) {
+            throw new NotFoundError('User not found', 'USER_NOT_FOUND');
         }
+
+        const user = existingUser.rows[0];
+
+        if (user.phone_number !== phoneNumber) {
+            throw new ForbiddenError('Phone number does not match the authenticated user', 'PHONE_MISMATCH');
+        }
+
+        // Update last_login and return user data
+        const updateLoginQuery = `
+            UPDATE users 
+            SET last_login = CURRENT_TIMESTAMP, 
+                updated_at = CURRENT_TIMESTAMP 
+            WHERE id = $1 
+            RETURNING *
+        `;
+        const updatedUser = await query(updateLoginQuery, [user.id]);
+        const rawUser = updatedUser.rows[0];
+        
+        console.log('✅ Existing user logged in:', user.id);
+        
+        // Map database fields to camelCase
+        const mappedUser = {
+            id: rawUser.id,
+            phoneNumber: rawUser.phone_number,
+            email: rawUser.email,
+            fullName: rawUser.full_name,
+            profileImageUrl: rawUser.profile_image_url,
+            isVerified: rawUser.is_verified,
+            totalReports: rawUser.total_reports,
+            resolvedReports: rawUser.resolved_reports,
+            createdAt: toISO(rawUser.created_at),
+            updatedAt: toISO(rawUser.updated_at),
+            lastLogin: toISO(rawUser.last_login)
+        };
+        
+        return res.status(200).json({
+            success: true,
+            message: 'Login successful',
+            user: mappedUser,
+            isNewUser: false,
+            requiresProfileSetup: !user.full_name || !user.email
+        });
         
     } catch (error) {
         console.error('❌ Error in createOrLoginUser:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Update user profile (called from profile-setup page)
-const updateUserProfile = async (req, res) => {
+const updateUserProfile = async (req, res, next) => {
     try {
-        const { userId, fullName, email, profileImageUrl } = req.body;
-        
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                message: "User ID is required"
-            });
-        }
+        const { fullName, email, profileImageUrl } = req.body;
+        const userId = req.userId;
 
         console.log('📝 Updating user profile:', userId);
 
@@ -155,10 +104,7 @@ const updateUserProfile = async (req, res) => {
         ]);
         
         if (result.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
+            throw new NotFoundError('User not found', 'USER_NOT_FOUND');
         }
         
         console.log('✅ Profile updated successfully:', userId);
@@ -188,24 +134,17 @@ const updateUserProfile = async (req, res) => {
         
     } catch (error) {
         console.error('❌ Error in updateUserProfile:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Get user by ID
-const getUserById = async (req, res) => {
+const getUserById = async (req, res, next) => {
     try {
         const { id } = req.params;
         
         if (!id) {
-            return res.status(400).json({
-                success: false,
-                message: "User ID is required"
-            });
+            throw new ValidationError('User ID is required');
         }
 
         console.log('🔍 Fetching user by ID:', id);
@@ -214,10 +153,7 @@ const getUserById = async (req, res) => {
         const result = await query(getUserQuery, [id]);
         
         if (result.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
+            throw new NotFoundError('User not found', 'USER_NOT_FOUND');
         }
         
         const user = result.rows[0];
@@ -246,24 +182,17 @@ const getUserById = async (req, res) => {
         
     } catch (error) {
         console.error('❌ Error in getUserById:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Get user by phone number
-const getUserByPhone = async (req, res) => {
+const getUserByPhone = async (req, res, next) => {
     try {
         const { phoneNumber } = req.params;
         
         if (!phoneNumber) {
-            return res.status(400).json({
-                success: false,
-                message: "Phone number is required"
-            });
+            throw new ValidationError('Phone number is required');
         }
 
         console.log('🔍 Fetching user by phone:', phoneNumber);
@@ -272,13 +201,15 @@ const getUserByPhone = async (req, res) => {
         const result = await query(getUserQuery, [phoneNumber]);
         
         if (result.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
+            throw new NotFoundError('User not found', 'USER_NOT_FOUND');
         }
         
         const user = result.rows[0];
+
+        if (!req.admin && user.id !== req.userId) {
+            throw new ForbiddenError('You can only access your own data');
+        }
+
         console.log('✅ User found by phone:', user.id);
         
         // Map database fields to camelCase for frontend consistency
@@ -304,31 +235,17 @@ const getUserByPhone = async (req, res) => {
         
     } catch (error) {
         console.error('❌ Error in getUserByPhone:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 // Upload profile image to Cloudinary
-const uploadProfileImage = async (req, res) => {
+const uploadProfileImage = async (req, res, next) => {
     try {
-        const { userId } = req.body;
-        
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                message: "User ID is required"
-            });
-        }
+        const userId = req.userId;
 
         if (!req.file) {
-            return res.status(400).json({
-                success: false,
-                message: "No image file provided"
-            });
+            throw new ValidationError('No image file provided');
         }
 
         console.log('📤 Uploading profile image for user:', userId);
@@ -343,10 +260,7 @@ const uploadProfileImage = async (req, res) => {
         const userResult = await query(getUserQuery, [userId]);
         
         if (userResult.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
+            throw new NotFoundError('User not found', 'USER_NOT_FOUND');
         }
 
         const currentUser = userResult.rows[0];
@@ -355,10 +269,7 @@ const uploadProfileImage = async (req, res) => {
         const cloudinaryResponse = await uploadBufferToCloudinary(req.file.buffer);
         
         if (!cloudinaryResponse) {
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to upload image to Cloudinary'
-            });
+            throw new UpstreamError('Failed to upload image to Cloudinary', { service: 'cloudinary' });
         }
 
         console.log('☁️ Image uploaded to Cloudinary:', cloudinaryResponse.secure_url);
@@ -412,43 +323,34 @@ const uploadProfileImage = async (req, res) => {
         
     } catch (error) {
         console.error('❌ Error in uploadProfileImage:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error during image upload',
-            error: error.message
-        });
+        next(error);
     }
 };
 
-// Delete user
-const deleteUser = async (req, res) => {
+// Delete the authenticated user's own account
+const deleteUser = async (req, res, next) => {
     try {
-        const { phoneNumber } = req.body;
-        
-        if (!phoneNumber) {
-            return res.status(400).json({
-                success: false,
-                message: "Phone number is required"
-            });
-        }
+        const userId = req.userId;
 
-        console.log('🗑️ Deleting user with phone:', phoneNumber);
+        console.log('🗑️ Deleting user:', userId);
 
         // Check if user exists and delete
         const result = await transaction(async (client) => {
-            const getUserQuery = `SELECT * FROM users WHERE phone_number = $1`;
-            const userResult = await client.query(getUserQuery, [phoneNumber]);
+            const getUserQuery = `SELECT * FROM users WHERE id = $1`;
+            const userResult = await client.query(getUserQuery, [userId]);
             
             if (userResult.rows.length === 0) {
-                throw new Error('User not found');
+                throw new NotFoundError('User not found', 'USER_NOT_FOUND');
             }
 
-            const deleteQuery = `DELETE FROM users WHERE phone_number = $1 RETURNING *`;
-            const deleteResult = await client.query(deleteQuery, [phoneNumber]);
+            const deleteQuery = `DELETE FROM users WHERE id = $1 RETURNING *`;
+            const deleteResult = await client.query(deleteQuery, [userId]);
             return deleteResult.rows[0];
         });
         
         console.log('✅ User deleted from database');
+
+        await revokeAllSessions(SUBJECT_TYPES.USER, userId);
         
         res.status(200).json({
             success: true,
@@ -458,44 +360,70 @@ const deleteUser = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error in deleteUser:', error);
-        
-        if (error.message === 'User not found') {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            message: 'Server error',
-            error: error.message
+        next(error);
+    }
+};
+
+
+
+// Notification preferences of the logged-in user
+// GET /api/v1/users/notification-preferences
+const getNotificationPreferences = async (req, res, next) => {
+    try {
+        const preferences = await getPreferences(req.userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...preferences,
+                updatedAt: toISO(preferences.updatedAt)
+            }
         });
+
+    } catch (error) {
+        console.error('❌ Error in getNotificationPreferences:', error);
+        next(error);
     }
 };
 
+// Update some notification preferences; omitted fields keep their value
+// PUT /api/v1/users/notification-preferences
+const updateNotificationPreferences = async (req, res, next) => {
+    try {
+        const { channels, events, language, quietHours, timezone } = req.body;
+
+        const preferences = await updatePreferences(req.userId, { channels, events, language, quietHours, timezone });
+
+        console.log('🔔 Notification preferences updated:', req.userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification preferences updated',
+            data: {
+                ...preferences,
+                updatedAt: toISO(preferences.updatedAt)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error in updateNotificationPreferences:', error);
+        next(error);
+    }
+};
 
+// Legacy functions (keeping for backward compatibility; they answer 410 Gone)
+const deprecated = (message) => new AppError(message, { statusCode: 410, code: 'ENDPOINT_DEPRECATED' });
 
-// Legacy functions (keeping for backward compatibility but updated responses)
-const registerUser = (req, res) => {
-    res.status(410).json({
-        success: false,
-        message: "This endpoint is deprecated. Use /create-or-login instead."
-    });
+const registerUser = (req, res, next) => {
+    next(deprecated('This endpoint is deprecated. Use /create-or-login instead.'));
 };
 
-const loginUser = (req, res) => {
-    res.status(410).json({
-        success: false,
-        message: "This endpoint is deprecated. Use /create-or-login instead."
-    });
+const loginUser = (req, res, next) => {
+    next(deprecated('This endpoint is deprecated. Use /create-or-login instead.'));
 };
 
-const updateUser = (req, res) => {
-    res.status(410).json({
-        success: false,
-        message: "This endpoint is deprecated. Use /update-profile instead."
-    });
+const updateUser = (req, res, next) => {
+    next(deprecated('This endpoint is deprecated. Use /update-profile instead.'));
 };
 
 
@@ -507,6 +435,8 @@ export {
     getUserByPhone,
     uploadProfileImage,
     deleteUser,
+    getNotificationPreferences,
+    updateNotificationPreferences,
     registerUser, 
     loginUser, 
     updateUser 
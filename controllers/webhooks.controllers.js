@@ -0,0 +1,281 @@
+/**
+ * Webhooks Controller
+ * Partner webhook subscriptions for super admins, with their delivery log and replay
+ */
+
+import webhookService, { WEBHOOK_EVENTS } from "../services/webhooks/webhookService.js";
+import { NotFoundError } from "../utils/errors.js";
+
+const toISO = (val) => (val ? new Date(val).toISOString() : null);
+
+// The secret is shown in full only when it is created or rotated
+const mapSubscription = (subscription, { withSecret = false } = {}) => ({
+  id: Number(subscription.id),
+  name: subscription.name,
+  url: subscription.url,
+  events: subscription.events,
+  departments: subscription.departments,
+  categories: subscription.categories,
+  isActive: subscription.is_active,
+  ...(withSecret
+    ? { secret: subscription.secret }
+    : { secretHint: `${subscription.secret.slice(0, 6)}…${subscription.secret.slice(-4)}` }),
+  createdBy: subscription.created_by_admin_id,
+  createdAt: toISO(subscription.created_at),
+  updatedAt: toISO(subscription.updated_at)
+});
+
+const mapDelivery = (delivery) => ({
+  id: Number(delivery.id),
+  event: delivery.kind,
+  eventId: delivery.payload?.body?.id || null,
+  url: delivery.recipient,
+  reportId: delivery.report_id,
+  replayOf: delivery.payload?.replayOf || null,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  maxAttempts: delivery.max_attempts,
+  nextAttemptAt: ['pending', 'failed'].includes(delivery.status) ? toISO(delivery.next_attempt_at) : null,
+  lastError: delivery.last_error,
+  createdAt: toISO(delivery.created_at),
+  updatedAt: toISO(delivery.updated_at),
+  sentAt: toISO(delivery.sent_at)
+});
+
+const findSubscription = async (id) => {
+  const subscription = await webhookService.getSubscription(id);
+  if (!subscription) {
+    throw new NotFoundError('Webhook not found', 'WEBHOOK_NOT_FOUND');
+  }
+  return subscription;
+};
+
+/**
+ * Webhook subscriptions, plus the events that can be subscribed to
+ * GET /api/v1/webhooks
+ */
+export const listWebhooks = async (req, res, next) => {
+  try {
+    const subscriptions = await webhookService.listSubscriptions();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        webhooks: subscriptions.map((subscription) => mapSubscription(subscription)),
+        events: WEBHOOK_EVENTS
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing webhooks:', error);
+    next(error);
+  }
+};
+
+/**
+ * Register a webhook endpoint. The response is the only time the signing secret is shown.
+ * POST /api/v1/webhooks
+ */
+export const createWebhook = async (req, res, next) => {
+  try {
+    const { name, url, events, departments, categories } = req.body;
+
+    const subscription = await webhookService.createSubscription({
+      name,
+      url,
+      events,
+      departments,
+      categories,
+      createdBy: req.admin.id
+    });
+
+    console.log(`🪝 Webhook ${subscription.id} (${url}) created by admin ${req.admin.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now; it is not shown again.',
+      data: mapSubscription(subscription, { withSecret: true })
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating webhook:', error);
+    next(error);
+  }
+};
+
+/**
+ * One webhook subscription
+ * GET /api/v1/webhooks/:id
+ */
+export const getWebhook = async (req, res, next) => {
+  try {
+    const subscription = await findSubscription(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: mapSubscription(subscription)
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching webhook:', error);
+    next(error);
+  }
+};
+
+/**
+ * Change a webhook's endpoint, filters or active flag
+ * PATCH /api/v1/webhooks/:id
+ */
+export const updateWebhook = async (req, res, next) => {
+  try {
+    const subscription = await webhookService.updateSubscription(req.params.id, req.body);
+
+    if (!subscription) {
+      throw new NotFoundError('Webhook not found', 'WEBHOOK_NOT_FOUND');
+    }
+
+    console.log(`🪝 Webhook ${subscription.id} updated by admin ${req.admin.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook updated',
+      data: mapSubscription(subscription)
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating webhook:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a webhook and its delivery log
+ * DELETE /api/v1/webhooks/:id
+ */
+export const deleteWebhook = async (req, res, next) => {
+  try {
+    const deleted = await webhookService.deleteSubscription(req.params.id);
+
+    if (!deleted) {
+      throw new NotFoundError('Webhook not found', 'WEBHOOK_NOT_FOUND');
+    }
+
+    console.log(`🗑️ Webhook ${req.params.id} deleted by admin ${req.admin.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting webhook:', error);
+    next(error);
+  }
+};
+
+/**
+ * Replace the signing secret; deliveries still queued are signed with the new one
+ * POST /api/v1/webhooks/:id/rotate-secret
+ */
+export const rotateWebhookSecret = async (req, res, next) => {
+  try {
+    const subscription = await webhookService.rotateSecret(req.params.id);
+
+    if (!subscription) {
+      throw new NotFoundError('Webhook not found', 'WEBHOOK_NOT_FOUND');
+    }
+
+    console.log(`🔑 Webhook ${subscription.id} secret rotated by admin ${req.admin.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Secret rotated. Store the new secret now; it is not shown again.',
+      data: mapSubscription(subscription, { withSecret: true })
+    });
+
+  } catch (error) {
+    console.error('❌ Error rotating webhook secret:', error);
+    next(error);
+  }
+};
+
+/**
+ * A webhook's deliveries, newest first
+ * GET /api/v1/webhooks/:id/deliveries?status=dead&event=report.created&limit=50&offset=0
+ */
+export const listWebhookDeliveries = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status = null, event = null, limit = 50, offset = 0 } = req.query;
+
+    await findSubscription(id);
+    const { messages, total } = await webhookService.listDeliveries(id, { status, event, limit, offset });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        deliveries: messages.map(mapDelivery),
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          hasMore: (parseInt(offset) + parseInt(limit)) < total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching webhook deliveries:', error);
+    next(error);
+  }
+};
+
+/**
+ * One delivery, including the payload that was sent
+ * GET /api/v1/webhooks/:id/deliveries/:deliveryId
+ */
+export const getWebhookDelivery = async (req, res, next) => {
+  try {
+    const delivery = await webhookService.getDelivery(req.params.id, req.params.deliveryId);
+
+    if (!delivery) {
+      throw new NotFoundError('Webhook delivery not found', 'WEBHOOK_DELIVERY_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...mapDelivery(delivery), payload: delivery.payload.body }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching webhook delivery:', error);
+    next(error);
+  }
+};
+
+/**
+ * Send a delivery's payload again, as a new delivery with the same event id
+ * POST /api/v1/webhooks/:id/deliveries/:deliveryId/replay
+ */
+export const replayWebhookDelivery = async (req, res, next) => {
+  try {
+    const { id, deliveryId } = req.params;
+    const replayId = await webhookService.replayDelivery(id, deliveryId);
+
+    if (!replayId) {
+      throw new NotFoundError('Webhook delivery not found', 'WEBHOOK_DELIVERY_NOT_FOUND');
+    }
+
+    console.log(`🔁 Webhook delivery ${deliveryId} replayed as ${replayId} by admin ${req.admin.id}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued for replay',
+      data: { deliveryId: replayId, replayOf: Number(deliveryId) }
+    });
+
+  } catch (error) {
+    console.error('❌ Error replaying webhook delivery:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,24 @@
+-- Report lifecycle history: one row per status change (see services/reportLifecycle.js)
+CREATE TABLE IF NOT EXISTS report_status_history (
+    id BIGSERIAL PRIMARY KEY,
+    report_id UUID NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),                 -- NULL for the initial 'pending' entry
+    to_status VARCHAR(20) NOT NULL,
+    actor_type VARCHAR(20) NOT NULL CHECK (actor_type IN ('user', 'admin', 'system')),
+    actor_id UUID,                           -- users.id or admins.id; NULL for system
+    actor_role VARCHAR(50),
+    reason TEXT,
+    latitude DOUBLE PRECISION,
+    longitude DOUBLE PRECISION,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_status_history_report
+    ON report_status_history (report_id, created_at);
+
+-- Seed an entry for existing reports so every timeline starts with the current status
+INSERT INTO report_status_history (report_id, from_status, to_status, actor_type, reason, created_at)
+SELECT r.id, NULL, r.status, 'system', 'Imported existing status', COALESCE(r.updated_at, r.created_at)
+FROM reports r
+WHERE NOT EXISTS (SELECT 1 FROM report_status_history h WHERE h.report_id = r.id);
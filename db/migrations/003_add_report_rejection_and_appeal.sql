@@ -0,0 +1,38 @@
+-- Report rejection with reason codes, and the citizen appeal (see utils/rejectionReasons.js)
+
+-- New 'under_review' status for appealed rejections. reports.status is either a
+-- PostgreSQL enum or a VARCHAR with a CHECK constraint, depending on the install.
+DO $$
+DECLARE
+    status_type TEXT;
+BEGIN
+    SELECT udt_name INTO status_type
+    FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'status';
+
+    IF EXISTS (SELECT 1 FROM pg_type WHERE typname = status_type AND typtype = 'e') THEN
+        EXECUTE format('ALTER TYPE %I ADD VALUE IF NOT EXISTS %L', status_type, 'under_review');
+    ELSE
+        ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_status_check;
+        ALTER TABLE reports ADD CONSTRAINT reports_status_check
+            CHECK (status IN ('pending', 'assigned', 'in_progress', 'resolved', 'rejected', 'under_review'));
+    END IF;
+END $$;
+
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS rejection_reason_code VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS rejection_note TEXT,
+    ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS rejected_by_admin_id UUID REFERENCES admins(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS appeal_reason TEXT,
+    ADD COLUMN IF NOT EXISTS appealed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS appeal_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS appeal_decision VARCHAR(20)
+        CHECK (appeal_decision IN ('upheld', 'reinstated')),
+    ADD COLUMN IF NOT EXISTS appeal_decided_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS appeal_decided_by_admin_id UUID REFERENCES admins(id) ON DELETE SET NULL;
+
+-- Super admins work through open appeals oldest first
+CREATE INDEX IF NOT EXISTS idx_reports_under_review
+    ON reports (appealed_at)
+    WHERE status = 'under_review';
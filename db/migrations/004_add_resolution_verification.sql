@@ -0,0 +1,33 @@
+-- Citizen verification of resolved reports: confirm the fix, or dispute it and reopen the report
+
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS citizen_verification VARCHAR(20)
+        CHECK (citizen_verification IN ('awaiting', 'confirmed', 'disputed')),
+    ADD COLUMN IF NOT EXISTS citizen_verified_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS citizen_feedback TEXT,
+    ADD COLUMN IF NOT EXISTS citizen_rating SMALLINT CHECK (citizen_rating BETWEEN 1 AND 5),
+    ADD COLUMN IF NOT EXISTS dispute_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS reopened_at TIMESTAMPTZ;
+
+-- Reports resolved before this migration can still be verified
+UPDATE reports
+SET citizen_verification = 'awaiting'
+WHERE is_resolved = true AND citizen_verification IS NULL;
+
+-- One row per disputed fix; admin_id is the admin whose resolution was disputed
+-- and feeds their quality metrics
+CREATE TABLE IF NOT EXISTS report_disputes (
+    id BIGSERIAL PRIMARY KEY,
+    report_id UUID NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    admin_id UUID REFERENCES admins(id) ON DELETE SET NULL,
+    reason TEXT NOT NULL,
+    photos TEXT[] NOT NULL DEFAULT '{}',
+    previous_resolution_note TEXT,
+    previous_resolved_media_urls TEXT[],
+    previous_resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_disputes_report ON report_disputes (report_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_report_disputes_admin ON report_disputes (admin_id, created_at);
@@ -0,0 +1,46 @@
+-- Resolution deadlines (SLA) and escalation state; targets live in utils/slaPolicies.js
+
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS sla_target_hours INTEGER,
+    ADD COLUMN IF NOT EXISTS sla_due_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS sla_status VARCHAR(20)
+        CHECK (sla_status IN ('on_track', 'at_risk', 'breached', 'met', 'missed', 'paused')),
+    ADD COLUMN IF NOT EXISTS sla_escalation_level SMALLINT NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS sla_at_risk_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS sla_breached_at TIMESTAMPTZ;
+
+-- Escalations go out by WhatsApp as well as email when the admin has a number
+ALTER TABLE admins
+    ADD COLUMN IF NOT EXISTS phone_number VARCHAR(20);
+
+-- Open reports get a deadline from the default ('*') targets. Reports that are
+-- already overdue start out breached and escalated so the first sweep does not
+-- page everyone about the backlog.
+UPDATE reports
+SET sla_target_hours = CASE priority
+        WHEN 'critical' THEN 48
+        WHEN 'high' THEN 72
+        WHEN 'low' THEN 168
+        ELSE 120
+    END
+WHERE sla_due_at IS NULL AND status IN ('pending', 'assigned', 'in_progress');
+
+UPDATE reports
+SET sla_due_at = created_at + sla_target_hours * INTERVAL '1 hour',
+    sla_status = CASE
+        WHEN created_at + sla_target_hours * INTERVAL '1 hour' <= CURRENT_TIMESTAMP THEN 'breached'
+        ELSE 'on_track'
+    END,
+    sla_escalation_level = CASE
+        WHEN created_at + sla_target_hours * INTERVAL '1 hour' <= CURRENT_TIMESTAMP THEN 2
+        ELSE 0
+    END,
+    sla_breached_at = CASE
+        WHEN created_at + sla_target_hours * INTERVAL '1 hour' <= CURRENT_TIMESTAMP THEN CURRENT_TIMESTAMP
+    END
+WHERE sla_due_at IS NULL AND sla_target_hours IS NOT NULL;
+
+-- The sweep scans open reports by due time
+CREATE INDEX IF NOT EXISTS idx_reports_sla_open
+    ON reports (sla_due_at)
+    WHERE status IN ('pending', 'assigned', 'in_progress') AND sla_due_at IS NOT NULL;
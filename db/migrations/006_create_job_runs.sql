@@ -0,0 +1,25 @@
+-- Background job runs (services/jobs): one row per execution, kept for the admin job view
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id BIGSERIAL PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+    trigger VARCHAR(20) NOT NULL
+        CHECK (trigger IN ('schedule', 'cron', 'manual', 'retry', 'continuation')),
+    status VARCHAR(20) NOT NULL DEFAULT 'running'
+        CHECK (status IN ('running', 'succeeded', 'failed')),
+    attempt SMALLINT NOT NULL DEFAULT 1,
+    requested_by_admin_id UUID REFERENCES admins(id) ON DELETE SET NULL,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+    result JSONB,
+    error TEXT
+);
+
+-- At most one running execution per job, across all instances
+CREATE UNIQUE INDEX IF NOT EXISTS idx_job_runs_one_running
+    ON job_runs (job_name)
+    WHERE status = 'running';
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs (job_name, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_runs_failed ON job_runs (started_at DESC) WHERE status = 'failed';
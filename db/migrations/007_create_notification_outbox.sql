@@ -0,0 +1,42 @@
+-- Outbound notifications (services/notifications): every push, WhatsApp message
+-- and email is written here first and delivered by the outbox worker, which
+-- retries with backoff and dead-letters messages that keep failing
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+    id BIGSERIAL PRIMARY KEY,
+    channel VARCHAR(20) NOT NULL
+        CHECK (channel IN ('push', 'whatsapp', 'email')),
+    kind VARCHAR(50) NOT NULL,                 -- what the message is about, e.g. report_resolved
+    recipient TEXT NOT NULL,                   -- user id (push), phone number (whatsapp) or email address
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    admin_id UUID REFERENCES admins(id) ON DELETE CASCADE,
+    report_id UUID REFERENCES reports(id) ON DELETE SET NULL,
+    payload JSONB NOT NULL,
+    -- Held back until this message is sent or dead (WhatsApp photos follow their text)
+    after_id BIGINT REFERENCES notification_outbox(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'dead')),
+    attempts SMALLINT NOT NULL DEFAULT 0,
+    max_attempts SMALLINT NOT NULL DEFAULT 8,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_until TIMESTAMPTZ,
+    last_error TEXT,
+    provider_message_id TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMPTZ
+);
+
+-- Worker claim: due messages that still need delivery
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due
+    ON notification_outbox (next_attempt_at, id)
+    WHERE status IN ('pending', 'failed');
+
+-- Recovery of messages left 'sending' by an instance that died
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_sending
+    ON notification_outbox (locked_until)
+    WHERE status = 'sending';
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_status_created ON notification_outbox (status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_report ON notification_outbox (report_id) WHERE report_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_after ON notification_outbox (after_id) WHERE after_id IS NOT NULL;
@@ -0,0 +1,23 @@
+-- Citizen notification preferences (services/notifications/preferencesService.js).
+-- Users without a row get the defaults from utils/notificationPreferences.js.
+
+CREATE TABLE IF NOT EXISTS user_notification_preferences (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    push_enabled BOOLEAN NOT NULL DEFAULT true,
+    whatsapp_enabled BOOLEAN NOT NULL DEFAULT true,
+    sms_enabled BOOLEAN NOT NULL DEFAULT false,
+    email_enabled BOOLEAN NOT NULL DEFAULT false,
+    events JSONB NOT NULL DEFAULT '{}'::jsonb,    -- event -> boolean; missing events are on
+    language VARCHAR(10) NOT NULL DEFAULT 'en',
+    quiet_hours_start TIME,                       -- both NULL: no quiet hours
+    quiet_hours_end TIME,
+    timezone VARCHAR(50) NOT NULL DEFAULT 'Asia/Kolkata',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((quiet_hours_start IS NULL) = (quiet_hours_end IS NULL))
+);
+
+-- Outbox messages whose recipient opted out before delivery are cancelled
+ALTER TABLE notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_status_check;
+ALTER TABLE notification_outbox ADD CONSTRAINT notification_outbox_status_check
+    CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'dead', 'cancelled'));
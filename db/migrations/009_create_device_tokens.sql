@@ -0,0 +1,22 @@
+-- FCM registration tokens, several devices per user (services/notifications/deviceTokenService.js).
+-- Replaces users.fcm_token, which only held the most recent device.
+
+CREATE TABLE IF NOT EXISTS device_tokens (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token TEXT NOT NULL UNIQUE,                -- a token belongs to one app install, so to one user at a time
+    platform VARCHAR(20) NOT NULL DEFAULT 'unknown'
+        CHECK (platform IN ('android', 'ios', 'web', 'unknown')),
+    device_id VARCHAR(100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_tokens_user ON device_tokens (user_id);
+
+-- Carry over the single token stored on users
+INSERT INTO device_tokens (user_id, token)
+SELECT id, fcm_token
+FROM users
+WHERE fcm_token IS NOT NULL AND fcm_token <> ''
+ON CONFLICT (token) DO NOTHING;
@@ -0,0 +1,6 @@
+-- Highest upvote milestone the post author has been told about, so each
+-- milestone (utils/voteMilestones.js) is announced once even when votes are
+-- withdrawn and cast again
+
+ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS vote_milestone_notified INTEGER NOT NULL DEFAULT 0;
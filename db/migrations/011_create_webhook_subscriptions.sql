@@ -0,0 +1,31 @@
+-- Outbound webhooks (services/webhooks): partner systems subscribe to report
+-- events, optionally only for some departments and categories. Deliveries are
+-- notification_outbox rows on the 'webhook' channel, which gives them the
+-- outbox retries, dead-lettering and delivery log.
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,                      -- HMAC-SHA256 signing key, shown once
+    events TEXT[] NOT NULL,                    -- e.g. {report.created,report.resolved}
+    departments TEXT[] NOT NULL DEFAULT '{}',  -- empty: every department
+    categories TEXT[] NOT NULL DEFAULT '{}',   -- empty: every category
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by_admin_id UUID REFERENCES admins(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_active ON webhook_subscriptions (is_active);
+
+ALTER TABLE notification_outbox
+    ADD COLUMN IF NOT EXISTS webhook_id BIGINT REFERENCES webhook_subscriptions(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_webhook
+    ON notification_outbox (webhook_id, created_at DESC)
+    WHERE webhook_id IS NOT NULL;
+
+ALTER TABLE notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_channel_check;
+ALTER TABLE notification_outbox ADD CONSTRAINT notification_outbox_channel_check
+    CHECK (channel IN ('push', 'whatsapp', 'email', 'webhook'));
@@ -0,0 +1,26 @@
+-- PostGIS geography points for reports and field admin locations
+-- (services/geoQueries.js). The columns are generated from latitude and
+-- longitude, so existing writes keep them in sync; the GiST indexes serve
+-- radius, nearest-first and bounding-box lookups.
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS location geography(Point, 4326)
+        GENERATED ALWAYS AS (
+            CASE WHEN latitude IS NOT NULL AND longitude IS NOT NULL
+                 THEN ST_SetSRID(ST_MakePoint(longitude::float8, latitude::float8), 4326)::geography
+            END
+        ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_reports_location ON reports USING GIST (location);
+
+ALTER TABLE admin_locations
+    ADD COLUMN IF NOT EXISTS location geography(Point, 4326)
+        GENERATED ALWAYS AS (
+            CASE WHEN latitude IS NOT NULL AND longitude IS NOT NULL
+                 THEN ST_SetSRID(ST_MakePoint(longitude::float8, latitude::float8), 4326)::geography
+            END
+        ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_admin_locations_location ON admin_locations USING GIST (location);
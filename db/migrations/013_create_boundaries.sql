@@ -0,0 +1,35 @@
+-- Administrative boundaries (services/boundaryService.js): wards, urban local
+-- bodies and districts, uploaded as GeoJSON by super admins. Reports are placed
+-- in them by point-in-polygon lookup, and admins can be limited to one of them.
+
+CREATE TABLE IF NOT EXISTS boundaries (
+    id BIGSERIAL PRIMARY KEY,
+    level VARCHAR(20) NOT NULL CHECK (level IN ('ward', 'ulb', 'district')),
+    code VARCHAR(50) NOT NULL,                 -- e.g. the census or municipal ward code
+    name VARCHAR(200) NOT NULL,
+    parent_id BIGINT REFERENCES boundaries(id) ON DELETE SET NULL,
+    geom geometry(MultiPolygon, 4326) NOT NULL,
+    properties JSONB NOT NULL DEFAULT '{}',    -- the GeoJSON feature's other properties
+    created_by_admin_id UUID REFERENCES admins(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (level, code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_boundaries_geom ON boundaries USING GIST (geom);
+CREATE INDEX IF NOT EXISTS idx_boundaries_parent ON boundaries (parent_id);
+
+-- Where each report is, set when it is filed and when boundaries change
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS ward_id BIGINT REFERENCES boundaries(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS ulb_id BIGINT REFERENCES boundaries(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS district_id BIGINT REFERENCES boundaries(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reports_ward ON reports (ward_id);
+CREATE INDEX IF NOT EXISTS idx_reports_ulb ON reports (ulb_id);
+CREATE INDEX IF NOT EXISTS idx_reports_district ON reports (district_id);
+
+-- An admin with a jurisdiction only sees reports inside it (getAdminReports).
+-- No cascade: deleting a boundary must not widen what its admins can see.
+ALTER TABLE admins
+    ADD COLUMN IF NOT EXISTS jurisdiction_id BIGINT REFERENCES boundaries(id);
@@ -0,0 +1,47 @@
+-- Duplicate report detection, report followers and merging duplicates into a
+-- canonical report (see services/duplicateDetection.js)
+
+-- Trigram similarity of titles and descriptions
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- New 'merged' status for duplicates closed into a canonical report
+DO $$
+DECLARE
+    status_type TEXT;
+BEGIN
+    SELECT udt_name INTO status_type
+    FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'status';
+
+    IF EXISTS (SELECT 1 FROM pg_type WHERE typname = status_type AND typtype = 'e') THEN
+        EXECUTE format('ALTER TYPE %I ADD VALUE IF NOT EXISTS %L', status_type, 'merged');
+    ELSE
+        ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_status_check;
+        ALTER TABLE reports ADD CONSTRAINT reports_status_check
+            CHECK (status IN ('pending', 'assigned', 'in_progress', 'resolved', 'rejected', 'under_review', 'merged'));
+    END IF;
+END $$;
+
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS merged_into_id UUID REFERENCES reports(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS merged_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS merged_by_admin_id UUID REFERENCES admins(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reports_merged_into
+    ON reports (merged_into_id)
+    WHERE merged_into_id IS NOT NULL;
+
+-- Candidate lookup: same category, recent, then trigram similarity
+CREATE INDEX IF NOT EXISTS idx_reports_category_created
+    ON reports (category, created_at DESC);
+
+-- Citizens following a report they did not file (including reporters of merged duplicates)
+CREATE TABLE IF NOT EXISTS report_followers (
+    report_id UUID NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (report_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_followers_user
+    ON report_followers (user_id, created_at DESC);
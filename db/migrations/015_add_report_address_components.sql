@@ -0,0 +1,27 @@
+-- Structured address derived from each report's location (see services/geocoding)
+
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS address_locality VARCHAR(150),
+    ADD COLUMN IF NOT EXISTS address_ward VARCHAR(150),
+    ADD COLUMN IF NOT EXISTS address_city VARCHAR(150),
+    ADD COLUMN IF NOT EXISTS address_district VARCHAR(150),
+    ADD COLUMN IF NOT EXISTS address_state VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS address_pincode VARCHAR(6),
+    -- Providers consulted for the components above, in order
+    ADD COLUMN IF NOT EXISTS geocoded_by TEXT[],
+    ADD COLUMN IF NOT EXISTS geocoded_at TIMESTAMPTZ;
+
+-- Admin filters and groupings
+CREATE INDEX IF NOT EXISTS idx_reports_address_district_city
+    ON reports (LOWER(address_district), LOWER(address_city));
+
+CREATE INDEX IF NOT EXISTS idx_reports_address_locality
+    ON reports (LOWER(address_locality));
+
+CREATE INDEX IF NOT EXISTS idx_reports_address_pincode
+    ON reports (address_pincode);
+
+-- The report-geocoding job works through reports that still need a lookup
+CREATE INDEX IF NOT EXISTS idx_reports_geocoding_pending
+    ON reports (created_at DESC)
+    WHERE geocoded_at IS NULL AND latitude IS NOT NULL AND longitude IS NOT NULL;
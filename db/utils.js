@@ -168,25 +168,42 @@ export const query = async (text, params = []) => {
 
 /**
  * Execute multiple queries in a transaction
+ *
+ * The callback can register work to run once the transaction has committed
+ * with `client.afterCommit(fn)`, e.g. publishing domain events about rows it
+ * wrote. Those callbacks are skipped on rollback, and their errors are logged
+ * without failing the transaction.
  * @param {Function} callback - Function that receives client and executes queries
  * @returns {Promise<any>} Result from callback
  */
 export const transaction = async (callback) => {
   const pool = getPool();
   const client = await pool.connect();
-  
+  const afterCommit = [];
+  client.afterCommit = (fn) => afterCommit.push(fn);
+
+  let result;
   try {
     await client.query('BEGIN');
-    const result = await callback(client);
+    result = await callback(client);
     await client.query('COMMIT');
-    return result;
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('❌ Transaction error:', error);
     throw error;
   } finally {
+    delete client.afterCommit;
     client.release();
   }
+
+  for (const fn of afterCommit) {
+    try {
+      await fn();
+    } catch (error) {
+      console.error('❌ After-commit callback failed:', error);
+    }
+  }
+  return result;
 };
 
 /**
@@ -0,0 +1,188 @@
+import crypto from "crypto";
+import { verifyAccessToken, SUBJECT_TYPES } from "../services/tokenService.js";
+import { getActiveSession, touchSession } from "../services/sessionService.js";
+import { hasPermission } from "../utils/permissions.js";
+import { UnauthorizedError, ForbiddenError } from "../utils/errors.js";
+
+/**
+ * Authentication middleware
+ *
+ * `authenticate` runs in front of every router (see app.js). It never blocks a
+ * request that carries no token - public endpoints keep working - but when a
+ * Bearer token is present it must be valid. On success it sets:
+ *   - req.userId            for citizens
+ *   - req.admin             { id, role, department, email } for admins / field admins
+ *   - req.sessionId         the login session the token belongs to (when tracked)
+ *   - req.auth              the raw decoded token payload
+ *   - req.cron              true when the token is CRON_SECRET (Vercel Cron)
+ *
+ * Tokens tied to a session are rejected once that session is revoked. If the
+ * session store is unreachable the signature alone is trusted, which is why
+ * access tokens are short-lived.
+ *
+ * Routes that need an identity add one of the guards below. Controllers must
+ * read identity only from these fields, never from the body or query string.
+ * Failures are passed on as UnauthorizedError / ForbiddenError, so the error
+ * handler gives them the usual error shape and request id.
+ */
+
+const extractBearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+
+  return token;
+};
+
+// Vercel Cron sends `Authorization: Bearer $CRON_SECRET`
+const isCronSecret = (token) => {
+  if (!process.env.CRON_SECRET) return false;
+
+  const candidate = Buffer.from(token);
+  const secret = Buffer.from(process.env.CRON_SECRET);
+  return candidate.length === secret.length && crypto.timingSafeEqual(candidate, secret);
+};
+
+export const authenticate = async (req, res, next) => {
+  const token = extractBearerToken(req);
+  if (!token) return next();
+
+  if (isCronSecret(token)) {
+    req.cron = true;
+    return next();
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    return next(expired
+      ? new UnauthorizedError('Access token has expired', 'TOKEN_EXPIRED')
+      : new UnauthorizedError('Invalid access token', 'INVALID_TOKEN'));
+  }
+
+  if (payload.sid) {
+    const session = await getActiveSession(payload.sid);
+
+    if (session === null || (session && session.subjectId !== payload.sub)) {
+      return next(new UnauthorizedError('Session has been revoked or has expired', 'SESSION_REVOKED'));
+    }
+
+    if (session) {
+      touchSession(session, req).catch((error) => {
+        console.warn('⚠️ Failed to update session activity:', error.message);
+      });
+    }
+
+    req.sessionId = payload.sid;
+  }
+
+  req.auth = payload;
+
+  if (payload.type === SUBJECT_TYPES.ADMIN) {
+    req.admin = {
+      id: payload.sub,
+      role: payload.role,
+      department: payload.department || null,
+      email: payload.email
+    };
+  } else if (payload.type === SUBJECT_TYPES.USER) {
+    req.userId = payload.sub;
+  }
+
+  next();
+};
+
+/**
+ * Require an authenticated citizen
+ */
+export const requireUser = (req, res, next) => {
+  if (!req.userId) {
+    return next(new UnauthorizedError('User authentication required'));
+  }
+  next();
+};
+
+/**
+ * Require an authenticated admin or field admin
+ */
+export const requireAdmin = (req, res, next) => {
+  if (!req.admin) {
+    return next(new UnauthorizedError('Admin authentication required'));
+  }
+  next();
+};
+
+/**
+ * Require any authenticated caller (citizen or admin)
+ */
+export const requireAuth = (req, res, next) => {
+  if (!req.userId && !req.admin) {
+    return next(new UnauthorizedError('Authentication required'));
+  }
+  next();
+};
+
+/**
+ * Require that a citizen route param refers to the caller. Admins may access
+ * any citizen's resources.
+ * @param {string} param - Route param holding the user id
+ */
+export const requireSelfOrAdmin = (param = 'userId') => (req, res, next) => {
+  if (req.admin) return next();
+
+  if (!req.userId) {
+    return next(new UnauthorizedError('Authentication required'));
+  }
+
+  if (req.params[param] !== req.userId) {
+    return next(new ForbiddenError('You can only access your own data'));
+  }
+  next();
+};
+
+/**
+ * Require that an admin route param refers to the calling admin
+ * @param {string} param - Route param holding the admin id
+ */
+export const requireSelfAdmin = (param = 'adminId') => (req, res, next) => {
+  if (!req.admin) {
+    return next(new UnauthorizedError('Admin authentication required'));
+  }
+
+  if (req.params[param] !== req.admin.id) {
+    return next(new ForbiddenError('You can only access your own admin data'));
+  }
+  next();
+};
+
+/**
+ * Require the scheduler's CRON_SECRET (job triggers)
+ */
+export const requireCron = (req, res, next) => {
+  if (!req.cron) {
+    return next(new UnauthorizedError('Cron authentication required'));
+  }
+  next();
+};
+
+/**
+ * Require an authenticated admin whose role grants the permission
+ * (see utils/permissions.js for the role -> permission map)
+ * @param {string} permission - One of PERMISSIONS
+ */
+export const authorize = (permission) => (req, res, next) => {
+  if (!req.admin) {
+    return next(new UnauthorizedError('Admin authentication required'));
+  }
+
+  if (!hasPermission(req.admin.role, permission)) {
+    const error = new ForbiddenError();
+    error.permission = permission;
+    return next(error);
+  }
+  next();
+};
@@ -0,0 +1,74 @@
+import { hit } from "../services/rateLimiter.js";
+import { getClientIp } from "../services/sessionService.js";
+import { getRateLimitPolicy, isRateLimitEnabled } from "../utils/rateLimitPolicies.js";
+import { RateLimitError } from "../utils/errors.js";
+
+// Identity a policy counts against (see utils/rateLimitPolicies.js); null = not applicable
+const KEY_RESOLVERS = {
+  caller: (req) => {
+    if (req.userId) return `user:${req.userId}`;
+    if (req.admin?.id) return `admin:${req.admin.id}`;
+    return `ip:${getClientIp(req) || 'unknown'}`;
+  },
+  ip: (req) => `ip:${getClientIp(req) || 'unknown'}`,
+  phone: (req) => typeof req.body?.phoneNumber === 'string' && req.body.phoneNumber.trim()
+    ? `phone:${req.body.phoneNumber.trim()}`
+    : null,
+  email: (req) => typeof req.body?.email === 'string' && req.body.email.trim()
+    ? `email:${req.body.email.trim().toLowerCase()}`
+    : null
+};
+
+/**
+ * Limit how often a caller may hit a route, using a sliding window per policy
+ * key (Redis, or an in-memory window while Redis is down).
+ *
+ * Every response carries the IETF draft headers
+ * `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` (seconds) and
+ * `RateLimit-Policy` (`<limit>;w=<windowSeconds>`). Rejected requests get a 429
+ * with `Retry-After` and error code RATE_LIMITED.
+ *
+ * Place it after auth guards (so `caller` resolves to the user) and before
+ * multer, so rejected uploads are not parsed.
+ * @param {string} policyName - Key in utils/rateLimitPolicies.js
+ */
+export const rateLimit = (policyName) => {
+  // Resolve eagerly so a typo in a route file fails at startup
+  getRateLimitPolicy(policyName);
+
+  return async (req, res, next) => {
+    if (!isRateLimitEnabled()) return next();
+
+    const policy = getRateLimitPolicy(policyName);
+    const keys = policy.keyBy
+      .map((keyType) => KEY_RESOLVERS[keyType](req))
+      .filter(Boolean);
+
+    // Report the tightest window across the policy's keys
+    let tightest = null;
+    for (const key of keys) {
+      const result = await hit(`${policy.name}:${key}`, policy.limit, policy.windowSeconds);
+      if (!tightest || !result.allowed || (tightest.allowed && result.remaining < tightest.remaining)) {
+        tightest = result;
+      }
+      if (!result.allowed) break;
+    }
+
+    if (!tightest) return next();
+
+    res.set({
+      'RateLimit-Limit': String(policy.limit),
+      'RateLimit-Remaining': String(tightest.remaining),
+      'RateLimit-Reset': String(tightest.resetSeconds),
+      'RateLimit-Policy': `${policy.limit};w=${policy.windowSeconds}`
+    });
+
+    if (!tightest.allowed) {
+      console.warn(`🚦 Rate limit "${policy.name}" exceeded by ${keys.join(', ')}`);
+      res.set('Retry-After', String(tightest.resetSeconds));
+      return next(new RateLimitError(policy.message, tightest.resetSeconds));
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,20 @@
+import crypto from "crypto";
+
+// Accept a caller-supplied id (e.g. from a proxy or the mobile app) only if it looks sane
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * Tag every request with an id, exposed as `req.id` and the `X-Request-Id`
+ * response header. Error responses also carry it as `requestId`, so a client
+ * report can be matched to the server logs.
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+
+  res.set('X-Request-Id', req.id);
+  next();
+};
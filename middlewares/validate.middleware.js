@@ -0,0 +1,29 @@
+import { validateRequest } from "../utils/validation.js";
+import { ValidationError } from "../utils/errors.js";
+
+/**
+ * Validate params, query and body against a schema (see utils/validation.js)
+ * before the controller runs. Invalid requests get a 400 listing every failing
+ * field:
+ *
+ *   {
+ *     success: false,
+ *     message: 'Validation failed',
+ *     error: 'VALIDATION_FAILED',
+ *     requestId: '...',
+ *     errors: [{ field: 'latitude', location: 'body', message: 'latitude must be between -90 and 90' }]
+ *   }
+ *
+ * Place it after auth guards and after multer on multipart routes, so the body
+ * has been parsed.
+ * @param {Object} schema - { params?, query?, body? }
+ */
+export const validate = (schema) => (req, res, next) => {
+  const errors = validateRequest(schema, req);
+
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+
+  next();
+};
@@ -11,27 +11,42 @@ import {
     restoreAdmin,
     getAdminActivityLogs
 } from "../controllers/admin.controllers.js";
+import { requireAdmin, authorize } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import {
+    sendAdminOtpSchema,
+    verifyAdminOtpSchema,
+    adminLoginSchema,
+    adminIdSchema,
+    getAllAdminsSchema,
+    createAdminSchema,
+    updateAdminSchema,
+    activityLogsSchema
+} from "../validators/admin.validators.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 
 const router = express.Router();
 
 // Admin OTP routes
-router.post("/send-otp", sendAdminOTP);
-router.post("/verify-otp", verifyAdminOTP);
+router.post("/send-otp", rateLimit("adminOtp"), validate(sendAdminOtpSchema), sendAdminOTP);
+router.post("/verify-otp", validate(verifyAdminOtpSchema), verifyAdminOTP);
 
 // Admin login route (legacy - kept for backward compatibility)
-router.post("/login", adminLogin);
+router.post("/login", validate(adminLoginSchema), adminLogin);
 
 // Get admin profile by ID
-router.get("/profile/:adminId", getAdminProfile);
+router.get("/profile/:adminId", requireAdmin, validate(adminIdSchema), getAdminProfile);
 
 // Get all active admins with flexible role filtering (super_admin can filter by specific roles)
-router.post("/all", getAllAdmins);
+router.post("/all", authorize(PERMISSIONS.ADMINS_VIEW), validate(getAllAdminsSchema), getAllAdmins);
 
 // Admin management routes (Super Admin only)
-router.post("/create", createAdmin);                    // Create new admin
-router.put("/:adminId", updateAdmin);                   // Update admin details  
-router.delete("/:adminId", deleteAdmin);               // Delete (deactivate) admin
-router.put("/:adminId/restore", restoreAdmin);         // Restore deleted admin
-router.post("/activity-logs", getAdminActivityLogs);   // View admin activity logs
+const manageAdmins = authorize(PERMISSIONS.ADMINS_MANAGE);
+router.post("/create", manageAdmins, validate(createAdminSchema), createAdmin);                  // Create new admin
+router.put("/:adminId", manageAdmins, validate(updateAdminSchema), updateAdmin);                 // Update admin details
+router.delete("/:adminId", manageAdmins, validate(adminIdSchema), deleteAdmin);                  // Delete (deactivate) admin
+router.put("/:adminId/restore", manageAdmins, validate(adminIdSchema), restoreAdmin);            // Restore deleted admin
+router.post("/activity-logs", authorize(PERMISSIONS.AUDIT_READ), validate(activityLogsSchema), getAdminActivityLogs); // View admin activity logs
 
 export default router;
\ No newline at end of file
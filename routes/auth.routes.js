@@ -0,0 +1,24 @@
+import { Router } from "express";
+import {
+    refreshAccessToken,
+    getSessions,
+    revokeOneSession,
+    revokeEverySession,
+    logout
+} from "../controllers/auth.controllers.js";
+import { requireAuth } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+// Exchange a refresh token for a new token pair (citizens and admins)
+router.route('/refresh').post(refreshAccessToken);
+
+// End the current session
+router.route('/logout').post(requireAuth, logout);
+
+// Session management for the authenticated caller
+router.route('/sessions').get(requireAuth, getSessions);
+router.route('/sessions').delete(requireAuth, revokeEverySession);
+router.route('/sessions/:sessionId').delete(requireAuth, revokeOneSession);
+
+export default router;
@@ -0,0 +1,74 @@
+/**
+ * Boundary Routes
+ * Ward, ULB and district polygons for jurisdiction routing
+ */
+
+import express from 'express';
+import {
+  listBoundaries,
+  lookupBoundaries,
+  getBoundary,
+  importBoundaries,
+  updateBoundary,
+  deleteBoundary
+} from '../controllers/boundaries.controllers.js';
+import { authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import {
+  boundaryListSchema,
+  boundaryLookupSchema,
+  boundarySchema,
+  importBoundariesSchema,
+  updateBoundarySchema,
+  deleteBoundarySchema
+} from '../validators/boundaries.validators.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/boundaries
+ * @desc    Boundaries without their geometry
+ * @query   level=ward|ulb|district, parentId, search
+ * @access  Admin (reports.view)
+ */
+router.get('/', authorize(PERMISSIONS.REPORTS_VIEW), validate(boundaryListSchema), listBoundaries);
+
+/**
+ * @route   GET /api/v1/boundaries/lookup
+ * @desc    The ward, ULB and district containing a point
+ * @query   latitude, longitude
+ * @access  Admin (reports.view)
+ */
+router.get('/lookup', authorize(PERMISSIONS.REPORTS_VIEW), validate(boundaryLookupSchema), lookupBoundaries);
+
+/**
+ * @route   POST /api/v1/boundaries/import
+ * @desc    Create or redraw boundaries from GeoJSON (matched on level and code) and re-place affected reports
+ * @body    level, geojson (FeatureCollection, Feature or Polygon/MultiPolygon), parentId, codeProperty, nameProperty, code, name
+ * @access  Super admin (boundaries.manage)
+ */
+router.post('/import', authorize(PERMISSIONS.BOUNDARIES_MANAGE), validate(importBoundariesSchema), importBoundaries);
+
+/**
+ * @route   GET /api/v1/boundaries/:id
+ * @desc    One boundary; ?geometry=true adds the polygon as GeoJSON
+ * @access  Admin (reports.view)
+ */
+router.get('/:id', authorize(PERMISSIONS.REPORTS_VIEW), validate(boundarySchema), getBoundary);
+
+/**
+ * @route   PATCH /api/v1/boundaries/:id
+ * @desc    Rename a boundary or change its parent
+ * @access  Super admin (boundaries.manage)
+ */
+router.patch('/:id', authorize(PERMISSIONS.BOUNDARIES_MANAGE), validate(updateBoundarySchema), updateBoundary);
+
+/**
+ * @route   DELETE /api/v1/boundaries/:id
+ * @desc    Delete a boundary that no admin is limited to
+ * @access  Super admin (boundaries.manage)
+ */
+router.delete('/:id', authorize(PERMISSIONS.BOUNDARIES_MANAGE), validate(deleteBoundarySchema), deleteBoundary);
+
+export default router;
@@ -12,27 +12,44 @@ import {
     getTeamLocations
 } from '../controllers/fieldAdmin.controllers.js';
 import { upload } from '../middlewares/multer.middleware.js';
+import { requireAdmin, requireSelfAdmin, authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { rateLimit } from '../middlewares/rateLimit.middleware.js';
+import {
+    assignedReportsSchema,
+    adminIdSchema,
+    reportIdSchema,
+    workUpdateSchema,
+    completeReportSchema,
+    updateLocationSchema,
+    teamLocationsSchema
+} from '../validators/fieldAdmin.validators.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 
 const router = Router();
 
+// Every field admin route requires an authenticated admin
+router.use(requireAdmin);
+
 // Report management routes
-router.get('/reports/:adminId', getAssignedReports);
-router.get('/reports/:reportId/details', getReportDetails);
-router.get('/reports/:adminId/today', getTodayReports);
+router.get('/reports/:adminId', requireSelfAdmin('adminId'), validate(assignedReportsSchema), getAssignedReports);
+router.get('/reports/:reportId/details', authorize(PERMISSIONS.REPORTS_VIEW), validate(reportIdSchema), getReportDetails);
+router.get('/reports/:adminId/today', requireSelfAdmin('adminId'), validate(adminIdSchema), getTodayReports);
 
 // Work status routes
-router.post('/reports/:reportId/start', startWork);
-router.post('/reports/:reportId/update', upload.array('photos', 5), addProgressUpdate);
-router.post('/reports/:reportId/complete', upload.array('resolvedPhotos', 5), completeReport);
+const doWork = authorize(PERMISSIONS.REPORTS_WORK);
+router.post('/reports/:reportId/start', doWork, validate(workUpdateSchema), startWork);
+router.post('/reports/:reportId/update', doWork, upload.array('photos', 5), validate(workUpdateSchema), addProgressUpdate);
+router.post('/reports/:reportId/complete', doWork, upload.array('resolvedPhotos', 5), validate(completeReportSchema), completeReport);
 
 // Dashboard routes
-router.get('/dashboard/:adminId', getDashboardStats);
+router.get('/dashboard/:adminId', requireSelfAdmin('adminId'), validate(adminIdSchema), getDashboardStats);
 
 // Media upload
-router.post('/upload-work-photo', upload.single('mediaFile'), uploadWorkPhoto);
+router.post('/upload-work-photo', authorize(PERMISSIONS.REPORTS_WORK), rateLimit('mediaUpload'), upload.single('mediaFile'), uploadWorkPhoto);
 
 // Location tracking routes
-router.post('/location/update', updateAdminLocation);
-router.get('/team-locations', getTeamLocations);
+router.post('/location/update', validate(updateLocationSchema), updateAdminLocation);
+router.get('/team-locations', authorize(PERMISSIONS.TEAM_VIEW), validate(teamLocationsSchema), getTeamLocations);
 
 export default router;
@@ -0,0 +1,49 @@
+/**
+ * Background Job Routes
+ * Scheduler trigger for Vercel Cron, and job monitoring for super admins
+ */
+
+import express from 'express';
+import {
+  runCronTick,
+  listJobs,
+  getJobRuns,
+  runJobNow
+} from '../controllers/jobs.controllers.js';
+import { authorize, requireCron } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { jobRunsSchema, runJobSchema } from '../validators/jobs.validators.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/jobs/cron
+ * @desc    Scheduler tick: enqueue due jobs and work the queue (Vercel Cron)
+ * @access  Authorization: Bearer $CRON_SECRET
+ */
+router.get('/cron', requireCron, runCronTick);
+
+/**
+ * @route   GET /api/v1/jobs
+ * @desc    Registered jobs with schedule, last outcome and recent failures
+ * @access  Admin (jobs.view)
+ */
+router.get('/', authorize(PERMISSIONS.JOBS_VIEW), listJobs);
+
+/**
+ * @route   GET /api/v1/jobs/runs
+ * @desc    Job run history, newest first
+ * @query   jobName, status=running|succeeded|failed, limit, offset
+ * @access  Admin (jobs.view)
+ */
+router.get('/runs', authorize(PERMISSIONS.JOBS_VIEW), validate(jobRunsSchema), getJobRuns);
+
+/**
+ * @route   POST /api/v1/jobs/:jobName/run
+ * @desc    Run a job now (queued when Redis is available)
+ * @access  Admin (jobs.run)
+ */
+router.post('/:jobName/run', authorize(PERMISSIONS.JOBS_RUN), validate(runJobSchema), runJobNow);
+
+export default router;
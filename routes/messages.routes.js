@@ -1,15 +1,20 @@
 import express from 'express';
 import { sendMessage, getMessages, deleteMessages } from '../controllers/messages.controller.js';
+import { requireUser } from '../middlewares/auth.middleware.js';
+import { rateLimit } from '../middlewares/rateLimit.middleware.js';
 
 const router = express.Router();
 
+// Chat history is private to the authenticated user
+router.use(requireUser);
+
 // POST /api/v1/messages - Send message and get AI response
-router.post('/', sendMessage);
+router.post('/', rateLimit('aiChat'), sendMessage);
 
-// GET /api/v1/messages?userId=xxx - Get chat history
+// GET /api/v1/messages - Get chat history
 router.get('/', getMessages);
 
-// DELETE /api/v1/messages?userId=xxx - Delete all messages for user
+// DELETE /api/v1/messages - Delete all messages for user
 router.delete('/', deleteMessages);
 
 export default router;
\ No newline at end of file
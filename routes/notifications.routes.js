@@ -1,229 +1,168 @@
-// Backend API endpoints for FCM token management and notifications
-// Add these to your existing backend routes
+/**
+ * Notification Routes
+ * Device token registry for push, admin-triggered pushes, the notification outbox
+ * and message template previews
+ */
 
-import admin from 'firebase-admin';
 import express from 'express';
-import { query } from '../db/utils.js';
+import { requireUser, authorize } from '../middlewares/auth.middleware.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { ValidationError } from '../utils/errors.js';
+import { notifyCitizen } from '../services/notifications/citizenNotifications.js';
+import { DEVICE_PLATFORMS } from '../services/notifications/deviceTokenService.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import {
+  registerDeviceSchema,
+  unregisterDeviceSchema,
+  outboxListSchema,
+  outboxMessageSchema,
+  templatePreviewSchema
+} from '../validators/notifications.validators.js';
+import {
+  registerDevice,
+  unregisterDevice,
+  listDevices,
+  listOutbox,
+  getOutboxMessage,
+  retryOutboxMessage,
+  listTemplates,
+  previewTemplate
+} from '../controllers/notifications.controllers.js';
 
 const router = express.Router();
 
-// Initialize Firebase Admin SDK (do this once in your main server file)
-// const serviceAccount = require('./path/to/your/firebase-service-account-key.json');
-// admin.initializeApp({
-//   credential: admin.credential.cert(serviceAccount)
-// });
-
-// Store FCM token (for new installations)
-router.post('/users/fcm-token', async (req, res) => {
-  try {
-    const { fcmToken, platform } = req.body;
-
-    if (!fcmToken) {
-      return res.status(400).json({
-        success: false,
-        message: 'FCM token is required'
-      });
-    }
-
-    // For anonymous token storage, we could create a temporary tokens table
-    // For now, we'll just log it as tokens should be associated with users
-    console.log('FCM Token received (anonymous):', fcmToken);
-
-    res.json({
-      success: true,
-      message: 'FCM token received successfully'
-    });
-  } catch (error) {
-    console.error('Error saving FCM token:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to save FCM token'
-    });
-  }
-});
-
-// Update FCM token for a specific user
-router.put('/users/update-fcm-token', async (req, res) => {
-  try {
-    const { userId, fcmToken, platform } = req.body;
-
-    if (!userId || !fcmToken) {
-      return res.status(400).json({
-        success: false,
-        message: 'User ID and FCM token are required'
-      });
-    }
-
-    // Update the token in database
-    const updateQuery = `
-      UPDATE users 
-      SET fcm_token = $2, fcm_platform = $3, fcm_updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-    `;
-    
-    const result = await query(updateQuery, [userId, fcmToken, platform || 'unknown']);
-
-    console.log(`FCM Token updated for user ${userId}`);
-
-    res.json({
-      success: true,
-      message: 'FCM token updated successfully'
-    });
-  } catch (error) {
-    console.error('Error updating FCM token:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update FCM token'
-    });
-  }
-});
-
-// Send notification when report is resolved
-router.post('/notifications/report-resolved', async (req, res) => {
+/**
+ * @route   POST /api/v1/notifications/device-tokens
+ * @desc    Register this device's FCM token (several devices per user)
+ * @body    token, platform=android|ios|web|unknown, deviceId
+ * @access  User
+ */
+router.post('/device-tokens', requireUser, validate(registerDeviceSchema), registerDevice);
+
+/**
+ * @route   DELETE /api/v1/notifications/device-tokens
+ * @desc    Unregister this device's FCM token (sign-out)
+ * @body    token
+ * @access  User
+ */
+router.delete('/device-tokens', requireUser, validate(unregisterDeviceSchema), unregisterDevice);
+
+/**
+ * @route   GET /api/v1/notifications/device-tokens
+ * @desc    Devices registered for the logged-in user
+ * @access  User
+ */
+router.get('/device-tokens', requireUser, listDevices);
+
+// Older app builds send { fcmToken, platform } here; both now register the device
+const fromLegacyTokenBody = (req, res, next) => {
+  const { fcmToken, platform } = req.body || {};
+  req.body = {
+    token: fcmToken,
+    platform: DEVICE_PLATFORMS.includes(platform) ? platform : 'unknown'
+  };
+  next();
+};
+
+router.post('/users/fcm-token', requireUser, fromLegacyTokenBody, validate(registerDeviceSchema), registerDevice);
+router.put('/users/update-fcm-token', requireUser, fromLegacyTokenBody, validate(registerDeviceSchema), registerDevice);
+
+// Queue a "report resolved" push for a user (follows their notification preferences)
+router.post('/notifications/report-resolved', authorize(PERMISSIONS.NOTIFICATIONS_SEND), async (req, res, next) => {
   try {
     const { userId, reportId, reportTitle } = req.body;
 
     if (!userId || !reportId) {
-      return res.status(400).json({
-        success: false,
-        message: 'User ID and Report ID are required'
-      });
+      throw new ValidationError('User ID and Report ID are required');
     }
 
-    // Get user's FCM token from database
-    // const userFCMToken = await getUserFCMToken(userId);
-
-    // For demo purposes, using a placeholder token
-    const userFCMToken = 'user-fcm-token-from-database';
-
-    if (!userFCMToken) {
-      return res.status(404).json({
-        success: false,
-        message: 'User FCM token not found'
-      });
-    }
-
-    // Prepare notification payload
-    const notificationPayload = {
-      token: userFCMToken,
-      notification: {
-        title: '🎉 Report Resolved!',
-        body: `Your report "${reportTitle || 'Community Issue'}" has been resolved by our team.`,
-      },
-      data: {
-        type: 'report_resolved',
-        reportId: reportId.toString(),
-        userId: userId.toString(),
-      },
-      android: {
-        notification: {
-          icon: 'ic_notification',
-          color: '#FF6B35',
-          sound: 'default',
-        },
-      },
-      apns: {
-        payload: {
-          aps: {
-            sound: 'default',
-          },
-        },
-      },
-    };
-
-    // Send notification using Firebase Admin SDK
-    const response = await admin.messaging().send(notificationPayload);
-    console.log('Notification sent successfully:', response);
+    const queued = await notifyCitizen(userId, {
+      kind: 'report_resolved',
+      reportId,
+      variables: { title: reportTitle || 'Community Issue' }
+    });
 
     res.json({
       success: true,
-      message: 'Notification sent successfully',
-      messageId: response
+      message: queued.length > 0
+        ? 'Notification queued for delivery'
+        : 'User has turned off this notification',
+      data: { queued: queued.length, outboxIds: queued }
     });
   } catch (error) {
-    console.error('Error sending notification:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to send notification',
-      error: error.message
-    });
+    console.error('Error queuing notification:', error);
+    next(error);
   }
 });
 
-// Send bulk notifications (for multiple users)
-router.post('/notifications/bulk', async (req, res) => {
+// Queue a push to several users (each user's preferences apply)
+router.post('/notifications/bulk', authorize(PERMISSIONS.NOTIFICATIONS_SEND), async (req, res, next) => {
   try {
     const { userIds, title, body, data } = req.body;
 
     if (!userIds || !Array.isArray(userIds) || userIds.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'User IDs array is required'
-      });
+      throw new ValidationError('User IDs array is required');
     }
 
-    // Get FCM tokens for all users
-    // const fcmTokens = await getFCMTokensForUsers(userIds);
-
-    // For demo purposes, using placeholder tokens
-    const fcmTokens = ['token1', 'token2', 'token3'];
-
-    if (fcmTokens.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'No FCM tokens found for the provided users'
+    let queued = 0;
+    for (const userId of userIds) {
+      const ids = await notifyCitizen(userId, {
+        kind: data?.type || 'announcement',
+        template: 'announcement',
+        variables: {
+          title: title || 'JanSetu Notification',
+          body: body || 'You have a new update'
+        }
       });
+      queued += ids.length;
     }
 
-    const message = {
-      notification: {
-        title: title || 'JanSetu Notification',
-        body: body || 'You have a new update',
-      },
-      data: data || {},
-      tokens: fcmTokens,
-    };
-
-    const response = await admin.messaging().sendEachForMulticast(message);
-    console.log('Bulk notification sent:', response);
-
     res.json({
       success: true,
-      message: 'Bulk notification sent successfully',
-      successCount: response.successCount,
-      failureCount: response.failureCount
+      message: 'Bulk notification queued for delivery',
+      data: { queued, skipped: userIds.length - queued }
     });
   } catch (error) {
-    console.error('Error sending bulk notification:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to send bulk notification',
-      error: error.message
-    });
+    console.error('Error queuing bulk notification:', error);
+    next(error);
   }
 });
 
-export default router;
+/**
+ * @route   GET /api/v1/notifications/outbox
+ * @desc    Outbound notifications with delivery status, plus per-channel counts
+ * @query   status=pending|sending|sent|failed|dead|cancelled, channel=push|whatsapp|email|webhook, kind, reportId, userId, limit, offset
+ * @access  Admin (notifications.view)
+ */
+router.get('/outbox', authorize(PERMISSIONS.NOTIFICATIONS_VIEW), validate(outboxListSchema), listOutbox);
+
+/**
+ * @route   GET /api/v1/notifications/outbox/:id
+ * @desc    One outbound notification
+ * @access  Admin (notifications.view)
+ */
+router.get('/outbox/:id', authorize(PERMISSIONS.NOTIFICATIONS_VIEW), validate(outboxMessageSchema), getOutboxMessage);
+
+/**
+ * @route   POST /api/v1/notifications/outbox/:id/retry
+ * @desc    Requeue a failed or dead-lettered notification
+ * @access  Admin (notifications.send)
+ */
+router.post('/outbox/:id/retry', authorize(PERMISSIONS.NOTIFICATIONS_SEND), validate(outboxMessageSchema), retryOutboxMessage);
+
+/**
+ * @route   GET /api/v1/notifications/templates
+ * @desc    Message templates with their channels, translated locales and variables
+ * @access  Admin (notifications.view)
+ */
+router.get('/templates', authorize(PERMISSIONS.NOTIFICATIONS_VIEW), listTemplates);
+
+/**
+ * @route   POST /api/v1/notifications/templates/:template/preview
+ * @desc    Render a template; variables not given use the template's examples
+ * @body    locale=en|hi|sat, channel=push|whatsapp|sms|email, variables
+ * @access  Admin (notifications.view)
+ */
+router.post('/templates/:template/preview', authorize(PERMISSIONS.NOTIFICATIONS_VIEW), validate(templatePreviewSchema), previewTemplate);
 
-// Database helper functions (you need to implement these based on your database)
-/*
-async function storeFCMToken(fcmToken, platform) {
-  // Store token in your database
-  // Implementation depends on your database (MySQL, MongoDB, etc.)
-}
-
-async function updateUserFCMToken(userId, fcmToken, platform) {
-  // Update user's FCM token in database
-  // Implementation depends on your database
-}
-
-async function getUserFCMToken(userId) {
-  // Get user's FCM token from database
-  // Return the token or null if not found
-}
-
-async function getFCMTokensForUsers(userIds) {
-  // Get FCM tokens for multiple users
-  // Return array of tokens
-}
-*/
\ No newline at end of file
+export default router;
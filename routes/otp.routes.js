@@ -1,21 +1,22 @@
 import { Router } from "express";
-import { sendOTPController, verifyOTPController, sendTestOTPController, getStoredOTPsController, verifyPhoneEmailController } from "../controllers/otp.controllers.js";
+import { sendOTPController, verifyOTPController, getOtpOutboxController, verifyPhoneEmailController } from "../controllers/otp.controllers.js";
+import { isOtpTestMode } from "../services/otp/testMode.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
 
 const router = Router();
 
-// Send OTP to any phone number (Twilio method)
-router.post("/send", sendOTPController);
+// Send OTP to any phone number (SMS, falling back to WhatsApp)
+router.post("/send", rateLimit("otpSend"), sendOTPController);
 
-// Verify OTP (Twilio method)
+// Verify OTP
 router.post("/verify", verifyOTPController);
 
 // Verify phone.email JWT (Free method - alternative to Twilio)
 router.post("/verify-phone-email", verifyPhoneEmailController);
 
-// Send test OTP to your verified number (for testing)
-router.post("/send-test", sendTestOTPController);
+// QA outbox for allow-listed test numbers - only exists in OTP test mode, never in production
+if (isOtpTestMode()) {
+  router.get("/test/outbox", getOtpOutboxController);
+}
 
-// Debug endpoint to see stored OTPs
-router.get("/debug", getStoredOTPsController);
-
-export default router;
\ No newline at end of file
+export default router;
@@ -11,45 +11,54 @@ import {
   getPriorityStats,
   getReportsNeedingUpdate
 } from '../controllers/priority.controllers.js';
+import { authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import {
+  reportIdSchema,
+  batchRecalculateSchema,
+  priorityStatsSchema,
+  needsUpdateSchema
+} from '../validators/priority.validators.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 
 const router = express.Router();
 
 /**
  * @route   GET /api/priority/recalculate/:reportId
  * @desc    Manually recalculate and update priority for a single report
- * @access  Admin/Field Admin
+ * @access  Admin (priority.manage)
  */
-router.get('/recalculate/:reportId', recalculateSinglePriority);
+router.get('/recalculate/:reportId', authorize(PERMISSIONS.PRIORITY_MANAGE), validate(reportIdSchema), recalculateSinglePriority);
 
 /**
  * @route   GET /api/priority/calculate/:reportId
  * @desc    Calculate priority without saving (preview)
  * @access  Admin/Field Admin/Public
  */
-router.get('/calculate/:reportId', calculatePriorityPreview);
+router.get('/calculate/:reportId', validate(reportIdSchema), calculatePriorityPreview);
 
 /**
  * @route   POST /api/priority/recalculate-batch
  * @desc    Batch recalculate priorities for multiple reports
  * @body    { reportIds?: number[], onlyUnresolved?: boolean }
- * @access  Admin
+ * @access  Admin (priority.manage)
  */
-router.post('/recalculate-batch', recalculateBatchPriorities);
+router.post('/recalculate-batch', authorize(PERMISSIONS.PRIORITY_MANAGE), validate(batchRecalculateSchema), recalculateBatchPriorities);
 
 /**
  * @route   GET /api/priority/stats
  * @desc    Get priority distribution statistics
  * @query   onlyUnresolved=true|false
- * @access  Admin/Field Admin
+ * @access  Admin/Field Admin (reports.view)
  */
-router.get('/stats', getPriorityStats);
+router.get('/stats', authorize(PERMISSIONS.REPORTS_VIEW), validate(priorityStatsSchema), getPriorityStats);
 
 /**
  * @route   GET /api/priority/needs-update
  * @desc    Get reports that need priority recalculation
  * @query   days=7, limit=50
- * @access  Admin/Field Admin
+ * @access  Admin/Field Admin (reports.view)
  */
-router.get('/needs-update', getReportsNeedingUpdate);
+router.get('/needs-update', authorize(PERMISSIONS.REPORTS_VIEW), validate(needsUpdateSchema), getReportsNeedingUpdate);
 
 export default router;
@@ -13,44 +13,124 @@ import {
     uploadSingleMedia,
     getAdminReports,
     assignReport,
-    getDeletionAuditLogs
+    getReportTimeline,
+    getRejectionReasonsList,
+    getSlaPolicyList,
+    rejectReport,
+    appealReport,
+    decideAppeal,
+    confirmResolution,
+    disputeReport,
+    getDeletionAuditLogs,
+    checkDuplicates,
+    followReport,
+    unfollowReport,
+    getReportDuplicates,
+    mergeDuplicateReports,
+    getReportClusters,
+    getReportHeatmap,
+    getReportAddressSummary
 } from '../controllers/reports.controller.js';
 import { upload } from '../middlewares/multer.middleware.js';
+import {
+    requireUser,
+    requireAuth,
+    requireSelfOrAdmin,
+    requireSelfAdmin,
+    authorize
+} from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { rateLimit } from '../middlewares/rateLimit.middleware.js';
+import {
+    createReportSchema,
+    updateReportSchema,
+    reportIdSchema,
+    resolveReportSchema,
+    deleteReportSchema,
+    userReportsSchema,
+    userReportStatsSchema,
+    adminReportsSchema,
+    nearbyReportsSchema,
+    assignReportSchema,
+    rejectReportSchema,
+    appealReportSchema,
+    appealDecisionSchema,
+    confirmResolutionSchema,
+    disputeReportSchema,
+    deletionAuditLogsSchema,
+    duplicateCheckSchema,
+    mergeReportsSchema,
+    hotspotsSchema,
+    addressSummarySchema
+} from '../validators/reports.validators.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 
 const router = Router();
 
 // Media upload routes
 router.route('/upload-media').post(
+    requireUser,
+    rateLimit('mediaUpload'),
     upload.fields([
         { name: 'mediaFiles', maxCount: 10 },
         { name: 'audioFile', maxCount: 1 }
     ]), 
     uploadReportMedia
 );
-router.route('/upload-single-media').post(upload.single('mediaFile'), uploadSingleMedia);
+router.route('/upload-single-media').post(requireUser, rateLimit('mediaUpload'), upload.single('mediaFile'), uploadSingleMedia);
 
 // Report CRUD operations
-router.route('/create').post(createReport);
-router.route('/user/:userId').get(getUserReports);
-router.route('/admin/:adminId').get(getAdminReports);
-router.route('/nearby').get(getNearbyReports);
+router.route('/create').post(requireUser, rateLimit('reportCreate'), validate(createReportSchema), createReport);
+router.route('/user/:userId').get(requireSelfOrAdmin('userId'), validate(userReportsSchema), getUserReports);
+router.route('/admin/:adminId').get(requireSelfAdmin('adminId'), validate(adminReportsSchema), getAdminReports);
+router.route('/nearby').get(validate(nearbyReportsSchema), getNearbyReports);
 router.route('/community-stats').get(getCommunityStats);
-router.route('/audit-logs').get(getDeletionAuditLogs);  // Super Admin only
+router.route('/rejection-reasons').get(getRejectionReasonsList);
+router.route('/sla-policies').get(authorize(PERMISSIONS.REPORTS_VIEW), getSlaPolicyList);
+router.route('/heatmap').get(authorize(PERMISSIONS.REPORTS_VIEW), validate(hotspotsSchema), getReportHeatmap);      // Admin dashboard map
+router.route('/clusters').get(authorize(PERMISSIONS.REPORTS_VIEW), validate(hotspotsSchema), getReportClusters);
+router.route('/address-summary').get(authorize(PERMISSIONS.REPORTS_VIEW), validate(addressSummarySchema), getReportAddressSummary);
+router.route('/audit-logs').get(authorize(PERMISSIONS.AUDIT_READ), validate(deletionAuditLogsSchema), getDeletionAuditLogs);
+router.route('/duplicates/check').post(requireUser, validate(duplicateCheckSchema), checkDuplicates);   // Before filing
 
-router.route('/:reportId').get(getReportById);
-router.route('/:reportId').put(updateReport);              //TODO: Restrict to report owner or admin
-router.route('/:reportId').delete(deleteReport); 
-router.route('/user/:userId/stats').get(getUserReportsStats);   
+router.route('/:reportId').get(requireAuth, validate(reportIdSchema), getReportById);
+router.route('/:reportId').put(requireAuth, validate(updateReportSchema), updateReport);              // Report owner or admin
+router.route('/:reportId').delete(requireAuth, validate(deleteReportSchema), deleteReport); 
+router.route('/:reportId/timeline').get(requireAuth, validate(reportIdSchema), getReportTimeline);      // Reporter or admin
+router.route('/user/:userId/stats').get(requireSelfOrAdmin('userId'), validate(userReportStatsSchema), getUserReportsStats);   
 
 // Special operations
 router.route('/:reportId/resolve').post(
+    authorize(PERMISSIONS.REPORTS_RESOLVE),
     upload.fields([
         { name: 'resolvedPhotos', maxCount: 2 }
     ]),
+    validate(resolveReportSchema),
     resolveReport
 );   // Admin only - allows photo uploads
 
 // Assign report to field admin
-router.route('/:reportId/assign').post(assignReport);
+router.route('/:reportId/assign').post(authorize(PERMISSIONS.REPORTS_ASSIGN), validate(assignReportSchema), assignReport);
+
+// Rejection and citizen appeal
+router.route('/:reportId/reject').post(authorize(PERMISSIONS.REPORTS_UPDATE), validate(rejectReportSchema), rejectReport);
+router.route('/:reportId/appeal').post(requireUser, validate(appealReportSchema), appealReport);
+router.route('/:reportId/appeal/decision').post(authorize(PERMISSIONS.REPORTS_REVIEW_APPEALS), validate(appealDecisionSchema), decideAppeal);
+
+// Citizen verification of a resolved report
+router.route('/:reportId/confirm').post(requireUser, validate(confirmResolutionSchema), confirmResolution);
+router.route('/:reportId/dispute').post(
+    requireUser,
+    rateLimit('mediaUpload'),
+    upload.array('photos', 5),
+    validate(disputeReportSchema),
+    disputeReport
+);
+
+// Duplicates: citizens follow an existing report; admins merge duplicates into a canonical report
+router.route('/:reportId/follow').post(requireUser, validate(reportIdSchema), followReport);
+router.route('/:reportId/follow').delete(requireUser, validate(reportIdSchema), unfollowReport);
+router.route('/:reportId/duplicates').get(authorize(PERMISSIONS.REPORTS_VIEW), validate(reportIdSchema), getReportDuplicates);
+router.route('/:reportId/merge').post(authorize(PERMISSIONS.REPORTS_MERGE), validate(mergeReportsSchema), mergeDuplicateReports);
 
 export default router;
\ No newline at end of file
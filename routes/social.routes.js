@@ -9,23 +9,36 @@ import {
     trackPostView,
     getReportSocialStats
 } from '../controllers/social.controllers.js';
+import { requireUser } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { rateLimit } from '../middlewares/rateLimit.middleware.js';
+import {
+    createSocialPostSchema,
+    socialPostsSchema,
+    postIdSchema,
+    voteOnPostSchema,
+    addCommentSchema,
+    postCommentsSchema,
+    socialStatsSchema,
+    reportSocialStatsSchema
+} from '../validators/social.validators.js';
 
 const router = Router();
 
 // Social Post Routes
-router.route('/posts').post(createSocialPost);
-router.route('/posts').get(getSocialPosts);
-router.route('/posts/:postId/view').post(trackPostView);
+router.route('/posts').post(requireUser, validate(createSocialPostSchema), createSocialPost);
+router.route('/posts').get(validate(socialPostsSchema), getSocialPosts);
+router.route('/posts/:postId/view').post(validate(postIdSchema), trackPostView);
 
 // Voting Routes
-router.route('/posts/:postId/vote').post(voteOnPost);
+router.route('/posts/:postId/vote').post(requireUser, rateLimit('vote'), validate(voteOnPostSchema), voteOnPost);
 
 // Comments Routes
-router.route('/posts/:postId/comments').post(addComment);
-router.route('/posts/:postId/comments').get(getPostComments);
+router.route('/posts/:postId/comments').post(requireUser, rateLimit('comment'), validate(addCommentSchema), addComment);
+router.route('/posts/:postId/comments').get(validate(postCommentsSchema), getPostComments);
 
 // Statistics Routes
-router.route('/stats/:userId').get(getSocialStats);
-router.route('/reports/:reportId/stats').get(getReportSocialStats);
+router.route('/stats/:userId').get(validate(socialStatsSchema), getSocialStats);
+router.route('/reports/:reportId/stats').get(validate(reportSocialStatsSchema), getReportSocialStats);
 
 export default router;
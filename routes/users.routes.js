@@ -8,24 +8,39 @@ import {
     registerUser, 
     loginUser, 
     updateUser,
-    deleteUser
+    deleteUser,
+    getNotificationPreferences,
+    updateNotificationPreferences
 } from '../controllers/users.controllers.js';
 import { upload } from '../middlewares/multer.middleware.js';
+import { requireUser, requireAuth, requireSelfOrAdmin } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { rateLimit } from '../middlewares/rateLimit.middleware.js';
+import {
+    createOrLoginUserSchema,
+    updateProfileSchema,
+    userIdSchema,
+    userByPhoneSchema,
+    notificationPreferencesSchema
+} from '../validators/users.validators.js';
 
 const router = Router();
 
 // New endpoints for database-first approach
-router.route('/create-or-login').post(createOrLoginUser);
-router.route('/update-profile').put(updateUserProfile);
-router.route('/user/:id').get(getUserById);
-router.route('/phone/:phoneNumber').get(getUserByPhone);
-router.route('/upload-profile-image').post(upload.single('profileImage'), uploadProfileImage);
-router.route('/delete').delete(deleteUser);
+router.route('/create-or-login').post(requireUser, validate(createOrLoginUserSchema), createOrLoginUser);
+router.route('/update-profile').put(requireUser, validate(updateProfileSchema), updateUserProfile);
+router.route('/user/:id').get(requireSelfOrAdmin('id'), validate(userIdSchema), getUserById);
+router.route('/phone/:phoneNumber').get(requireAuth, validate(userByPhoneSchema), getUserByPhone);
+router.route('/upload-profile-image').post(requireUser, rateLimit('mediaUpload'), upload.single('profileImage'), uploadProfileImage);
+router.route('/delete').delete(requireUser, deleteUser);
+router.route('/notification-preferences')
+    .get(requireUser, getNotificationPreferences)
+    .put(requireUser, validate(notificationPreferencesSchema), updateNotificationPreferences);
 
 // Legacy endpoints (deprecated but kept for compatibility)
 router.route('/registerUser').post(registerUser);
 router.route('/loginUser/:id').get(loginUser);
 router.route('/updateUser/:id').put(updateUser);
-router.route('/delete/:id').delete(deleteUser);
+router.route('/delete/:id').delete(requireUser, requireSelfOrAdmin('id'), validate(userIdSchema), deleteUser);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * Webhook Routes
+ * Outbound webhook subscriptions for municipal and partner systems (super admins)
+ */
+
+import express from 'express';
+import {
+  listWebhooks,
+  createWebhook,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery
+} from '../controllers/webhooks.controllers.js';
+import { authorize } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import {
+  createWebhookSchema,
+  updateWebhookSchema,
+  webhookSchema,
+  deliveryListSchema,
+  deliverySchema
+} from '../validators/webhooks.validators.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+const router = express.Router();
+
+router.use(authorize(PERMISSIONS.WEBHOOKS_MANAGE));
+
+/**
+ * @route   GET /api/v1/webhooks
+ * @desc    Webhook subscriptions and the events they can subscribe to
+ * @access  Super admin (webhooks.manage)
+ */
+router.get('/', listWebhooks);
+
+/**
+ * @route   POST /api/v1/webhooks
+ * @desc    Register an endpoint for report events; returns its signing secret once
+ * @body    name, url, events[], departments[], categories[]
+ * @access  Super admin (webhooks.manage)
+ */
+router.post('/', validate(createWebhookSchema), createWebhook);
+
+/**
+ * @route   GET /api/v1/webhooks/:id
+ * @desc    One webhook subscription
+ * @access  Super admin (webhooks.manage)
+ */
+router.get('/:id', validate(webhookSchema), getWebhook);
+
+/**
+ * @route   PATCH /api/v1/webhooks/:id
+ * @desc    Change a webhook's endpoint, events, filters or active flag
+ * @access  Super admin (webhooks.manage)
+ */
+router.patch('/:id', validate(updateWebhookSchema), updateWebhook);
+
+/**
+ * @route   DELETE /api/v1/webhooks/:id
+ * @desc    Delete a webhook and its delivery log
+ * @access  Super admin (webhooks.manage)
+ */
+router.delete('/:id', validate(webhookSchema), deleteWebhook);
+
+/**
+ * @route   POST /api/v1/webhooks/:id/rotate-secret
+ * @desc    Replace the signing secret; returns the new secret once
+ * @access  Super admin (webhooks.manage)
+ */
+router.post('/:id/rotate-secret', validate(webhookSchema), rotateWebhookSecret);
+
+/**
+ * @route   GET /api/v1/webhooks/:id/deliveries
+ * @desc    Delivery log, newest first
+ * @query   status=pending|sending|sent|failed|dead|cancelled, event, limit, offset
+ * @access  Super admin (webhooks.manage)
+ */
+router.get('/:id/deliveries', validate(deliveryListSchema), listWebhookDeliveries);
+
+/**
+ * @route   GET /api/v1/webhooks/:id/deliveries/:deliveryId
+ * @desc    One delivery with the payload that was sent
+ * @access  Super admin (webhooks.manage)
+ */
+router.get('/:id/deliveries/:deliveryId', validate(deliverySchema), getWebhookDelivery);
+
+/**
+ * @route   POST /api/v1/webhooks/:id/deliveries/:deliveryId/replay
+ * @desc    Send a delivery again (same event id, X-JanSetu-Replay-Of header)
+ * @access  Super admin (webhooks.manage)
+ */
+router.post('/:id/deliveries/:deliveryId/replay', validate(deliverySchema), replayWebhookDelivery);
+
+export default router;
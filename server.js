@@ -1,6 +1,7 @@
 import app from './app.js';
 import dotenv from 'dotenv';
 import redisService from './services/redis.js';
+import jobService from './services/jobs/jobService.js';
 
 dotenv.config({path: './.env'});
 
@@ -26,6 +27,7 @@ if (!isVercel) {
   const gracefulShutdown = async () => {
     console.log('\n🛑 Shutting down gracefully...');
     
+    jobService.stop();
     await redisService.disconnect();
     
     if (global.server) {
@@ -63,6 +65,7 @@ if (!isVercel) {
       });
 
       global.server = server;
+      jobService.start();
 
       return server;
     } catch (error) {
@@ -0,0 +1,366 @@
+import { query, queryOne, queryMany, transaction } from '../db/utils.js';
+import { ValidationError, ConflictError } from '../utils/errors.js';
+
+/**
+ * Administrative Boundaries
+ *
+ * Ward, urban local body (ULB) and district polygons, uploaded as GeoJSON.
+ * Every report is placed in the boundary of each level that contains it
+ * (reports.ward_id / ulb_id / district_id), so routing follows where the
+ * report is rather than the department or address the citizen typed. An admin
+ * with a jurisdiction (admins.jurisdiction_id) only sees reports inside it.
+ *
+ * Boundaries of one level are expected not to overlap; when they do, the
+ * smallest one containing the point wins. Importing, redrawing or deleting a
+ * boundary re-places the reports it affects.
+ */
+
+export const BOUNDARY_LEVELS = ['ward', 'ulb', 'district'];
+
+// reports column holding each level; keys are the only values interpolated into SQL
+const LEVEL_COLUMNS = {
+  ward: 'ward_id',
+  ulb: 'ulb_id',
+  district: 'district_id'
+};
+
+// A ward belongs to a ULB, a ULB to a district
+const PARENT_LEVELS = {
+  ward: 'ulb',
+  ulb: 'district',
+  district: null
+};
+
+const MAX_FEATURES = 1000;
+
+// Smallest boundary of a level containing a geometry point expression
+const locateSql = (level, pointExpr) => `(
+  SELECT b.id FROM boundaries b
+  WHERE b.level = '${level}' AND ST_Covers(b.geom, ${pointExpr})
+  ORDER BY ST_Area(b.geom) ASC, b.id ASC
+  LIMIT 1
+)`;
+
+const isPosition = (position) => Array.isArray(position) && position.length >= 2 &&
+  Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+  Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+
+// A linear ring: at least four positions, first and last equal
+const isRing = (ring) => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+
+const isPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+
+const geometryError = (geometry) => {
+  if (!geometry || typeof geometry !== 'object') return 'has no geometry';
+  if (geometry.type === 'Polygon') {
+    return isPolygon(geometry.coordinates) ? null : 'has an invalid Polygon';
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0 &&
+      geometry.coordinates.every(isPolygon)
+      ? null
+      : 'has an invalid MultiPolygon';
+  }
+  return 'must be a Polygon or MultiPolygon';
+};
+
+/**
+ * Turn a GeoJSON FeatureCollection, Feature or bare geometry into boundaries
+ * @param {Object} geojson - GeoJSON in WGS84 longitude/latitude
+ * @param {Object} options - { codeProperty, nameProperty, code, name } where
+ *        code/name are used for a bare geometry or a single feature without them
+ * @returns {Array<Object>} [{ code, name, geometry, properties }]
+ * @throws {ValidationError} Listing every feature that cannot be used
+ */
+export const parseBoundaryFeatures = (geojson, { codeProperty = 'code', nameProperty = 'name', code, name } = {}) => {
+  let features;
+  if (geojson?.type === 'FeatureCollection') {
+    features = Array.isArray(geojson.features) ? geojson.features : [];
+  } else if (geojson?.type === 'Feature') {
+    features = [geojson];
+  } else {
+    features = [{ type: 'Feature', geometry: geojson, properties: {} }];
+  }
+
+  const single = features.length === 1;
+  const errors = [];
+  const parsed = [];
+
+  if (features.length === 0) {
+    errors.push({ field: 'geojson', location: 'body', message: 'geojson has no features' });
+  }
+  if (features.length > MAX_FEATURES) {
+    errors.push({ field: 'geojson', location: 'body', message: `geojson must contain at most ${MAX_FEATURES} features` });
+  }
+
+  features.slice(0, MAX_FEATURES).forEach((feature, index) => {
+    const label = single ? 'geojson' : `geojson.features[${index}]`;
+    const properties = feature?.properties || {};
+    const featureCode = properties[codeProperty] ?? (single ? code : undefined);
+    const featureName = properties[nameProperty] ?? (single ? name : undefined) ?? featureCode;
+
+    const problem = geometryError(feature?.geometry) ||
+      (featureCode === undefined || featureCode === null || String(featureCode).trim() === ''
+        ? `has no "${codeProperty}" property`
+        : null);
+
+    if (problem) {
+      errors.push({ field: label, location: 'body', message: `${label} ${problem}` });
+      return;
+    }
+
+    parsed.push({
+      code: String(featureCode).trim().slice(0, 50),
+      name: String(featureName).trim().slice(0, 200),
+      geometry: feature.geometry,
+      properties
+    });
+  });
+
+  const codes = parsed.map((boundary) => boundary.code);
+  const duplicate = codes.find((value, index) => codes.indexOf(value) !== index);
+  if (duplicate) {
+    errors.push({ field: 'geojson', location: 'body', message: `geojson has more than one feature with code ${duplicate}` });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid boundary GeoJSON', errors, 'INVALID_GEOJSON');
+  }
+  return parsed;
+};
+
+// The parent must exist and be one level up
+const assertParent = async (level, parentId) => {
+  if (parentId === null || parentId === undefined) return;
+
+  const parent = await queryOne(`SELECT level FROM boundaries WHERE id = $1`, [parentId]);
+  const expected = PARENT_LEVELS[level];
+  if (!parent || parent.level !== expected) {
+    throw new ValidationError('Validation failed', [{
+      field: 'parentId',
+      location: 'body',
+      message: expected ? `parentId must be an existing ${expected} boundary` : 'a district has no parent'
+    }]);
+  }
+};
+
+/**
+ * Re-place reports in one level after its boundaries changed. Reports that
+ * were in the changed boundaries, or in none, are looked up again; those that
+ * moved or sit in a changed boundary are left for the report-geocoding job,
+ * since their ward, city or district name may have changed.
+ * @param {Object} client - Transaction client
+ * @param {string} level - One of BOUNDARY_LEVELS
+ * @param {number[]} boundaryIds - Boundaries that were added, redrawn or deleted
+ * @returns {Promise<number>} Reports looked up
+ */
+const relocateReports = async (client, level, boundaryIds) => {
+  const column = LEVEL_COLUMNS[level];
+  const result = await client.query(
+    `UPDATE reports r
+     SET ${column} = located.boundary_id,
+         geocoded_at = CASE
+           WHEN r.${column} IS DISTINCT FROM located.boundary_id OR located.boundary_id = ANY($1::bigint[])
+             THEN NULL
+           ELSE r.geocoded_at
+         END
+     FROM (
+       SELECT r2.id, ${locateSql(level, 'r2.location::geometry')} AS boundary_id
+       FROM reports r2
+       WHERE r2.location IS NOT NULL
+         AND (r2.${column} IS NULL OR r2.${column} = ANY($1::bigint[]))
+     ) located
+     WHERE r.id = located.id`,
+    [boundaryIds]
+  );
+  return result.rowCount;
+};
+
+/**
+ * Create or redraw boundaries of one level from GeoJSON, matched on code
+ * @param {Object} options - { level, geojson, parentId, codeProperty, nameProperty, code, name, createdBy }
+ * @returns {Promise<Object>} { boundaries: [{ id, code, name, created }], reportsRelocated }
+ */
+export const importBoundaries = async ({ level, geojson, parentId = null, createdBy = null, ...options }) => {
+  const features = parseBoundaryFeatures(geojson, options);
+  await assertParent(level, parentId);
+
+  return transaction(async (client) => {
+    const boundaries = [];
+
+    for (const feature of features) {
+      const { rows } = await client.query(
+        `INSERT INTO boundaries (level, code, name, parent_id, geom, properties, created_by_admin_id)
+         VALUES (
+           $1, $2, $3, $4,
+           ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON($5), 4326)), 3)),
+           $6, $7
+         )
+         ON CONFLICT (level, code) DO UPDATE
+         SET name = EXCLUDED.name,
+             parent_id = COALESCE(EXCLUDED.parent_id, boundaries.parent_id),
+             geom = EXCLUDED.geom,
+             properties = EXCLUDED.properties,
+             updated_at = CURRENT_TIMESTAMP
+         RETURNING id, code, name, (xmax = 0) AS created`,
+        [level, feature.code, feature.name, parentId, JSON.stringify(feature.geometry), feature.properties, createdBy]
+      );
+      boundaries.push({ ...rows[0], id: Number(rows[0].id) });
+    }
+
+    const reportsRelocated = await relocateReports(client, level, boundaries.map((boundary) => boundary.id));
+    return { boundaries, reportsRelocated };
+  });
+};
+
+/**
+ * Boundaries without their geometry
+ * @param {Object} filters - { level, parentId, search }
+ */
+export const listBoundaries = async ({ level = null, parentId = null, search = null } = {}) => queryMany(
+  `SELECT b.id, b.level, b.code, b.name, b.parent_id, b.created_at, b.updated_at
+   FROM boundaries b
+   WHERE ($1::text IS NULL OR b.level = $1)
+     AND ($2::text IS NULL OR b.parent_id::text = $2)
+     AND ($3::text IS NULL OR b.name ILIKE '%' || $3 || '%' OR b.code ILIKE $3 || '%')
+   ORDER BY b.level, b.name`,
+  [level, parentId === null ? null : String(parentId), search]
+);
+
+/**
+ * One boundary, optionally with its geometry as GeoJSON
+ * @param {number} id
+ * @param {Object} options - { withGeometry }
+ * @returns {Promise<Object|null>}
+ */
+export const getBoundary = async (id, { withGeometry = false } = {}) => queryOne(
+  `SELECT id, level, code, name, parent_id, properties, created_by_admin_id, created_at, updated_at
+          ${withGeometry ? ', ST_AsGeoJSON(geom)::json AS geometry' : ''}
+   FROM boundaries
+   WHERE id = $1`,
+  [id]
+);
+
+/**
+ * Rename a boundary or move it under another parent. Reports in a renamed
+ * boundary are geocoded again for the new name.
+ * @param {number} id
+ * @param {Object} changes - { name?, parentId? } (parentId null clears it)
+ * @returns {Promise<Object|null>} Updated row, or null when it does not exist
+ */
+export const updateBoundary = async (id, { name, parentId }) => {
+  if (parentId !== undefined) {
+    const boundary = await queryOne(`SELECT level FROM boundaries WHERE id = $1`, [id]);
+    if (!boundary) return null;
+    await assertParent(boundary.level, parentId);
+  }
+
+  return transaction(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE boundaries
+       SET name = COALESCE($2, name),
+           parent_id = CASE WHEN $3::boolean THEN $4::bigint ELSE parent_id END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, level, code, name, parent_id, properties, created_by_admin_id, created_at, updated_at`,
+      [id, name ?? null, parentId !== undefined, parentId ?? null]
+    );
+    const boundary = rows[0] || null;
+
+    if (boundary && name !== undefined && name !== null) {
+      await client.query(
+        `UPDATE reports SET geocoded_at = NULL WHERE ${LEVEL_COLUMNS[boundary.level]} = $1`,
+        [id]
+      );
+    }
+
+    return boundary;
+  });
+};
+
+/**
+ * Delete a boundary; its reports are placed in another boundary of the level, if any
+ * @returns {Promise<Object|null>} { id, level, reportsRelocated }, or null when it does not exist
+ * @throws {ConflictError} While admins are limited to the boundary
+ */
+export const deleteBoundary = async (id) => transaction(async (client) => {
+  const admins = await client.query(`SELECT COUNT(*) AS count FROM admins WHERE jurisdiction_id = $1`, [id]);
+  const adminCount = parseInt(admins.rows[0].count, 10);
+  if (adminCount > 0) {
+    throw new ConflictError(`${adminCount} admin(s) are limited to this boundary; give them another jurisdiction first`, 'BOUNDARY_IN_USE');
+  }
+
+  const { rows } = await client.query(`DELETE FROM boundaries WHERE id = $1 RETURNING id, level`, [id]);
+  if (rows.length === 0) return null;
+
+  const reportsRelocated = await relocateReports(client, rows[0].level, [Number(rows[0].id)]);
+  return { id: Number(rows[0].id), level: rows[0].level, reportsRelocated };
+});
+
+/**
+ * Place one report in its ward, ULB and district from its location
+ * @param {Object} client - Database client (inside the report's transaction)
+ * @param {string} reportId
+ * @returns {Promise<Object>} { ward_id, ulb_id, district_id }
+ */
+export const locateReport = async (client, reportId) => {
+  const { rows } = await client.query(
+    `UPDATE reports r
+     SET ward_id = ${locateSql('ward', 'r.location::geometry')},
+         ulb_id = ${locateSql('ulb', 'r.location::geometry')},
+         district_id = ${locateSql('district', 'r.location::geometry')}
+     WHERE r.id = $1
+     RETURNING ward_id, ulb_id, district_id`,
+    [reportId]
+  );
+  return rows[0] || { ward_id: null, ulb_id: null, district_id: null };
+};
+
+/**
+ * The boundaries containing a point
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Promise<Object>} { ward, ulb, district }, each { id, code, name } or null
+ */
+export const locatePoint = async (latitude, longitude) => {
+  const point = 'ST_SetSRID(ST_MakePoint($2::float8, $1::float8), 4326)';
+  const rows = await queryMany(
+    `SELECT b.id, b.level, b.code, b.name
+     FROM boundaries b
+     WHERE b.id IN (
+       ${locateSql('ward', point)},
+       ${locateSql('ulb', point)},
+       ${locateSql('district', point)}
+     )`,
+    [latitude, longitude]
+  );
+
+  return Object.fromEntries(BOUNDARY_LEVELS.map((level) => {
+    const boundary = rows.find((row) => row.level === level);
+    return [level, boundary ? { id: Number(boundary.id), code: boundary.code, name: boundary.name } : null];
+  }));
+};
+
+/**
+ * Whether a boundary exists
+ * @param {number} id
+ * @returns {Promise<boolean>}
+ */
+export const boundaryExists = async (id) => {
+  const result = await query(`SELECT 1 FROM boundaries WHERE id = $1`, [id]);
+  return result.rowCount > 0;
+};
+
+export default {
+  BOUNDARY_LEVELS,
+  parseBoundaryFeatures,
+  importBoundaries,
+  listBoundaries,
+  getBoundary,
+  updateBoundary,
+  deleteBoundary,
+  locateReport,
+  locatePoint,
+  boundaryExists
+};
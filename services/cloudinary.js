@@ -100,6 +100,46 @@ const deleteOnCloudinary = async (publicId, resourceType = "image") => {
     }
 };
 
+/**
+ * List uploaded assets, oldest first within Cloudinary's page order
+ * @param {Object} options - { resourceType: 'image'|'video'|'raw', nextCursor, maxResults }
+ * @returns {Promise<{resources: Array, nextCursor: string|null}>}
+ */
+const listUploadedResources = async ({ resourceType = "image", nextCursor = null, maxResults = 500 } = {}) => {
+    const response = await cloudinary.api.resources({
+        type: "upload",
+        resource_type: resourceType,
+        max_results: maxResults,
+        ...(nextCursor ? { next_cursor: nextCursor } : {})
+    });
+
+    return {
+        resources: response.resources || [],
+        nextCursor: response.next_cursor || null
+    };
+};
+
+/**
+ * Delete up to 100 assets of one resource type in a single call
+ * @param {string[]} publicIds - Public ids
+ * @param {string} resourceType - 'image' | 'video' | 'raw'
+ * @returns {Promise<Object|null>} Cloudinary response ({ deleted: { id: status } }) or null on error
+ */
+const deleteResourcesOnCloudinary = async (publicIds, resourceType = "image") => {
+    try {
+        return await cloudinary.api.delete_resources(publicIds, { resource_type: resourceType });
+    } catch (error) {
+        console.error("Failed to bulk delete from Cloudinary:", error);
+        return null;
+    }
+};
 
 
-export {extractPublicIdFromUrl, uploadOnCloudinary, uploadBufferToCloudinary, deleteOnCloudinary}
\ No newline at end of file
+export {
+    extractPublicIdFromUrl,
+    uploadOnCloudinary,
+    uploadBufferToCloudinary,
+    deleteOnCloudinary,
+    listUploadedResources,
+    deleteResourcesOnCloudinary
+}
\ No newline at end of file
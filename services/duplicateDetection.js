@@ -0,0 +1,415 @@
+import { query, queryOne, queryMany, transaction } from '../db/utils.js';
+import { ConflictError, ForbiddenError, ValidationError } from '../utils/errors.js';
+import { canAccessDepartment } from '../utils/permissions.js';
+import { withinRadius, distanceMeters } from './geoQueries.js';
+import { REPORT_STATUS, ACTOR_TYPES, lockReport, transitionReport } from './reportLifecycle.js';
+import eventBus, { DOMAIN_EVENTS } from './events/eventBus.js';
+
+/**
+ * Duplicate Reports
+ *
+ * Citizens often file the same problem more than once (the same pothole,
+ * the same overflowing drain). A report is a possible duplicate of an open
+ * report in the same category, filed close by within a few days of it; the
+ * closer it is and the more its title and description read alike (pg_trgm
+ * similarity), the higher it scores. Citizens see the candidates when they
+ * file and can follow or upvote the existing report instead.
+ *
+ * Admins merge duplicates into a canonical report: the duplicates move to
+ * 'merged' (reports.merged_into_id), and their photos, votes, comments,
+ * reporter and followers are carried over to the canonical report.
+ */
+
+export const DUPLICATE_RADIUS_METERS = Number(process.env.REPORT_DUPLICATE_RADIUS_METERS) || 150;
+export const DUPLICATE_WINDOW_DAYS = Number(process.env.REPORT_DUPLICATE_WINDOW_DAYS) || 14;
+export const DUPLICATE_MIN_SCORE = Number(process.env.REPORT_DUPLICATE_MIN_SCORE) || 0.45;
+
+const MAX_CANDIDATES = 5;
+const MAX_MERGE = 20;
+
+// Statuses a report can be a duplicate of
+const CANDIDATE_STATUSES = [
+  REPORT_STATUS.PENDING,
+  REPORT_STATUS.ASSIGNED,
+  REPORT_STATUS.IN_PROGRESS
+];
+
+// A canonical report must still be one the city acts on (or has acted on)
+const CANONICAL_STATUSES = [...CANDIDATE_STATUSES, REPORT_STATUS.RESOLVED];
+
+// Share of the score from proximity; the rest is text similarity
+const PROXIMITY_WEIGHT = 0.5;
+
+/**
+ * Open reports the given report may duplicate, best match first
+ * @param {Object} report - { latitude, longitude, category, title, description }
+ * @param {Object} options - { excludeReportId, referenceTime (defaults to now), limit }
+ * @returns {Promise<Array>} Report rows with distance_meters, text_similarity,
+ *   score, post_id, upvotes and follower_count; empty without a location
+ */
+export const findPossibleDuplicates = async (
+  { latitude, longitude, category, title, description },
+  { excludeReportId = null, referenceTime = null, limit = MAX_CANDIDATES } = {}
+) => {
+  if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) {
+    return [];
+  }
+
+  const text = `${title || ''} ${description || ''}`.trim().toLowerCase();
+
+  return queryMany(
+    `WITH candidates AS (
+       SELECT r.id, r.title, r.category, r.status, r.department, r.address,
+              r.user_id, r.created_at,
+              ${distanceMeters('r.location', '$1', '$2')} AS distance_meters,
+              GREATEST(
+                similarity(lower(r.title), lower($5)),
+                similarity(lower(r.title || ' ' || COALESCE(r.description, '')), $6)
+              ) AS text_similarity
+       FROM reports r
+       WHERE ${withinRadius('r.location', '$1', '$2', '$3')}
+         AND lower(r.category) = lower($4)
+         AND r.status = ANY($7)
+         AND r.created_at BETWEEN COALESCE($8::timestamptz, NOW()) - ($9 || ' days')::interval
+                              AND COALESCE($8::timestamptz, NOW()) + ($9 || ' days')::interval
+         AND ($10::uuid IS NULL OR r.id <> $10)
+     )
+     SELECT c.*,
+            ROUND((${PROXIMITY_WEIGHT} * (1 - LEAST(c.distance_meters / $3, 1))
+                   + ${1 - PROXIMITY_WEIGHT} * c.text_similarity)::numeric, 4) AS score,
+            sp.id AS post_id,
+            COALESCE(sp.upvotes, 0) AS upvotes,
+            (SELECT COUNT(*) FROM report_followers f WHERE f.report_id = c.id) AS follower_count
+     FROM candidates c
+     LEFT JOIN social_posts sp ON sp.report_id = c.id
+     WHERE (${PROXIMITY_WEIGHT} * (1 - LEAST(c.distance_meters / $3, 1))
+            + ${1 - PROXIMITY_WEIGHT} * c.text_similarity) >= $11
+     ORDER BY score DESC, c.distance_meters ASC
+     LIMIT $12`,
+    [
+      latitude,
+      longitude,
+      DUPLICATE_RADIUS_METERS,
+      category || 'other',
+      title || '',
+      text,
+      CANDIDATE_STATUSES,
+      referenceTime,
+      DUPLICATE_WINDOW_DAYS,
+      excludeReportId,
+      DUPLICATE_MIN_SCORE,
+      limit
+    ]
+  );
+};
+
+/**
+ * Possible duplicates of an existing report, in either direction: open reports
+ * filed within the window before or after it
+ * @param {Object} report - Report row
+ * @returns {Promise<Array>} As findPossibleDuplicates
+ */
+export const findDuplicatesOfReport = (report) => findPossibleDuplicates(report, {
+  excludeReportId: report.id,
+  referenceTime: report.created_at,
+  limit: MAX_MERGE
+});
+
+/**
+ * Follow a report to receive its updates. Following a merged report follows
+ * the report it was merged into.
+ * @param {string} reportId - Report id
+ * @param {string} userId - Citizen id
+ * @returns {Promise<Object|null>} { reportId, followed } (the report actually
+ *   followed), or null when the report does not exist
+ */
+export const followReport = async (reportId, userId) => {
+  const report = await queryOne(
+    `SELECT id, user_id, status, merged_into_id FROM reports WHERE id = $1`,
+    [reportId]
+  );
+  if (!report) return null;
+
+  const target = report.status === REPORT_STATUS.MERGED && report.merged_into_id
+    ? await queryOne(`SELECT id, user_id FROM reports WHERE id = $1`, [report.merged_into_id])
+    : report;
+
+  if (!target) return null;
+
+  if (target.user_id === userId) {
+    throw new ConflictError('You already receive updates on your own report', 'OWN_REPORT');
+  }
+
+  const result = await query(
+    `INSERT INTO report_followers (report_id, user_id)
+     VALUES ($1, $2)
+     ON CONFLICT (report_id, user_id) DO NOTHING`,
+    [target.id, userId]
+  );
+
+  return { reportId: target.id, followed: result.rowCount > 0 };
+};
+
+/**
+ * Stop following a report
+ * @returns {Promise<boolean>} Whether the citizen was following it
+ */
+export const unfollowReport = async (reportId, userId) => {
+  const result = await query(
+    `DELETE FROM report_followers WHERE report_id = $1 AND user_id = $2`,
+    [reportId, userId]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Follower count and whether a citizen follows the report
+ * @returns {Promise<{followerCount: number, following: boolean}>}
+ */
+export const getFollowState = async (reportId, userId = null) => {
+  const row = await queryOne(
+    `SELECT COUNT(*) AS follower_count,
+            COALESCE(BOOL_OR(user_id = $2), false) AS following
+     FROM report_followers
+     WHERE report_id = $1`,
+    [reportId, userId]
+  );
+  return {
+    followerCount: parseInt(row?.follower_count || 0, 10),
+    following: Boolean(row?.following)
+  };
+};
+
+// Carry a duplicate's social post (votes and comments) over to the canonical post
+const mergeSocialPost = async (client, fromPostId, toPostId) => {
+  await client.query(
+    `INSERT INTO social_votes (post_id, user_id, vote_type, created_at)
+     SELECT $2, v.user_id, v.vote_type, v.created_at
+     FROM social_votes v
+     WHERE v.post_id = $1
+       AND NOT EXISTS (SELECT 1 FROM social_votes c WHERE c.post_id = $2 AND c.user_id = v.user_id)`,
+    [fromPostId, toPostId]
+  );
+  await client.query(`DELETE FROM social_votes WHERE post_id = $1`, [fromPostId]);
+
+  const comments = await client.query(
+    `UPDATE social_comments SET post_id = $2 WHERE post_id = $1`,
+    [fromPostId, toPostId]
+  );
+
+  // The duplicate's post leaves the feed; its counters now live on the canonical post
+  await client.query(
+    `UPDATE social_posts
+     SET is_public = false,
+         upvotes = 0,
+         downvotes = 0,
+         total_score = 0,
+         comment_count = 0,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [fromPostId]
+  );
+
+  return comments.rowCount;
+};
+
+// Public social post for a report that has none (e.g. its auto-created post failed)
+const createSocialPost = async (client, report) => {
+  const result = await client.query(
+    `INSERT INTO social_posts (
+       report_id, user_id, is_public, is_anonymous, upvotes, downvotes, total_score,
+       comment_count, share_count, view_count, is_trending, is_featured, created_at, updated_at
+     ) VALUES ($1, $2, true, false, 0, 0, 0, 0, 0, 0, false, false, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+     RETURNING id`,
+    [report.id, report.user_id]
+  );
+  return result.rows[0].id;
+};
+
+// Recount a post's votes and comments from the rows themselves
+const recountSocialPost = async (client, postId) => {
+  const result = await client.query(
+    `UPDATE social_posts sp
+     SET upvotes = counts.upvotes,
+         downvotes = counts.downvotes,
+         total_score = counts.upvotes - counts.downvotes,
+         comment_count = counts.comments,
+         updated_at = CURRENT_TIMESTAMP
+     FROM (
+       SELECT
+         (SELECT COUNT(*) FROM social_votes WHERE post_id = $1 AND vote_type = 'upvote') AS upvotes,
+         (SELECT COUNT(*) FROM social_votes WHERE post_id = $1 AND vote_type = 'downvote') AS downvotes,
+         (SELECT COUNT(*) FROM social_comments WHERE post_id = $1) AS comments
+     ) counts
+     WHERE sp.id = $1
+     RETURNING sp.upvotes, sp.downvotes, sp.comment_count`,
+    [postId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Merge duplicate reports into a canonical report, in one transaction.
+ *
+ * Each duplicate moves to 'merged' through the report lifecycle (so the actor
+ * needs reports.merge for its department) and points at the canonical report.
+ * Its photos are appended to the canonical report's, its votes and comments
+ * move to the canonical social post (a citizen who voted on both keeps the
+ * canonical vote; the canonical post is created when missing), and its
+ * reporter and followers follow the canonical report. Every duplicate must be
+ * in the admin's department, like the canonical report.
+ * Reports earlier merged into a duplicate are re-pointed at the canonical one.
+ *
+ * @param {string} canonicalId - Report the duplicates are merged into
+ * @param {string[]} duplicateIds - Reports to close as merged
+ * @param {Object} actor - From actorFromRequest
+ * @param {Object} options - { note }
+ * @returns {Promise<Object>} { canonical, duplicates, followersAdded, commentsMoved, post }
+ */
+export const mergeReports = async (canonicalId, duplicateIds, actor, { note = null } = {}) => {
+  const ids = [...new Set(duplicateIds)];
+
+  if (ids.includes(canonicalId)) {
+    throw new ValidationError('Validation failed', [{
+      field: 'duplicateIds',
+      location: 'body',
+      message: 'A report cannot be merged into itself'
+    }]);
+  }
+  if (ids.length > MAX_MERGE) {
+    throw new ValidationError('Validation failed', [{
+      field: 'duplicateIds',
+      location: 'body',
+      message: `At most ${MAX_MERGE} reports can be merged at once`
+    }]);
+  }
+
+  const result = await transaction(async (client) => {
+    // Lock the canonical report and the duplicates together in id order, so two
+    // merges over the same reports (in either role) cannot deadlock
+    const locked = new Map();
+    for (const id of [canonicalId, ...ids].sort()) {
+      locked.set(id, await lockReport(client, id));
+    }
+    const canonical = locked.get(canonicalId);
+
+    if (!CANONICAL_STATUSES.includes(canonical.status)) {
+      throw new ConflictError(
+        `Reports cannot be merged into a report that is '${canonical.status}'`,
+        'REPORT_NOT_MERGEABLE'
+      );
+    }
+    if (actor.type === ACTOR_TYPES.ADMIN && !canAccessDepartment(actor, canonical.department)) {
+      throw new ForbiddenError('Report is outside your department', 'OUTSIDE_DEPARTMENT');
+    }
+
+    const canonicalPost = await client.query(
+      `SELECT id FROM social_posts WHERE report_id = $1 ORDER BY created_at ASC LIMIT 1`,
+      [canonicalId]
+    );
+    let canonicalPostId = canonicalPost.rows[0]?.id || null;
+
+    const duplicates = [];
+    let followersAdded = 0;
+    let commentsMoved = 0;
+
+    for (const duplicateId of [...ids].sort()) {
+      const duplicate = locked.get(duplicateId);
+      if (actor.type === ACTOR_TYPES.ADMIN && !canAccessDepartment(actor, duplicate.department)) {
+        throw new ForbiddenError('Report is outside your department', 'OUTSIDE_DEPARTMENT');
+      }
+
+      await transitionReport(client, duplicate, REPORT_STATUS.MERGED, actor, {
+        reason: note || `Merged into report ${canonicalId}`,
+        metadata: { mergedInto: canonicalId }
+      });
+
+      const merged = await client.query(
+        `UPDATE reports
+         SET merged_into_id = $2,
+             merged_at = CURRENT_TIMESTAMP,
+             merged_by_admin_id = $3,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [duplicateId, canonicalId, actor.type === ACTOR_TYPES.ADMIN ? actor.id : null]
+      );
+      duplicates.push(merged.rows[0]);
+
+      await client.query(
+        `UPDATE reports SET merged_into_id = $2 WHERE merged_into_id = $1`,
+        [duplicateId, canonicalId]
+      );
+
+      await client.query(
+        `UPDATE reports
+         SET media_urls = COALESCE(media_urls, '{}') || ARRAY(
+               SELECT url FROM unnest($2::text[]) AS url
+               WHERE NOT (url = ANY(COALESCE(media_urls, '{}')))
+             ),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [canonicalId, duplicate.media_urls || []]
+      );
+
+      const followers = await client.query(
+        `INSERT INTO report_followers (report_id, user_id, created_at)
+         SELECT $1, f.user_id, MIN(f.created_at)
+         FROM (
+           SELECT user_id, created_at FROM report_followers WHERE report_id = $2
+           UNION ALL
+           SELECT $3::uuid, CURRENT_TIMESTAMP
+         ) f
+         WHERE f.user_id <> $4
+         GROUP BY f.user_id
+         ON CONFLICT (report_id, user_id) DO NOTHING`,
+        [canonicalId, duplicateId, duplicate.user_id, canonical.user_id]
+      );
+      followersAdded += followers.rowCount;
+      await client.query(`DELETE FROM report_followers WHERE report_id = $1`, [duplicateId]);
+
+      const duplicatePost = await client.query(
+        `SELECT id FROM social_posts WHERE report_id = $1`,
+        [duplicateId]
+      );
+      for (const post of duplicatePost.rows) {
+        // Votes and comments need somewhere to go
+        if (!canonicalPostId) {
+          canonicalPostId = await createSocialPost(client, canonical);
+        }
+        commentsMoved += await mergeSocialPost(client, post.id, canonicalPostId);
+      }
+    }
+
+    const post = canonicalPostId ? await recountSocialPost(client, canonicalPostId) : null;
+    const updatedCanonical = await client.query(`SELECT * FROM reports WHERE id = $1`, [canonicalId]);
+
+    return {
+      canonical: updatedCanonical.rows[0],
+      duplicates,
+      followersAdded,
+      commentsMoved,
+      post: post ? { id: canonicalPostId, ...post } : null
+    };
+  });
+
+  await eventBus.publish(DOMAIN_EVENTS.REPORT_MERGED, {
+    report: result.canonical,
+    duplicates: result.duplicates,
+    mergedBy: { type: actor.type, id: actor.id || null }
+  });
+
+  return result;
+};
+
+export default {
+  DUPLICATE_RADIUS_METERS,
+  DUPLICATE_WINDOW_DAYS,
+  DUPLICATE_MIN_SCORE,
+  findPossibleDuplicates,
+  findDuplicatesOfReport,
+  followReport,
+  unfollowReport,
+  getFollowState,
+  mergeReports
+};
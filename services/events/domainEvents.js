@@ -0,0 +1,35 @@
+/**
+ * Domain events published on the event bus (services/events/eventBus.js).
+ *
+ * Payloads carry database rows as they were right after the change:
+ *
+ *   report.created           { report }
+ *   report.assigned          { report, assignee: { id, fullName } }
+ *   report.status_changed    { report, fromStatus, toStatus, actor: { type, id } }
+ *   report.work_started      { report, notes }
+ *   report.progress          { report, notes, photos }
+ *   report.resolved          { report, notes, photos }
+ *   report.rejected          { report, reasonCode, reasonLabel, note }
+ *   report.appeal_decided    { report, reinstated, note }
+ *   report.deleted           { report, deletedBy: 'admin' | 'user' }
+ *   report.merged            { report (canonical), duplicates, mergedBy: { type, id } }
+ *   post.commented           { post, comment }
+ *   post.vote_milestone      { post, milestone, upvotes }
+ */
+
+export const DOMAIN_EVENTS = {
+  REPORT_CREATED: 'report.created',
+  REPORT_ASSIGNED: 'report.assigned',
+  REPORT_STATUS_CHANGED: 'report.status_changed',
+  REPORT_WORK_STARTED: 'report.work_started',
+  REPORT_PROGRESS: 'report.progress',
+  REPORT_RESOLVED: 'report.resolved',
+  REPORT_REJECTED: 'report.rejected',
+  REPORT_APPEAL_DECIDED: 'report.appeal_decided',
+  REPORT_DELETED: 'report.deleted',
+  REPORT_MERGED: 'report.merged',
+  POST_COMMENTED: 'post.commented',
+  POST_VOTE_MILESTONE: 'post.vote_milestone'
+};
+
+export default DOMAIN_EVENTS;
@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+import { DOMAIN_EVENTS } from './domainEvents.js';
+import notificationHandlers from './handlers/notificationHandlers.js';
+import webhookHandlers from './handlers/webhookHandlers.js';
+
+/**
+ * Event Bus
+ *
+ * In-process domain events. Controllers publish what happened once the change
+ * is committed, and subscribers decide what follows from it, so no controller
+ * hard-codes its own notification sends. Subscribers are plain objects:
+ *
+ *   { name, handlers: { [eventName]: async (payload, event) => {} } }
+ *
+ * publish() runs every handler for the event and waits for all of them. A
+ * failing handler is logged; it never fails the publisher or the other
+ * handlers. Handlers should hand slow work off (the notification and webhook
+ * handlers only queue outbox messages).
+ */
+
+const KNOWN_EVENTS = new Set(Object.values(DOMAIN_EVENTS));
+
+class EventBus {
+  constructor() {
+    this.subscribers = new Map();
+  }
+
+  /**
+   * Register a subscriber (replaces a subscriber with the same name)
+   * @param {Object} subscriber - Subscriber implementing the interface above
+   */
+  registerSubscriber(subscriber) {
+    this.subscribers.set(subscriber.name, subscriber);
+  }
+
+  /**
+   * Publish an event to every subscriber that handles it
+   * @param {string} name - One of DOMAIN_EVENTS
+   * @param {Object} payload - Event payload (see domainEvents.js)
+   * @returns {Promise<Object>} The event envelope { id, name, occurredAt }
+   */
+  async publish(name, payload) {
+    if (!KNOWN_EVENTS.has(name)) {
+      console.warn(`⚠️ Publishing unknown domain event "${name}"`);
+    }
+
+    const event = { id: crypto.randomUUID(), name, occurredAt: new Date().toISOString() };
+    const handlers = [...this.subscribers.values()]
+      .filter((subscriber) => typeof subscriber.handlers[name] === 'function')
+      .map((subscriber) => ({ subscriber: subscriber.name, handle: subscriber.handlers[name] }));
+
+    const results = await Promise.allSettled(
+      handlers.map(({ handle }) => Promise.resolve().then(() => handle(payload, event)))
+    );
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`❌ Subscriber ${handlers[index].subscriber} failed to handle ${name}:`, result.reason);
+      }
+    });
+
+    return event;
+  }
+}
+
+const eventBus = new EventBus();
+
+eventBus.registerSubscriber(notificationHandlers);
+eventBus.registerSubscriber(webhookHandlers);
+
+export { DOMAIN_EVENTS };
+export default eventBus;
@@ -0,0 +1,168 @@
+import { queryOne, queryMany } from '../../../db/utils.js';
+import { notifyCitizen } from '../../notifications/citizenNotifications.js';
+import { APPEAL_WINDOW_DAYS } from '../../../utils/rejectionReasons.js';
+import { DOMAIN_EVENTS } from '../domainEvents.js';
+
+/**
+ * Citizen notifications for domain events. Messages come from the template
+ * registry (services/notifications/templates) and go through the notification
+ * outbox, which applies the citizen's preferences and retries delivery.
+ */
+
+const reportTitle = (report) => report.title || 'Your Report';
+
+const truncate = (text, length = 80) => (
+  text.length > length ? `${text.slice(0, length - 1)}…` : text
+);
+
+const notify = async (userId, message) => {
+  if (!userId) return;
+  const queued = await notifyCitizen(userId, message);
+  console.log(`📨 Queued ${queued.length} notification(s) for user ${userId} (${message.kind})`);
+};
+
+// Citizens following a report they did not file (report_followers) get a
+// shorter update; `update` names the template section to use
+const notifyFollowers = async (report, update) => {
+  const followers = await queryMany(
+    `SELECT user_id FROM report_followers WHERE report_id = $1 AND user_id <> $2`,
+    [report.id, report.user_id]
+  );
+
+  for (const { user_id: userId } of followers) {
+    await notify(userId, {
+      kind: 'followed_report_update',
+      reportId: report.id,
+      variables: { title: reportTitle(report), [update]: true }
+    });
+  }
+};
+
+export default {
+  name: 'notifications',
+
+  handlers: {
+    [DOMAIN_EVENTS.REPORT_ASSIGNED]: async ({ report }) => {
+      await notify(report.user_id, {
+        kind: 'report_assigned',
+        reportId: report.id,
+        variables: { title: reportTitle(report) }
+      });
+      await notifyFollowers(report, 'assigned');
+    },
+
+    [DOMAIN_EVENTS.REPORT_WORK_STARTED]: async ({ report, notes }) => {
+      await notify(report.user_id, {
+        kind: 'report_work_started',
+        reportId: report.id,
+        variables: { title: reportTitle(report), notes }
+      });
+      await notifyFollowers(report, 'inProgress');
+    },
+
+    [DOMAIN_EVENTS.REPORT_PROGRESS]: async ({ report, notes }) => {
+      await notify(report.user_id, {
+        kind: 'report_progress',
+        reportId: report.id,
+        variables: { title: reportTitle(report), notes: notes && truncate(notes) }
+      });
+    },
+
+    [DOMAIN_EVENTS.REPORT_RESOLVED]: async ({ report, notes, photos }) => {
+      await notify(report.user_id, {
+        kind: 'report_resolved',
+        reportId: report.id,
+        channels: ['push', 'whatsapp'],
+        variables: { title: reportTitle(report), notes },
+        photos,
+        photoTemplate: 'resolution_photo'
+      });
+      await notifyFollowers(report, 'resolved');
+    },
+
+    [DOMAIN_EVENTS.REPORT_REJECTED]: async ({ report, reasonLabel, note }) => {
+      await notify(report.user_id, {
+        kind: 'report_rejected',
+        reportId: report.id,
+        channels: ['push', 'whatsapp'],
+        variables: {
+          title: reportTitle(report),
+          reason: reasonLabel,
+          note,
+          appealWindowDays: APPEAL_WINDOW_DAYS
+        }
+      });
+    },
+
+    [DOMAIN_EVENTS.REPORT_APPEAL_DECIDED]: async ({ report, reinstated, note }) => {
+      await notify(report.user_id, {
+        kind: 'report_update',
+        template: 'report_appeal_decided',
+        reportId: report.id,
+        channels: ['push', 'whatsapp'],
+        variables: { title: reportTitle(report), reinstated, note }
+      });
+    },
+
+    // Reporters of the duplicates hear which report now carries their complaint;
+    // merging made them followers of it
+    [DOMAIN_EVENTS.REPORT_MERGED]: async ({ report, duplicates }) => {
+      const notified = new Set([report.user_id]);
+
+      for (const duplicate of duplicates) {
+        if (notified.has(duplicate.user_id)) continue;
+        notified.add(duplicate.user_id);
+        await notify(duplicate.user_id, {
+          kind: 'report_merged',
+          reportId: report.id,
+          variables: { title: reportTitle(duplicate), canonicalTitle: reportTitle(report) }
+        });
+      }
+    },
+
+    // The post author hears about new comments; on a reply, so does the author
+    // of the comment being replied to. Nobody is told about their own comment.
+    [DOMAIN_EVENTS.POST_COMMENTED]: async ({ post, comment }) => {
+      const context = await queryOne(
+        `SELECT r.title,
+                u.full_name AS commenter_name,
+                pc.user_id AS parent_author_id
+         FROM social_posts p
+         LEFT JOIN reports r ON r.id = p.report_id
+         LEFT JOIN users u ON u.id = $2
+         LEFT JOIN social_comments pc ON pc.id = $3
+         WHERE p.id = $1`,
+        [post.id, comment.user_id, comment.parent_comment_id]
+      );
+
+      const variables = {
+        title: reportTitle(context || {}),
+        commenter: comment.is_anonymous ? 'Someone' : (context?.commenter_name || 'Someone'),
+        snippet: truncate(comment.content)
+      };
+      const recipients = new Map();
+
+      if (post.user_id !== comment.user_id) {
+        recipients.set(post.user_id, { ...variables, reply: false });
+      }
+      const parentAuthorId = context?.parent_author_id;
+      if (parentAuthorId && parentAuthorId !== comment.user_id && parentAuthorId !== post.user_id) {
+        recipients.set(parentAuthorId, { ...variables, reply: true });
+      }
+
+      for (const [userId, recipientVariables] of recipients) {
+        await notify(userId, { kind: 'post_commented', reportId: post.report_id, variables: recipientVariables });
+      }
+    },
+
+    [DOMAIN_EVENTS.POST_VOTE_MILESTONE]: async ({ post, milestone }) => {
+      const report = await queryOne(`SELECT title FROM reports WHERE id = $1`, [post.report_id]);
+
+      await notify(post.user_id, {
+        kind: 'post_vote_milestone',
+        reportId: post.report_id,
+        variables: { title: reportTitle(report || {}), milestone }
+      });
+    }
+  }
+};
@@ -0,0 +1,44 @@
+import { dispatchEvent } from '../../webhooks/webhookService.js';
+import { DOMAIN_EVENTS } from '../domainEvents.js';
+
+/**
+ * Outbound webhook deliveries for report events (services/webhooks). Each
+ * handler picks the event-specific fields sent next to the report.
+ */
+
+const dispatch = async (event, report, data) => {
+  const queued = await dispatchEvent(event, report, data);
+  if (queued > 0) {
+    console.log(`🪝 Queued ${queued} webhook delivery(ies) for ${event.name} (report ${report.id})`);
+  }
+};
+
+export default {
+  name: 'webhooks',
+
+  handlers: {
+    [DOMAIN_EVENTS.REPORT_CREATED]: async ({ report }, event) => {
+      await dispatch(event, report);
+    },
+
+    [DOMAIN_EVENTS.REPORT_ASSIGNED]: async ({ report, assignee }, event) => {
+      await dispatch(event, report, { assignee });
+    },
+
+    [DOMAIN_EVENTS.REPORT_STATUS_CHANGED]: async ({ report, fromStatus, toStatus }, event) => {
+      await dispatch(event, report, { fromStatus, toStatus });
+    },
+
+    [DOMAIN_EVENTS.REPORT_RESOLVED]: async ({ report, notes, photos }, event) => {
+      await dispatch(event, report, { resolutionNotes: notes || null, resolutionPhotos: photos || [] });
+    },
+
+    [DOMAIN_EVENTS.REPORT_DELETED]: async ({ report, deletedBy }, event) => {
+      await dispatch(event, report, { deletedBy });
+    },
+
+    [DOMAIN_EVENTS.REPORT_MERGED]: async ({ report, duplicates }, event) => {
+      await dispatch(event, report, { duplicateIds: duplicates.map((duplicate) => duplicate.id) });
+    }
+  }
+};
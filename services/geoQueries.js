@@ -0,0 +1,91 @@
+/**
+ * Geospatial Queries
+ *
+ * SQL fragments for the PostGIS `location` columns on reports and
+ * admin_locations (db/migrations/012_add_postgis_locations.sql). The columns
+ * are geography points with GiST indexes, so distances are in metres and every
+ * fragment below can use the index.
+ *
+ * Fragments take the column and the placeholders to use, so they slot into
+ * queries that number their own parameters:
+ *
+ *   `WHERE ${withinRadius('r.location', '$1', '$2', '$3')}
+ *    ORDER BY ${nearestFirst('r.location', '$1', '$2')}`
+ */
+
+/**
+ * A geography point from latitude and longitude parameters
+ * @param {string} lat - Placeholder holding the latitude, e.g. '$1'
+ * @param {string} lng - Placeholder holding the longitude
+ * @returns {string} SQL expression
+ */
+export const point = (lat, lng) =>
+  `ST_SetSRID(ST_MakePoint(${lng}::float8, ${lat}::float8), 4326)::geography`;
+
+/**
+ * Rows whose location is within a radius of a point
+ * @param {string} column - Geography column, e.g. 'r.location'
+ * @param {string} lat - Latitude placeholder
+ * @param {string} lng - Longitude placeholder
+ * @param {string} meters - Placeholder (or expression) for the radius in metres
+ * @returns {string} SQL condition; false for rows without a location
+ */
+export const withinRadius = (column, lat, lng, meters) =>
+  `ST_DWithin(${column}, ${point(lat, lng)}, ${meters})`;
+
+/**
+ * Distance from a point in metres
+ * @returns {string} SQL expression; NULL for rows without a location
+ */
+export const distanceMeters = (column, lat, lng) =>
+  `ST_Distance(${column}, ${point(lat, lng)})`;
+
+/**
+ * ORDER BY term for k-nearest queries (index-assisted with LIMIT)
+ * @returns {string} SQL expression
+ */
+export const nearestFirst = (column, lat, lng) =>
+  `${column} <-> ${point(lat, lng)}`;
+
+/**
+ * Rows whose location lies in a latitude/longitude box
+ * @param {string} column - Geography column
+ * @param {Object} bounds - Placeholders { minLat, minLng, maxLat, maxLng }
+ * @returns {string} SQL condition
+ */
+export const inBoundingBox = (column, { minLat, minLng, maxLat, maxLng }) =>
+  `${column} && ST_MakeEnvelope(${minLng}::float8, ${minLat}::float8, ${maxLng}::float8, ${maxLat}::float8, 4326)::geography`;
+
+/**
+ * Count unresolved reports filed near a point in the last few days
+ * @param {Object} client - Database client (or pool) to query with
+ * @param {Object} options - { latitude, longitude, radiusMeters, days, excludeReportId }
+ * @returns {Promise<number>}
+ */
+export const countNearbyUnresolvedReports = async (client, {
+  latitude,
+  longitude,
+  radiusMeters = 500,
+  days = 30,
+  excludeReportId = null
+}) => {
+  const result = await client.query(
+    `SELECT COUNT(*) AS cnt
+     FROM reports
+     WHERE is_resolved = false
+       AND created_at >= NOW() - ($3 || ' days')::interval
+       AND ${withinRadius('location', '$1', '$2', '$4')}
+       AND ($5::text IS NULL OR id::text <> $5)`,
+    [latitude, longitude, days, radiusMeters, excludeReportId === null ? null : String(excludeReportId)]
+  );
+  return parseInt(result.rows[0]?.cnt || 0, 10);
+};
+
+export default {
+  point,
+  withinRadius,
+  distanceMeters,
+  nearestFirst,
+  inBoundingBox,
+  countNearbyUnresolvedReports
+};
@@ -0,0 +1,263 @@
+import { queryOne, queryMany } from '../../db/utils.js';
+import boundaryProvider from './providers/boundaryProvider.js';
+import gazetteerProvider from './providers/gazetteerProvider.js';
+import nominatimProvider from './providers/nominatimProvider.js';
+
+/**
+ * Geocoding Service
+ *
+ * Reverse geocoding of report locations into a structured address:
+ *
+ *   { locality, ward, city, district, state, pincode }
+ *
+ * stored on the report (reports.address_*) so admins can filter and group by
+ * them. Lookups go through providers:
+ *
+ *   { name, online, minIntervalMs?, isConfigured(), reverse(latitude, longitude) }
+ *
+ * `reverse` resolves to any subset of the components (or null). Providers are
+ * asked in the order of GEOCODER_PROVIDERS (default "boundaries,gazetteer") and
+ * each fills only what the earlier ones left empty. Offline providers answer
+ * from local data, so a new report is geocoded before its response; online
+ * providers (e.g. "nominatim", listed in GEOCODER_PROVIDERS and configured
+ * with GEOCODER_NOMINATIM_URL) are left to the report-geocoding job, which
+ * also picks up reports whose boundaries changed.
+ */
+
+const DEFAULT_PROVIDER_ORDER = 'boundaries,gazetteer';
+
+export const ADDRESS_COMPONENTS = ['locality', 'ward', 'city', 'district', 'state', 'pincode'];
+
+// reports column and length of each component
+const COMPONENT_COLUMNS = {
+  locality: ['address_locality', 150],
+  ward: ['address_ward', 150],
+  city: ['address_city', 150],
+  district: ['address_district', 150],
+  state: ['address_state', 100],
+  pincode: ['address_pincode', 6]
+};
+
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+const BACKFILL_BATCH_SIZE = 50;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const clean = (component, value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (component === 'pincode') {
+    const digits = text.replace(/\s+/g, '');
+    return PINCODE_PATTERN.test(digits) ? digits : null;
+  }
+  return text ? text.slice(0, COMPONENT_COLUMNS[component][1]) : null;
+};
+
+/**
+ * One-line address from components, e.g. "Lalpur, Ranchi, Jharkhand - 834001"
+ * @param {Object} components
+ * @returns {string|null}
+ */
+export const formatAddress = (components) => {
+  const parts = [];
+  for (const value of [components.locality, components.city, components.district, components.state]) {
+    if (value && !parts.some((part) => part.toLowerCase() === value.toLowerCase())) {
+      parts.push(value);
+    }
+  }
+  if (parts.length === 0) return null;
+  return components.pincode ? `${parts.join(', ')} - ${components.pincode}` : parts.join(', ');
+};
+
+class GeocodingService {
+  constructor() {
+    this.providers = new Map();
+    this.lastCalledAt = new Map();
+  }
+
+  /**
+   * Register a provider (replaces a provider with the same name)
+   * @param {Object} provider - Provider implementing the interface above
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Configured providers to ask, in order
+   * @param {Object} options - { offlineOnly }
+   * @returns {Array<Object>}
+   */
+  getProviderOrder({ offlineOnly = false } = {}) {
+    return (process.env.GEOCODER_PROVIDERS || DEFAULT_PROVIDER_ORDER)
+      .split(',')
+      .map((name) => this.getProvider(name.trim()))
+      .filter((provider) => provider && provider.isConfigured() && !(offlineOnly && provider.online));
+  }
+
+  /**
+   * Names of the configured online providers
+   * @returns {string[]}
+   */
+  getOnlineProviderNames() {
+    return this.getProviderOrder().filter((provider) => provider.online).map((provider) => provider.name);
+  }
+
+  // Space calls to rate-limited providers
+  async throttle(provider) {
+    if (!provider.minIntervalMs) return;
+    const wait = (this.lastCalledAt.get(provider.name) || 0) + provider.minIntervalMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    this.lastCalledAt.set(provider.name, Date.now());
+  }
+
+  /**
+   * Structured address of a point
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {Object} options - { offlineOnly }
+   * @returns {Promise<Object>} { components, formatted, providers, failures }.
+   *          `providers` are those that answered; a failing provider is
+   *          skipped and listed in `failures`.
+   */
+  async reverseGeocode(latitude, longitude, { offlineOnly = false } = {}) {
+    const components = Object.fromEntries(ADDRESS_COMPONENTS.map((component) => [component, null]));
+    const providers = [];
+    const failures = [];
+
+    for (const provider of this.getProviderOrder({ offlineOnly })) {
+      if (ADDRESS_COMPONENTS.every((component) => components[component])) break;
+
+      try {
+        await this.throttle(provider);
+        const result = await provider.reverse(Number(latitude), Number(longitude));
+        providers.push(provider.name);
+
+        for (const component of ADDRESS_COMPONENTS) {
+          if (!components[component]) {
+            components[component] = clean(component, result?.[component]);
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠️ Geocoding provider ${provider.name} failed:`, error.message);
+        failures.push({ provider: provider.name, error: error.message });
+      }
+    }
+
+    return { components, formatted: formatAddress(components), providers, failures };
+  }
+
+  /**
+   * Geocode a report from its location and store the components. A blank
+   * address is filled with the formatted one; a typed address is kept.
+   * Runs outside the report's transaction.
+   * @param {string} reportId
+   * @param {Object} options - { offlineOnly }
+   * @returns {Promise<Object|null>} The report's address columns, or null when
+   *          it has no location or no provider answered
+   */
+  async geocodeReport(reportId, { offlineOnly = false } = {}) {
+    const report = await queryOne(
+      `SELECT id, latitude, longitude FROM reports WHERE id = $1`,
+      [reportId]
+    );
+    if (!report || report.latitude === null || report.longitude === null) return null;
+
+    const { components, formatted, providers } = await this.reverseGeocode(report.latitude, report.longitude, { offlineOnly });
+    if (providers.length === 0) return null;
+
+    return queryOne(
+      `UPDATE reports
+       SET address_locality = $2,
+           address_ward = $3,
+           address_city = $4,
+           address_district = $5,
+           address_state = $6,
+           address_pincode = $7,
+           address = CASE WHEN COALESCE(TRIM(address), '') = '' AND $8::text IS NOT NULL THEN $8 ELSE address END,
+           geocoded_by = $9,
+           geocoded_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING address, address_locality, address_ward, address_city, address_district,
+                 address_state, address_pincode, geocoded_by, geocoded_at`,
+      [
+        reportId,
+        components.locality,
+        components.ward,
+        components.city,
+        components.district,
+        components.state,
+        components.pincode,
+        formatted,
+        providers
+      ]
+    );
+  }
+
+  /**
+   * Geocode reports that were never geocoded (or whose boundaries changed),
+   * and, when an online provider is configured, reports with missing
+   * components it has not been asked about yet. Stops at the deadline.
+   * @param {Object} options - { deadline }
+   * @returns {Promise<Object>} { geocoded, failed, hasMore }
+   */
+  async backfillReports({ deadline }) {
+    const onlineProviders = this.getOnlineProviderNames();
+    const attemptedIds = [];
+    let geocoded = 0;
+    let failed = 0;
+
+    const pendingSql = `
+      SELECT id FROM reports
+      WHERE latitude IS NOT NULL AND longitude IS NOT NULL
+        AND NOT (id = ANY($1::uuid[]))
+        AND (
+          geocoded_at IS NULL
+          OR (
+            cardinality($2::text[]) > 0
+            AND NOT (COALESCE(geocoded_by, '{}') && $2::text[])
+            AND (address_locality IS NULL OR address_city IS NULL
+                 OR address_district IS NULL OR address_pincode IS NULL)
+          )
+        )
+      ORDER BY geocoded_at ASC NULLS FIRST, created_at DESC
+      LIMIT $3`;
+
+    while (Date.now() < deadline) {
+      const pending = await queryMany(pendingSql, [attemptedIds, onlineProviders, BACKFILL_BATCH_SIZE]);
+      if (pending.length === 0) break;
+
+      for (const { id } of pending) {
+        if (Date.now() >= deadline) break;
+        // Once per run: a report an online provider failed on still matches
+        attemptedIds.push(id);
+        if (await this.geocodeReport(id)) {
+          geocoded++;
+        } else {
+          failed++;
+        }
+      }
+    }
+
+    const remaining = await queryMany(pendingSql, [attemptedIds, onlineProviders, 1]);
+
+    return {
+      geocoded,
+      failed,
+      hasMore: remaining.length > 0
+    };
+  }
+}
+
+const geocodingService = new GeocodingService();
+
+geocodingService.registerProvider(boundaryProvider);
+geocodingService.registerProvider(gazetteerProvider);
+geocodingService.registerProvider(nominatimProvider);
+
+export default geocodingService;
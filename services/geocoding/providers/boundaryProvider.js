@@ -0,0 +1,24 @@
+import { locatePoint } from '../../boundaryService.js';
+
+/**
+ * Offline provider: ward, city (the urban local body) and district from the
+ * boundary polygons admins upload (services/boundaryService.js). Those are the
+ * boundaries reports are routed by, so this provider comes first.
+ */
+export default {
+  name: 'boundaries',
+  online: false,
+
+  isConfigured() {
+    return true;
+  },
+
+  async reverse(latitude, longitude) {
+    const { ward, ulb, district } = await locatePoint(latitude, longitude);
+    return {
+      ward: ward?.name || null,
+      city: ulb?.name || null,
+      district: district?.name || null
+    };
+  }
+};
@@ -0,0 +1,97 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Offline provider: the nearest place in a gazetteer file. Each place is
+ *
+ *   { name, kind: 'locality' | 'town', city, district, state, pincode,
+ *     latitude, longitude, radiusMeters? }
+ *
+ * and answers for points within its radius (default 2.5 km for a locality,
+ * 10 km for a town). A locality gives its name as the locality; a town only
+ * gives the city and what lies above it.
+ *
+ * The bundled file (data/gazetteer.json) is a starter set; GEOCODER_GAZETTEER_PATH
+ * points at a fuller one, e.g. converted from the India Post PIN code directory.
+ */
+
+const BUNDLED_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'gazetteer.json');
+
+const DEFAULT_RADIUS_METERS = {
+  locality: 2500,
+  town: 10000
+};
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance; plenty for picking the nearest place
+const haversineMeters = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+let places = null;
+
+const loadPlaces = () => {
+  if (places) return places;
+
+  const file = process.env.GEOCODER_GAZETTEER_PATH || BUNDLED_PATH;
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = Array.isArray(data) ? data : data.places;
+
+  places = (entries || [])
+    .filter((place) => place?.name && Number.isFinite(place.latitude) && Number.isFinite(place.longitude))
+    .map((place) => ({
+      ...place,
+      kind: place.kind === 'town' ? 'town' : 'locality',
+      radiusMeters: Number(place.radiusMeters) || DEFAULT_RADIUS_METERS[place.kind === 'town' ? 'town' : 'locality']
+    }));
+
+  console.log(`📍 Loaded ${places.length} gazetteer place(s) from ${file}`);
+  return places;
+};
+
+/**
+ * Forget the loaded gazetteer so the next lookup reads the file again
+ */
+export const reloadGazetteer = () => {
+  places = null;
+};
+
+export default {
+  name: 'gazetteer',
+  online: false,
+
+  isConfigured() {
+    return true;
+  },
+
+  async reverse(latitude, longitude) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const place of loadPlaces()) {
+      const distance = haversineMeters(latitude, longitude, place.latitude, place.longitude);
+      if (distance <= place.radiusMeters && distance < nearestDistance) {
+        nearest = place;
+        nearestDistance = distance;
+      }
+    }
+
+    if (!nearest) return null;
+
+    return {
+      locality: nearest.kind === 'locality' ? nearest.name : null,
+      city: nearest.city || (nearest.kind === 'town' ? nearest.name : null),
+      district: nearest.district || null,
+      state: nearest.state || null,
+      pincode: nearest.pincode ? String(nearest.pincode) : null
+    };
+  }
+};
@@ -0,0 +1,49 @@
+import axios from 'axios';
+
+/**
+ * Online provider: reverse geocoding with a Nominatim (OpenStreetMap) server,
+ * enabled by GEOCODER_NOMINATIM_URL. The public instance allows one request
+ * per second and asks for an identifying User-Agent (GEOCODER_USER_AGENT);
+ * a self-hosted server can lower GEOCODER_NOMINATIM_INTERVAL_MS.
+ */
+
+const TIMEOUT_MS = Number(process.env.GEOCODER_TIMEOUT_MS) || 5000;
+
+const first = (...values) => values.find((value) => typeof value === 'string' && value.trim() !== '') || null;
+
+export default {
+  name: 'nominatim',
+  online: true,
+  minIntervalMs: Number(process.env.GEOCODER_NOMINATIM_INTERVAL_MS) || 1000,
+
+  isConfigured() {
+    return Boolean(process.env.GEOCODER_NOMINATIM_URL);
+  },
+
+  async reverse(latitude, longitude) {
+    const baseUrl = process.env.GEOCODER_NOMINATIM_URL.replace(/\/+$/, '');
+    const response = await axios.get(`${baseUrl}/reverse`, {
+      params: {
+        format: 'jsonv2',
+        lat: latitude,
+        lon: longitude,
+        zoom: 18,
+        addressdetails: 1,
+        'accept-language': 'en'
+      },
+      headers: { 'User-Agent': process.env.GEOCODER_USER_AGENT || 'JanSetu-Backend' },
+      timeout: TIMEOUT_MS
+    });
+
+    const address = response.data?.address;
+    if (!address) return null;
+
+    return {
+      locality: first(address.neighbourhood, address.suburb, address.quarter, address.hamlet, address.village),
+      city: first(address.city, address.town, address.municipality, address.village),
+      district: first(address.state_district, address.county),
+      state: first(address.state),
+      pincode: first(address.postcode)
+    };
+  }
+};
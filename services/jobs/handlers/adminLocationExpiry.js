@@ -0,0 +1,26 @@
+import { query } from '../../../db/utils.js';
+
+/**
+ * Drop field admin locations nobody has refreshed for a while. The team map
+ * only shows the last hour; older rows just record where staff were.
+ */
+
+const RETENTION_HOURS = Number(process.env.ADMIN_LOCATION_RETENTION_HOURS) || 24;
+
+export default {
+  name: 'admin-location-expiry',
+  description: `Delete field admin locations older than ${RETENTION_HOURS}h`,
+  schedule: { everyMinutes: 60 },
+  timeoutSeconds: 60,
+  maxAttempts: 1,
+
+  async run() {
+    const result = await query(
+      `DELETE FROM admin_locations
+       WHERE updated_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 hour'`,
+      [RETENTION_HOURS]
+    );
+
+    return { deleted: result.rowCount, retentionHours: RETENTION_HOURS };
+  }
+};
@@ -0,0 +1,17 @@
+import outboxService from '../../notifications/outboxService.js';
+
+/**
+ * Deliver due outbox messages: retries, and anything the post-enqueue drain
+ * did not get to (see services/notifications/outboxService.js).
+ */
+export default {
+  name: 'notification-outbox',
+  description: 'Deliver queued push, WhatsApp and email notifications and retry failed ones',
+  schedule: { everyMinutes: 1 },
+  timeoutSeconds: 5 * 60,
+  maxAttempts: 1,      // messages carry their own retries
+
+  async run({ deadline }) {
+    return outboxService.process({ deadline });
+  }
+};
@@ -0,0 +1,20 @@
+import outboxService from '../../notifications/outboxService.js';
+
+/**
+ * Delete delivered and cancelled outbox messages after NOTIFY_OUTBOX_RETENTION_DAYS.
+ * Dead-lettered messages are kept until an admin deals with them.
+ */
+
+const RETENTION_DAYS = Number(process.env.NOTIFY_OUTBOX_RETENTION_DAYS) || 30;
+
+export default {
+  name: 'notification-outbox-cleanup',
+  description: `Delete delivered and cancelled notifications older than ${RETENTION_DAYS} days`,
+  schedule: { dailyAtUtc: '22:00' },    // 03:30 IST
+  timeoutSeconds: 5 * 60,
+  maxAttempts: 2,
+
+  async run() {
+    return { deleted: await outboxService.purgeSent(RETENTION_DAYS) };
+  }
+};
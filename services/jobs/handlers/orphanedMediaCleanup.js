@@ -0,0 +1,120 @@
+import { queryMany } from '../../../db/utils.js';
+import { listUploadedResources, deleteResourcesOnCloudinary } from '../../cloudinary.js';
+import redisService from '../../redis.js';
+
+/**
+ * Orphaned media cleanup.
+ *
+ * Clients upload photos, videos and audio first (/reports/upload-media,
+ * /field-admin/upload-work-photo, ...) and reference the URLs afterwards. Uploads
+ * that are never referenced - abandoned drafts, deleted reports - stay in
+ * Cloudinary forever. This job walks the Cloudinary library a page at a time
+ * (the cursor is kept in Redis between runs) and finds assets older than the
+ * grace period that no table references.
+ *
+ * Nothing is deleted unless MEDIA_CLEANUP_DELETE=true; otherwise the run only
+ * reports what it would remove. Media of deleted reports stays while the
+ * deletion audit snapshot references it.
+ */
+
+const RESOURCE_TYPES = ['image', 'video'];     // audio uploads are 'video' in Cloudinary
+const GRACE_HOURS = Number(process.env.MEDIA_CLEANUP_GRACE_HOURS) || 48;
+const PAGE_SIZE = 500;
+const DELETE_CHUNK = 100;                       // Cloudinary's bulk delete limit
+
+const cursorKey = (resourceType) => `jobs:media_cleanup:cursor:${resourceType}`;
+
+// Candidate URLs that no row references
+const findUnreferenced = async (urls) => queryMany(
+  `WITH candidates AS (
+     SELECT DISTINCT unnest($1::text[]) AS url
+   ),
+   referenced AS (
+     SELECT unnest(media_urls) AS url FROM reports
+     UNION ALL SELECT audio_url FROM reports
+     UNION ALL SELECT unnest(resolved_media_urls) FROM reports
+     UNION ALL SELECT unnest(in_progress_photos) FROM reports
+     UNION ALL SELECT unnest(photos) FROM work_logs
+     UNION ALL SELECT unnest(photos) FROM report_disputes
+     UNION ALL SELECT unnest(previous_resolved_media_urls) FROM report_disputes
+     UNION ALL SELECT profile_image_url FROM users
+     UNION ALL SELECT jsonb_array_elements_text(COALESCE(report_snapshot::jsonb -> 'media_urls', '[]'::jsonb)) FROM report_deletion_audit
+     UNION ALL SELECT jsonb_array_elements_text(COALESCE(report_snapshot::jsonb -> 'resolved_media_urls', '[]'::jsonb)) FROM report_deletion_audit
+     UNION ALL SELECT report_snapshot::jsonb ->> 'audio_url' FROM report_deletion_audit
+   )
+   SELECT c.url
+   FROM candidates c
+   WHERE NOT EXISTS (SELECT 1 FROM referenced r WHERE r.url = c.url)`,
+  [urls]
+);
+
+const cleanPage = async (resourceType, deleteEnabled) => {
+  const cursor = await redisService.get(cursorKey(resourceType));
+  const { resources, nextCursor } = await listUploadedResources({
+    resourceType,
+    nextCursor: cursor,
+    maxResults: PAGE_SIZE
+  });
+
+  const cutoff = Date.now() - GRACE_HOURS * 60 * 60 * 1000;
+  const old = resources.filter((resource) => new Date(resource.created_at).getTime() < cutoff);
+
+  // Uploads are referenced by https URL, but older clients stored the http one
+  const unreferenced = new Set((await findUnreferenced(
+    old.flatMap((resource) => [resource.secure_url, resource.url])
+  )).map((row) => row.url));
+
+  const orphans = old
+    .filter((resource) => unreferenced.has(resource.secure_url) && unreferenced.has(resource.url))
+    .map((resource) => resource.public_id);
+
+  let deleted = 0;
+  if (deleteEnabled) {
+    for (let i = 0; i < orphans.length; i += DELETE_CHUNK) {
+      const response = await deleteResourcesOnCloudinary(orphans.slice(i, i + DELETE_CHUNK), resourceType);
+      deleted += Object.values(response?.deleted || {}).filter((status) => status === 'deleted').length;
+    }
+  }
+
+  // Start over from the beginning once the whole library has been walked
+  if (nextCursor) {
+    await redisService.set(cursorKey(resourceType), nextCursor, 7 * 24 * 60 * 60);
+  } else {
+    await redisService.del(cursorKey(resourceType));
+  }
+
+  return { scanned: resources.length, orphaned: orphans.length, deleted, hasMore: Boolean(nextCursor) };
+};
+
+export default {
+  name: 'orphaned-media-cleanup',
+  description: `Find (and with MEDIA_CLEANUP_DELETE=true delete) unreferenced Cloudinary uploads older than ${GRACE_HOURS}h`,
+  schedule: { dailyAtUtc: '21:30' },    // 03:00 IST
+  timeoutSeconds: 10 * 60,
+  maxAttempts: 2,
+
+  async run({ deadline }) {
+    if (!process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
+      return { skipped: 'Cloudinary is not configured' };
+    }
+
+    const deleteEnabled = process.env.MEDIA_CLEANUP_DELETE === 'true';
+    const summary = { dryRun: !deleteEnabled, scanned: 0, orphaned: 0, deleted: 0, hasMore: false };
+
+    for (const resourceType of RESOURCE_TYPES) {
+      // One page per type per run; continuations walk the rest of the library
+      if (Date.now() >= deadline) {
+        summary.hasMore = true;
+        break;
+      }
+
+      const page = await cleanPage(resourceType, deleteEnabled);
+      summary.scanned += page.scanned;
+      summary.orphaned += page.orphaned;
+      summary.deleted += page.deleted;
+      summary.hasMore = summary.hasMore || page.hasMore;
+    }
+
+    return summary;
+  }
+};
@@ -0,0 +1,70 @@
+import { queryMany, transaction } from '../../../db/utils.js';
+import { batchRecalculatePriorities } from '../../priorityCalculation.js';
+import redisService from '../../redis.js';
+
+/**
+ * Nightly priority recalculation.
+ *
+ * Time decay and engagement only show up in a report's priority when it is
+ * recalculated, so every unresolved report that has not been touched since the
+ * previous night is recalculated in chunks. When the run's deadline arrives
+ * first it stops and asks for a continuation.
+ */
+
+const CHUNK_SIZE = 100;
+const STALE_AFTER_HOURS = 20;
+
+export default {
+  name: 'priority-recalculation',
+  description: 'Recalculate dynamic priorities of unresolved reports',
+  schedule: { dailyAtUtc: '20:30' },    // 02:00 IST
+  timeoutSeconds: 15 * 60,
+  maxAttempts: 2,
+
+  async run({ deadline }) {
+    const failedIds = [];
+    let updated = 0;
+
+    while (Date.now() < deadline) {
+      const stale = await queryMany(
+        `SELECT id FROM reports
+         WHERE is_resolved = false
+           AND (priority_updated_at IS NULL OR priority_updated_at < NOW() - $1 * INTERVAL '1 hour')
+           AND NOT (id = ANY($2::uuid[]))
+         ORDER BY priority_updated_at ASC NULLS FIRST
+         LIMIT $3`,
+        [STALE_AFTER_HOURS, failedIds, CHUNK_SIZE]
+      );
+
+      if (stale.length === 0) break;
+
+      const ids = stale.map((row) => row.id);
+      const result = await transaction((client) => batchRecalculatePriorities(client, ids));
+
+      updated += result.successCount;
+      // Skip reports that failed so the next chunk makes progress
+      const succeeded = new Set(result.results.map((row) => row.reportId));
+      failedIds.push(...ids.filter((id) => !succeeded.has(id)));
+    }
+
+    if (updated > 0) {
+      await redisService.invalidatePattern('reports:*');
+      await redisService.invalidateAdminReports();
+    }
+
+    const remaining = await queryMany(
+      `SELECT id FROM reports
+       WHERE is_resolved = false
+         AND (priority_updated_at IS NULL OR priority_updated_at < NOW() - $1 * INTERVAL '1 hour')
+         AND NOT (id = ANY($2::uuid[]))
+       LIMIT 1`,
+      [STALE_AFTER_HOURS, failedIds]
+    );
+
+    return {
+      updated,
+      failed: failedIds.length,
+      hasMore: remaining.length > 0
+    };
+  }
+};
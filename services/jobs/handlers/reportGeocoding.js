@@ -0,0 +1,29 @@
+import geocodingService from '../../geocoding/geocodingService.js';
+import redisService from '../../redis.js';
+
+/**
+ * Reverse geocode reports the inline (offline) lookup did not finish: reports
+ * filed before geocoding existed, reports whose boundaries were redrawn or
+ * renamed, and, with an online provider configured, reports still missing a
+ * locality, city, district or PIN code (see services/geocoding).
+ */
+
+const INTERVAL_MINUTES = Number(process.env.GEOCODER_BACKFILL_INTERVAL_MINUTES) || 10;
+
+export default {
+  name: 'report-geocoding',
+  description: 'Derive structured addresses for reports from their locations',
+  schedule: { everyMinutes: INTERVAL_MINUTES },
+  timeoutSeconds: 5 * 60,
+  maxAttempts: 1,      // the next run picks up whatever is left
+
+  async run({ deadline }) {
+    const summary = await geocodingService.backfillReports({ deadline });
+
+    if (summary.geocoded > 0) {
+      await redisService.invalidateAdminReports();
+    }
+
+    return summary;
+  }
+};
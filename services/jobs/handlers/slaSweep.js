@@ -0,0 +1,17 @@
+import { runSlaSweep } from '../../slaService.js';
+
+/**
+ * Flag open reports that are near or past their SLA and escalate them
+ * (see services/slaService.js).
+ */
+export default {
+  name: 'sla-sweep',
+  description: 'Flag at-risk and breached reports and escalate them to admins',
+  schedule: { everyMinutes: Number(process.env.SLA_SWEEP_INTERVAL_MINUTES) || 15 },
+  timeoutSeconds: 5 * 60,
+  maxAttempts: 1,      // the next sweep picks up anything this one missed
+
+  async run() {
+    return runSlaSweep();
+  }
+};
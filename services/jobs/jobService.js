@@ -0,0 +1,410 @@
+import crypto from 'crypto';
+import { query, queryOne, queryMany } from '../../db/utils.js';
+import redisService from '../redis.js';
+import priorityRecalculation from './handlers/priorityRecalculation.js';
+import slaSweep from './handlers/slaSweep.js';
+import adminLocationExpiry from './handlers/adminLocationExpiry.js';
+import orphanedMediaCleanup from './handlers/orphanedMediaCleanup.js';
+import notificationOutbox from './handlers/notificationOutbox.js';
+import notificationOutboxCleanup from './handlers/notificationOutboxCleanup.js';
+import reportGeocoding from './handlers/reportGeocoding.js';
+
+/**
+ * Job Service
+ *
+ * Periodic background work. Jobs are plain objects:
+ *
+ *   { name, description, schedule: { everyMinutes } | { dailyAtUtc: 'HH:MM' },
+ *     timeoutSeconds, maxAttempts, run({ trigger, attempt, params, deadline }) }
+ *
+ * `run` returns a JSON-able summary; `{ hasMore: true }` asks for an immediate
+ * continuation (long jobs stop at `deadline` and pick up where they left off).
+ *
+ * A scheduler tick enqueues every due job on a Redis list and then drains the
+ * list within its time budget. Ticks come from a timer on long-running servers
+ * (jobService.start) and from Vercel Cron via GET /api/v1/jobs/cron. Failed
+ * runs are retried with exponential backoff from a delayed set, up to the
+ * job's maxAttempts. Without Redis, due jobs run inline and are not retried.
+ *
+ * Every execution is recorded in `job_runs`. A partial unique index on running
+ * rows guarantees one execution per job at a time across instances.
+ *
+ *   jobs:queue            list of ready payloads { id, name, trigger, attempt, params }
+ *   jobs:delayed          sorted set of retries, scored by when they become ready
+ *   jobs:pending:<name>   present while a scheduled run of <name> waits in the queue
+ */
+
+export const JOB_TRIGGERS = {
+  SCHEDULE: 'schedule',          // in-process timer
+  CRON: 'cron',                  // HTTP trigger (Vercel Cron)
+  MANUAL: 'manual',              // admin "run now"
+  RETRY: 'retry',
+  CONTINUATION: 'continuation'
+};
+
+const QUEUE_KEY = 'jobs:queue';
+const DELAYED_KEY = 'jobs:delayed';
+const pendingKey = (name) => `jobs:pending:${name}`;
+
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+const MIN_TIME_TO_START_MS = 5000;
+const DEFAULT_TICK_BUDGET_MS = 25000;     // Vercel functions get 30s (vercel.json)
+
+export const isJobsEnabled = () => process.env.JOBS_ENABLED !== 'false';
+
+const disabledJobs = () => new Set(
+  (process.env.JOBS_DISABLED || '').split(',').map((name) => name.trim()).filter(Boolean)
+);
+
+// Most recent time the schedule should have fired at or before `now`
+const latestDailySlot = (dailyAtUtc, now) => {
+  const [hours, minutes] = dailyAtUtc.split(':').map(Number);
+  const slot = new Date(now);
+  slot.setUTCHours(hours, minutes, 0, 0);
+  if (slot > now) slot.setUTCDate(slot.getUTCDate() - 1);
+  return slot;
+};
+
+const nextDueAt = (job, lastScheduledAt, now = new Date()) => {
+  if (!lastScheduledAt) return now;
+
+  if (job.schedule.everyMinutes) {
+    return new Date(new Date(lastScheduledAt).getTime() + job.schedule.everyMinutes * 60 * 1000);
+  }
+
+  const slot = latestDailySlot(job.schedule.dailyAtUtc, now);
+  if (new Date(lastScheduledAt) < slot) return slot;
+
+  slot.setUTCDate(slot.getUTCDate() + 1);
+  return slot;
+};
+
+const retryDelayMs = (attempt) => Math.min(60 * 1000 * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+
+const withTimeout = (promise, timeoutMs, name) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Job ${name} timed out after ${timeoutMs / 1000}s`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+    this.ticking = false;
+    this.timer = null;
+  }
+
+  /**
+   * Register a job (replaces a job with the same name)
+   * @param {Object} job - Job implementing the interface above
+   */
+  registerJob(job) {
+    this.jobs.set(job.name, job);
+  }
+
+  getJob(name) {
+    return this.jobs.get(name) || null;
+  }
+
+  isEnabled(name) {
+    return this.jobs.has(name) && !disabledJobs().has(name);
+  }
+
+  /**
+   * Put a job on the queue
+   * @param {string} name - Job name
+   * @param {Object} options - { trigger, attempt, params, requestedBy, runAt }
+   * @returns {Promise<Object|null>} The queued payload, or null when Redis is unavailable
+   */
+  async enqueue(name, { trigger = JOB_TRIGGERS.MANUAL, attempt = 1, params = {}, requestedBy = null, runAt = null } = {}) {
+    if (!await redisService.ensureConnected()) return null;
+
+    const payload = { id: crypto.randomUUID(), name, trigger, attempt, params, requestedBy, enqueuedAt: Date.now() };
+    const queued = runAt
+      ? await redisService.scheduleDelayed(DELAYED_KEY, payload, runAt)
+      : await redisService.pushToQueue(QUEUE_KEY, payload);
+
+    return queued ? payload : null;
+  }
+
+  /**
+   * Execute a job now, recording the run. Returns without running when another
+   * execution of the same job is in progress.
+   * @param {string} name - Job name
+   * @param {Object} options - { trigger, attempt, params, requestedBy, deadline }
+   * @returns {Promise<Object>} { status: 'succeeded'|'failed'|'skipped', runId, result?, error? }
+   */
+  async runJob(name, { trigger = JOB_TRIGGERS.MANUAL, attempt = 1, params = {}, requestedBy = null, deadline = null } = {}) {
+    const job = this.getJob(name);
+    if (!job) {
+      console.warn(`⚠️ Ignoring unknown job "${name}"`);
+      return { status: 'skipped', reason: 'unknown job' };
+    }
+
+    const timeoutMs = job.timeoutSeconds * 1000;
+
+    // A run left 'running' by an instance that died would block the job forever
+    await query(
+      `UPDATE job_runs
+       SET status = 'failed', finished_at = CURRENT_TIMESTAMP,
+           error = 'Abandoned: the instance stopped before the run finished'
+       WHERE job_name = $1 AND status = 'running'
+         AND started_at < CURRENT_TIMESTAMP - $2 * INTERVAL '1 second'`,
+      [name, job.timeoutSeconds * 2]
+    );
+
+    const claimed = await queryOne(
+      `INSERT INTO job_runs (job_name, trigger, attempt, requested_by_admin_id)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (job_name) WHERE status = 'running' DO NOTHING
+       RETURNING id, started_at`,
+      [name, trigger, attempt, requestedBy]
+    );
+
+    if (!claimed) {
+      if (trigger === JOB_TRIGGERS.SCHEDULE || trigger === JOB_TRIGGERS.CRON) {
+        await redisService.del(pendingKey(name));
+      }
+      console.log(`⏭️ Job ${name} is already running - skipped`);
+      return { status: 'skipped', reason: 'already running' };
+    }
+
+    const startedAt = Date.now();
+    console.log(`🏃 Job ${name} started (${trigger}, attempt ${attempt})`);
+
+    try {
+      const result = await withTimeout(
+        Promise.resolve(job.run({
+          trigger,
+          attempt,
+          params,
+          deadline: Math.min(startedAt + timeoutMs, deadline ?? Infinity)
+        })),
+        timeoutMs,
+        name
+      );
+
+      await query(
+        `UPDATE job_runs
+         SET status = 'succeeded', finished_at = CURRENT_TIMESTAMP, duration_ms = $2, result = $3
+         WHERE id = $1`,
+        [claimed.id, Date.now() - startedAt, JSON.stringify(result ?? {})]
+      );
+      console.log(`✅ Job ${name} succeeded in ${Date.now() - startedAt}ms`);
+
+      if (result?.hasMore) {
+        await this.enqueue(name, { trigger: JOB_TRIGGERS.CONTINUATION, params });
+      }
+
+      return { status: 'succeeded', runId: claimed.id, result };
+    } catch (error) {
+      console.error(`❌ Job ${name} failed:`, error);
+
+      await query(
+        `UPDATE job_runs
+         SET status = 'failed', finished_at = CURRENT_TIMESTAMP, duration_ms = $2, error = $3
+         WHERE id = $1`,
+        [claimed.id, Date.now() - startedAt, error.message]
+      );
+
+      if (attempt < (job.maxAttempts || 1)) {
+        const delay = retryDelayMs(attempt);
+        const retry = await this.enqueue(name, {
+          trigger: JOB_TRIGGERS.RETRY,
+          attempt: attempt + 1,
+          params,
+          runAt: Date.now() + delay
+        });
+        if (retry) console.log(`🔁 Job ${name} retry ${attempt + 1} in ${Math.round(delay / 1000)}s`);
+      }
+
+      return { status: 'failed', runId: claimed.id, error: error.message };
+    } finally {
+      if (trigger === JOB_TRIGGERS.SCHEDULE || trigger === JOB_TRIGGERS.CRON) {
+        await redisService.del(pendingKey(name));
+      }
+    }
+  }
+
+  // Last scheduled start per job; manual runs do not move the schedule
+  async getLastScheduledRuns() {
+    const rows = await queryMany(
+      `SELECT job_name, MAX(started_at) AS last_started_at
+       FROM job_runs
+       WHERE trigger IN ('schedule', 'cron')
+       GROUP BY job_name`
+    );
+    return new Map(rows.map((row) => [row.job_name, row.last_started_at]));
+  }
+
+  /**
+   * One scheduler pass: enqueue due jobs, then work the queue until it is empty
+   * or the budget is spent
+   * @param {Object} options - { trigger: 'schedule'|'cron', budgetMs }
+   * @returns {Promise<Object>} { due, ran, queued }
+   */
+  async tick({ trigger = JOB_TRIGGERS.SCHEDULE, budgetMs = DEFAULT_TICK_BUDGET_MS } = {}) {
+    if (this.ticking) return { due: [], ran: [], queued: null, skipped: 'previous tick still running' };
+    this.ticking = true;
+
+    const budgetEnd = Date.now() + budgetMs;
+    const summary = { due: [], ran: [], queued: null };
+
+    try {
+      const useQueue = await redisService.ensureConnected();
+      if (useQueue) await redisService.promoteDelayed(DELAYED_KEY, QUEUE_KEY);
+
+      const lastRuns = await this.getLastScheduledRuns();
+      const now = new Date();
+
+      for (const job of this.jobs.values()) {
+        if (!this.isEnabled(job.name) || nextDueAt(job, lastRuns.get(job.name), now) > now) continue;
+
+        if (!useQueue) {
+          summary.due.push(job.name);
+          continue;
+        }
+
+        // Only one queued scheduled run per job, however many instances tick
+        const ttl = job.timeoutSeconds + 15 * 60;
+        if (await redisService.setIfAbsent(pendingKey(job.name), String(Date.now()), ttl)) {
+          await this.enqueue(job.name, { trigger });
+          summary.due.push(job.name);
+        }
+      }
+
+      if (useQueue) {
+        while (budgetEnd - Date.now() > MIN_TIME_TO_START_MS) {
+          const payload = await redisService.popFromQueue(QUEUE_KEY);
+          if (!payload) break;
+
+          const outcome = await this.runJob(payload.name, { ...payload, deadline: budgetEnd });
+          summary.ran.push({ name: payload.name, trigger: payload.trigger, ...outcome });
+        }
+        summary.queued = await redisService.getQueueLength(QUEUE_KEY);
+      } else {
+        for (const name of summary.due) {
+          if (budgetEnd - Date.now() <= MIN_TIME_TO_START_MS) break;
+          const outcome = await this.runJob(name, { trigger, deadline: budgetEnd });
+          summary.ran.push({ name, trigger, ...outcome });
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Tick on a timer (long-running servers only). JOB_TICK_SECONDS sets the
+   * interval; JOBS_ENABLED=false turns the scheduler off.
+   * @returns {NodeJS.Timeout|null}
+   */
+  start() {
+    if (!isJobsEnabled() || this.timer) return this.timer;
+
+    const seconds = Number(process.env.JOB_TICK_SECONDS) || 60;
+    this.timer = setInterval(() => {
+      // Each tick may use most of the interval before the next one starts
+      this.tick({ trigger: JOB_TRIGGERS.SCHEDULE, budgetMs: seconds * 1000 * 0.9 })
+        .catch((error) => console.error('❌ Job scheduler tick failed:', error.message));
+    }, seconds * 1000);
+    this.timer.unref();
+
+    console.log(`⏰ Job scheduler ticking every ${seconds}s (${[...this.jobs.keys()].filter((name) => this.isEnabled(name)).join(', ')})`);
+    return this.timer;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Registered jobs with their schedule and latest outcomes
+   * @returns {Promise<Array>}
+   */
+  async listJobs() {
+    const [lastRuns, latest] = await Promise.all([
+      this.getLastScheduledRuns(),
+      queryMany(
+        `SELECT job_name,
+                (ARRAY_AGG(status ORDER BY started_at DESC))[1] AS last_status,
+                MAX(started_at) AS last_started_at,
+                MAX(finished_at) FILTER (WHERE status = 'succeeded') AS last_success_at,
+                MAX(finished_at) FILTER (WHERE status = 'failed') AS last_failure_at,
+                (ARRAY_AGG(error ORDER BY started_at DESC) FILTER (WHERE status = 'failed'))[1] AS last_error,
+                COUNT(*) FILTER (WHERE status = 'failed' AND started_at > NOW() - INTERVAL '24 hours') AS failures_24h
+         FROM job_runs
+         GROUP BY job_name`
+      )
+    ]);
+    const stats = new Map(latest.map((row) => [row.job_name, row]));
+
+    return [...this.jobs.values()].map((job) => {
+      const row = stats.get(job.name) || {};
+      return {
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule,
+        enabled: this.isEnabled(job.name),
+        timeoutSeconds: job.timeoutSeconds,
+        maxAttempts: job.maxAttempts || 1,
+        lastStatus: row.last_status || null,
+        lastStartedAt: row.last_started_at || null,
+        lastSuccessAt: row.last_success_at || null,
+        lastFailureAt: row.last_failure_at || null,
+        lastError: row.last_error || null,
+        failuresLast24h: parseInt(row.failures_24h || 0, 10),
+        nextDueAt: nextDueAt(job, lastRuns.get(job.name))
+      };
+    });
+  }
+
+  /**
+   * Recorded runs, newest first
+   * @param {Object} filters - { jobName, status, limit, offset }
+   * @returns {Promise<{runs: Array, total: number}>}
+   */
+  async getRuns({ jobName = null, status = null, limit = 50, offset = 0 } = {}) {
+    const [runs, count] = await Promise.all([
+      queryMany(
+        `SELECT r.*, a.full_name AS requested_by_name
+         FROM job_runs r
+         LEFT JOIN admins a ON a.id = r.requested_by_admin_id
+         WHERE ($1::text IS NULL OR r.job_name = $1)
+           AND ($2::text IS NULL OR r.status = $2)
+         ORDER BY r.started_at DESC
+         LIMIT $3 OFFSET $4`,
+        [jobName, status, limit, offset]
+      ),
+      queryOne(
+        `SELECT COUNT(*) AS total FROM job_runs
+         WHERE ($1::text IS NULL OR job_name = $1)
+           AND ($2::text IS NULL OR status = $2)`,
+        [jobName, status]
+      )
+    ]);
+
+    return { runs, total: parseInt(count?.total || 0, 10) };
+  }
+
+  async getQueueStats() {
+    return { ready: await redisService.getQueueLength(QUEUE_KEY) };
+  }
+}
+
+const jobService = new JobService();
+
+jobService.registerJob(priorityRecalculation);
+jobService.registerJob(slaSweep);
+jobService.registerJob(adminLocationExpiry);
+jobService.registerJob(orphanedMediaCleanup);
+jobService.registerJob(notificationOutbox);
+jobService.registerJob(notificationOutboxCleanup);
+jobService.registerJob(reportGeocoding);
+
+export default jobService;
@@ -1,5 +1,5 @@
 import admin from 'firebase-admin';
-import { queryOne } from '../db/utils.js';
+import { getDeviceTokens, pruneDeviceTokens } from './notifications/deviceTokenService.js';
 
 // Initialize Firebase Admin SDK if not already initialized
 let isInitialized = false;
@@ -23,52 +23,81 @@ const initializeFirebase = async () => {
   }
 };
 
-// Get user's FCM token from database
-const getUserFCMToken = async (userId) => {
-  try {
-    const query = `
-      SELECT fcm_token 
-      FROM users 
-      WHERE id = $1 AND fcm_token IS NOT NULL
-    `;
-    const result = await queryOne(query, [userId]);
-    return result?.fcm_token || null;
-  } catch (error) {
-    console.error('Error getting user FCM token:', error);
-    return null;
+// FCM errors that mean the token itself is dead: the app was uninstalled, the
+// token expired or it was never valid. These tokens are pruned.
+const INVALID_TOKEN_ERRORS = new Set([
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+]);
+
+// FCM errors that a retry cannot fix: the message is malformed
+const PERMANENT_FCM_ERRORS = new Set([
+  ...INVALID_TOKEN_ERRORS,
+  'messaging/invalid-argument',
+  'messaging/invalid-payload'
+]);
+
+const MULTICAST_LIMIT = 500;     // tokens per sendEachForMulticast call
+
+// FCM data values must be strings
+const toStringData = (data) => Object.fromEntries(
+  Object.entries(data).map(([key, value]) => [key, String(value)])
+);
+
+/**
+ * Send one notification to many tokens, pruning tokens FCM reports as dead
+ * @param {string[]} tokens
+ * @param {Object} message - FCM message without `tokens`
+ * @returns {Promise<{successCount: number, failureCount: number, pruned: number, errors: Array<{code, message}>}>}
+ */
+const sendMulticast = async (tokens, message) => {
+  const summary = { successCount: 0, failureCount: 0, pruned: 0, errors: [] };
+  const deadTokens = [];
+
+  for (let i = 0; i < tokens.length; i += MULTICAST_LIMIT) {
+    const chunk = tokens.slice(i, i + MULTICAST_LIMIT);
+    const response = await admin.messaging().sendEachForMulticast({ ...message, tokens: chunk });
+
+    summary.successCount += response.successCount;
+    summary.failureCount += response.failureCount;
+
+    response.responses.forEach((result, index) => {
+      if (result.success) return;
+      summary.errors.push({ code: result.error?.code, message: result.error?.message });
+      if (INVALID_TOKEN_ERRORS.has(result.error?.code)) deadTokens.push(chunk[index]);
+    });
   }
+
+  summary.pruned = await pruneDeviceTokens(deadTokens);
+  return summary;
 };
 
-// Send notification when report is resolved
-export const sendReportResolvedNotification = async (userId, reportId, reportTitle) => {
+/**
+ * Send a push notification to all of a user's devices. Channel adapter for the
+ * notification outbox (services/notifications).
+ * @param {string} userId - Recipient user
+ * @param {Object} message - { title, body, data }
+ * @returns {Promise<{success: boolean, providerMessageId?: string, error?: string, permanent?: boolean}>}
+ */
+export const sendPushToUser = async (userId, { title, body, data = {} }) => {
   try {
     await initializeFirebase();
 
     if (!admin.apps.length) {
-      console.error('Firebase Admin SDK not initialized');
-      return false;
+      return { success: false, error: 'Firebase Admin SDK not initialized', permanent: true };
     }
 
-    // Get user's FCM token
-    const fcmToken = await getUserFCMToken(userId);
-    
-    if (!fcmToken) {
-      console.log(`No FCM token found for user ${userId}`);
-      return false;
+    const tokens = await getDeviceTokens([userId]);
+
+    if (tokens.length === 0) {
+      console.log(`No device tokens registered for user ${userId}`);
+      return { success: false, error: 'No device tokens registered for user', permanent: true };
     }
 
-    // Prepare notification payload
-    const notificationPayload = {
-      token: fcmToken,
-      notification: {
-        title: '🎉 Report Resolved!',
-        body: `Your report "${reportTitle}" has been resolved by our team.`,
-      },
-      data: {
-        type: 'report_resolved',
-        reportId: reportId.toString(),
-        userId: userId.toString(),
-      },
+    const stringData = toStringData({ ...data, userId });
+    const result = await sendMulticast(tokens, {
+      notification: { title, body },
+      data: stringData,
       android: {
         notification: {
           icon: 'ic_notification',
@@ -85,76 +114,32 @@ export const sendReportResolvedNotification = async (userId, reportId, reportTit
           },
         },
       },
-    };
-
-    // Send notification
-    const response = await admin.messaging().send(notificationPayload);
-    console.log('✅ Report resolved notification sent successfully:', response);
-    return true;
-
-  } catch (error) {
-    console.error('❌ Error sending report resolved notification:', error);
-    return false;
-  }
-};
-
-// Send notification for report updates
-export const sendReportUpdateNotification = async (userId, reportId, reportTitle, updateMessage) => {
-  try {
-    await initializeFirebase();
+    });
 
-    if (!admin.apps.length) {
-      console.error('Firebase Admin SDK not initialized');
-      return false;
+    if (result.successCount > 0) {
+      console.log(`✅ Push notification (${stringData.type || 'general'}) sent to ${result.successCount}/${tokens.length} device(s) of user ${userId}`);
+      return { success: true, providerMessageId: `${result.successCount}/${tokens.length} devices` };
     }
 
-    const fcmToken = await getUserFCMToken(userId);
-    
-    if (!fcmToken) {
-      console.log(`No FCM token found for user ${userId}`);
-      return false;
-    }
-
-    const notificationPayload = {
-      token: fcmToken,
-      notification: {
-        title: '📝 Report Update',
-        body: updateMessage || `Your report "${reportTitle}" has been updated.`,
-      },
-      data: {
-        type: 'report_update',
-        reportId: reportId.toString(),
-        userId: userId.toString(),
-      },
-      android: {
-        notification: {
-          icon: 'ic_notification',
-          color: '#FF6B35',
-          sound: 'default',
-          channelId: 'report_updates',
-        },
-      },
-      apns: {
-        payload: {
-          aps: {
-            sound: 'default',
-            badge: 1,
-          },
-        },
-      },
+    // Every device failed: only worth retrying if some failure was not permanent
+    const [firstError] = result.errors;
+    return {
+      success: false,
+      error: firstError ? `${firstError.code}: ${firstError.message}` : 'No device accepted the notification',
+      permanent: result.errors.every((error) => PERMANENT_FCM_ERRORS.has(error.code))
     };
 
-    const response = await admin.messaging().send(notificationPayload);
-    console.log('✅ Report update notification sent successfully:', response);
-    return true;
-
   } catch (error) {
-    console.error('❌ Error sending report update notification:', error);
-    return false;
+    console.error('❌ Error sending push notification:', error);
+    return {
+      success: false,
+      error: error.message,
+      permanent: PERMANENT_FCM_ERRORS.has(error.code)
+    };
   }
 };
 
-// Send bulk notifications
+// Send the same notification to every device of several users
 export const sendBulkNotifications = async (userIds, title, body, data = {}) => {
   try {
     await initializeFirebase();
@@ -164,35 +149,26 @@ export const sendBulkNotifications = async (userIds, title, body, data = {}) =>
       return false;
     }
 
-    // Get FCM tokens for all users
-    const tokens = [];
-    for (const userId of userIds) {
-      const token = await getUserFCMToken(userId);
-      if (token) {
-        tokens.push(token);
-      }
-    }
+    const tokens = await getDeviceTokens(userIds);
 
     if (tokens.length === 0) {
-      console.log('No FCM tokens found for provided users');
+      console.log('No device tokens found for provided users');
       return false;
     }
 
-    const message = {
+    const result = await sendMulticast(tokens, {
       notification: {
         title: title,
         body: body,
       },
-      data: data,
-      tokens: tokens,
-    };
+      data: toStringData(data),
+    });
+    console.log(`✅ Bulk notification sent: ${result.successCount} successful, ${result.failureCount} failed`);
 
-    const response = await admin.messaging().sendEachForMulticast(message);
-    console.log(`✅ Bulk notification sent: ${response.successCount} successful, ${response.failureCount} failed`);
-    
     return {
-      successCount: response.successCount,
-      failureCount: response.failureCount
+      successCount: result.successCount,
+      failureCount: result.failureCount,
+      prunedTokens: result.pruned
     };
 
   } catch (error) {
@@ -202,7 +178,6 @@ export const sendBulkNotifications = async (userIds, title, body, data = {}) =>
 };
 
 export default {
-  sendReportResolvedNotification,
-  sendReportUpdateNotification,
+  sendPushToUser,
   sendBulkNotifications
-};
\ No newline at end of file
+};
@@ -0,0 +1,34 @@
+import emailService from '../../emailService.js';
+import { renderTemplate } from '../templates/templateRegistry.js';
+import { adminWelcomeVariables, slaEscalationVariables } from '../templates/adminVariables.js';
+
+/**
+ * Email channel (nodemailer via emailService). Payload is { template, data };
+ * each template here turns the data into variables for the template registry.
+ * Admin emails are rendered in English.
+ */
+const TEMPLATES = {
+  admin_welcome: adminWelcomeVariables,
+  sla_escalation: slaEscalationVariables
+};
+
+export default {
+  name: 'email',
+  ratePerMinute: Number(process.env.NOTIFY_EMAIL_PER_MINUTE) || 30,
+
+  async send({ recipient, payload }) {
+    const variables = TEMPLATES[payload.template];
+    if (!variables) {
+      return { success: false, error: `Unknown email template: ${payload.template}`, permanent: true };
+    }
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      return { success: false, error: 'Email is not configured (EMAIL_USER/EMAIL_PASS)', permanent: true };
+    }
+
+    const { subject, html } = renderTemplate(payload.template, 'email', 'en', variables(payload.data || {}, recipient));
+    const result = await emailService.sendEmail(recipient, { subject, html });
+    return result.success
+      ? { success: true, providerMessageId: result.messageId }
+      : { success: false, error: result.error };
+  }
+};
@@ -0,0 +1,14 @@
+import { sendPushToUser } from '../../notificationService.js';
+
+/**
+ * Push channel (FCM via notificationService). The recipient is the user id;
+ * the device token is looked up at send time.
+ */
+export default {
+  name: 'push',
+  ratePerMinute: Number(process.env.NOTIFY_PUSH_PER_MINUTE) || 600,
+
+  async send({ recipient, payload }) {
+    return sendPushToUser(recipient, payload);
+  }
+};
@@ -0,0 +1,72 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { queryOne } from '../../../db/utils.js';
+
+/**
+ * Webhook channel (services/webhooks). Payload is { body, replayOf? }; the
+ * body is POSTed as JSON and signed with the subscription's secret. The
+ * subscription is read at send time, so a rotated secret or a disabled
+ * subscription also applies to deliveries already queued.
+ */
+
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+/**
+ * Signature sent in X-JanSetu-Signature: HMAC-SHA256 of "<timestamp>.<body>"
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds, sent in X-JanSetu-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Hex digest
+ */
+export const signWebhook = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Other 4xx answers will not change on retry; timeouts and rate limits might
+const isPermanentStatus = (status) => status >= 400 && status < 500 && ![408, 429].includes(status);
+
+export default {
+  name: 'webhook',
+  ratePerMinute: Number(process.env.NOTIFY_WEBHOOK_PER_MINUTE) || 300,
+
+  async send({ id, kind, webhook_id: webhookId, payload }) {
+    const subscription = webhookId
+      ? await queryOne(`SELECT url, secret, is_active FROM webhook_subscriptions WHERE id = $1`, [webhookId])
+      : null;
+    if (!subscription?.is_active) {
+      return { success: false, error: 'Webhook subscription is disabled or deleted', permanent: true };
+    }
+
+    const body = JSON.stringify(payload.body);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'JanSetu-Webhooks/1.0',
+      'X-JanSetu-Event': kind,
+      'X-JanSetu-Delivery': String(id),
+      'X-JanSetu-Timestamp': String(timestamp),
+      'X-JanSetu-Signature': `sha256=${signWebhook(subscription.secret, timestamp, body)}`
+    };
+    if (payload.replayOf) headers['X-JanSetu-Replay-Of'] = String(payload.replayOf);
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers,
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        return { success: true, providerMessageId: response.headers['x-request-id'] || null };
+      }
+      return {
+        success: false,
+        error: `HTTP ${response.status}: ${String(response.data || '').slice(0, 500)}`,
+        permanent: isPermanentStatus(response.status)
+      };
+    } catch (error) {
+      return { success: false, error: error.code ? `${error.code}: ${error.message}` : error.message };
+    }
+  }
+};
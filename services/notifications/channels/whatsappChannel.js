@@ -0,0 +1,15 @@
+import { deliverWhatsApp } from '../../whatsappService.js';
+
+/**
+ * WhatsApp channel (OpenWA gateway via whatsappService). Payload is { text }
+ * or { imageUrl, caption }.
+ */
+export default {
+  name: 'whatsapp',
+  // Bursts from one number get it flagged by WhatsApp, so keep this low
+  ratePerMinute: Number(process.env.NOTIFY_WHATSAPP_PER_MINUTE) || 20,
+
+  async send({ recipient, payload }) {
+    return deliverWhatsApp(recipient, payload);
+  }
+};
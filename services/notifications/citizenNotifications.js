@@ -0,0 +1,93 @@
+import { queryOne } from '../../db/utils.js';
+import outboxService from './outboxService.js';
+import { getPreferences, checkDelivery } from './preferencesService.js';
+import { renderTemplate } from './templates/templateRegistry.js';
+
+/**
+ * Queue an update for a citizen: a push notification and/or a WhatsApp
+ * message, optionally followed by photos. Messages are rendered from the
+ * template registry in the citizen's preferred language. Channels and events
+ * the citizen switched off are not queued; quiet hours are left to the outbox
+ * worker.
+ * @param {string} userId - Citizen to notify
+ * @param {Object} message
+ * @param {string} message.kind - Notification kind, e.g. 'report_resolved' (sent as the push `type`)
+ * @param {string} [message.template] - Template key; defaults to the kind
+ * @param {Object} [message.variables] - Template variables; `name` is filled in for WhatsApp
+ * @param {string[]} [message.channels] - 'push' and/or 'whatsapp'
+ * @param {string} [message.reportId] - Report the update is about
+ * @param {string[]} [message.photos] - Image URLs sent after the WhatsApp text
+ * @param {string} [message.photoTemplate] - Template for the photo captions (gets `number`)
+ * @returns {Promise<number[]>} Ids of the queued outbox messages
+ */
+export const notifyCitizen = async (userId, {
+  kind,
+  template = kind,
+  variables = {},
+  channels = ['push'],
+  reportId = null,
+  photos = [],
+  photoTemplate = null
+}) => {
+  const queued = [];
+  const preferences = await getPreferences(userId);
+  // The language lives in notification preferences, not in the user profile
+  const locale = preferences.language;
+  const wants = (channel) => channels.includes(channel) &&
+    checkDelivery(preferences, { channel, kind }, { ignoreQuietHours: true }).allowed;
+
+  const push = wants('push') && renderTemplate(template, 'push', locale, variables);
+  if (push) {
+    queued.push(await outboxService.enqueue({
+      channel: 'push',
+      kind,
+      recipient: userId,
+      userId,
+      reportId,
+      payload: {
+        title: push.title,
+        body: push.body,
+        data: reportId ? { type: kind, reportId } : { type: kind }
+      }
+    }));
+  }
+
+  if (wants('whatsapp')) {
+    const user = await queryOne(`SELECT phone_number, full_name FROM users WHERE id = $1`, [userId]);
+    const whatsapp = user?.phone_number &&
+      renderTemplate(template, 'whatsapp', locale, { ...variables, name: user.full_name || 'Citizen' });
+
+    if (whatsapp) {
+      let previousId = await outboxService.enqueue({
+        channel: 'whatsapp',
+        kind,
+        recipient: user.phone_number,
+        userId,
+        reportId,
+        payload: { text: whatsapp.text }
+      });
+      queued.push(previousId);
+
+      // Chained so the photos arrive in order, after the text
+      for (const [i, url] of photos.entries()) {
+        const caption = photoTemplate
+          ? renderTemplate(photoTemplate, 'whatsapp', locale, { ...variables, number: i + 1 })?.text
+          : undefined;
+        previousId = await outboxService.enqueue({
+          channel: 'whatsapp',
+          kind,
+          recipient: user.phone_number,
+          userId,
+          reportId,
+          payload: { imageUrl: url, caption },
+          afterId: previousId
+        });
+        queued.push(previousId);
+      }
+    }
+  }
+
+  return queued;
+};
+
+export default { notifyCitizen };
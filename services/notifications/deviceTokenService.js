@@ -0,0 +1,93 @@
+import { query, queryMany } from '../../db/utils.js';
+
+/**
+ * FCM device token registry. A user can have several devices; a token moves to
+ * whichever user registered it last (sign-out and sign-in on a shared phone).
+ * Tokens firebase-admin reports as invalid or unregistered are pruned by
+ * notificationService when a push fails.
+ */
+
+export const DEVICE_PLATFORMS = ['android', 'ios', 'web', 'unknown'];
+
+/**
+ * Register (or refresh) a device token for a user
+ * @param {string} userId
+ * @param {Object} device - { token, platform, deviceId }
+ * @returns {Promise<Object>} The device_tokens row
+ */
+export const registerDeviceToken = async (userId, { token, platform = 'unknown', deviceId = null }) => {
+  const result = await query(
+    `INSERT INTO device_tokens (user_id, token, platform, device_id)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (token) DO UPDATE SET
+       user_id = EXCLUDED.user_id,
+       platform = EXCLUDED.platform,
+       device_id = COALESCE(EXCLUDED.device_id, device_tokens.device_id),
+       last_seen_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [userId, token, platform, deviceId]
+  );
+
+  // A reinstalled app gets a new token for the same device; drop the old one
+  if (deviceId) {
+    await query(
+      `DELETE FROM device_tokens WHERE user_id = $1 AND device_id = $2 AND token <> $3`,
+      [userId, deviceId, token]
+    );
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Remove a user's device token (sign-out, notifications turned off on the device)
+ * @returns {Promise<boolean>} Whether a token was removed
+ */
+export const unregisterDeviceToken = async (userId, token) => {
+  const result = await query(
+    `DELETE FROM device_tokens WHERE user_id = $1 AND token = $2`,
+    [userId, token]
+  );
+  return result.rowCount > 0;
+};
+
+export const getUserDevices = async (userId) => queryMany(
+  `SELECT * FROM device_tokens WHERE user_id = $1 ORDER BY last_seen_at DESC`,
+  [userId]
+);
+
+/**
+ * All tokens of the given users
+ * @param {string[]} userIds
+ * @returns {Promise<string[]>}
+ */
+export const getDeviceTokens = async (userIds) => {
+  const rows = await queryMany(
+    `SELECT token FROM device_tokens WHERE user_id = ANY($1::uuid[])`,
+    [userIds]
+  );
+  return rows.map((row) => row.token);
+};
+
+/**
+ * Delete tokens FCM no longer accepts
+ * @param {string[]} tokens
+ * @returns {Promise<number>} Tokens removed
+ */
+export const pruneDeviceTokens = async (tokens) => {
+  if (tokens.length === 0) return 0;
+
+  const result = await query(`DELETE FROM device_tokens WHERE token = ANY($1::text[])`, [tokens]);
+  if (result.rowCount > 0) {
+    console.log(`🧹 Pruned ${result.rowCount} invalid device token(s)`);
+  }
+  return result.rowCount;
+};
+
+export default {
+  registerDeviceToken,
+  unregisterDeviceToken,
+  getUserDevices,
+  getDeviceTokens,
+  pruneDeviceTokens
+};
@@ -0,0 +1,403 @@
+import { query, queryOne, queryMany } from '../../db/utils.js';
+import { hit } from '../rateLimiter.js';
+import { getPreferences, checkDelivery } from './preferencesService.js';
+import pushChannel from './channels/pushChannel.js';
+import whatsappChannel from './channels/whatsappChannel.js';
+import emailChannel from './channels/emailChannel.js';
+import webhookChannel from './channels/webhookChannel.js';
+
+/**
+ * Notification Outbox
+ *
+ * Outbound pushes, WhatsApp messages, emails and webhook calls are written to
+ * `notification_outbox` and delivered by a worker instead of being sent inline,
+ * so a gateway outage delays a message rather than losing it. Channels are
+ * plain objects:
+ *
+ *   { name, ratePerMinute, send(message) -> { success, providerMessageId?, error?, permanent? } }
+ *
+ * The worker claims due messages with SKIP LOCKED, so several instances can
+ * drain the table at once. Each channel has a global per-minute rate limit
+ * (services/rateLimiter.js); messages over the limit wait for the window to
+ * free up without using an attempt. Failures are retried with exponential
+ * backoff; permanent failures and messages out of attempts are dead-lettered
+ * and stay in the table until an admin retries them.
+ *
+ * Messages to citizens follow their notification preferences, checked right
+ * before delivery: messages they opted out of are cancelled, and messages in
+ * their quiet hours wait until the quiet hours end.
+ *
+ * Delivery is at-least-once: a message whose instance died mid-send is retried
+ * after its lock expires. `after_id` holds a message back until the one it
+ * follows is finished (sent, dead or cancelled), which keeps WhatsApp photos
+ * behind their text.
+ *
+ * The worker runs as the `notification-outbox` job and right after enqueue.
+ */
+
+export const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed', 'dead', 'cancelled'];
+
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS = Number(process.env.NOTIFY_RETRY_BASE_SECONDS) || 60;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const SEND_LOCK_SECONDS = 120;
+const BATCH_SIZE = 50;
+const DRAIN_DELAY_MS = 250;
+const DRAIN_BUDGET_MS = 20000;
+
+// 1m, 2m, 4m, ... capped at 6h
+const retryDelaySeconds = (attempts) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+
+class OutboxService {
+  constructor() {
+    this.channels = new Map();
+    this.drainTimer = null;
+    this.draining = false;
+    this.drainAgain = false;
+  }
+
+  /**
+   * Register a delivery channel (replaces a channel with the same name)
+   * @param {Object} channel - Channel implementing the interface above
+   */
+  registerChannel(channel) {
+    this.channels.set(channel.name, channel);
+  }
+
+  getChannel(name) {
+    return this.channels.get(name) || null;
+  }
+
+  /**
+   * Queue a message for delivery
+   * @param {Object} message - { channel, kind, recipient, userId, adminId, reportId, webhookId, payload, afterId, maxAttempts }
+   * @param {Object} options - { client }: a transaction client queues the message
+   *        with that transaction, and the caller calls drainSoon() after commit
+   * @returns {Promise<number>} Outbox message id
+   */
+  async enqueue({ channel, kind, recipient, userId = null, adminId = null, reportId = null, webhookId = null, payload, afterId = null, maxAttempts = DEFAULT_MAX_ATTEMPTS }, { client = null } = {}) {
+    if (!this.channels.has(channel)) {
+      throw new Error(`Unknown notification channel: ${channel}`);
+    }
+
+    const sql = `INSERT INTO notification_outbox
+         (channel, kind, recipient, user_id, admin_id, report_id, webhook_id, payload, after_id, max_attempts)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`;
+    const params = [channel, kind, String(recipient), userId, adminId, reportId, webhookId, JSON.stringify(payload), afterId, maxAttempts];
+
+    if (client) {
+      const result = await client.query(sql, params);
+      return Number(result.rows[0].id);
+    }
+
+    const row = await queryOne(sql, params);
+    this.drainSoon();
+    return Number(row.id);
+  }
+
+  /**
+   * Work the outbox shortly, in the background. Calls within the delay are
+   * coalesced into one pass.
+   */
+  drainSoon() {
+    if (this.drainTimer) return;
+
+    this.drainTimer = setTimeout(async () => {
+      this.drainTimer = null;
+      if (this.draining) {
+        this.drainAgain = true;
+        return;
+      }
+
+      this.draining = true;
+      try {
+        await this.process({ deadline: Date.now() + DRAIN_BUDGET_MS });
+      } catch (error) {
+        console.error('❌ Notification outbox drain failed:', error.message);
+      } finally {
+        this.draining = false;
+        if (this.drainAgain) {
+          this.drainAgain = false;
+          this.drainSoon();
+        }
+      }
+    }, DRAIN_DELAY_MS);
+    this.drainTimer.unref();
+  }
+
+  // Messages left 'sending' by an instance that stopped mid-delivery
+  async recoverAbandoned() {
+    const result = await query(
+      `UPDATE notification_outbox
+       SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'failed' END,
+           last_error = 'Abandoned: the instance stopped before delivery finished',
+           locked_until = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'sending' AND locked_until < CURRENT_TIMESTAMP`
+    );
+    return result.rowCount;
+  }
+
+  // Claim due messages, skipping throttled channels and messages still waiting on their predecessor
+  async claim(limit, excludedChannels) {
+    const rows = await queryMany(
+      `UPDATE notification_outbox
+       SET status = 'sending',
+           attempts = attempts + 1,
+           locked_until = CURRENT_TIMESTAMP + $3 * INTERVAL '1 second',
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT o.id
+         FROM notification_outbox o
+         LEFT JOIN notification_outbox prev ON prev.id = o.after_id
+         WHERE o.status IN ('pending', 'failed')
+           AND o.next_attempt_at <= CURRENT_TIMESTAMP
+           AND NOT (o.channel = ANY($1::text[]))
+           AND (prev.id IS NULL OR prev.status IN ('sent', 'dead', 'cancelled'))
+         ORDER BY o.next_attempt_at ASC, o.id ASC
+         LIMIT $2
+         FOR UPDATE OF o SKIP LOCKED
+       )
+       RETURNING *`,
+      [excludedChannels, limit, SEND_LOCK_SECONDS]
+    );
+    return rows.sort((a, b) => Number(a.id) - Number(b.id));
+  }
+
+  // Put a claimed message back without counting the attempt
+  async release(message, delaySeconds) {
+    await query(
+      `UPDATE notification_outbox
+       SET status = CASE WHEN attempts > 1 THEN 'failed' ELSE 'pending' END,
+           attempts = attempts - 1,
+           next_attempt_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 second',
+           locked_until = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [message.id, delaySeconds]
+    );
+  }
+
+  // Drop a claimed message the recipient no longer wants
+  async cancel(message, reason) {
+    await query(
+      `UPDATE notification_outbox
+       SET status = 'cancelled', attempts = attempts - 1, last_error = $2,
+           locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [message.id, reason]
+    );
+  }
+
+  /**
+   * Send one claimed message and record the outcome
+   * @returns {Promise<'sent'|'retrying'|'dead'>}
+   */
+  async deliver(message) {
+    const channel = this.getChannel(message.channel);
+
+    let result;
+    try {
+      result = channel
+        ? await channel.send(message)
+        : { success: false, error: `Unknown notification channel: ${message.channel}`, permanent: true };
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      await query(
+        `UPDATE notification_outbox
+         SET status = 'sent', sent_at = CURRENT_TIMESTAMP, provider_message_id = $2,
+             last_error = NULL, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [message.id, result.providerMessageId || null]
+      );
+      return 'sent';
+    }
+
+    const dead = Boolean(result.permanent) || message.attempts >= message.max_attempts;
+    const delay = retryDelaySeconds(message.attempts);
+
+    await query(
+      `UPDATE notification_outbox
+       SET status = $2, last_error = $3, locked_until = NULL,
+           next_attempt_at = CURRENT_TIMESTAMP + $4 * INTERVAL '1 second',
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [message.id, dead ? 'dead' : 'failed', result.error || 'Delivery failed', delay]
+    );
+
+    if (dead) {
+      console.warn(`☠️ Notification ${message.id} (${message.channel}/${message.kind}) dead-lettered after ${message.attempts} attempt(s): ${result.error}`);
+      return 'dead';
+    }
+
+    console.log(`🔁 Notification ${message.id} (${message.channel}/${message.kind}) retry in ${delay}s: ${result.error}`);
+    return 'retrying';
+  }
+
+  /**
+   * Deliver due messages until none are left or the deadline passes
+   * @param {Object} options - { deadline, batchSize }
+   * @returns {Promise<Object>} { sent, retrying, dead, cancelled, deferred, recovered, throttled, hasMore }
+   */
+  async process({ deadline = Date.now() + DRAIN_BUDGET_MS, batchSize = BATCH_SIZE } = {}) {
+    const summary = { sent: 0, retrying: 0, dead: 0, cancelled: 0, deferred: 0, recovered: 0, throttled: [], hasMore: false };
+    const throttled = new Set();
+    const preferences = new Map();
+
+    summary.recovered = await this.recoverAbandoned();
+
+    while (Date.now() < deadline) {
+      const batch = await this.claim(batchSize, [...throttled]);
+      if (batch.length === 0) break;
+
+      for (const message of batch) {
+        if (Date.now() >= deadline) {
+          summary.hasMore = true;
+          await this.release(message, 0);
+          continue;
+        }
+
+        const channel = this.getChannel(message.channel);
+        if (channel && throttled.has(channel.name)) {
+          await this.release(message, 0);
+          continue;
+        }
+
+        if (message.user_id) {
+          if (!preferences.has(message.user_id)) {
+            preferences.set(message.user_id, await getPreferences(message.user_id));
+          }
+          const decision = checkDelivery(preferences.get(message.user_id), message);
+
+          if (!decision.allowed) {
+            await this.cancel(message, decision.reason);
+            summary.cancelled++;
+            continue;
+          }
+          if (decision.deferSeconds) {
+            await this.release(message, decision.deferSeconds);
+            summary.deferred++;
+            continue;
+          }
+        }
+
+        if (channel) {
+          const limit = await hit(`notify:${channel.name}`, channel.ratePerMinute, 60);
+          if (!limit.allowed) {
+            throttled.add(channel.name);
+            await this.release(message, limit.resetSeconds);
+            continue;
+          }
+        }
+
+        summary[await this.deliver(message)]++;
+      }
+    }
+
+    summary.throttled = [...throttled];
+    if (summary.sent || summary.retrying || summary.dead) {
+      console.log(`📬 Notification outbox: ${summary.sent} sent, ${summary.retrying} retrying, ${summary.dead} dead`);
+    }
+    return summary;
+  }
+
+  /**
+   * Outbox messages, newest first
+   * @param {Object} filters - { status, channel, kind, reportId, userId, webhookId, limit, offset }
+   * @returns {Promise<{messages: Array, total: number}>}
+   */
+  async list({ status = null, channel = null, kind = null, reportId = null, userId = null, webhookId = null, limit = 50, offset = 0 } = {}) {
+    const where = `WHERE ($1::text IS NULL OR status = $1)
+         AND ($2::text IS NULL OR channel = $2)
+         AND ($3::text IS NULL OR kind = $3)
+         AND ($4::text IS NULL OR report_id::text = $4)
+         AND ($5::text IS NULL OR user_id::text = $5)
+         AND ($6::text IS NULL OR webhook_id::text = $6)`;
+    const params = [status, channel, kind, reportId, userId, webhookId === null ? null : String(webhookId)];
+
+    const [messages, count] = await Promise.all([
+      queryMany(
+        `SELECT * FROM notification_outbox
+         ${where}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $7 OFFSET $8`,
+        [...params, limit, offset]
+      ),
+      queryOne(`SELECT COUNT(*) AS total FROM notification_outbox ${where}`, params)
+    ]);
+
+    return { messages, total: parseInt(count?.total || 0, 10) };
+  }
+
+  async getMessage(id) {
+    return queryOne(`SELECT * FROM notification_outbox WHERE id = $1`, [id]);
+  }
+
+  /**
+   * Message counts per channel and status; sent messages only for the last 24 hours
+   * @returns {Promise<Object>} { push: { pending, failed, ... }, whatsapp: {...}, email: {...} }
+   */
+  async getStats() {
+    const rows = await queryMany(
+      `SELECT channel, status, COUNT(*) AS count
+       FROM notification_outbox
+       WHERE status <> 'sent' OR sent_at > NOW() - INTERVAL '24 hours'
+       GROUP BY channel, status`
+    );
+
+    const stats = Object.fromEntries([...this.channels.keys()].map((name) => [
+      name,
+      Object.fromEntries(OUTBOX_STATUSES.map((status) => [status, 0]))
+    ]));
+    for (const row of rows) {
+      if (stats[row.channel]) stats[row.channel][row.status] = parseInt(row.count, 10);
+    }
+    return stats;
+  }
+
+  /**
+   * Give a failed or dead message a fresh set of attempts
+   * @param {number} id - Outbox message id
+   * @returns {Promise<Object|null>} The requeued row, or null when it is not failed or dead
+   */
+  async retry(id) {
+    const row = await queryOne(
+      `UPDATE notification_outbox
+       SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status IN ('failed', 'dead')
+       RETURNING *`,
+      [id]
+    );
+
+    if (row) this.drainSoon();
+    return row;
+  }
+
+  /**
+   * Delete delivered and cancelled messages older than the retention period
+   * @param {number} days - Retention in days
+   * @returns {Promise<number>} Rows deleted
+   */
+  async purgeSent(days) {
+    const result = await query(
+      `DELETE FROM notification_outbox
+       WHERE status IN ('sent', 'cancelled') AND created_at < NOW() - $1 * INTERVAL '1 day'`,
+      [days]
+    );
+    return result.rowCount;
+  }
+}
+
+const outboxService = new OutboxService();
+
+outboxService.registerChannel(pushChannel);
+outboxService.registerChannel(whatsappChannel);
+outboxService.registerChannel(emailChannel);
+outboxService.registerChannel(webhookChannel);
+
+export default outboxService;
@@ -0,0 +1,204 @@
+import { queryOne } from '../../db/utils.js';
+import { ValidationError } from '../../utils/errors.js';
+import {
+  DEFAULT_CHANNELS,
+  NOTIFICATION_EVENTS,
+  DEFAULT_LANGUAGE,
+  DEFAULT_TIMEZONE,
+  getEventForKind
+} from '../../utils/notificationPreferences.js';
+
+/**
+ * Citizen notification preferences: channels, events, language and quiet hours.
+ *
+ * The outbox checks them twice: notifyCitizen does not queue what the citizen
+ * switched off, and the worker checks again right before delivery, so a change
+ * also covers messages already queued or waiting for a retry. Messages that
+ * fall in quiet hours wait until they end.
+ */
+
+const toHHMM = (time) => (time ? String(time).slice(0, 5) : null);
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Minutes since midnight on the recipient's clock
+const localMinutes = (timezone, now) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+const mapPreferences = (row) => ({
+  channels: row
+    ? {
+      push: row.push_enabled,
+      whatsapp: row.whatsapp_enabled,
+      sms: row.sms_enabled,
+      email: row.email_enabled
+    }
+    : { ...DEFAULT_CHANNELS },
+  events: Object.fromEntries(Object.keys(NOTIFICATION_EVENTS).map((event) => [
+    event,
+    row?.events?.[event] !== false
+  ])),
+  language: row?.language || DEFAULT_LANGUAGE,
+  quietHours: row?.quiet_hours_start
+    ? { start: toHHMM(row.quiet_hours_start), end: toHHMM(row.quiet_hours_end) }
+    : null,
+  timezone: row?.timezone || DEFAULT_TIMEZONE,
+  updatedAt: row?.updated_at || null
+});
+
+/**
+ * A citizen's preferences, with defaults filled in
+ * @param {string} userId
+ * @returns {Promise<Object>} { channels, events, language, quietHours, timezone, updatedAt }
+ */
+export const getPreferences = async (userId) => {
+  const row = await queryOne(
+    `SELECT * FROM user_notification_preferences WHERE user_id = $1`,
+    [userId]
+  );
+  return mapPreferences(row);
+};
+
+/**
+ * Update some preferences; omitted fields keep their current value
+ * @param {string} userId
+ * @param {Object} changes - { channels?, events?, language?, quietHours?, timezone? }
+ * @returns {Promise<Object>} The full updated preferences
+ */
+export const updatePreferences = async (userId, changes) => {
+  const current = await getPreferences(userId);
+
+  const toBoolean = (value) => value === true || value === 'true';
+  const channels = { ...current.channels };
+  for (const [channel, enabled] of Object.entries(changes.channels || {})) {
+    channels[channel] = toBoolean(enabled);
+  }
+  const events = { ...current.events };
+  for (const [event, enabled] of Object.entries(changes.events || {})) {
+    events[event] = toBoolean(enabled);
+  }
+
+  const quietHours = changes.quietHours === undefined ? current.quietHours : changes.quietHours;
+  const timezone = changes.timezone || current.timezone;
+
+  if (quietHours && quietHours.start === quietHours.end) {
+    throw new ValidationError('Validation failed', [{
+      field: 'quietHours',
+      location: 'body',
+      message: 'quietHours start and end must differ'
+    }]);
+  }
+  if (!isValidTimezone(timezone)) {
+    throw new ValidationError('Validation failed', [{
+      field: 'timezone',
+      location: 'body',
+      message: 'timezone must be an IANA time zone such as Asia/Kolkata'
+    }]);
+  }
+
+  const row = await queryOne(
+    `INSERT INTO user_notification_preferences
+       (user_id, push_enabled, whatsapp_enabled, sms_enabled, email_enabled,
+        events, language, quiet_hours_start, quiet_hours_end, timezone)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (user_id) DO UPDATE SET
+       push_enabled = EXCLUDED.push_enabled,
+       whatsapp_enabled = EXCLUDED.whatsapp_enabled,
+       sms_enabled = EXCLUDED.sms_enabled,
+       email_enabled = EXCLUDED.email_enabled,
+       events = EXCLUDED.events,
+       language = EXCLUDED.language,
+       quiet_hours_start = EXCLUDED.quiet_hours_start,
+       quiet_hours_end = EXCLUDED.quiet_hours_end,
+       timezone = EXCLUDED.timezone,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [
+      userId,
+      channels.push,
+      channels.whatsapp,
+      channels.sms,
+      channels.email,
+      JSON.stringify(events),
+      changes.language || current.language,
+      quietHours?.start || null,
+      quietHours?.end || null,
+      timezone
+    ]
+  );
+
+  return mapPreferences(row);
+};
+
+/**
+ * Seconds until the recipient's quiet hours end, or 0 outside quiet hours
+ * @param {Object} preferences - From getPreferences
+ * @param {Date} now
+ * @returns {number}
+ */
+export const secondsUntilQuietHoursEnd = (preferences, now = new Date()) => {
+  if (!preferences.quietHours) return 0;
+
+  const start = toMinutes(preferences.quietHours.start);
+  const end = toMinutes(preferences.quietHours.end);
+  const current = localMinutes(preferences.timezone, now);
+
+  // Quiet hours usually wrap midnight (22:00-07:00)
+  const quiet = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  if (!quiet) return 0;
+
+  const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+  return Math.max(60, minutesLeft * 60 - now.getUTCSeconds());
+};
+
+/**
+ * Whether a message may go to this citizen now
+ * @param {Object} preferences - From getPreferences
+ * @param {Object} message - { channel, kind }
+ * @param {Object} options - { now, ignoreQuietHours }
+ * @returns {{allowed: boolean, reason?: string, deferSeconds?: number}}
+ */
+export const checkDelivery = (preferences, { channel, kind }, { now = new Date(), ignoreQuietHours = false } = {}) => {
+  if (preferences.channels[channel] === false) {
+    return { allowed: false, reason: `Recipient turned off ${channel} notifications` };
+  }
+
+  const event = getEventForKind(kind);
+  if (event && preferences.events[event] === false) {
+    return { allowed: false, reason: `Recipient turned off ${event} notifications` };
+  }
+
+  const deferSeconds = ignoreQuietHours ? 0 : secondsUntilQuietHoursEnd(preferences, now);
+  return deferSeconds > 0
+    ? { allowed: true, deferSeconds }
+    : { allowed: true };
+};
+
+export default {
+  getPreferences,
+  updatePreferences,
+  secondsUntilQuietHoursEnd,
+  checkDelivery
+};
@@ -0,0 +1,44 @@
+import { SLA_ESCALATION } from '../../../utils/slaPolicies.js';
+
+/**
+ * Template variables for the admin emails and WhatsApp messages, built from
+ * the data stored in the outbox payload ({ template, data }).
+ */
+
+const ROLE_NAMES = {
+  super_admin: 'Super Admin',
+  admin: 'Admin',
+  field_admin: 'Field Admin',
+  viewer: 'Viewer'
+};
+
+/**
+ * @param {Object} data - { fullName, role }
+ * @param {string} email - Recipient address
+ */
+export const adminWelcomeVariables = ({ fullName, role }, email) => ({
+  fullName,
+  email,
+  roleName: ROLE_NAMES[String(role).toLowerCase()] || 'Admin',
+  portalUrl: process.env.FRONTEND_URL || 'jan-setu-admin-portal.vercel.app'
+});
+
+/**
+ * @param {Object} data - { fullName, report, level }
+ */
+export const slaEscalationVariables = ({ fullName, report, level }) => ({
+  fullName: fullName || 'Admin',
+  breached: level >= SLA_ESCALATION.SUPER_ADMIN,
+  title: report.title,
+  category: report.category,
+  priority: report.priority,
+  department: report.department || 'General',
+  status: report.status,
+  dueAt: new Date(report.sla_due_at).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
+  reportId: report.id
+});
+
+export default {
+  adminWelcomeVariables,
+  slaEscalationVariables
+};
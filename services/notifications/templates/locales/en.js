@@ -0,0 +1,267 @@
+/**
+ * English notification templates. Every template must exist here; other
+ * locales fall back to these (see templateRegistry.js for the syntax).
+ */
+
+const EMAIL_OPEN = `
+  <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 24px; background-color: #f4f6f9;">
+    <div style="background-color: #ffffff; padding: 32px; border-radius: 12px; box-shadow: 0 4px 14px rgba(0,0,0,0.08);">`;
+
+const EMAIL_LOGO = `
+      <!-- Logo -->
+      <div style="text-align: center; margin-bottom: 28px;">
+        <div style="display: inline-block; padding: 12px 24px; background: linear-gradient(135deg, #FF6B35, #F7931E); border-radius: 8px; margin-bottom: 16px;">
+          <span style="font-size: 24px; font-weight: bold; color: white;">JanSetu</span>
+        </div>
+        <div style="height: 2px; background: linear-gradient(90deg, #FF6B35, #F7931E); border-radius: 1px;"></div>
+      </div>`;
+
+const emailFooter = (lines) => `
+      <!-- Footer -->
+      <div style="border-top: 1px solid #e5e7eb; padding-top: 18px; margin-top: 28px;">
+        <p style="color: #9ca3af; font-size: 12px; text-align: center; line-height: 1.4;">
+          ${lines.join('<br>\n          ')}
+        </p>
+      </div>
+    </div>
+  </div>
+`;
+
+const WHATSAPP_GREETING = '🔔 *Jan Setu Update*\n\nHello *{{name}}*,\n\n';
+
+export default {
+  report_assigned: {
+    push: {
+      title: '👷 Report Assigned',
+      body: 'Your report "{{title}}" has been assigned to a field officer.'
+    },
+    whatsapp: `${WHATSAPP_GREETING}Your report *"{{title}}"* has been assigned to a field officer, who will visit the location soon.`,
+    sms: 'JanSetu: Your report "{{title}}" has been assigned to a field officer.'
+  },
+
+  report_work_started: {
+    push: {
+      title: '🚧 Work Started',
+      body: 'Work has started on your report "{{title}}".'
+    },
+    whatsapp: `${WHATSAPP_GREETING}Work has started on your report *"{{title}}"*.{{#notes}}\n\n*Field officer's note:* "{{notes}}"{{/notes}}`,
+    sms: 'JanSetu: Work has started on your report "{{title}}".'
+  },
+
+  report_progress: {
+    push: {
+      title: '📸 Progress Update',
+      body: '{{#notes}}Update on "{{title}}": {{notes}}{{/notes}}{{^notes}}There is a new progress update on your report "{{title}}".{{/notes}}'
+    },
+    whatsapp: `${WHATSAPP_GREETING}There is a new progress update on your report *"{{title}}"*.{{#notes}}\n\n"{{notes}}"{{/notes}}`,
+    sms: 'JanSetu: There is a new progress update on your report "{{title}}".'
+  },
+
+  report_resolved: {
+    push: {
+      title: '🎉 Report Resolved!',
+      body: 'Your report "{{title}}" has been resolved by our team.'
+    },
+    whatsapp: `${WHATSAPP_GREETING}Your report *"{{title}}"* has been successfully resolved! 🎉\n\n*Resolution Details:*\n"{{#notes}}{{notes}}{{/notes}}{{^notes}}No resolution details provided.{{/notes}}"\n\nThank you for using Jan Setu to help improve our community.`,
+    sms: 'JanSetu: Your report "{{title}}" has been resolved. Thank you for helping improve our community.'
+  },
+
+  // Caption for each resolution photo sent after the report_resolved WhatsApp text
+  resolution_photo: {
+    whatsapp: 'Resolution Photo {{number}} for: *"{{title}}"*'
+  },
+
+  report_rejected: {
+    push: {
+      title: 'Report Not Accepted',
+      body: 'Your report "{{title}}" was not accepted: {{reason}}. You can appeal this decision in the app.'
+    },
+    whatsapp: `${WHATSAPP_GREETING}Your report *"{{title}}"* could not be accepted.\n\n*Reason:* {{reason}}\n{{#note}}*Details:* "{{note}}"\n{{/note}}\nIf you believe this is a mistake, you can appeal within {{appealWindowDays}} days from the Jan Setu app.`,
+    sms: 'JanSetu: Your report "{{title}}" was not accepted: {{reason}}. You can appeal within {{appealWindowDays}} days in the app.'
+  },
+
+  report_appeal_decided: {
+    push: {
+      title: '📝 Report Update',
+      body: '{{#reinstated}}Your appeal for "{{title}}" was accepted. The report has been reopened.{{/reinstated}}{{^reinstated}}Your appeal for "{{title}}" was reviewed and the original decision stands.{{/reinstated}}'
+    },
+    whatsapp: `${WHATSAPP_GREETING}{{#reinstated}}Your appeal for "{{title}}" was accepted. The report has been reopened.{{/reinstated}}{{^reinstated}}Your appeal for "{{title}}" was reviewed and the original decision stands.{{/reinstated}}\n{{#note}}\n*Reviewer's note:* "{{note}}"\n{{/note}}`,
+    sms: 'JanSetu: {{#reinstated}}Your appeal for "{{title}}" was accepted and the report reopened.{{/reinstated}}{{^reinstated}}Your appeal for "{{title}}" was reviewed; the original decision stands.{{/reinstated}}'
+  },
+
+  // Update on a report the citizen follows but did not file
+  followed_report_update: {
+    push: {
+      title: '{{#assigned}}👷 Followed Report Assigned{{/assigned}}{{#inProgress}}🚧 Work Started{{/inProgress}}{{#resolved}}🎉 Followed Report Resolved{{/resolved}}',
+      body: '{{#assigned}}"{{title}}", a report you follow, has been assigned to a field officer.{{/assigned}}{{#inProgress}}Work has started on "{{title}}", a report you follow.{{/inProgress}}{{#resolved}}"{{title}}", a report you follow, has been resolved.{{/resolved}}'
+    },
+    sms: 'JanSetu: {{#assigned}}"{{title}}", a report you follow, has been assigned to a field officer.{{/assigned}}{{#inProgress}}Work has started on "{{title}}", a report you follow.{{/inProgress}}{{#resolved}}"{{title}}", a report you follow, has been resolved.{{/resolved}}'
+  },
+
+  // The citizen's report was closed as a duplicate of another report
+  report_merged: {
+    push: {
+      title: '🔗 Report Merged',
+      body: 'Your report "{{title}}" was merged into "{{canonicalTitle}}", which covers the same issue. You will get its updates.'
+    },
+    whatsapp: `${WHATSAPP_GREETING}Your report *"{{title}}"* covers the same issue as an existing report, *"{{canonicalTitle}}"*, and has been merged into it. Your photos and votes now count towards that report, and you will receive its updates.`,
+    sms: 'JanSetu: Your report "{{title}}" was merged into "{{canonicalTitle}}", which covers the same issue. You will get its updates.'
+  },
+
+  post_commented: {
+    push: {
+      title: '{{#reply}}💬 New Reply{{/reply}}{{^reply}}💬 New Comment{{/reply}}',
+      body: '{{#reply}}{{commenter}} replied to your comment on "{{title}}": {{snippet}}{{/reply}}{{^reply}}{{commenter}} commented on "{{title}}": {{snippet}}{{/reply}}'
+    }
+  },
+
+  post_vote_milestone: {
+    push: {
+      title: '🔥 Your Post Is Getting Noticed',
+      body: 'Your post about "{{title}}" reached {{milestone}} upvotes.'
+    }
+  },
+
+  // Free-form message from an admin (POST /notifications/bulk)
+  announcement: {
+    push: {
+      title: '{{title}}',
+      body: '{{body}}'
+    },
+    whatsapp: `${WHATSAPP_GREETING}{{body}}`,
+    sms: 'JanSetu: {{body}}'
+  },
+
+  sla_escalation: {
+    whatsapp: '{{#breached}}🚨 *SLA breached*{{/breached}}{{^breached}}⏳ *SLA at risk*{{/breached}}\n\nReport: {{title}}\nCategory: {{category}} ({{priority}})\nDepartment: {{department}}\nStatus: {{status}}\nDue: {{dueAt}}\n\nReport ID: {{reportId}}',
+    email: {
+      subject: 'JanSetu - {{#breached}}SLA breached{{/breached}}{{^breached}}SLA at risk{{/breached}}: {{title}}',
+      html: `${EMAIL_OPEN}
+      <!-- Header -->
+      <div style="border-left: 4px solid {{#breached}}#dc2626{{/breached}}{{^breached}}#d97706{{/breached}}; padding-left: 16px; margin-bottom: 24px;">
+        <h1 style="color: #111827; font-size: 20px; margin: 0;">{{#breached}}SLA breached{{/breached}}{{^breached}}SLA at risk{{/breached}}</h1>
+        <p style="color: #6b7280; font-size: 14px; margin: 4px 0 0;">Hello {{fullName}}, this report needs attention.</p>
+      </div>
+
+      <!-- Report Details -->
+      <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 24px; border: 1px solid #e5e7eb;">
+        <div style="color: #374151; font-size: 14px; line-height: 1.6;">
+          <p style="margin: 4px 0;"><strong>Report:</strong> {{title}}</p>
+          <p style="margin: 4px 0;"><strong>Category:</strong> {{category}} ({{priority}})</p>
+          <p style="margin: 4px 0;"><strong>Department:</strong> {{department}}</p>
+          <p style="margin: 4px 0;"><strong>Status:</strong> {{status}}</p>
+          <p style="margin: 4px 0;"><strong>Due:</strong> <span style="color: {{#breached}}#dc2626{{/breached}}{{^breached}}#d97706{{/breached}};">{{dueAt}}</span></p>
+          <p style="margin: 4px 0;"><strong>Report ID:</strong> {{reportId}}</p>
+        </div>
+      </div>
+${emailFooter([
+    'This is an automated email from <strong>JanSetu Admin Portal</strong>.',
+    'Do not reply to this message.'
+  ])}`
+    }
+  },
+
+  admin_welcome: {
+    email: {
+      subject: 'Welcome to JanSetu Admin Portal - Account Created',
+      html: `${EMAIL_OPEN}${EMAIL_LOGO}
+
+      <!-- Header -->
+      <div style="text-align: center; margin-bottom: 28px;">
+        <h1 style="color: #111827; font-size: 22px; margin: 0;">Welcome to JanSetu Admin Portal</h1>
+        <p style="color: #6b7280; font-size: 15px; margin: 4px 0 0;">Your account has been created successfully</p>
+      </div>
+
+      <!-- Welcome Message -->
+      <div style="background: linear-gradient(135deg, #f0f9ff, #e0f2fe); padding: 24px; border-radius: 10px; margin-bottom: 24px; border: 1px solid #bae6fd;">
+        <h2 style="color: #0c4a6e; font-size: 18px; margin: 0 0 12px 0;">Hello {{fullName}}!</h2>
+        <p style="color: #0369a1; font-size: 15px; line-height: 1.6; margin: 0;">
+          Welcome to the <strong>JanSetu Admin Portal</strong>. Your account has been created with <strong>{{roleName}}</strong> privileges.
+        </p>
+      </div>
+
+      <!-- Account Details -->
+      <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 24px; border: 1px solid #e5e7eb;">
+        <h3 style="color: #111827; font-size: 16px; margin: 0 0 12px 0;">Your Account Details:</h3>
+        <div style="color: #374151; font-size: 14px; line-height: 1.6;">
+          <p style="margin: 4px 0;"><strong>Email:</strong> {{email}}</p>
+          <p style="margin: 4px 0;"><strong>Role:</strong> {{roleName}}</p>
+          <p style="margin: 4px 0;"><strong>Status:</strong> Active</p>
+        </div>
+      </div>
+
+      <!-- Next Steps -->
+      <div style="margin-bottom: 24px;">
+        <h3 style="color: #111827; font-size: 16px; margin-bottom: 12px;">Next Steps:</h3>
+        <ol style="color: #374151; font-size: 14px; line-height: 1.8; padding-left: 20px;">
+          <li>Check your email for login instructions</li>
+          <li>Use your email address to log in to the admin portal</li>
+          <li>You will receive an OTP for verification</li>
+          <li>Complete your profile setup if required</li>
+        </ol>
+      </div>
+
+      <!-- Login Button -->
+      <div style="text-align: center; margin: 32px 0;">
+        <a href="{{portalUrl}}"
+           style="display: inline-block; padding: 14px 32px; background: linear-gradient(135deg, #FF6B35, #F7931E); color: white; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px; box-shadow: 0 4px 12px rgba(255, 107, 53, 0.3);">
+          Access Admin Portal
+        </a>
+      </div>
+
+      <!-- Security Notice -->
+      <div style="background: #fef3c7; padding: 16px; border-radius: 8px; margin-bottom: 20px; border: 1px solid #fbbf24;">
+        <p style="color: #92400e; font-size: 14px; line-height: 1.6; margin: 0;">
+          <strong>Security Reminder:</strong> Keep your login credentials secure and do not share them with anyone. If you suspect any unauthorized access, contact your system administrator immediately.
+        </p>
+      </div>
+${emailFooter([
+    'This is an automated email from <strong>JanSetu Admin Portal</strong>.',
+    'If you have any questions, please contact your system administrator.',
+    'Do not reply to this message.'
+  ])}`
+    }
+  },
+
+  admin_otp: {
+    email: {
+      subject: 'JanSetu Admin Login - OTP Verification',
+      html: `${EMAIL_OPEN}${EMAIL_LOGO}
+
+      <!-- Header -->
+      <div style="text-align: center; margin-bottom: 28px;">
+        <h1 style="color: #111827; font-size: 22px; margin: 0;">JanSetu Admin Portal</h1>
+        <p style="color: #6b7280; font-size: 15px; margin: 4px 0 0;">Secure Access Verification</p>
+      </div>
+
+      <!-- Title -->
+      <h2 style="color: #111827; font-size: 18px; margin-bottom: 18px;">One-Time Password (OTP)</h2>
+
+      <!-- Message -->
+      <p style="color: #374151; font-size: 15px; line-height: 1.6; margin-bottom: 24px;">
+        Hello Admin,<br><br>
+        You are attempting to log in to your <strong>JanSetu Admin account</strong>.
+        Please use the OTP below to verify your identity:
+      </p>
+
+      <!-- OTP Box -->
+      <div style="background: #f9fafb; padding: 22px; border-radius: 10px; text-align: center; margin: 28px 0; border: 1px dashed #d1d5db;">
+        <span style="font-size: 34px; font-weight: bold; color: #111827; letter-spacing: 10px; font-family: 'Courier New', monospace;">
+          {{otp}}
+        </span>
+      </div>
+
+      <!-- Security Info -->
+      <p style="color: #374151; font-size: 14px; line-height: 1.6; margin-bottom: 20px;">
+        <strong>Important:</strong><br>
+        • This OTP will expire in <strong>{{expiresInMinutes}} minutes</strong>.<br>
+        • Do not share this OTP with anyone.<br>
+        • If this login attempt wasn’t made by you, please ignore this email.
+      </p>
+${emailFooter([
+    'This is an automated email from <strong>JanSetu Admin Portal</strong>.',
+    'Do not reply to this message.'
+  ])}`
+    }
+  }
+};
@@ -0,0 +1,102 @@
+/**
+ * Hindi notification templates for citizens. Admin emails are English only
+ * and fall back to en.js.
+ */
+
+const WHATSAPP_GREETING = '🔔 *जन सेतु अपडेट*\n\nनमस्ते *{{name}}*,\n\n';
+
+export default {
+  report_assigned: {
+    push: {
+      title: '👷 शिकायत सौंपी गई',
+      body: 'आपकी शिकायत "{{title}}" एक फ़ील्ड अधिकारी को सौंप दी गई है।'
+    },
+    whatsapp: `${WHATSAPP_GREETING}आपकी शिकायत *"{{title}}"* एक फ़ील्ड अधिकारी को सौंप दी गई है, जो जल्द ही स्थान पर पहुँचेंगे।`,
+    sms: 'जन सेतु: आपकी शिकायत "{{title}}" एक फ़ील्ड अधिकारी को सौंप दी गई है।'
+  },
+
+  report_work_started: {
+    push: {
+      title: '🚧 काम शुरू हुआ',
+      body: 'आपकी शिकायत "{{title}}" पर काम शुरू हो गया है।'
+    },
+    whatsapp: `${WHATSAPP_GREETING}आपकी शिकायत *"{{title}}"* पर काम शुरू हो गया है।{{#notes}}\n\n*फ़ील्ड अधिकारी की टिप्पणी:* "{{notes}}"{{/notes}}`,
+    sms: 'जन सेतु: आपकी शिकायत "{{title}}" पर काम शुरू हो गया है।'
+  },
+
+  report_progress: {
+    push: {
+      title: '📸 प्रगति अपडेट',
+      body: '{{#notes}}"{{title}}" पर अपडेट: {{notes}}{{/notes}}{{^notes}}आपकी शिकायत "{{title}}" पर नया प्रगति अपडेट है।{{/notes}}'
+    },
+    whatsapp: `${WHATSAPP_GREETING}आपकी शिकायत *"{{title}}"* पर नया प्रगति अपडेट है।{{#notes}}\n\n"{{notes}}"{{/notes}}`,
+    sms: 'जन सेतु: आपकी शिकायत "{{title}}" पर नया प्रगति अपडेट है।'
+  },
+
+  report_resolved: {
+    push: {
+      title: '🎉 शिकायत का समाधान हुआ!',
+      body: 'हमारी टीम ने आपकी शिकायत "{{title}}" का समाधान कर दिया है।'
+    },
+    whatsapp: `${WHATSAPP_GREETING}आपकी शिकायत *"{{title}}"* का सफलतापूर्वक समाधान कर दिया गया है! 🎉\n\n*समाधान का विवरण:*\n"{{#notes}}{{notes}}{{/notes}}{{^notes}}कोई विवरण नहीं दिया गया।{{/notes}}"\n\nअपने समुदाय को बेहतर बनाने में मदद के लिए जन सेतु का उपयोग करने हेतु धन्यवाद।`,
+    sms: 'जन सेतु: आपकी शिकायत "{{title}}" का समाधान हो गया है। समुदाय को बेहतर बनाने में मदद के लिए धन्यवाद।'
+  },
+
+  resolution_photo: {
+    whatsapp: '*"{{title}}"* के समाधान की फ़ोटो {{number}}'
+  },
+
+  report_rejected: {
+    push: {
+      title: 'शिकायत स्वीकार नहीं हुई',
+      body: 'आपकी शिकायत "{{title}}" स्वीकार नहीं की गई: {{reason}}। आप ऐप में इस निर्णय के विरुद्ध अपील कर सकते हैं।'
+    },
+    whatsapp: `${WHATSAPP_GREETING}आपकी शिकायत *"{{title}}"* स्वीकार नहीं की जा सकी।\n\n*कारण:* {{reason}}\n{{#note}}*विवरण:* "{{note}}"\n{{/note}}\nयदि आपको लगता है कि यह गलत है, तो आप {{appealWindowDays}} दिनों के भीतर जन सेतु ऐप से अपील कर सकते हैं।`,
+    sms: 'जन सेतु: आपकी शिकायत "{{title}}" स्वीकार नहीं की गई: {{reason}}। आप {{appealWindowDays}} दिनों के भीतर ऐप में अपील कर सकते हैं।'
+  },
+
+  report_appeal_decided: {
+    push: {
+      title: '📝 शिकायत अपडेट',
+      body: '{{#reinstated}}"{{title}}" के लिए आपकी अपील स्वीकार कर ली गई है। शिकायत फिर से खोल दी गई है।{{/reinstated}}{{^reinstated}}"{{title}}" के लिए आपकी अपील की समीक्षा की गई और पहले का निर्णय बना रहेगा।{{/reinstated}}'
+    },
+    whatsapp: `${WHATSAPP_GREETING}{{#reinstated}}"{{title}}" के लिए आपकी अपील स्वीकार कर ली गई है। शिकायत फिर से खोल दी गई है।{{/reinstated}}{{^reinstated}}"{{title}}" के लिए आपकी अपील की समीक्षा की गई और पहले का निर्णय बना रहेगा।{{/reinstated}}\n{{#note}}\n*समीक्षक की टिप्पणी:* "{{note}}"\n{{/note}}`,
+    sms: 'जन सेतु: {{#reinstated}}"{{title}}" के लिए आपकी अपील स्वीकार हुई और शिकायत फिर से खोली गई।{{/reinstated}}{{^reinstated}}"{{title}}" के लिए आपकी अपील की समीक्षा हुई; पहले का निर्णय बना रहेगा।{{/reinstated}}'
+  },
+
+  followed_report_update: {
+    push: {
+      title: '{{#assigned}}👷 फ़ॉलो की गई शिकायत सौंपी गई{{/assigned}}{{#inProgress}}🚧 काम शुरू हुआ{{/inProgress}}{{#resolved}}🎉 फ़ॉलो की गई शिकायत का समाधान हुआ{{/resolved}}',
+      body: '{{#assigned}}आपके द्वारा फ़ॉलो की गई शिकायत "{{title}}" एक फ़ील्ड अधिकारी को सौंप दी गई है।{{/assigned}}{{#inProgress}}आपके द्वारा फ़ॉलो की गई शिकायत "{{title}}" पर काम शुरू हो गया है।{{/inProgress}}{{#resolved}}आपके द्वारा फ़ॉलो की गई शिकायत "{{title}}" का समाधान हो गया है।{{/resolved}}'
+    },
+    sms: 'जन सेतु: {{#assigned}}आपके द्वारा फ़ॉलो की गई शिकायत "{{title}}" एक फ़ील्ड अधिकारी को सौंप दी गई है।{{/assigned}}{{#inProgress}}आपके द्वारा फ़ॉलो की गई शिकायत "{{title}}" पर काम शुरू हो गया है।{{/inProgress}}{{#resolved}}आपके द्वारा फ़ॉलो की गई शिकायत "{{title}}" का समाधान हो गया है।{{/resolved}}'
+  },
+
+  report_merged: {
+    push: {
+      title: '🔗 शिकायत जोड़ी गई',
+      body: 'आपकी शिकायत "{{title}}" को "{{canonicalTitle}}" में जोड़ दिया गया है, जो इसी समस्या के बारे में है। आपको उसके अपडेट मिलेंगे।'
+    },
+    whatsapp: `${WHATSAPP_GREETING}आपकी शिकायत *"{{title}}"* पहले से दर्ज शिकायत *"{{canonicalTitle}}"* जैसी ही समस्या के बारे में है, इसलिए इसे उसमें जोड़ दिया गया है। आपकी फ़ोटो और वोट अब उसी शिकायत में गिने जाएँगे, और आपको उसके अपडेट मिलेंगे।`,
+    sms: 'जन सेतु: आपकी शिकायत "{{title}}" को "{{canonicalTitle}}" में जोड़ दिया गया है, जो इसी समस्या के बारे में है। आपको उसके अपडेट मिलेंगे।'
+  },
+
+  post_commented: {
+    push: {
+      title: '{{#reply}}💬 नया जवाब{{/reply}}{{^reply}}💬 नई टिप्पणी{{/reply}}',
+      body: '{{#reply}}{{commenter}} ने "{{title}}" पर आपकी टिप्पणी का जवाब दिया: {{snippet}}{{/reply}}{{^reply}}{{commenter}} ने "{{title}}" पर टिप्पणी की: {{snippet}}{{/reply}}'
+    }
+  },
+
+  post_vote_milestone: {
+    push: {
+      title: '🔥 आपकी पोस्ट पर ध्यान दिया जा रहा है',
+      body: '"{{title}}" के बारे में आपकी पोस्ट को {{milestone}} अपवोट मिल गए हैं।'
+    }
+  },
+
+  announcement: {
+    whatsapp: `${WHATSAPP_GREETING}{{body}}`,
+    sms: 'जन सेतु: {{body}}'
+  }
+};
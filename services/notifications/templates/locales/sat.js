@@ -0,0 +1,9 @@
+/**
+ * Santhali notification templates.
+ *
+ * No reviewed Santhali translations yet: every template falls back to Hindi
+ * (then English). Add translated entries here in the same shape as hi.js;
+ * GET /api/v1/notifications/templates shows which templates each locale covers.
+ */
+
+export default {};
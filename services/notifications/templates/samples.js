@@ -0,0 +1,54 @@
+/**
+ * Example variables for each template, used by the admin preview
+ * (POST /api/v1/notifications/templates/:template/preview) when the request
+ * does not supply its own.
+ */
+
+const REPORT = { name: 'Sunita Devi', title: 'Overflowing drain near Kokar Chowk' };
+
+export default {
+  report_assigned: REPORT,
+  report_work_started: { ...REPORT, notes: 'Team on site with a suction machine.' },
+  report_progress: { ...REPORT, notes: 'Blockage cleared, relaying the cover slab tomorrow.' },
+  report_resolved: { ...REPORT, notes: 'Drain cleaned and a new cover slab fitted.' },
+  resolution_photo: { ...REPORT, number: 1 },
+  report_rejected: {
+    ...REPORT,
+    reason: 'Duplicate of an existing report',
+    note: 'Already reported on 12 March; follow that report for updates.',
+    appealWindowDays: 30
+  },
+  report_appeal_decided: { ...REPORT, reinstated: true, note: 'The earlier report covered a different drain.' },
+  followed_report_update: { ...REPORT, resolved: true },
+  report_merged: { ...REPORT, canonicalTitle: 'Blocked drain at Kokar Chowk' },
+  post_commented: {
+    title: REPORT.title,
+    commenter: 'Amit Oraon',
+    snippet: 'Same problem on our lane as well, please check.',
+    reply: false
+  },
+  post_vote_milestone: { title: REPORT.title, milestone: 50 },
+  announcement: {
+    name: REPORT.name,
+    title: 'Water supply notice',
+    body: 'Water supply in Ward 12 will be off on Sunday from 9 AM to 1 PM for pipeline repairs.'
+  },
+  sla_escalation: {
+    fullName: 'Ravi Kumar',
+    breached: false,
+    title: REPORT.title,
+    category: 'drainage',
+    priority: 'high',
+    department: 'Sanitation',
+    status: 'assigned',
+    dueAt: '20/3/2025, 6:00:00 pm',
+    reportId: '3f6c2a9e-1d2b-4c5e-8f7a-0b1c2d3e4f5a'
+  },
+  admin_welcome: {
+    fullName: 'Ravi Kumar',
+    email: 'ravi.kumar@example.gov.in',
+    roleName: 'Admin',
+    portalUrl: 'jan-setu-admin-portal.vercel.app'
+  },
+  admin_otp: { otp: '482913', expiresInMinutes: 10 }
+};
@@ -0,0 +1,139 @@
+import en from './locales/en.js';
+import hi from './locales/hi.js';
+import sat from './locales/sat.js';
+import samples from './samples.js';
+import { NOTIFICATION_LANGUAGES, DEFAULT_LANGUAGE } from '../../../utils/notificationPreferences.js';
+
+/**
+ * Notification templates, keyed by template and locale.
+ *
+ * A template has one entry per channel:
+ *
+ *   push:     { title, body }
+ *   whatsapp: 'text'
+ *   sms:      'text'
+ *   email:    { subject, html }
+ *
+ * Text may use {{name}} for variables, {{#name}}...{{/name}} for a part shown
+ * only when the variable is set, and {{^name}}...{{/name}} for the opposite.
+ * Variables are HTML-escaped in email. A locale that lacks a template, or a
+ * channel of it, falls back along LOCALE_FALLBACKS and finally to English.
+ */
+
+const LOCALES = { en, hi, sat };
+
+// Santhali readers in Jharkhand mostly read Hindi as well
+const LOCALE_FALLBACKS = {
+  sat: ['hi', 'en'],
+  hi: ['en'],
+  en: []
+};
+
+export const TEMPLATE_CHANNELS = ['push', 'whatsapp', 'sms', 'email'];
+
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const isSet = (value) => value !== undefined && value !== null && value !== false && value !== '';
+
+const interpolate = (text, variables, { escape, missing }) => text
+  .replace(SECTION_PATTERN, (match, type, name, inner) =>
+    (type === '#') === isSet(variables[name]) ? inner : '')
+  .replace(VARIABLE_PATTERN, (match, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) {
+      missing.add(name);
+      return '';
+    }
+    return escape ? escapeHtml(value) : String(value);
+  });
+
+const localeChain = (locale) => {
+  const requested = NOTIFICATION_LANGUAGES.includes(locale) ? locale : DEFAULT_LANGUAGE;
+  return [requested, ...(LOCALE_FALLBACKS[requested] || []), 'en']
+    .filter((value, index, chain) => chain.indexOf(value) === index);
+};
+
+// Every {{name}} and section name used in a channel entry
+const collectVariables = (entry) => {
+  const names = new Set();
+  const texts = typeof entry === 'string' ? [entry] : Object.values(entry);
+  for (const text of texts) {
+    for (const [, , name] of text.matchAll(/\{\{([#^/]?)(\w+)\}\}/g)) {
+      names.add(name);
+    }
+  }
+  return [...names];
+};
+
+/**
+ * Whether a template exists (in any locale)
+ * @param {string} key - Template key, e.g. 'report_resolved'
+ * @returns {boolean}
+ */
+export const hasTemplate = (key) => Object.hasOwn(en, key);
+
+/**
+ * Example variables for previewing a template
+ * @param {string} key - Template key
+ * @returns {Object}
+ */
+export const getSampleVariables = (key) => ({ ...(samples[key] || {}) });
+
+/**
+ * Render one channel of a template
+ * @param {string} key - Template key, e.g. 'report_resolved'
+ * @param {string} channel - push | whatsapp | sms | email
+ * @param {string} locale - Requested locale; falls back when not translated
+ * @param {Object} variables - Values for the template's placeholders
+ * @returns {Object|null} { locale, missing, ...content } where content is
+ *          { title, body } (push), { text } (whatsapp, sms) or { subject, html } (email);
+ *          null when the template has no entry for this channel
+ */
+export const renderTemplate = (key, channel, locale, variables = {}) => {
+  for (const candidate of localeChain(locale)) {
+    const entry = LOCALES[candidate][key]?.[channel];
+    if (!entry) continue;
+
+    const options = { escape: channel === 'email', missing: new Set() };
+    const content = typeof entry === 'string'
+      ? { text: interpolate(entry, variables, options) }
+      : Object.fromEntries(Object.entries(entry).map(([field, text]) => [
+        field,
+        // Subjects are plain text even in email
+        interpolate(text, variables, { ...options, escape: options.escape && field !== 'subject' })
+      ]));
+
+    return { locale: candidate, missing: [...options.missing], ...content };
+  }
+  return null;
+};
+
+/**
+ * Every template with its channels, translations and variables
+ * @returns {Array<Object>} [{ key, channels, locales, variables }]
+ */
+export const listTemplates = () => Object.keys(en).map((key) => {
+  const channels = TEMPLATE_CHANNELS.filter((channel) => en[key][channel]);
+  return {
+    key,
+    channels,
+    locales: NOTIFICATION_LANGUAGES.filter((locale) => LOCALES[locale][key]),
+    variables: [...new Set(channels.flatMap((channel) => collectVariables(en[key][channel])))]
+  };
+});
+
+export default {
+  TEMPLATE_CHANNELS,
+  hasTemplate,
+  getSampleVariables,
+  renderTemplate,
+  listTemplates
+};
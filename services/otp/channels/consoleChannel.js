@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Console/file channel for offline development.
+ *
+ * Prints each OTP to the server log and appends it as a JSON line to
+ * OTP_OUTBOX_FILE (default Public/Temp/otp-outbox.jsonl), so the whole login
+ * flow can be exercised without Twilio, WhatsApp or SMTP credentials.
+ * Accepts both phone numbers and emails.
+ *
+ * Test-mode OTPs (see ../testMode.js) are flagged `test: true`; only those are
+ * served by the QA outbox route.
+ */
+
+const getOutboxPath = () => (
+  process.env.OTP_OUTBOX_FILE || path.join(process.cwd(), 'Public', 'Temp', 'otp-outbox.jsonl')
+);
+
+/**
+ * Read the most recent outbox entries, newest first
+ * @param {Object} options
+ * @param {number} options.limit - Maximum entries to return
+ * @param {string} options.recipient - Only entries for this phone number / email
+ * @param {boolean} options.testOnly - Only entries written in test mode
+ * @returns {Array<Object>}
+ */
+export const readOutbox = ({ limit = 50, recipient = null, testOnly = false } = {}) => {
+  try {
+    const lines = fs.readFileSync(getOutboxPath(), 'utf8').trim().split('\n').filter(Boolean);
+    return lines
+      .map((line) => JSON.parse(line))
+      .filter((entry) => (
+        (!testOnly || entry.test === true) &&
+        (!recipient || entry.recipient.toLowerCase() === recipient.toLowerCase())
+      ))
+      .slice(-limit)
+      .reverse();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Failed to read OTP outbox:', error.message);
+    }
+    return [];
+  }
+};
+
+export default {
+  name: 'console',
+  recipientType: 'any',
+
+  // Never in production, even when listed in OTP_PHONE_CHANNELS / OTP_EMAIL_CHANNELS
+  isConfigured() {
+    return process.env.NODE_ENV !== 'production';
+  },
+
+  async send(recipient, { code, message, scope, ttlSeconds, test = false }) {
+    const entry = {
+      recipient,
+      scope,
+      code: String(code),
+      message,
+      test,
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+      sentAt: new Date().toISOString()
+    };
+
+    console.log(`📟 [OTP console] ${scope} code for ${recipient}: ${entry.code}`);
+
+    try {
+      const outboxPath = getOutboxPath();
+      fs.mkdirSync(path.dirname(outboxPath), { recursive: true });
+      fs.appendFileSync(outboxPath, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      // Read-only filesystems (serverless) still get the console line
+      console.warn('⚠️ Could not write OTP outbox file:', error.message);
+    }
+
+    return { success: true, messageId: `console-${Date.now()}` };
+  }
+};
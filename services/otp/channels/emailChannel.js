@@ -0,0 +1,20 @@
+import emailService from '../../emailService.js';
+
+/**
+ * Email channel (nodemailer via emailService)
+ */
+export default {
+  name: 'email',
+  recipientType: 'email',
+
+  isConfigured() {
+    return Boolean(process.env.EMAIL_USER && process.env.EMAIL_PASS);
+  },
+
+  async send(email, { code, ttlSeconds }) {
+    const result = await emailService.sendAdminOTP(email, code, Math.max(1, Math.round(ttlSeconds / 60)));
+    return result.success
+      ? { success: true, messageId: result.messageId }
+      : { success: false, error: result.error };
+  }
+};
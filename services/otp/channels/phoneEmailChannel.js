@@ -0,0 +1,26 @@
+import phoneEmailService from '../../phoneEmail.js';
+
+/**
+ * phone.email channel
+ *
+ * phone.email sends and checks the code itself inside its webview and hands
+ * the app a JWT, so this channel cannot send codes; it only turns that JWT
+ * into a verified phone number.
+ */
+export default {
+  name: 'phone_email',
+  recipientType: 'phone',
+  external: true,
+
+  isConfigured() {
+    return phoneEmailService.isConfigured();
+  },
+
+  async send() {
+    return { success: false, error: 'phone.email delivers codes through its own webview' };
+  },
+
+  async verifyExternal(token) {
+    return await phoneEmailService.verifyJWT(token);
+  }
+};
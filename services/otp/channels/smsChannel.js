@@ -0,0 +1,20 @@
+import { sendSms, isSmsConfigured } from '../../sendSms.js';
+
+/**
+ * SMS channel (Twilio)
+ */
+export default {
+  name: 'sms',
+  recipientType: 'phone',
+
+  isConfigured() {
+    return isSmsConfigured();
+  },
+
+  async send(phoneNumber, { message }) {
+    const result = await sendSms(phoneNumber, message);
+    return result.success
+      ? { success: true, messageId: result.messageSid }
+      : { success: false, error: result.error };
+  }
+};
@@ -0,0 +1,20 @@
+import { sendWhatsAppMessage } from '../../whatsappService.js';
+
+/**
+ * WhatsApp channel (OpenWA gateway via whatsappService)
+ */
+export default {
+  name: 'whatsapp',
+  recipientType: 'phone',
+
+  isConfigured() {
+    return Boolean(process.env.OPENWA_API_URL);
+  },
+
+  async send(phoneNumber, { message }) {
+    const sent = await sendWhatsAppMessage(phoneNumber, message);
+    return sent
+      ? { success: true }
+      : { success: false, error: 'WhatsApp gateway did not accept the message' };
+  }
+};
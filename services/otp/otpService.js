@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import otpStore from './otpStore.js';
+import { getTestCode, isTestRecipient, isConsoleDelivery } from './testMode.js';
+import smsChannel from './channels/smsChannel.js';
+import whatsappChannel from './channels/whatsappChannel.js';
+import emailChannel from './channels/emailChannel.js';
+import consoleChannel from './channels/consoleChannel.js';
+import phoneEmailChannel from './channels/phoneEmailChannel.js';
+
+/**
+ * OTP Service
+ *
+ * Single entry point for sending and verifying one-time codes. Codes are kept
+ * in otpStore (Redis); delivery goes through channels:
+ *
+ *   { name, recipientType: 'phone'|'email'|'any', isConfigured(), send(recipient, payload) }
+ *
+ * A code is sent over the first configured channel for the recipient type and
+ * falls back to the next one when a send fails. The order comes from
+ * OTP_PHONE_CHANNELS (default "sms,whatsapp") and OTP_EMAIL_CHANNELS (default
+ * "email"). OTP_DELIVERY=console routes everything to the console/file channel
+ * for offline development (ignored when NODE_ENV=production).
+ *
+ * External channels (phone.email) send and check codes themselves; they are
+ * only reachable through verifyExternal().
+ *
+ * In test mode, allow-listed recipients (see testMode.js) get their fixed code
+ * and always go to the console channel's outbox.
+ */
+
+const DEFAULT_CHANNEL_ORDER = {
+  phone: 'sms,whatsapp',
+  email: 'email'
+};
+
+const CHANNEL_ORDER_ENV = {
+  phone: 'OTP_PHONE_CHANNELS',
+  email: 'OTP_EMAIL_CHANNELS'
+};
+
+class OtpService {
+  constructor() {
+    this.channels = new Map();
+  }
+
+  /**
+   * Register a delivery channel (replaces a channel with the same name)
+   * @param {Object} channel - Channel implementing the interface above
+   */
+  registerChannel(channel) {
+    this.channels.set(channel.name, channel);
+  }
+
+  getChannel(name) {
+    return this.channels.get(name) || null;
+  }
+
+  /**
+   * Generate a 6-digit code (fixed for allow-listed test recipients)
+   * @param {string} recipient - Phone number or email
+   * @returns {string}
+   */
+  generateCode(recipient) {
+    return getTestCode(recipient) || crypto.randomInt(100000, 1000000).toString();
+  }
+
+  buildMessage(code, ttlSeconds) {
+    const minutes = Math.max(1, Math.round(ttlSeconds / 60));
+    return `Your JanSetu OTP is: ${code}. This code will expire in ${minutes} minutes.`;
+  }
+
+  /**
+   * Channels to try, in order, for a recipient
+   * @param {string} recipientType - 'phone' | 'email'
+   * @param {boolean} testRecipient - Allow-listed test recipient in test mode
+   * @returns {Array<Object>}
+   */
+  getChannelOrder(recipientType, testRecipient = false) {
+    if (testRecipient || isConsoleDelivery()) {
+      return [this.getChannel('console')];
+    }
+
+    const configured = process.env[CHANNEL_ORDER_ENV[recipientType]] || DEFAULT_CHANNEL_ORDER[recipientType] || '';
+
+    return configured
+      .split(',')
+      .map((name) => this.getChannel(name.trim()))
+      .filter((channel) => (
+        channel &&
+        !channel.external &&
+        (channel.recipientType === recipientType || channel.recipientType === 'any')
+      ));
+  }
+
+  /**
+   * Generate, store and deliver a code
+   * @param {Object} options
+   * @param {string} options.scope - OTP purpose, e.g. 'citizen' or 'admin'
+   * @param {string} options.recipient - Normalized phone number or email
+   * @param {string} options.recipientType - 'phone' | 'email'
+   * @param {number} options.ttlSeconds - Code lifetime
+   * @param {Object} options.meta - Extra data returned on successful verification
+   * @returns {Promise<Object>} { success, channel, messageId, failures, code, testRecipient }.
+   *          `code` is for the caller's use only and may reach an API response only
+   *          when `testRecipient` is true.
+   * @throws {UpstreamError} when the OTP store is unavailable
+   */
+  async sendCode({ scope, recipient, recipientType, ttlSeconds, meta = {} }) {
+    const testRecipient = isTestRecipient(recipient);
+    const code = this.generateCode(recipient);
+    await otpStore.saveCode(scope, recipient, code, ttlSeconds, meta);
+
+    const payload = {
+      code,
+      message: this.buildMessage(code, ttlSeconds),
+      scope,
+      ttlSeconds,
+      test: testRecipient
+    };
+
+    const failures = [];
+
+    for (const channel of this.getChannelOrder(recipientType, testRecipient)) {
+      if (!channel.isConfigured()) {
+        failures.push({ channel: channel.name, error: 'Channel not configured' });
+        continue;
+      }
+
+      try {
+        const result = await channel.send(recipient, payload);
+
+        if (result.success) {
+          console.log(`✅ OTP (${scope}) sent via ${channel.name} to ${recipient}`);
+          return { success: true, channel: channel.name, messageId: result.messageId, failures, code, testRecipient };
+        }
+
+        failures.push({ channel: channel.name, error: result.error });
+      } catch (error) {
+        failures.push({ channel: channel.name, error: error.message });
+      }
+
+      console.warn(`⚠️ OTP channel ${channel.name} failed, trying next:`, failures[failures.length - 1].error);
+    }
+
+    console.error(`❌ OTP (${scope}) could not be delivered to ${recipient}:`, failures);
+    return { success: false, channel: null, failures, code, testRecipient };
+  }
+
+  /**
+   * Verify a code sent with sendCode (see otpStore.verifyCode for the result shape)
+   */
+  async verifyCode(scope, recipient, code, ip = null) {
+    return await otpStore.verifyCode(scope, recipient, code, ip);
+  }
+
+  async getLockout(scope, recipient, ip = null) {
+    return await otpStore.getLockout(scope, recipient, ip);
+  }
+
+  /**
+   * Verify a token issued by an external channel (e.g. phone.email JWT)
+   * @param {string} channelName - Channel name
+   * @param {string} token - Token handed to the client by the provider
+   * @returns {Promise<Object>} Provider result, { success, phoneNumber, ... }
+   */
+  async verifyExternal(channelName, token) {
+    const channel = this.getChannel(channelName);
+
+    if (!channel || !channel.external) {
+      return { success: false, error: `Unknown external OTP channel: ${channelName}` };
+    }
+
+    return await channel.verifyExternal(token);
+  }
+}
+
+const otpService = new OtpService();
+
+otpService.registerChannel(smsChannel);
+otpService.registerChannel(whatsappChannel);
+otpService.registerChannel(emailChannel);
+otpService.registerChannel(consoleChannel);
+otpService.registerChannel(phoneEmailChannel);
+
+export default otpService;
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import redisService from '../redis.js';
+import { UpstreamError } from '../../utils/errors.js';
+
+/**
+ * OTP Store
+ *
+ * Keeps one-time codes in Redis so every serverless instance sees the same
+ * state. Codes are hashed, never stored in plain text.
+ *
+ *   otp:<scope>:<identifier>            hash { codeHash, attempts, createdAt, ...meta } with TTL
+ *   otp_fail:<scope>:<kind>:<value>     failed attempts in the current window (kind = id | ip)
+ *   otp_lock:<scope>:<kind>:<value>     present while locked out; TTL = remaining lockout
+ *   otp_lock_level:<scope>:<kind>:<v>   how many lockouts in the last day (drives the backoff)
+ *
+ * Lockout is progressive: every lockout within 24h doubles the next one
+ * (5 min, 10 min, 20 min ... capped at 24h). It applies per identifier (email /
+ * phone) and per client IP independently, so rotating either one alone does not
+ * bypass it.
+ *
+ * Without Redis nothing can be verified safely, so every call throws an
+ * UpstreamError (503, OTP_STORE_UNAVAILABLE).
+ */
+
+const MAX_ATTEMPTS_PER_CODE = 3;
+const MAX_FAILURES_BEFORE_LOCK = 5;
+const FAILURE_WINDOW_SECONDS = 60 * 60;          // 1 hour
+const BASE_LOCKOUT_SECONDS = 5 * 60;             // 5 minutes
+const MAX_LOCKOUT_SECONDS = 24 * 60 * 60;        // 24 hours
+const LOCK_LEVEL_TTL_SECONDS = 24 * 60 * 60;
+
+const codeKey = (scope, identifier) => `otp:${scope}:${identifier}`;
+const failKey = (scope, kind, value) => `otp_fail:${scope}:${kind}:${value}`;
+const lockKey = (scope, kind, value) => `otp_lock:${scope}:${kind}:${value}`;
+const lockLevelKey = (scope, kind, value) => `otp_lock_level:${scope}:${kind}:${value}`;
+
+const hashCode = (identifier, code) => (
+  crypto.createHash('sha256').update(`${identifier}:${code}`).digest('hex')
+);
+
+const codesMatch = (storedHash, identifier, code) => {
+  const candidate = Buffer.from(hashCode(identifier, String(code)), 'hex');
+  const stored = Buffer.from(storedHash, 'hex');
+  return stored.length === candidate.length && crypto.timingSafeEqual(stored, candidate);
+};
+
+const storeUnavailable = () => new UpstreamError('OTP service temporarily unavailable. Please try again later.', {
+  service: 'redis',
+  statusCode: 503,
+  code: 'OTP_STORE_UNAVAILABLE'
+});
+
+const ensureStore = async () => {
+  if (!(await redisService.ensureConnected())) {
+    throw storeUnavailable();
+  }
+};
+
+// Identifier and IP lock subjects; IP is optional (e.g. background jobs)
+const lockSubjects = (identifier, ip) => {
+  const subjects = [{ kind: 'id', value: identifier }];
+  if (ip) subjects.push({ kind: 'ip', value: ip });
+  return subjects;
+};
+
+/**
+ * Check whether an identifier or IP is currently locked out
+ * @param {string} scope - OTP purpose, e.g. 'admin' or 'citizen'
+ * @param {string} identifier - Normalized email or phone number
+ * @param {string} ip - Client IP (optional)
+ * @returns {Promise<{locked: boolean, retryAfter?: number}>}
+ */
+export const getLockout = async (scope, identifier, ip = null) => {
+  await ensureStore();
+
+  let retryAfter = 0;
+  for (const { kind, value } of lockSubjects(identifier, ip)) {
+    const ttl = await redisService.getTTL(lockKey(scope, kind, value));
+    if (ttl > retryAfter) retryAfter = ttl;
+  }
+
+  return retryAfter > 0 ? { locked: true, retryAfter } : { locked: false };
+};
+
+/**
+ * Store a new code, replacing any previous one for the identifier
+ * @param {string} scope - OTP purpose
+ * @param {string} identifier - Normalized email or phone number
+ * @param {string} code - Plain code that was sent to the user
+ * @param {number} ttl - Lifetime in seconds
+ * @param {Object} meta - Extra fields stored with the code (e.g. adminId)
+ */
+export const saveCode = async (scope, identifier, code, ttl, meta = {}) => {
+  await ensureStore();
+
+  const stored = await redisService.setHash(codeKey(scope, identifier), {
+    ...meta,
+    codeHash: hashCode(identifier, String(code)),
+    attempts: 0,
+    createdAt: new Date().toISOString()
+  }, ttl);
+
+  if (!stored) {
+    throw storeUnavailable();
+  }
+};
+
+// Count a failed attempt against identifier and IP, locking out when the threshold is hit
+const recordFailure = async (scope, identifier, ip) => {
+  let lockedFor = 0;
+
+  for (const { kind, value } of lockSubjects(identifier, ip)) {
+    const failures = await redisService.increment(failKey(scope, kind, value), FAILURE_WINDOW_SECONDS);
+
+    if (failures >= MAX_FAILURES_BEFORE_LOCK) {
+      const level = await redisService.increment(lockLevelKey(scope, kind, value), LOCK_LEVEL_TTL_SECONDS);
+      const duration = Math.min(BASE_LOCKOUT_SECONDS * Math.pow(2, level - 1), MAX_LOCKOUT_SECONDS);
+
+      await redisService.set(lockKey(scope, kind, value), '1', duration);
+      await redisService.del(failKey(scope, kind, value));
+
+      console.warn(`🔒 OTP lockout (${scope}) for ${kind} ${value}: ${duration}s (level ${level})`);
+      lockedFor = Math.max(lockedFor, duration);
+    }
+  }
+
+  return lockedFor;
+};
+
+/**
+ * Verify a code
+ * @param {string} scope - OTP purpose
+ * @param {string} identifier - Normalized email or phone number
+ * @param {string} code - Code entered by the user
+ * @param {string} ip - Client IP (optional)
+ * @returns {Promise<Object>} { success: true, meta } or
+ *          { success: false, reason: 'locked'|'expired'|'invalid'|'too_many_attempts', retryAfter?, attemptsRemaining? }
+ */
+export const verifyCode = async (scope, identifier, code, ip = null) => {
+  await ensureStore();
+
+  const lockout = await getLockout(scope, identifier, ip);
+  if (lockout.locked) {
+    return { success: false, reason: 'locked', retryAfter: lockout.retryAfter };
+  }
+
+  const key = codeKey(scope, identifier);
+  const stored = await redisService.getHash(key);
+
+  if (!stored) {
+    return { success: false, reason: 'expired' };
+  }
+
+  if (!codesMatch(stored.codeHash, identifier, code)) {
+    const attempts = await redisService.incrementHashField(key, 'attempts');
+    const lockedFor = await recordFailure(scope, identifier, ip);
+
+    if (lockedFor > 0) {
+      await redisService.del(key);
+      return { success: false, reason: 'locked', retryAfter: lockedFor };
+    }
+
+    if (attempts >= MAX_ATTEMPTS_PER_CODE) {
+      await redisService.del(key);
+      return { success: false, reason: 'too_many_attempts' };
+    }
+
+    return {
+      success: false,
+      reason: 'invalid',
+      attemptsRemaining: MAX_ATTEMPTS_PER_CODE - attempts
+    };
+  }
+
+  // Success: the code is single-use and the failure history is cleared
+  await redisService.del([
+    key,
+    ...lockSubjects(identifier, ip).map(({ kind, value }) => failKey(scope, kind, value))
+  ]);
+
+  const { codeHash, attempts, createdAt, ...meta } = stored;
+  return { success: true, meta };
+};
+
+export default {
+  getLockout,
+  saveCode,
+  verifyCode
+};
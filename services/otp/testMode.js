@@ -0,0 +1,94 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * OTP Test Mode
+ *
+ * Lets QA automate logins without real SMS/email and without exposing real
+ * users' codes. Enabled only by configuration (OTP_TEST_MODE=true) and never
+ * when NODE_ENV=production.
+ *
+ * In test mode, recipients listed in OTP_TEST_NUMBERS get a fixed code and
+ * their OTPs go to the local outbox (console channel) instead of a real
+ * provider:
+ *
+ *   OTP_TEST_NUMBERS=+919999999999:123456,+918888888888:654321,qa@example.com:111111
+ *
+ * Everyone else is handled exactly as outside test mode. Only allow-listed
+ * codes are echoed in API responses or appear in the outbox query route.
+ */
+
+/**
+ * Whether OTP test mode is on
+ * @returns {boolean}
+ */
+export const isOtpTestMode = () => (
+  process.env.OTP_TEST_MODE === 'true' && process.env.NODE_ENV !== 'production'
+);
+
+/**
+ * Whether every OTP goes to the console/file channel (OTP_DELIVERY=console).
+ * Like test mode, never when NODE_ENV=production: real codes would end up in
+ * logs and in the outbox file.
+ * @returns {boolean}
+ */
+export const isConsoleDelivery = () => (
+  process.env.OTP_DELIVERY === 'console' && process.env.NODE_ENV !== 'production'
+);
+
+if (process.env.OTP_DELIVERY === 'console' && process.env.NODE_ENV === 'production') {
+  console.error('🚨 OTP_DELIVERY=console is ignored in production; OTPs go through the configured channels');
+}
+
+const normalizeRecipient = (recipient) => String(recipient || '').trim().toLowerCase();
+
+/**
+ * Parse OTP_TEST_NUMBERS into a recipient -> code map
+ * @returns {Map<string, string>}
+ */
+const getTestRecipients = () => {
+  const entries = new Map();
+
+  for (const entry of (process.env.OTP_TEST_NUMBERS || '').split(',')) {
+    const separator = entry.lastIndexOf(':');
+    if (separator <= 0) continue;
+
+    const recipient = normalizeRecipient(entry.slice(0, separator));
+    const code = entry.slice(separator + 1).trim();
+
+    if (recipient && /^\d{6}$/.test(code)) {
+      entries.set(recipient, code);
+    } else {
+      console.warn('⚠️ Ignoring malformed OTP_TEST_NUMBERS entry:', entry.trim());
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Whether a recipient is an allow-listed test recipient (only ever true in test mode)
+ * @param {string} recipient - Phone number or email
+ * @returns {boolean}
+ */
+export const isTestRecipient = (recipient) => (
+  isOtpTestMode() && getTestRecipients().has(normalizeRecipient(recipient))
+);
+
+/**
+ * Fixed code for an allow-listed test recipient
+ * @param {string} recipient - Phone number or email
+ * @returns {string|null} null outside test mode or for other recipients
+ */
+export const getTestCode = (recipient) => {
+  if (!isOtpTestMode()) return null;
+  return getTestRecipients().get(normalizeRecipient(recipient)) || null;
+};
+
+export default {
+  isOtpTestMode,
+  isConsoleDelivery,
+  isTestRecipient,
+  getTestCode
+};
@@ -8,12 +8,14 @@
  * - Time decay (older unresolved reports get higher priority)
  * - Media evidence quality
  * - Status and resolution time
+ * - Disputed fixes (reports reopened by the citizen)
  * 
  * Priority Score: 0-100 (numeric)
  * Priority Level: low | medium | high | critical (categorical)
  */
 
 import { query, queryOne } from "../db/utils.js";
+import { countNearbyUnresolvedReports } from "./geoQueries.js";
 
 /**
  * Category severity configuration
@@ -39,22 +41,13 @@ const CATEGORY_WEIGHTS = {
  */
 const calculateClusteringScore = async (client, latitude, longitude, reportId, radiusMeters = 500, days = 30) => {
   try {
-    const nearbyQuery = `
-      SELECT COUNT(*) AS cnt
-      FROM reports
-      WHERE id != $1
-        AND is_resolved = false
-        AND created_at >= NOW() - ($4 || ' days')::interval
-        AND (
-          6371000 * acos(
-            LEAST(1, cos(radians($2)) * cos(radians(latitude)) * cos(radians(longitude) - radians($3))
-            + sin(radians($2)) * sin(radians(latitude)))
-          )
-        ) <= $5
-    `;
-    
-    const result = await client.query(nearbyQuery, [reportId, latitude, longitude, days, radiusMeters]);
-    const nearbyCount = parseInt(result.rows[0]?.cnt || 0, 10);
+    const nearbyCount = await countNearbyUnresolvedReports(client, {
+      latitude,
+      longitude,
+      radiusMeters,
+      days,
+      excludeReportId: reportId
+    });
     
     // Score: 0-20 points based on nearby reports
     // 0 nearby = 0 points, 10+ nearby = 20 points
@@ -236,7 +229,8 @@ const calculateAdminInteractionScore = async (client, reportId) => {
       'assigned': 3,
       'in_progress': 4,
       'resolved': 0, // Resolved gets 0 to lower priority
-      'rejected': -5 // Rejected gets negative
+      'rejected': -5, // Rejected gets negative
+      'merged': -5 // Merged duplicates are worked through their canonical report
     };
     score += statusScores[status] || 0;
     
@@ -257,6 +251,23 @@ const calculateAdminInteractionScore = async (client, reportId) => {
   }
 };
 
+/**
+ * Calculate dispute score
+ * A report the citizen reopened after a failed fix should not sink back into the queue
+ */
+const calculateDisputeScore = async (client, reportId) => {
+  try {
+    const result = await client.query(`SELECT dispute_count FROM reports WHERE id = $1`, [reportId]);
+    const disputeCount = result.rows[0]?.dispute_count || 0;
+
+    // 8 points per dispute, capped at 15
+    return Math.min(15, disputeCount * 8);
+  } catch (error) {
+    console.warn('⚠️ Dispute score calculation failed:', error);
+    return 0;
+  }
+};
+
 /**
  * Main function to calculate dynamic priority score
  * Returns both numeric score (0-100) and categorical priority
@@ -295,13 +306,15 @@ export const calculateDynamicPriority = async (client, reportId) => {
       engagementScore,
       timeDecayScore,
       mediaScore,
-      adminScore
+      adminScore,
+      disputeScore
     ] = await Promise.all([
       calculateClusteringScore(client, report.latitude, report.longitude, reportId),
       calculateEngagementScore(client, reportId),
       calculateTimeDecayScore(client, reportId),
       calculateMediaScore(client, reportId),
-      calculateAdminInteractionScore(client, reportId)
+      calculateAdminInteractionScore(client, reportId),
+      calculateDisputeScore(client, reportId)
     ]);
     
     // Category base score (0-25 points)
@@ -315,7 +328,8 @@ export const calculateDynamicPriority = async (client, reportId) => {
       engagementScore +        // 0-25 points
       timeDecayScore +         // 0-20 points
       mediaScore +             // 0-10 points
-      adminScore               // 0-5 points (can be negative)
+      adminScore +             // 0-5 points (can be negative)
+      disputeScore             // 0-15 points
     );
     
     // Clamp between 0-100
@@ -340,6 +354,7 @@ export const calculateDynamicPriority = async (client, reportId) => {
     console.log(`   Time Decay: ${timeDecayScore.toFixed(1)} pts`);
     console.log(`   Media: ${mediaScore.toFixed(1)} pts`);
     console.log(`   Admin Interaction: ${adminScore.toFixed(1)} pts`);
+    console.log(`   Disputes: ${disputeScore.toFixed(1)} pts`);
     console.log(`   ─────────────────────────────────`);
     console.log(`   TOTAL: ${priorityScore} pts → ${priority.toUpperCase()}\n`);
     
@@ -352,7 +367,8 @@ export const calculateDynamicPriority = async (client, reportId) => {
         engagement: Math.round(engagementScore),
         timeDecay: Math.round(timeDecayScore),
         media: Math.round(mediaScore),
-        adminInteraction: Math.round(adminScore)
+        adminInteraction: Math.round(adminScore),
+        disputes: Math.round(disputeScore)
       }
     };
     
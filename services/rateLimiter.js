@@ -0,0 +1,58 @@
+import redisService from "./redis.js";
+
+// In-process fallback used while Redis is unreachable. Limits are then per
+// instance rather than global, which is still better than no limit at all.
+const memoryWindows = new Map();
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+const memoryHit = (key, limit, windowMs) => {
+  const now = Date.now();
+  const hits = (memoryWindows.get(key) || []).filter((timestamp) => timestamp > now - windowMs);
+
+  const allowed = hits.length < limit;
+  if (allowed) hits.push(now);
+  memoryWindows.set(key, hits);
+
+  // Keep the map bounded: drop windows that have fully expired
+  if (memoryWindows.size > MEMORY_SWEEP_THRESHOLD) {
+    for (const [windowKey, timestamps] of memoryWindows) {
+      if (timestamps.length === 0 || timestamps[timestamps.length - 1] <= now - windowMs) {
+        memoryWindows.delete(windowKey);
+      }
+    }
+  }
+
+  return { allowed, count: hits.length, oldest: hits[0] ?? now };
+};
+
+/**
+ * Record a hit against a sliding window
+ * @param {string} key - Window key, e.g. `vote:user:42`
+ * @param {number} limit - Hits allowed per window
+ * @param {number} windowSeconds - Window length
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetSeconds: number}>}
+ */
+export const hit = async (key, limit, windowSeconds) => {
+  const windowMs = windowSeconds * 1000;
+  const redisKey = `rate_limit:${key}`;
+
+  let result = null;
+  if (await redisService.ensureConnected()) {
+    result = await redisService.slidingWindowHit(redisKey, limit, windowMs);
+  }
+  if (!result) {
+    result = memoryHit(redisKey, limit, windowMs);
+  }
+
+  // The window frees a slot when its oldest hit ages out
+  const resetSeconds = Math.max(1, Math.ceil((result.oldest + windowMs - Date.now()) / 1000));
+
+  return {
+    allowed: result.allowed,
+    limit,
+    remaining: Math.max(0, limit - result.count),
+    resetSeconds
+  };
+};
+
+export default { hit };
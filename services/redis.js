@@ -3,10 +3,58 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+// Drop hits older than the window, then record this one only if there is room,
+// so rejected requests don't extend a client's lockout.
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+
+redis.call('ZREMRANGEBYSCORE', key, 0, now - window)
+local count = redis.call('ZCARD', key)
+local allowed = 0
+if count < limit then
+  redis.call('ZADD', key, now, ARGV[4])
+  count = count + 1
+  allowed = 1
+end
+redis.call('PEXPIRE', key, window)
+
+local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+return { allowed, count, tonumber(oldest[2]) or now }
+`;
+
+// Move every delayed job whose time has come onto the ready list
+const PROMOTE_DELAYED_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], 0, ARGV[1])
+for _, payload in ipairs(due) do
+  redis.call('LPUSH', KEYS[2], payload)
+  redis.call('ZREM', KEYS[1], payload)
+end
+return #due
+`;
+
+// Replace a JSON value only while one of its fields still has the expected
+// value: 1 when swapped, 0 when the field changed, -1 when the key is gone
+const COMPARE_AND_SET_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then
+  return -1
+end
+if cjson.decode(current)[ARGV[1]] ~= ARGV[2] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[3], 'EX', tonumber(ARGV[4]))
+return 1
+`;
+
 class RedisService {
   constructor() {
     this.client = null;
     this.isConnected = false;
+    this.connectPromise = null;
+    this.lastConnectFailureAt = 0;
   }
 
   async connect() {
@@ -82,6 +130,27 @@ class RedisService {
     }
   }
 
+  // Connect on first use (serverless instances never run server.js startup).
+  // After a failed attempt, wait 30s before trying again so requests don't stall.
+  async ensureConnected() {
+    if (this.isAvailable()) return true;
+    // An open client is still reconnecting on its own - don't create a second one
+    if (this.client?.isOpen) return false;
+    if (Date.now() - this.lastConnectFailureAt < 30000) return false;
+
+    if (!this.connectPromise) {
+      this.connectPromise = this.connect().finally(() => {
+        this.connectPromise = null;
+        if (!this.isAvailable()) {
+          this.lastConnectFailureAt = Date.now();
+        }
+      });
+    }
+
+    await this.connectPromise;
+    return this.isAvailable();
+  }
+
   async ping() {
     if (!this.isAvailable()) {
       return false;
@@ -269,6 +338,102 @@ class RedisService {
     }
   }
 
+  // Add a member to a set, refreshing the set's expiry
+  async addToSet(key, member, ttl = 3600) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+
+    try {
+      await this.client.sAdd(key, member);
+      await this.client.expire(key, ttl);
+      return true;
+    } catch (error) {
+      console.error('Redis SADD error:', error.message);
+      return false;
+    }
+  }
+
+  // Get all members of a set
+  async getSetMembers(key) {
+    if (!this.isAvailable()) {
+      return [];
+    }
+
+    try {
+      return await this.client.sMembers(key);
+    } catch (error) {
+      console.error('Redis SMEMBERS error:', error.message);
+      return [];
+    }
+  }
+
+  // Remove a member from a set
+  async removeFromSet(key, member) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+
+    try {
+      await this.client.sRem(key, member);
+      return true;
+    } catch (error) {
+      console.error('Redis SREM error:', error.message);
+      return false;
+    }
+  }
+
+  // Store an object as a hash with expiration (TTL in seconds)
+  async setHash(key, fields, ttl = 3600) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+
+    try {
+      const stringFields = Object.fromEntries(
+        Object.entries(fields).map(([field, value]) => [field, String(value)])
+      );
+      await this.client.multi()
+        .del(key)
+        .hSet(key, stringFields)
+        .expire(key, ttl)
+        .exec();
+      return true;
+    } catch (error) {
+      console.error('Redis HSET error:', error.message);
+      return false;
+    }
+  }
+
+  // Get all fields of a hash (null when the key does not exist)
+  async getHash(key) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const result = await this.client.hGetAll(key);
+      return result && Object.keys(result).length > 0 ? result : null;
+    } catch (error) {
+      console.error('Redis HGETALL error:', error.message);
+      return null;
+    }
+  }
+
+  // Increment a numeric hash field, returning the new value
+  async incrementHashField(key, field, by = 1) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      return await this.client.hIncrBy(key, field, by);
+    } catch (error) {
+      console.error('Redis HINCRBY error:', error.message);
+      return null;
+    }
+  }
+
   // Cache helper methods for common use cases
   
   // Cache user data
@@ -324,16 +489,117 @@ class RedisService {
     }
   }
 
-  // Rate limiting
-  async checkRateLimit(identifier, limit = 10, window = 300) { // 10 requests per 5 minutes
-    const key = `rate_limit:${identifier}`;
-    const current = await this.increment(key, window);
-    return {
-      allowed: current <= limit,
-      current,
-      limit,
-      resetTime: Date.now() + (window * 1000)
-    };
+  // Sliding-window rate limiting: one sorted-set entry per accepted hit, scored
+  // by its timestamp. Returns { allowed, count, oldest } (oldest = timestamp of
+  // the earliest hit still in the window), or null when Redis can't answer.
+  async slidingWindowHit(key, limit, windowMs) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    const now = Date.now();
+    const member = `${now}-${Math.random().toString(36).slice(2, 10)}`;
+
+    try {
+      const [allowed, count, oldest] = await this.client.eval(SLIDING_WINDOW_SCRIPT, {
+        keys: [key],
+        arguments: [String(now), String(windowMs), String(limit), member]
+      });
+      return { allowed: allowed === 1, count, oldest };
+    } catch (error) {
+      console.error('Redis sliding window error:', error.message);
+      return null;
+    }
+  }
+
+  // Job queue: ready payloads in a list (LPUSH / RPOP = FIFO), delayed ones in
+  // a sorted set scored by the time they become ready. Payloads are objects
+  // serialized as JSON and must be unique (callers include an id).
+  async pushToQueue(queueKey, payload) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+
+    try {
+      await this.client.lPush(queueKey, JSON.stringify(payload));
+      return true;
+    } catch (error) {
+      console.error('Redis queue push error:', error.message);
+      return false;
+    }
+  }
+
+  async popFromQueue(queueKey) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const value = await this.client.rPop(queueKey);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      console.error('Redis queue pop error:', error.message);
+      return null;
+    }
+  }
+
+  async getQueueLength(queueKey) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      return await this.client.lLen(queueKey);
+    } catch (error) {
+      console.error('Redis queue length error:', error.message);
+      return null;
+    }
+  }
+
+  async scheduleDelayed(delayedKey, payload, runAt) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+
+    try {
+      await this.client.zAdd(delayedKey, { score: runAt, value: JSON.stringify(payload) });
+      return true;
+    } catch (error) {
+      console.error('Redis delayed schedule error:', error.message);
+      return false;
+    }
+  }
+
+  async promoteDelayed(delayedKey, queueKey) {
+    if (!this.isAvailable()) {
+      return 0;
+    }
+
+    try {
+      return await this.client.eval(PROMOTE_DELAYED_SCRIPT, {
+        keys: [delayedKey, queueKey],
+        arguments: [String(Date.now())]
+      });
+    } catch (error) {
+      console.error('Redis delayed promote error:', error.message);
+      return 0;
+    }
+  }
+
+  // SET NX with TTL - true when this caller created the key
+  async setIfAbsent(key, value, ttl = 3600) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+
+    try {
+      const stringValue = typeof value === 'string' ? value : JSON.stringify(value);
+      const result = await this.client.set(key, stringValue, { NX: true, EX: ttl });
+      return result === 'OK';
+    } catch (error) {
+      console.error('Redis SETNX error:', error.message);
+      return false;
+    }
   }
 
   // Session management
@@ -345,6 +611,24 @@ class RedisService {
     return await this.get(`session:${sessionId}`);
   }
 
+  // Atomically replace a session whose `field` still equals `expected`.
+  // Returns 1 (swapped), 0 (changed meanwhile), -1 (gone), or null when Redis can't answer.
+  async compareAndSetSession(sessionId, field, expected, sessionData, ttl = 86400) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      return await this.client.eval(COMPARE_AND_SET_SCRIPT, {
+        keys: [`session:${sessionId}`],
+        arguments: [field, String(expected), JSON.stringify(sessionData), String(ttl)]
+      });
+    } catch (error) {
+      console.error('Redis session compare-and-set error:', error.message);
+      return null;
+    }
+  }
+
   async invalidateSession(sessionId) {
     return await this.del(`session:${sessionId}`);
   }
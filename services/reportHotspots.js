@@ -0,0 +1,343 @@
+import { queryMany } from '../db/utils.js';
+import { inBoundingBox } from './geoQueries.js';
+import { REPORT_STATUS } from './reportLifecycle.js';
+
+/**
+ * Report Hotspots
+ *
+ * Server-side aggregation of report locations for the admin dashboard map.
+ * Reports are bucketed by the geohash of their location, at a precision
+ * picked from the map zoom level, so the panel gets a few hundred clusters
+ * instead of every report in a district:
+ *
+ *   clusters - one bucket per cell with its centre, extent and counts by
+ *              status, category and priority
+ *   heatmap  - finer cells with a count and an intensity (0-1) each
+ *
+ * plus counts grouped by the structured address from geocoding (district,
+ * city, locality, ward or PIN code) for the areas panel.
+ *
+ * Merged duplicates are left out unless asked for by status, so a pothole
+ * filed five times counts once.
+ */
+
+export const MIN_ZOOM = 0;
+export const MAX_ZOOM = 20;
+
+const MAX_CLUSTERS = 2000;
+const MAX_HEATMAP_POINTS = 10000;
+const MAX_ADDRESS_GROUPS = 500;
+
+// reports column of each address grouping; keys are the only values interpolated into SQL
+export const ADDRESS_GROUPS = {
+  district: 'address_district',
+  city: 'address_city',
+  locality: 'address_locality',
+  ward: 'address_ward',
+  pincode: 'address_pincode'
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Geohash precision for a zoom level: a cluster cell is roughly a quarter of a
+ * 256px map tile (precision 1 at zoom 0, 5 at city level, 8 at street level)
+ * @param {number} zoom - Web map zoom level
+ * @returns {number} 1-9
+ */
+export const geohashPrecision = (zoom) =>
+  Math.min(9, Math.max(1, Math.round((Number(zoom) + 2) * 0.4)));
+
+/**
+ * WHERE clause for the report filters
+ * @param {Object} filters - { from, to, department, category, priority, status,
+ *   boundaryId, locality, city, district, pincode, bounds, scopeDepartment,
+ *   jurisdictionId }
+ * @param {Array} params - Query parameters; filter values are appended
+ * @returns {string} Conditions joined with AND
+ */
+const buildConditions = (filters, params) => {
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = ['r.location IS NOT NULL'];
+
+  // Department-scoped roles and admins with a jurisdiction only see their own reports
+  if (filters.scopeDepartment) {
+    conditions.push(`LOWER(r.department) = LOWER(${add(filters.scopeDepartment)})`);
+  }
+  if (filters.jurisdictionId) {
+    conditions.push(`${add(filters.jurisdictionId)} IN (r.ward_id, r.ulb_id, r.district_id)`);
+  }
+
+  if (filters.department) {
+    conditions.push(`LOWER(r.department) = LOWER(${add(filters.department)})`);
+  }
+  if (filters.category) {
+    conditions.push(`LOWER(r.category) = LOWER(${add(filters.category)})`);
+  }
+  if (filters.priority) {
+    conditions.push(`r.priority = ${add(filters.priority)}`);
+  }
+  if (filters.status) {
+    conditions.push(`r.status = ${add(filters.status)}`);
+  } else {
+    conditions.push(`r.status <> ${add(REPORT_STATUS.MERGED)}`);
+  }
+  if (filters.boundaryId) {
+    conditions.push(`${add(filters.boundaryId)} IN (r.ward_id, r.ulb_id, r.district_id)`);
+  }
+  if (filters.locality) {
+    conditions.push(`LOWER(r.address_locality) = LOWER(${add(filters.locality)})`);
+  }
+  if (filters.city) {
+    conditions.push(`LOWER(r.address_city) = LOWER(${add(filters.city)})`);
+  }
+  if (filters.district) {
+    conditions.push(`LOWER(r.address_district) = LOWER(${add(filters.district)})`);
+  }
+  if (filters.pincode) {
+    conditions.push(`r.address_pincode = ${add(filters.pincode)}`);
+  }
+
+  // A date-only `to` includes that whole day
+  if (filters.from) {
+    conditions.push(`r.created_at >= ${add(filters.from)}::timestamptz`);
+  }
+  if (filters.to) {
+    conditions.push(DATE_ONLY.test(filters.to)
+      ? `r.created_at < ${add(filters.to)}::date + 1`
+      : `r.created_at <= ${add(filters.to)}::timestamptz`);
+  }
+
+  if (filters.bounds) {
+    const { minLat, minLng, maxLat, maxLng } = filters.bounds;
+    conditions.push(inBoundingBox('r.location', {
+      minLat: add(minLat),
+      minLng: add(minLng),
+      maxLat: add(maxLat),
+      maxLng: add(maxLng)
+    }));
+  }
+
+  return conditions.join('\n       AND ');
+};
+
+const toCounts = (rows, dimension) => Object.fromEntries(
+  rows
+    .filter((row) => row.dimension === dimension)
+    .map((row) => [row.value ?? 'unknown', parseInt(row.value_count, 10)])
+);
+
+/**
+ * Report clusters for a zoom level, largest first
+ * @param {Object} filters - See buildConditions
+ * @param {number} zoom - Web map zoom level
+ * @returns {Promise<Object>} { zoom, precision, totalReports, totalClusters, truncated, clusters }
+ */
+export const getClusters = async (filters, zoom) => {
+  const precision = geohashPrecision(zoom);
+  const params = [precision, MAX_CLUSTERS];
+  const conditions = buildConditions(filters, params);
+
+  const rows = await queryMany(
+    `WITH filtered AS MATERIALIZED (
+       SELECT r.id, r.status, r.category, r.priority,
+              r.latitude::float8 AS latitude, r.longitude::float8 AS longitude,
+              ST_GeoHash(r.location::geometry, $1) AS cell
+       FROM reports r
+       WHERE ${conditions}
+     ),
+     cells AS (
+       SELECT cell,
+              COUNT(*) AS count,
+              AVG(latitude) AS latitude,
+              AVG(longitude) AS longitude,
+              MIN(latitude) AS min_lat,
+              MIN(longitude) AS min_lng,
+              MAX(latitude) AS max_lat,
+              MAX(longitude) AS max_lng,
+              MIN(id::text) AS report_id
+       FROM filtered
+       GROUP BY cell
+       ORDER BY count DESC, cell ASC
+       LIMIT $2
+     ),
+     breakdown AS (
+       SELECT cell, 'status' AS dimension, status::text AS value, COUNT(*) AS value_count
+       FROM filtered GROUP BY cell, status
+       UNION ALL
+       SELECT cell, 'category', category::text, COUNT(*)
+       FROM filtered GROUP BY cell, category
+       UNION ALL
+       SELECT cell, 'priority', priority::text, COUNT(*)
+       FROM filtered GROUP BY cell, priority
+     )
+     SELECT c.*, b.dimension, b.value, b.value_count,
+            (SELECT COUNT(*) FROM filtered) AS total_reports,
+            (SELECT COUNT(DISTINCT cell) FROM filtered) AS total_cells
+     FROM cells c
+     JOIN breakdown b ON b.cell = c.cell
+     ORDER BY c.count DESC, c.cell ASC`,
+    params
+  );
+
+  const byCell = new Map();
+  for (const row of rows) {
+    if (!byCell.has(row.cell)) byCell.set(row.cell, { cell: row, breakdown: [] });
+    byCell.get(row.cell).breakdown.push(row);
+  }
+
+  const clusters = [...byCell.values()].map(({ cell, breakdown }) => {
+    const count = parseInt(cell.count, 10);
+    return {
+      geohash: cell.cell,
+      count,
+      latitude: Number(cell.latitude),
+      longitude: Number(cell.longitude),
+      bounds: {
+        minLat: Number(cell.min_lat),
+        minLng: Number(cell.min_lng),
+        maxLat: Number(cell.max_lat),
+        maxLng: Number(cell.max_lng)
+      },
+      reportId: count === 1 ? cell.report_id : null,
+      byStatus: toCounts(breakdown, 'status'),
+      byCategory: toCounts(breakdown, 'category'),
+      byPriority: toCounts(breakdown, 'priority')
+    };
+  });
+
+  const totalClusters = parseInt(rows[0]?.total_cells || 0, 10);
+
+  return {
+    zoom: Number(zoom),
+    precision,
+    totalReports: parseInt(rows[0]?.total_reports || 0, 10),
+    totalClusters,
+    truncated: totalClusters > clusters.length,
+    clusters
+  };
+};
+
+/**
+ * Heatmap points for a zoom level: report counts in cells one geohash level
+ * finer than the clusters
+ * @param {Object} filters - See buildConditions
+ * @param {number} zoom - Web map zoom level
+ * @returns {Promise<Object>} { zoom, precision, totalReports, maxCount, truncated, points }
+ */
+export const getHeatmap = async (filters, zoom) => {
+  const precision = Math.min(9, geohashPrecision(zoom) + 1);
+  const params = [precision, MAX_HEATMAP_POINTS];
+  const conditions = buildConditions(filters, params);
+
+  const rows = await queryMany(
+    `SELECT ST_GeoHash(r.location::geometry, $1) AS cell,
+            COUNT(*) AS count,
+            AVG(r.latitude::float8) AS latitude,
+            AVG(r.longitude::float8) AS longitude,
+            SUM(COUNT(*)) OVER () AS total_reports,
+            COUNT(*) OVER () AS total_cells
+     FROM reports r
+     WHERE ${conditions}
+     GROUP BY cell
+     ORDER BY count DESC, cell ASC
+     LIMIT $2`,
+    params
+  );
+
+  const maxCount = rows.length > 0 ? parseInt(rows[0].count, 10) : 0;
+  const totalCells = parseInt(rows[0]?.total_cells || 0, 10);
+
+  return {
+    zoom: Number(zoom),
+    precision,
+    totalReports: parseInt(rows[0]?.total_reports || 0, 10),
+    maxCount,
+    truncated: totalCells > rows.length,
+    points: rows.map((row) => {
+      const count = parseInt(row.count, 10);
+      return {
+        geohash: row.cell,
+        latitude: Number(row.latitude),
+        longitude: Number(row.longitude),
+        count,
+        intensity: Number((count / maxCount).toFixed(4))
+      };
+    })
+  };
+};
+
+/**
+ * Report counts grouped by an address component, largest first. Reports not
+ * geocoded yet, or outside every known place, form one group with a null value.
+ * Names are grouped case-insensitively.
+ * @param {Object} filters - See buildConditions
+ * @param {string} groupBy - One of the ADDRESS_GROUPS keys
+ * @returns {Promise<Object>} { groupBy, totalReports, totalGroups, truncated, groups }
+ */
+export const getAddressSummary = async (filters, groupBy) => {
+  const column = ADDRESS_GROUPS[groupBy];
+  const params = [MAX_ADDRESS_GROUPS];
+  const conditions = buildConditions(filters, params);
+
+  const rows = await queryMany(
+    `WITH filtered AS MATERIALIZED (
+       SELECT r.status, NULLIF(TRIM(r.${column}), '') AS value
+       FROM reports r
+       WHERE ${conditions}
+     ),
+     groups AS (
+       SELECT LOWER(value) AS group_key,
+              MIN(value) AS value,
+              COUNT(*) AS count
+       FROM filtered
+       GROUP BY LOWER(value)
+       ORDER BY count DESC, group_key ASC NULLS LAST
+       LIMIT $1
+     ),
+     statuses AS (
+       SELECT LOWER(value) AS group_key, status::text AS status, COUNT(*) AS status_count
+       FROM filtered
+       GROUP BY LOWER(value), status
+     )
+     SELECT g.group_key, g.value, g.count, s.status, s.status_count,
+            (SELECT COUNT(*) FROM filtered) AS total_reports,
+            (SELECT COUNT(DISTINCT LOWER(value)) + MAX(CASE WHEN value IS NULL THEN 1 ELSE 0 END) FROM filtered) AS total_groups
+     FROM groups g
+     JOIN statuses s ON s.group_key IS NOT DISTINCT FROM g.group_key
+     ORDER BY g.count DESC, g.group_key ASC NULLS LAST`,
+    params
+  );
+
+  const byGroup = new Map();
+  for (const row of rows) {
+    if (!byGroup.has(row.group_key)) {
+      byGroup.set(row.group_key, { value: row.value, count: parseInt(row.count, 10), byStatus: {} });
+    }
+    byGroup.get(row.group_key).byStatus[row.status] = parseInt(row.status_count, 10);
+  }
+
+  const groups = [...byGroup.values()];
+  const totalGroups = parseInt(rows[0]?.total_groups || 0, 10);
+
+  return {
+    groupBy,
+    totalReports: parseInt(rows[0]?.total_reports || 0, 10),
+    totalGroups,
+    truncated: totalGroups > groups.length,
+    groups
+  };
+};
+
+export default {
+  MIN_ZOOM,
+  MAX_ZOOM,
+  ADDRESS_GROUPS,
+  geohashPrecision,
+  getClusters,
+  getHeatmap,
+  getAddressSummary
+};
@@ -0,0 +1,259 @@
+import { queryMany } from "../db/utils.js";
+import { PERMISSIONS, hasPermission, canAccessDepartment } from "../utils/permissions.js";
+import { NotFoundError, ForbiddenError, ConflictError } from "../utils/errors.js";
+import { applySlaTransition } from "./slaService.js";
+import eventBus, { DOMAIN_EVENTS } from "./events/eventBus.js";
+
+/**
+ * Report lifecycle.
+ *
+ * The single place that decides which status changes are legal and who may
+ * make them. Controllers lock the report, call `transitionReport` inside their
+ * transaction and then update their own columns (timestamps, photos, ...).
+ * Every change is written to `report_status_history`, which backs the
+ * citizen-facing timeline, and moves the report's SLA clock along with it
+ * (services/slaService.js).
+ */
+
+export const REPORT_STATUS = {
+  PENDING: 'pending',
+  ASSIGNED: 'assigned',
+  IN_PROGRESS: 'in_progress',
+  RESOLVED: 'resolved',
+  REJECTED: 'rejected',
+  UNDER_REVIEW: 'under_review',      // rejection appealed by the citizen
+  MERGED: 'merged'                   // duplicate closed into a canonical report (merged_into_id)
+};
+
+const S = REPORT_STATUS;
+const P = PERMISSIONS;
+
+// from -> to -> who may do it:
+//   permission - admins holding it, within their department
+//   assignee   - the admin the report is assigned to
+//   reporter   - the citizen who filed the report
+// The system actor (background jobs) may make any listed transition.
+const TRANSITIONS = {
+  [S.PENDING]: {
+    [S.ASSIGNED]: { permission: P.REPORTS_ASSIGN },
+    [S.RESOLVED]: { permission: P.REPORTS_RESOLVE },
+    [S.REJECTED]: { permission: P.REPORTS_UPDATE },
+    [S.MERGED]: { permission: P.REPORTS_MERGE }
+  },
+  [S.ASSIGNED]: {
+    [S.ASSIGNED]: { permission: P.REPORTS_ASSIGN },          // reassignment
+    [S.IN_PROGRESS]: { assignee: true },
+    [S.RESOLVED]: { permission: P.REPORTS_RESOLVE, assignee: true },
+    [S.REJECTED]: { permission: P.REPORTS_UPDATE },
+    [S.MERGED]: { permission: P.REPORTS_MERGE }
+  },
+  [S.IN_PROGRESS]: {
+    [S.ASSIGNED]: { permission: P.REPORTS_ASSIGN },          // reassignment
+    [S.RESOLVED]: { permission: P.REPORTS_RESOLVE, assignee: true },
+    [S.REJECTED]: { permission: P.REPORTS_UPDATE },
+    [S.MERGED]: { permission: P.REPORTS_MERGE }
+  },
+  [S.RESOLVED]: {
+    [S.ASSIGNED]: { reporter: true },                      // citizen disputes the fix - back to the field admin
+    [S.PENDING]: { reporter: true }                        // ... or to the queue when nobody was assigned
+  },
+  [S.REJECTED]: {
+    [S.UNDER_REVIEW]: { reporter: true }                   // citizen appeal
+  },
+  [S.UNDER_REVIEW]: {
+    [S.PENDING]: { permission: P.REPORTS_REVIEW_APPEALS },  // appeal granted, report reopened
+    [S.REJECTED]: { permission: P.REPORTS_REVIEW_APPEALS }, // rejection upheld
+    [S.MERGED]: { permission: P.REPORTS_MERGE }
+  }
+};
+
+export const ACTOR_TYPES = {
+  USER: 'user',
+  ADMIN: 'admin',
+  SYSTEM: 'system'
+};
+
+export const SYSTEM_ACTOR = { type: ACTOR_TYPES.SYSTEM, id: null, role: null };
+
+/**
+ * Build the actor for a request (citizen or admin)
+ * @param {Object} req - Express request
+ * @param {Object} admin - Optional fresh admin row ({ id, role, department }) to use instead of token claims
+ * @returns {{type: string, id: string, role: string|null, department?: string|null}}
+ */
+export const actorFromRequest = (req, admin = null) => {
+  if (admin || req.admin) {
+    const source = admin || req.admin;
+    return { type: ACTOR_TYPES.ADMIN, id: source.id, role: source.role, department: source.department || null };
+  }
+  return { type: ACTOR_TYPES.USER, id: req.userId, role: null };
+};
+
+const isAllowedBy = (rule, report, actor) => {
+  if (actor.type === ACTOR_TYPES.SYSTEM) return true;
+
+  if (actor.type === ACTOR_TYPES.ADMIN) {
+    if (rule.assignee && report.assigned_admin_id && report.assigned_admin_id === actor.id) return true;
+    if (rule.permission && hasPermission(actor.role, rule.permission) && canAccessDepartment(actor, report.department)) {
+      return true;
+    }
+    return false;
+  }
+
+  return Boolean(rule.reporter && report.user_id === actor.id);
+};
+
+/**
+ * Statuses the actor may move the report to
+ * @param {Object} report - Report row (status, user_id, assigned_admin_id, department)
+ * @param {Object} actor - From actorFromRequest / SYSTEM_ACTOR
+ * @returns {string[]}
+ */
+export const getAllowedTransitions = (report, actor) => Object.entries(TRANSITIONS[report.status] || {})
+  .filter(([, rule]) => isAllowedBy(rule, report, actor))
+  .map(([status]) => status);
+
+/**
+ * Throw unless the actor may move the report to `toStatus`
+ * @throws {ConflictError} INVALID_STATUS_TRANSITION when the lifecycle has no such edge
+ * @throws {ForbiddenError} TRANSITION_NOT_ALLOWED when the actor may not take it
+ */
+export const assertTransition = (report, toStatus, actor) => {
+  const rule = TRANSITIONS[report.status]?.[toStatus];
+
+  if (!rule) {
+    throw new ConflictError(
+      `Cannot move a report from '${report.status}' to '${toStatus}'`,
+      'INVALID_STATUS_TRANSITION'
+    );
+  }
+
+  if (!isAllowedBy(rule, report, actor)) {
+    throw new ForbiddenError(
+      `You are not allowed to move this report to '${toStatus}'`,
+      'TRANSITION_NOT_ALLOWED'
+    );
+  }
+};
+
+/**
+ * Load a report and lock its row for the rest of the transaction
+ * @param {Object} client - Transaction client
+ * @param {string} reportId - Report id
+ * @returns {Promise<Object>} Report row
+ */
+export const lockReport = async (client, reportId) => {
+  const result = await client.query(`SELECT * FROM reports WHERE id = $1 FOR UPDATE`, [reportId]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Report not found', 'REPORT_NOT_FOUND');
+  }
+  return result.rows[0];
+};
+
+/**
+ * Append an entry to report_status_history
+ * @param {Object} client - Transaction client
+ * @param {Object} entry - { reportId, fromStatus, toStatus, actor, reason, latitude, longitude, metadata }
+ */
+export const recordStatusChange = async (client, {
+  reportId,
+  fromStatus = null,
+  toStatus,
+  actor,
+  reason = null,
+  latitude = null,
+  longitude = null,
+  metadata = {}
+}) => {
+  await client.query(
+    `INSERT INTO report_status_history
+       (report_id, from_status, to_status, actor_type, actor_id, actor_role, reason, latitude, longitude, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      reportId,
+      fromStatus,
+      toStatus,
+      actor.type,
+      actor.id || null,
+      actor.role || null,
+      reason,
+      latitude ?? null,
+      longitude ?? null,
+      JSON.stringify(metadata)
+    ]
+  );
+};
+
+/**
+ * Move a locked report to a new status and record the change.
+ * Callers update any other columns afterwards in the same transaction.
+ * Publishes report.status_changed once the transaction commits.
+ * @param {Object} client - Transaction client
+ * @param {Object} report - Row from lockReport
+ * @param {string} toStatus - One of REPORT_STATUS
+ * @param {Object} actor - From actorFromRequest / SYSTEM_ACTOR
+ * @param {Object} details - { reason, latitude, longitude, metadata }
+ * @returns {Promise<Object>} Updated report row
+ */
+export const transitionReport = async (client, report, toStatus, actor, details = {}) => {
+  assertTransition(report, toStatus, actor);
+
+  const result = await client.query(
+    `UPDATE reports
+     SET status = $2,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [report.id, toStatus]
+  );
+
+  const sla = await applySlaTransition(client, report, toStatus);
+
+  await recordStatusChange(client, {
+    reportId: report.id,
+    fromStatus: report.status,
+    toStatus,
+    actor,
+    ...details
+  });
+
+  console.log(`🔀 Report ${report.id}: ${report.status} -> ${toStatus} by ${actor.type}${actor.id ? ` ${actor.id}` : ''}`);
+
+  const updated = { ...result.rows[0], ...sla };
+  client.afterCommit(() => eventBus.publish(DOMAIN_EVENTS.REPORT_STATUS_CHANGED, {
+    report: updated,
+    fromStatus: report.status,
+    toStatus,
+    actor: { type: actor.type, id: actor.id || null }
+  }));
+
+  return updated;
+};
+
+/**
+ * Status history of a report, oldest first
+ * @param {string} reportId - Report id
+ * @returns {Promise<Array>} History rows with `actor_name` for admin actors
+ */
+export const getStatusHistory = async (reportId) => queryMany(
+  `SELECT h.*, a.full_name AS actor_name
+   FROM report_status_history h
+   LEFT JOIN admins a ON h.actor_type = 'admin' AND a.id = h.actor_id
+   WHERE h.report_id = $1
+   ORDER BY h.created_at ASC, h.id ASC`,
+  [reportId]
+);
+
+export default {
+  REPORT_STATUS,
+  ACTOR_TYPES,
+  SYSTEM_ACTOR,
+  actorFromRequest,
+  getAllowedTransitions,
+  assertTransition,
+  lockReport,
+  recordStatusChange,
+  transitionReport,
+  getStatusHistory
+};
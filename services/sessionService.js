@@ -0,0 +1,295 @@
+import crypto from 'crypto';
+import redisService from './redis.js';
+import { issueTokens, REFRESH_TOKEN_TTL_SECONDS } from './tokenService.js';
+import { AppError, UpstreamError } from '../utils/errors.js';
+
+/**
+ * Session Service
+ *
+ * Every citizen/admin login creates a session stored in Redis:
+ *   session:<sessionId>              -> session record (JSON)
+ *   sessions:<subjectType>:<id>      -> set of that subject's session ids
+ *
+ * The access and refresh tokens carry the session id, so revoking a session
+ * immediately invalidates both. Refresh tokens are single-use: each refresh
+ * rotates the session's `refreshTokenId`, and presenting an already-rotated
+ * refresh token is treated as theft and revokes the whole session.
+ *
+ * Every token pair belongs to a session: when Redis is unreachable, logins fail
+ * with 503 SESSION_STORE_UNAVAILABLE rather than issue tokens nobody could
+ * revoke, and refresh tokens without a session are refused.
+ */
+
+// Don't rewrite the session on every request - lastSeenAt is informational
+const LAST_SEEN_WRITE_INTERVAL_MS = 60 * 1000;
+
+const subjectIndexKey = (subjectType, subjectId) => `sessions:${subjectType}:${subjectId}`;
+
+/**
+ * Client IP as resolved by Express from the trusted proxies (TRUST_PROXY in
+ * app.js). X-Forwarded-For is never read directly: clients can set it.
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+export const getClientIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+/**
+ * Device info from the request. Apps may send deviceId/deviceName/platform in
+ * the login body; the user agent is always recorded.
+ * @param {Object} req - Express request
+ * @returns {Object}
+ */
+const getDeviceInfo = (req) => ({
+  deviceId: req.body?.deviceId || null,
+  deviceName: req.body?.deviceName || null,
+  platform: req.body?.platform || null,
+  userAgent: req.headers['user-agent'] || null
+});
+
+// Shape a stored session for API responses
+const toPublicSession = (session, currentSessionId) => ({
+  id: session.id,
+  device: session.device,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: session.id === currentSessionId
+});
+
+const sessionStoreUnavailable = () => new UpstreamError('Session store temporarily unavailable. Please try again later.', {
+  service: 'redis',
+  statusCode: 503,
+  code: 'SESSION_STORE_UNAVAILABLE'
+});
+
+const saveSession = async (session) => {
+  return await redisService.setSession(session.id, session, REFRESH_TOKEN_TTL_SECONDS);
+};
+
+/**
+ * Create a session for a freshly authenticated subject and issue its tokens
+ * @param {Object} subject - { id, type, role?, department?, email? } (see tokenService.issueTokens)
+ * @param {Object} req - Express request (for device info and IP)
+ * @returns {Promise<Object>} Token pair and sessionId
+ * @throws {UpstreamError} 503 SESSION_STORE_UNAVAILABLE
+ */
+export const startSession = async (subject, req) => {
+  await redisService.ensureConnected();
+
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    subjectType: subject.type,
+    subjectId: String(subject.id),
+    refreshTokenId: crypto.randomUUID(),
+    device: getDeviceInfo(req),
+    ip: getClientIp(req),
+    createdAt: now,
+    lastSeenAt: now
+  };
+
+  const stored = await saveSession(session);
+
+  if (!stored) {
+    console.warn('⚠️ Session store unavailable, refusing login');
+    throw sessionStoreUnavailable();
+  }
+
+  await redisService.addToSet(
+    subjectIndexKey(session.subjectType, session.subjectId),
+    session.id,
+    REFRESH_TOKEN_TTL_SECONDS
+  );
+
+  console.log('🔐 Session created:', session.id, 'for', subject.type, subject.id);
+
+  return {
+    ...issueTokens(subject, { sessionId: session.id, refreshTokenId: session.refreshTokenId }),
+    sessionId: session.id
+  };
+};
+
+/**
+ * Look up a session for an access token
+ * @param {string} sessionId - Session id from the token's `sid` claim
+ * @returns {Promise<Object|null|undefined>} Session, null when revoked/expired,
+ *          undefined when the session store cannot be reached
+ */
+export const getActiveSession = async (sessionId) => {
+  if (!(await redisService.ensureConnected())) return undefined;
+  return await redisService.getSession(sessionId);
+};
+
+/**
+ * Record activity on a session (throttled)
+ * @param {Object} session - Session record
+ * @param {Object} req - Express request
+ */
+export const touchSession = async (session, req) => {
+  const lastSeen = new Date(session.lastSeenAt).getTime();
+  if (Date.now() - lastSeen < LAST_SEEN_WRITE_INTERVAL_MS) return;
+
+  session.lastSeenAt = new Date().toISOString();
+  session.ip = getClientIp(req) || session.ip;
+
+  // Keep the remaining TTL so activity does not extend the session beyond its refresh token
+  const ttl = await redisService.getTTL(`session:${session.id}`);
+  if (ttl > 0) {
+    await redisService.setSession(session.id, session, ttl);
+  }
+};
+
+const sessionRevoked = () => new AppError('Session has been revoked or has expired', { statusCode: 401, code: 'SESSION_REVOKED' });
+
+// An already-used refresh token came back - assume it was stolen and end the session
+const rejectReusedToken = async (session) => {
+  console.warn('🚨 Refresh token reuse detected, revoking session:', session.id);
+  await revokeSession(session.subjectType, session.subjectId, session.id);
+  throw new AppError('Refresh token has already been used. The session has been revoked, please sign in again.', {
+    statusCode: 401,
+    code: 'TOKEN_REUSED'
+  });
+};
+
+/**
+ * Rotate the refresh token of a session, detecting reuse of an old token.
+ * The swap is atomic, so of two refreshes racing with the same token only one
+ * wins; the other counts as reuse.
+ * @param {Object} refreshPayload - Verified refresh token payload ({ sub, type, sid, jti })
+ * @param {Object} subject - Fresh subject data for the new access token
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} New token pair
+ * @throws {AppError} 401 SESSION_REVOKED | 401 TOKEN_REUSED
+ * @throws {UpstreamError} 503 SESSION_STORE_UNAVAILABLE
+ */
+export const rotateSession = async (refreshPayload, subject, req) => {
+  const session = await getActiveSession(refreshPayload.sid);
+
+  if (session === undefined) {
+    throw sessionStoreUnavailable();
+  }
+
+  if (!session || session.subjectId !== String(refreshPayload.sub)) {
+    throw sessionRevoked();
+  }
+
+  if (session.refreshTokenId !== refreshPayload.jti) {
+    await rejectReusedToken(session);
+  }
+
+  const rotated = {
+    ...session,
+    refreshTokenId: crypto.randomUUID(),
+    lastSeenAt: new Date().toISOString(),
+    ip: getClientIp(req) || session.ip
+  };
+
+  const swapped = await redisService.compareAndSetSession(
+    session.id,
+    'refreshTokenId',
+    refreshPayload.jti,
+    rotated,
+    REFRESH_TOKEN_TTL_SECONDS
+  );
+
+  if (swapped === null) {
+    throw sessionStoreUnavailable();
+  }
+  if (swapped === -1) {
+    throw sessionRevoked();
+  }
+  if (swapped === 0) {
+    // Another refresh with the same token got there first
+    await rejectReusedToken(session);
+  }
+
+  return {
+    ...issueTokens(subject, { sessionId: rotated.id, refreshTokenId: rotated.refreshTokenId }),
+    sessionId: rotated.id
+  };
+};
+
+/**
+ * List a subject's active sessions, pruning ids whose session already expired
+ * @param {string} subjectType - 'user' | 'admin'
+ * @param {string} subjectId - User or admin id
+ * @param {string} currentSessionId - Session making the request (flagged as current)
+ * @returns {Promise<Array>}
+ */
+export const listSessions = async (subjectType, subjectId, currentSessionId = null) => {
+  await redisService.ensureConnected();
+
+  const indexKey = subjectIndexKey(subjectType, subjectId);
+  const sessionIds = await redisService.getSetMembers(indexKey);
+  const sessions = [];
+
+  for (const sessionId of sessionIds) {
+    const session = await redisService.getSession(sessionId);
+    if (session) {
+      sessions.push(toPublicSession(session, currentSessionId));
+    } else {
+      await redisService.removeFromSet(indexKey, sessionId);
+    }
+  }
+
+  return sessions.sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+};
+
+/**
+ * Revoke one session belonging to a subject
+ * @param {string} subjectType - 'user' | 'admin'
+ * @param {string} subjectId - User or admin id
+ * @param {string} sessionId - Session to revoke
+ * @returns {Promise<boolean>} false when the session does not belong to the subject
+ */
+export const revokeSession = async (subjectType, subjectId, sessionId) => {
+  await redisService.ensureConnected();
+
+  const session = await redisService.getSession(sessionId);
+  if (!session || session.subjectType !== subjectType || session.subjectId !== String(subjectId)) {
+    return false;
+  }
+
+  await redisService.invalidateSession(sessionId);
+  await redisService.removeFromSet(subjectIndexKey(subjectType, subjectId), sessionId);
+
+  console.log('🔒 Session revoked:', sessionId);
+  return true;
+};
+
+/**
+ * Revoke all sessions of a subject
+ * @param {string} subjectType - 'user' | 'admin'
+ * @param {string} subjectId - User or admin id
+ * @param {string} exceptSessionId - Optional session to keep (e.g. "log out other devices")
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeAllSessions = async (subjectType, subjectId, exceptSessionId = null) => {
+  await redisService.ensureConnected();
+
+  const indexKey = subjectIndexKey(subjectType, subjectId);
+  const sessionIds = await redisService.getSetMembers(indexKey);
+  let revoked = 0;
+
+  for (const sessionId of sessionIds) {
+    if (sessionId === exceptSessionId) continue;
+
+    await redisService.invalidateSession(sessionId);
+    await redisService.removeFromSet(indexKey, sessionId);
+    revoked++;
+  }
+
+  console.log(`🔒 Revoked ${revoked} sessions for ${subjectType} ${subjectId}`);
+  return revoked;
+};
+
+export default {
+  getClientIp,
+  startSession,
+  getActiveSession,
+  touchSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,288 @@
+import { queryMany, transaction } from "../db/utils.js";
+import outboxService from "./notifications/outboxService.js";
+import { renderTemplate } from "./notifications/templates/templateRegistry.js";
+import { slaEscalationVariables } from "./notifications/templates/adminVariables.js";
+import { ROLES, normalizeRole } from "../utils/permissions.js";
+import {
+  SLA_STATUS,
+  SLA_ESCALATION,
+  SLA_AT_RISK_PERCENT,
+  getSlaTargetHours
+} from "../utils/slaPolicies.js";
+
+/**
+ * Report SLA tracking.
+ *
+ * Each open report carries a due time (`sla_due_at`) derived from its category
+ * and priority. The lifecycle keeps the SLA columns in step with status changes
+ * (see `applySlaTransition`), and `runSlaSweep` (the sla-sweep job) flags
+ * reports that are close to or past their due time and escalates them:
+ * department admins when a report is at risk, super admins once it breaches.
+ */
+
+const OPEN_STATUSES = ['pending', 'assigned', 'in_progress'];
+const PAUSED_STATUSES = ['rejected', 'under_review'];
+const SWEEP_BATCH_SIZE = 200;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * SLA view of a report row. For open reports the status is derived from the
+ * clock, so it is accurate between sweeps.
+ * @param {Object} report - Report row with the sla_* columns
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { status, dueAt, targetHours, remainingHours, escalationLevel, atRiskAt, breachedAt }
+ */
+export const describeSla = (report, now = new Date()) => {
+  if (!report.sla_due_at) return null;
+
+  const dueAt = new Date(report.sla_due_at);
+  const remainingMs = dueAt.getTime() - now.getTime();
+  let status = report.sla_status || SLA_STATUS.ON_TRACK;
+
+  if (OPEN_STATUSES.includes(report.status)) {
+    const warningMs = (report.sla_target_hours || 0) * HOUR_MS * (SLA_AT_RISK_PERCENT / 100);
+    if (remainingMs <= 0) status = SLA_STATUS.BREACHED;
+    else if (remainingMs <= warningMs) status = SLA_STATUS.AT_RISK;
+    else status = SLA_STATUS.ON_TRACK;
+  }
+
+  return {
+    status,
+    dueAt: dueAt.toISOString(),
+    targetHours: report.sla_target_hours,
+    remainingHours: OPEN_STATUSES.includes(report.status)
+      ? Math.round((remainingMs / HOUR_MS) * 10) / 10
+      : null,
+    escalationLevel: report.sla_escalation_level || 0,
+    atRiskAt: report.sla_at_risk_at ? new Date(report.sla_at_risk_at).toISOString() : null,
+    breachedAt: report.sla_breached_at ? new Date(report.sla_breached_at).toISOString() : null
+  };
+};
+
+/**
+ * Start (or restart) a report's SLA clock from now
+ * @param {Object} client - Transaction client
+ * @param {Object} report - Report row (id, category, priority)
+ * @returns {Promise<Object>} The updated sla_* columns
+ */
+export const startSlaClock = async (client, report) => {
+  const targetHours = getSlaTargetHours(report.category, report.priority);
+
+  const result = await client.query(
+    `UPDATE reports
+     SET sla_target_hours = $2,
+         sla_due_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 hour',
+         sla_status = $3,
+         sla_escalation_level = 0,
+         sla_at_risk_at = NULL,
+         sla_breached_at = NULL
+     WHERE id = $1
+     RETURNING sla_target_hours, sla_due_at, sla_status, sla_escalation_level, sla_at_risk_at, sla_breached_at`,
+    [report.id, targetHours, SLA_STATUS.ON_TRACK]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Re-derive the target after an admin changes a report's category or priority.
+ * The clock keeps its original start; escalations are cleared when the new
+ * due time is still ahead so the sweep can re-evaluate the report.
+ * @param {Object} client - Transaction client
+ * @param {Object} report - Updated report row
+ */
+export const refreshSlaTarget = async (client, report) => {
+  if (!report.sla_due_at || !OPEN_STATUSES.includes(report.status)) return;
+
+  const targetHours = getSlaTargetHours(report.category, report.priority);
+  if (targetHours === report.sla_target_hours) return;
+
+  await client.query(
+    `UPDATE reports
+     SET sla_due_at = sla_due_at + ($2 - sla_target_hours) * INTERVAL '1 hour',
+         sla_target_hours = $2,
+         sla_status = CASE
+           WHEN sla_due_at + ($2 - sla_target_hours) * INTERVAL '1 hour' > CURRENT_TIMESTAMP THEN $3
+           ELSE sla_status
+         END,
+         sla_escalation_level = CASE
+           WHEN sla_due_at + ($2 - sla_target_hours) * INTERVAL '1 hour' > CURRENT_TIMESTAMP THEN 0
+           ELSE sla_escalation_level
+         END
+     WHERE id = $1`,
+    [report.id, targetHours, SLA_STATUS.ON_TRACK]
+  );
+
+  console.log(`⏱️ SLA target for report ${report.id}: ${report.sla_target_hours}h -> ${targetHours}h`);
+};
+
+/**
+ * Keep the SLA columns in step with a status change. Called by
+ * transitionReport inside its transaction.
+ * @param {Object} client - Transaction client
+ * @param {Object} report - Report row before the change
+ * @param {string} toStatus - New status
+ * @returns {Promise<Object>} Changed sla_* columns (empty when nothing changed)
+ */
+export const applySlaTransition = async (client, report, toStatus) => {
+  const reopening = OPEN_STATUSES.includes(toStatus) && !OPEN_STATUSES.includes(report.status);
+
+  if (reopening) {
+    return startSlaClock(client, report);
+  }
+
+  if (!report.sla_due_at) return {};
+
+  if (toStatus === 'resolved') {
+    const result = await client.query(
+      `UPDATE reports
+       SET sla_status = CASE WHEN CURRENT_TIMESTAMP <= sla_due_at THEN $2 ELSE $3 END
+       WHERE id = $1
+       RETURNING sla_status`,
+      [report.id, SLA_STATUS.MET, SLA_STATUS.MISSED]
+    );
+    return result.rows[0];
+  }
+
+  if (PAUSED_STATUSES.includes(toStatus)) {
+    const result = await client.query(
+      `UPDATE reports SET sla_status = $2 WHERE id = $1 RETURNING sla_status`,
+      [report.id, SLA_STATUS.PAUSED]
+    );
+    return result.rows[0];
+  }
+
+  return {};
+};
+
+// Active admins to alert for an escalation step
+const getEscalationRecipients = async (level, department) => {
+  const admins = await queryMany(
+    `SELECT id, email, full_name, role, department, phone_number
+     FROM admins
+     WHERE is_active = true`
+  );
+
+  const superAdmins = admins.filter((admin) => normalizeRole(admin.role) === ROLES.SUPER_ADMIN);
+  if (level === SLA_ESCALATION.SUPER_ADMIN) return superAdmins;
+
+  const departmentAdmins = admins.filter((admin) =>
+    normalizeRole(admin.role) === ROLES.ADMIN &&
+    admin.department && department &&
+    admin.department.toLowerCase() === department.toLowerCase()
+  );
+
+  // Departments without their own admin escalate straight to the top
+  return departmentAdmins.length > 0 ? departmentAdmins : superAdmins;
+};
+
+// Queue the escalation messages with the claim's transaction, so a report is
+// only marked escalated once its messages are queued
+const notifyEscalation = async (client, report, level) => {
+  const recipients = await getEscalationRecipients(level, report.department);
+  if (recipients.length === 0) {
+    console.warn(`⚠️ No admins to escalate report ${report.id} to (level ${level})`);
+    return 0;
+  }
+
+  const { text } = renderTemplate('sla_escalation', 'whatsapp', 'en', slaEscalationVariables({ report, level }));
+  let notified = 0;
+
+  for (const admin of recipients) {
+    if (admin.email) {
+      await outboxService.enqueue({
+        channel: 'email',
+        kind: 'sla_escalation',
+        recipient: admin.email,
+        adminId: admin.id,
+        reportId: report.id,
+        payload: { template: 'sla_escalation', data: { fullName: admin.full_name, report, level } }
+      }, { client });
+    }
+    if (admin.phone_number) {
+      await outboxService.enqueue({
+        channel: 'whatsapp',
+        kind: 'sla_escalation',
+        recipient: admin.phone_number,
+        adminId: admin.id,
+        reportId: report.id,
+        payload: { text }
+      }, { client });
+    }
+    if (admin.email || admin.phone_number) notified++;
+  }
+
+  console.log(`📣 Escalated report ${report.id} (level ${level}) to ${notified}/${recipients.length} admins`);
+  return notified;
+};
+
+// Claim reports for an escalation step. The level guard makes each step fire
+// once even when several instances sweep at the same time.
+const claimReports = async (client, level, condition, extraSet) => (await client.query(
+  `UPDATE reports
+   SET sla_escalation_level = $1,
+       ${extraSet}
+   WHERE id IN (
+     SELECT id FROM reports
+     WHERE status = ANY($2)
+       AND sla_due_at IS NOT NULL
+       AND sla_escalation_level < $1
+       AND ${condition}
+     ORDER BY sla_due_at ASC
+     LIMIT $3
+     FOR UPDATE SKIP LOCKED
+   )
+   RETURNING id, title, category, priority, department, status, assigned_admin_id,
+             sla_due_at, sla_target_hours, sla_escalation_level`,
+  [level, OPEN_STATUSES, SWEEP_BATCH_SIZE]
+)).rows;
+
+// Claim one escalation step and queue its messages in one transaction. If
+// queueing fails the claim rolls back and the next sweep tries again.
+const escalate = async (level, condition, extraSet) => {
+  const result = await transaction(async (client) => {
+    const reports = await claimReports(client, level, condition, extraSet);
+    let notified = 0;
+    for (const report of reports) notified += await notifyEscalation(client, report, level);
+    return { reports, notified };
+  });
+
+  if (result.notified > 0) outboxService.drainSoon();
+  return result;
+};
+
+/**
+ * Flag open reports that are near or past their due time and escalate them
+ * @returns {Promise<{atRisk: number, breached: number, notified: number}>}
+ */
+export const runSlaSweep = async () => {
+  const breached = await escalate(
+    SLA_ESCALATION.SUPER_ADMIN,
+    `sla_due_at <= CURRENT_TIMESTAMP`,
+    `sla_status = '${SLA_STATUS.BREACHED}', sla_breached_at = CURRENT_TIMESTAMP`
+  );
+
+  const atRisk = await escalate(
+    SLA_ESCALATION.DEPARTMENT_ADMIN,
+    `sla_due_at > CURRENT_TIMESTAMP
+       AND sla_due_at - sla_target_hours * ${SLA_AT_RISK_PERCENT / 100} * INTERVAL '1 hour' <= CURRENT_TIMESTAMP`,
+    `sla_status = '${SLA_STATUS.AT_RISK}', sla_at_risk_at = CURRENT_TIMESTAMP`
+  );
+
+  const notified = breached.notified + atRisk.notified;
+
+  if (breached.reports.length > 0 || atRisk.reports.length > 0) {
+    console.log(`⏱️ SLA sweep: ${atRisk.reports.length} at risk, ${breached.reports.length} breached, ${notified} notifications`);
+  }
+
+  return { atRisk: atRisk.reports.length, breached: breached.reports.length, notified };
+};
+
+export default {
+  describeSla,
+  startSlaClock,
+  refreshSlaTarget,
+  applySlaTransition,
+  runSlaSweep
+};
@@ -0,0 +1,139 @@
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Token Service
+ *
+ * Issues and verifies the signed JWTs used to authenticate citizens, admins
+ * and field admins. Access tokens are short-lived and carry the identity the
+ * auth middleware puts on the request; refresh tokens are long-lived and can
+ * only be exchanged for a new access token at /api/v1/auth/refresh.
+ *
+ * Both tokens carry the session id (`sid`) when the login created a session;
+ * refresh tokens also carry a `jti` that sessionService rotates on every use.
+ *
+ * Required env: JWT_ACCESS_SECRET, JWT_REFRESH_SECRET
+ * Optional env: JWT_ACCESS_EXPIRES_IN (default 15m), JWT_REFRESH_EXPIRES_IN (default 30d)
+ */
+
+const ISSUER = 'jansetu-backend';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+
+// Refresh token lifetime in seconds (also used as the session TTL). Signing a
+// throwaway token lets jsonwebtoken parse '30d' / '12h' / numeric values for us.
+export const REFRESH_TOKEN_TTL_SECONDS = (() => {
+  const decoded = jwt.decode(jwt.sign({}, 'ttl-probe', { expiresIn: REFRESH_TOKEN_EXPIRES_IN }));
+  return decoded.exp - decoded.iat;
+})();
+
+export const SUBJECT_TYPES = {
+  USER: 'user',
+  ADMIN: 'admin'
+};
+
+const getSecret = (name) => {
+  const secret = process.env[name];
+  if (!secret) {
+    // Never fall back to a built-in secret - that would let anyone mint tokens
+    throw new Error(`${name} is not configured`);
+  }
+  return secret;
+};
+
+/**
+ * Build the claims carried by an access token
+ * @param {Object} subject - { id, type, role?, department?, email? }
+ * @returns {Object} JWT payload
+ */
+const buildAccessClaims = (subject) => {
+  const claims = { type: subject.type };
+
+  if (subject.type === SUBJECT_TYPES.ADMIN) {
+    claims.role = subject.role;
+    claims.department = subject.department || null;
+    claims.email = subject.email;
+  }
+
+  return claims;
+};
+
+/**
+ * Issue an access/refresh token pair for a citizen or admin
+ * @param {Object} subject - { id, type: 'user' | 'admin', role?, department?, email? }
+ * @param {Object} options - { sessionId?, refreshTokenId? } from sessionService
+ * @returns {Object} { accessToken, refreshToken, tokenType, expiresIn }
+ */
+export const issueTokens = (subject, { sessionId, refreshTokenId } = {}) => {
+  if (!subject?.id || !Object.values(SUBJECT_TYPES).includes(subject.type)) {
+    throw new Error('A subject id and a valid subject type are required to issue tokens');
+  }
+
+  const sessionClaims = sessionId ? { sid: sessionId } : {};
+
+  const accessToken = jwt.sign(
+    { ...buildAccessClaims(subject), ...sessionClaims },
+    getSecret('JWT_ACCESS_SECRET'),
+    {
+      subject: String(subject.id),
+      issuer: ISSUER,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    }
+  );
+
+  const refreshToken = jwt.sign(
+    { type: subject.type, tokenUse: 'refresh', ...sessionClaims },
+    getSecret('JWT_REFRESH_SECRET'),
+    {
+      subject: String(subject.id),
+      issuer: ISSUER,
+      expiresIn: REFRESH_TOKEN_EXPIRES_IN,
+      ...(refreshTokenId ? { jwtid: refreshTokenId } : {})
+    }
+  );
+
+  const { exp, iat } = jwt.decode(accessToken);
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: exp - iat // seconds
+  };
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - Raw JWT from the Authorization header
+ * @returns {Object} Decoded payload ({ sub, type, sid?, role?, department?, email? })
+ * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError} When the token is invalid or expired
+ */
+export const verifyAccessToken = (token) => {
+  return jwt.verify(token, getSecret('JWT_ACCESS_SECRET'), { issuer: ISSUER });
+};
+
+/**
+ * Verify a refresh token
+ * @param {string} token - Raw refresh JWT
+ * @returns {Object} Decoded payload ({ sub, type, tokenUse, sid?, jti? })
+ * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError} When the token is invalid or expired
+ */
+export const verifyRefreshToken = (token) => {
+  const payload = jwt.verify(token, getSecret('JWT_REFRESH_SECRET'), { issuer: ISSUER });
+
+  if (payload.tokenUse !== 'refresh') {
+    throw new jwt.JsonWebTokenError('Token is not a refresh token');
+  }
+
+  return payload;
+};
+
+export default {
+  SUBJECT_TYPES,
+  REFRESH_TOKEN_TTL_SECONDS,
+  issueTokens,
+  verifyAccessToken,
+  verifyRefreshToken
+};
@@ -0,0 +1,247 @@
+import crypto from 'crypto';
+import { queryOne, queryMany } from '../../db/utils.js';
+import outboxService from '../notifications/outboxService.js';
+import { DOMAIN_EVENTS } from '../events/domainEvents.js';
+import { ValidationError } from '../../utils/errors.js';
+
+/**
+ * Outbound webhooks for municipal and partner systems.
+ *
+ * Super admins subscribe an endpoint to report events, optionally only for some
+ * departments and categories. Each matching event becomes one delivery on the
+ * notification outbox ('webhook' channel), which retries with backoff,
+ * dead-letters endpoints that keep failing and keeps the delivery log. A
+ * delivery can be replayed; the replay carries the same event id so receivers
+ * can deduplicate.
+ */
+
+export const WEBHOOK_EVENTS = [
+  DOMAIN_EVENTS.REPORT_CREATED,
+  DOMAIN_EVENTS.REPORT_ASSIGNED,
+  DOMAIN_EVENTS.REPORT_STATUS_CHANGED,
+  DOMAIN_EVENTS.REPORT_RESOLVED,
+  DOMAIN_EVENTS.REPORT_DELETED,
+  DOMAIN_EVENTS.REPORT_MERGED
+];
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 10;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Plain http is only for local development
+const assertEndpointUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    parsed = null;
+  }
+
+  const allowed = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+  if (!parsed || !allowed.includes(parsed.protocol)) {
+    throw new ValidationError('Validation failed', [{
+      field: 'url',
+      location: 'body',
+      message: process.env.NODE_ENV === 'production' ? 'url must be an https URL' : 'url must be an http(s) URL'
+    }]);
+  }
+};
+
+const toISO = (val) => (val ? new Date(val).toISOString() : null);
+
+/**
+ * The report as partners see it: no citizen identity
+ * @param {Object} report - reports row
+ */
+export const mapWebhookReport = (report) => ({
+  id: report.id,
+  title: report.title,
+  description: report.description,
+  category: report.category,
+  priority: report.priority,
+  status: report.status,
+  department: report.department,
+  address: report.address,
+  latitude: report.latitude === null || report.latitude === undefined ? null : Number(report.latitude),
+  longitude: report.longitude === null || report.longitude === undefined ? null : Number(report.longitude),
+  mediaUrls: report.media_urls || [],
+  assignedAdminId: report.assigned_admin_id || null,
+  mergedIntoId: report.merged_into_id || null,
+  slaDueAt: toISO(report.sla_due_at),
+  createdAt: toISO(report.created_at),
+  updatedAt: toISO(report.updated_at),
+  resolvedAt: toISO(report.resolved_at)
+});
+
+/**
+ * Create a subscription with a new signing secret
+ * @param {Object} subscription - { name, url, events, departments, categories, createdBy }
+ * @returns {Promise<Object>} The webhook_subscriptions row, including the secret
+ */
+export const createSubscription = async ({ name, url, events, departments = [], categories = [], createdBy = null }) => {
+  assertEndpointUrl(url);
+
+  return queryOne(
+    `INSERT INTO webhook_subscriptions (name, url, secret, events, departments, categories, created_by_admin_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [name, url, generateSecret(), [...new Set(events)], departments, categories, createdBy]
+  );
+};
+
+export const listSubscriptions = async () => queryMany(
+  `SELECT * FROM webhook_subscriptions ORDER BY created_at DESC, id DESC`
+);
+
+export const getSubscription = async (id) => queryOne(
+  `SELECT * FROM webhook_subscriptions WHERE id = $1`,
+  [id]
+);
+
+/**
+ * Update a subscription; omitted fields keep their value
+ * @param {number} id
+ * @param {Object} changes - { name?, url?, events?, departments?, categories?, isActive? }
+ * @returns {Promise<Object|null>} Updated row, or null when it does not exist
+ */
+export const updateSubscription = async (id, { name, url, events, departments, categories, isActive }) => {
+  if (url !== undefined) assertEndpointUrl(url);
+
+  return queryOne(
+    `UPDATE webhook_subscriptions
+     SET name = COALESCE($2, name),
+         url = COALESCE($3, url),
+         events = COALESCE($4, events),
+         departments = COALESCE($5, departments),
+         categories = COALESCE($6, categories),
+         is_active = COALESCE($7, is_active),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [
+      id,
+      name ?? null,
+      url ?? null,
+      events ? [...new Set(events)] : null,
+      departments ?? null,
+      categories ?? null,
+      isActive === undefined ? null : isActive === true || isActive === 'true'
+    ]
+  );
+};
+
+/**
+ * Delete a subscription and its delivery log
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export const deleteSubscription = async (id) => {
+  const row = await queryOne(`DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING id`, [id]);
+  return Boolean(row);
+};
+
+/**
+ * Replace a subscription's signing secret; queued deliveries use the new one
+ * @returns {Promise<Object|null>} Updated row, or null when it does not exist
+ */
+export const rotateSecret = async (id) => queryOne(
+  `UPDATE webhook_subscriptions
+   SET secret = $2, updated_at = CURRENT_TIMESTAMP
+   WHERE id = $1
+   RETURNING *`,
+  [id, generateSecret()]
+);
+
+/**
+ * Queue a delivery of an event to every active subscription that wants it
+ * @param {Object} event - Event envelope from the bus { id, name, occurredAt }
+ * @param {Object} report - reports row the event is about
+ * @param {Object} data - Event-specific fields sent next to the report
+ * @returns {Promise<number>} Deliveries queued
+ */
+export const dispatchEvent = async (event, report, data = {}) => {
+  const subscriptions = await queryMany(
+    `SELECT id, url FROM webhook_subscriptions
+     WHERE is_active = true
+       AND $1 = ANY(events)
+       AND (cardinality(departments) = 0
+            OR lower($2) IN (SELECT lower(d) FROM unnest(departments) AS d))
+       AND (cardinality(categories) = 0
+            OR lower($3) IN (SELECT lower(c) FROM unnest(categories) AS c))`,
+    [event.name, report.department || '', report.category || '']
+  );
+
+  const body = {
+    id: event.id,
+    type: event.name,
+    occurredAt: event.occurredAt,
+    data: { report: mapWebhookReport(report), ...data }
+  };
+
+  for (const subscription of subscriptions) {
+    await outboxService.enqueue({
+      channel: 'webhook',
+      kind: event.name,
+      recipient: subscription.url,
+      // Deleted reports are gone; their id stays in the body
+      reportId: event.name === DOMAIN_EVENTS.REPORT_DELETED ? null : report.id,
+      webhookId: subscription.id,
+      payload: { body },
+      maxAttempts: MAX_ATTEMPTS
+    });
+  }
+
+  return subscriptions.length;
+};
+
+/**
+ * Delivery log of one subscription, newest first
+ * @param {number} webhookId
+ * @param {Object} filters - { status, event, limit, offset }
+ */
+export const listDeliveries = async (webhookId, { status = null, event = null, limit = 50, offset = 0 } = {}) =>
+  outboxService.list({ channel: 'webhook', webhookId, status, kind: event, limit, offset });
+
+/**
+ * One delivery of a subscription
+ * @returns {Promise<Object|null>}
+ */
+export const getDelivery = async (webhookId, deliveryId) => {
+  const message = await outboxService.getMessage(deliveryId);
+  return message && message.channel === 'webhook' && String(message.webhook_id) === String(webhookId)
+    ? message
+    : null;
+};
+
+/**
+ * Send a delivery's payload again as a new delivery
+ * @returns {Promise<number|null>} New delivery id, or null when the delivery does not exist
+ */
+export const replayDelivery = async (webhookId, deliveryId) => {
+  const delivery = await getDelivery(webhookId, deliveryId);
+  if (!delivery) return null;
+
+  return outboxService.enqueue({
+    channel: 'webhook',
+    kind: delivery.kind,
+    recipient: delivery.recipient,
+    reportId: delivery.report_id,
+    webhookId: delivery.webhook_id,
+    payload: { body: delivery.payload.body, replayOf: Number(delivery.id) },
+    maxAttempts: MAX_ATTEMPTS
+  });
+};
+
+export default {
+  WEBHOOK_EVENTS,
+  mapWebhookReport,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  rotateSecret,
+  dispatchEvent,
+  listDeliveries,
+  getDelivery,
+  replayDelivery
+};
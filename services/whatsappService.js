@@ -48,30 +48,36 @@ const getChatId = (phoneNumber) => {
     return `${cleanPhone}@c.us`;
 };
 
+// Gateway errors that a retry cannot fix (bad chat id, bad request, wrong API key)
+const isPermanentGatewayError = (error) => {
+    const status = error.response?.status;
+    return Boolean(status) && status >= 400 && status < 500 && status !== 408 && status !== 429;
+};
+
 /**
- * Sends a WhatsApp text message via local OpenWA gateway.
+ * Delivers one WhatsApp message (text, or image with optional caption) via the
+ * OpenWA gateway. Channel adapter for the notification outbox.
  * @param {string} phoneNumber - Recipient's phone number
- * @param {string} text - Message text
- * @returns {Promise<boolean>} Success status
+ * @param {Object} message - { text } or { imageUrl, caption }
+ * @returns {Promise<{success: boolean, providerMessageId?: string, error?: string, permanent?: boolean}>}
  */
-export const sendWhatsAppMessage = async (phoneNumber, text) => {
-    try {
-        if (!phoneNumber) {
-            console.error('❌ [whatsappService] Cannot send WhatsApp message: Phone number is empty');
-            return false;
-        }
+export const deliverWhatsApp = async (phoneNumber, { text, imageUrl, caption } = {}) => {
+    if (!phoneNumber || (!text && !imageUrl)) {
+        return { success: false, error: 'Phone number and message text or image URL are required', permanent: true };
+    }
 
+    try {
         const chatId = getChatId(phoneNumber);
         const resolvedSessionId = await resolveSessionId();
+        const [path, body] = imageUrl
+            ? ['send-image', { chatId, url: imageUrl, caption }]
+            : ['send-text', { chatId, text }];
 
-        console.log(`📱 [whatsappService] Sending message to ${chatId} via OpenWA (Session ID: ${resolvedSessionId})...`);
+        console.log(`📱 [whatsappService] Sending ${imageUrl ? 'image' : 'message'} to ${chatId} via OpenWA (Session ID: ${resolvedSessionId})...`);
 
         const response = await axios.post(
-            `${OPENWA_API_URL}/sessions/${resolvedSessionId}/messages/send-text`,
-            {
-                chatId: chatId,
-                text: text
-            },
+            `${OPENWA_API_URL}/sessions/${resolvedSessionId}/messages/${path}`,
+            body,
             {
                 headers: {
                     'Content-Type': 'application/json',
@@ -80,12 +86,34 @@ export const sendWhatsAppMessage = async (phoneNumber, text) => {
             }
         );
 
-        console.log('✅ [whatsappService] WhatsApp message sent successfully:', response.data);
-        return true;
+        console.log(`✅ [whatsappService] WhatsApp ${imageUrl ? 'image' : 'message'} sent successfully:`, response.data);
+        const providerMessageId = response.data?.id ?? response.data?.messageId;
+        return { success: true, providerMessageId: providerMessageId ? String(providerMessageId) : null };
     } catch (error) {
-        console.error('❌ [whatsappService] Error sending WhatsApp message:', error.response?.data || error.message);
+        const details = error.response?.data || error.message;
+        console.error('❌ [whatsappService] Error sending WhatsApp message:', details);
+        return {
+            success: false,
+            error: typeof details === 'string' ? details : JSON.stringify(details),
+            permanent: isPermanentGatewayError(error)
+        };
+    }
+};
+
+/**
+ * Sends a WhatsApp text message via local OpenWA gateway.
+ * @param {string} phoneNumber - Recipient's phone number
+ * @param {string} text - Message text
+ * @returns {Promise<boolean>} Success status
+ */
+export const sendWhatsAppMessage = async (phoneNumber, text) => {
+    if (!phoneNumber) {
+        console.error('❌ [whatsappService] Cannot send WhatsApp message: Phone number is empty');
         return false;
     }
+
+    const result = await deliverWhatsApp(phoneNumber, { text });
+    return result.success;
 };
 
 /**
@@ -96,36 +124,11 @@ export const sendWhatsAppMessage = async (phoneNumber, text) => {
  * @returns {Promise<boolean>} Success status
  */
 export const sendWhatsAppImage = async (phoneNumber, imageUrl, caption) => {
-    try {
-        if (!phoneNumber || !imageUrl) {
-            console.error('❌ [whatsappService] Cannot send WhatsApp image: Phone number or image URL is empty');
-            return false;
-        }
-
-        const chatId = getChatId(phoneNumber);
-        const resolvedSessionId = await resolveSessionId();
-
-        console.log(`🖼️ [whatsappService] Sending image to ${chatId} via OpenWA (Session ID: ${resolvedSessionId})...`);
-
-        const response = await axios.post(
-            `${OPENWA_API_URL}/sessions/${resolvedSessionId}/messages/send-image`,
-            {
-                chatId: chatId,
-                url: imageUrl,
-                caption: caption
-            },
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-API-Key': OPENWA_API_KEY
-                }
-            }
-        );
-
-        console.log('✅ [whatsappService] WhatsApp image sent successfully:', response.data);
-        return true;
-    } catch (error) {
-        console.error('❌ [whatsappService] Error sending WhatsApp image:', error.response?.data || error.message);
+    if (!phoneNumber || !imageUrl) {
+        console.error('❌ [whatsappService] Cannot send WhatsApp image: Phone number or image URL is empty');
         return false;
     }
+
+    const result = await deliverWhatsApp(phoneNumber, { imageUrl, caption });
+    return result.success;
 };
@@ -0,0 +1,103 @@
+/**
+ * Application error types.
+ *
+ * Controllers and services throw these instead of `new Error('...')` plus a
+ * message comparison in the catch block. The error handler in app.js turns
+ * them into the standard error response:
+ *
+ *   { success: false, message, error: <code>, requestId, errors? }
+ *
+ * `message` is safe to show to clients; `code` is the machine-readable
+ * identifier clients should branch on.
+ */
+
+export const ERROR_CODES = {
+    VALIDATION_FAILED: 'VALIDATION_FAILED',
+    INVALID_JSON: 'INVALID_JSON',
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+    NOT_FOUND: 'NOT_FOUND',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+    FORBIDDEN: 'FORBIDDEN',
+    CONFLICT: 'CONFLICT',
+    DUPLICATE_RESOURCE: 'DUPLICATE_RESOURCE',
+    REFERENCE_VIOLATION: 'REFERENCE_VIOLATION',
+    RATE_LIMITED: 'RATE_LIMITED',
+    UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+    SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+export class AppError extends Error {
+    /**
+     * @param {string} message - Client-safe message
+     * @param {Object} options
+     * @param {number} options.statusCode - HTTP status
+     * @param {string} options.code - One of ERROR_CODES (or a more specific code)
+     */
+    constructor(message, { statusCode = 500, code = ERROR_CODES.INTERNAL_ERROR } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+// 400 - request data failed validation; `errors` lists field-level problems
+export class ValidationError extends AppError {
+    constructor(message = 'Validation failed', errors = [], code = ERROR_CODES.VALIDATION_FAILED) {
+        super(message, { statusCode: 400, code });
+        this.errors = errors;
+    }
+}
+
+// 404 - the addressed resource does not exist (or is not visible to the caller)
+export class NotFoundError extends AppError {
+    constructor(message = 'Resource not found', code = ERROR_CODES.NOT_FOUND) {
+        super(message, { statusCode: 404, code });
+    }
+}
+
+// 401 - no valid credentials (missing, invalid or expired token, revoked session)
+export class UnauthorizedError extends AppError {
+    constructor(message = 'Authentication required', code = ERROR_CODES.UNAUTHORIZED) {
+        super(message, { statusCode: 401, code });
+    }
+}
+
+// 403 - authenticated, but not allowed to do this
+export class ForbiddenError extends AppError {
+    constructor(message = 'You do not have permission to perform this action', code = ERROR_CODES.FORBIDDEN) {
+        super(message, { statusCode: 403, code });
+    }
+}
+
+// 409 - the request conflicts with the current state of the resource
+export class ConflictError extends AppError {
+    constructor(message = 'Request conflicts with the current state of the resource', code = ERROR_CODES.CONFLICT) {
+        super(message, { statusCode: 409, code });
+    }
+}
+
+// 429 - the caller exceeded a rate limit; `retryAfter` is in seconds
+export class RateLimitError extends AppError {
+    constructor(message = 'Too many requests. Please try again later.', retryAfter = 60, code = ERROR_CODES.RATE_LIMITED) {
+        super(message, { statusCode: 429, code });
+        this.retryAfter = retryAfter;
+    }
+}
+
+// 502/503 - a dependency (Redis, Twilio, Cloudinary, ...) failed or is unreachable
+export class UpstreamError extends AppError {
+    /**
+     * @param {string} message - Client-safe message
+     * @param {Object} options
+     * @param {string} options.service - Failing dependency, for logs
+     * @param {number} options.statusCode - 502 (bad response) or 503 (unreachable)
+     * @param {string} options.code - Error code
+     */
+    constructor(message = 'An upstream service failed', { service = null, statusCode = 502, code = ERROR_CODES.UPSTREAM_ERROR } = {}) {
+        super(message, { statusCode, code });
+        this.service = service;
+    }
+}
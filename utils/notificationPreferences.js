@@ -0,0 +1,57 @@
+/**
+ * Citizen notification preferences.
+ *
+ * Citizens choose the channels they hear from us on, which report and post
+ * events they want to hear about, the language of messages and quiet hours
+ * (see services/notifications/preferencesService.js). Users without saved
+ * preferences get the defaults below.
+ */
+
+export const NOTIFICATION_CHANNELS = ['push', 'whatsapp', 'sms', 'email'];
+
+export const DEFAULT_CHANNELS = {
+    push: true,
+    whatsapp: true,
+    sms: false,
+    email: false
+};
+
+// Events citizens can switch off, and the notification kinds that belong to each.
+// Kinds not listed here (rejections, appeal decisions, merges) are decisions about the
+// citizen's own report and always go out, on the channels they chose.
+export const NOTIFICATION_EVENTS = {
+    assigned: ['report_assigned'],
+    inProgress: ['report_work_started'],
+    progressUpdate: ['report_progress'],
+    resolved: ['report_resolved'],
+    followedReport: ['followed_report_update'],
+    postComment: ['post_commented'],
+    voteMilestone: ['post_vote_milestone']
+};
+
+export const NOTIFICATION_LANGUAGES = ['en', 'hi', 'sat'];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const EVENT_BY_KIND = new Map(
+    Object.entries(NOTIFICATION_EVENTS).flatMap(([event, kinds]) => kinds.map((kind) => [kind, event]))
+);
+
+/**
+ * Preference event a notification kind belongs to
+ * @param {string} kind - Outbox kind, e.g. 'report_resolved'
+ * @returns {string|null} Event key, or null when the kind cannot be switched off
+ */
+export const getEventForKind = (kind) => EVENT_BY_KIND.get(kind) || null;
+
+export default {
+    NOTIFICATION_CHANNELS,
+    DEFAULT_CHANNELS,
+    NOTIFICATION_EVENTS,
+    NOTIFICATION_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    DEFAULT_TIMEZONE,
+    getEventForKind
+};
@@ -0,0 +1,150 @@
+/**
+ * Central access policy for admins and field admins.
+ *
+ * Every admin-side authorization decision goes through this module: routes use
+ * the `authorize(permission)` middleware, and controllers that need finer
+ * control (department scoping, mixed citizen/admin routes) call the helpers
+ * below instead of comparing role strings themselves.
+ */
+
+export const ROLES = {
+    VIEWER: 'viewer',
+    FIELD_ADMIN: 'field_admin',
+    ADMIN: 'admin',
+    SUPER_ADMIN: 'super_admin'
+};
+
+export const PERMISSIONS = {
+    REPORTS_VIEW: 'reports.view',
+    REPORTS_VIEW_ALL_DEPARTMENTS: 'reports.view_all_departments',
+    REPORTS_UPDATE: 'reports.update',
+    REPORTS_ASSIGN: 'reports.assign',
+    REPORTS_WORK: 'reports.work',           // start / progress / complete assigned work
+    REPORTS_RESOLVE: 'reports.resolve',
+    REPORTS_DELETE: 'reports.delete',
+    REPORTS_REVIEW_APPEALS: 'reports.review_appeals', // decide citizen appeals against rejections
+    REPORTS_MERGE: 'reports.merge',         // close duplicates into a canonical report
+    PRIORITY_MANAGE: 'priority.manage',
+    TEAM_VIEW: 'team.view',                 // field team locations
+    NOTIFICATIONS_SEND: 'notifications.send',
+    NOTIFICATIONS_VIEW: 'notifications.view', // outbound notification delivery status
+    ADMINS_VIEW: 'admins.view',
+    ADMINS_MANAGE: 'admins.manage',
+    AUDIT_READ: 'audit.read',
+    JOBS_VIEW: 'jobs.view',                 // background job runs and failures
+    JOBS_RUN: 'jobs.run',                   // trigger a job by hand
+    WEBHOOKS_MANAGE: 'webhooks.manage',     // partner webhook subscriptions and deliveries
+    BOUNDARIES_MANAGE: 'boundaries.manage'  // upload and edit ward / ULB / district polygons
+};
+
+const P = PERMISSIONS;
+
+// Field-level roles work reports within their own department
+const FIELD_PERMISSIONS = [
+    P.REPORTS_VIEW,
+    P.REPORTS_WORK,
+    P.REPORTS_RESOLVE
+];
+
+const ADMIN_PERMISSIONS = [
+    ...FIELD_PERMISSIONS,
+    P.REPORTS_VIEW_ALL_DEPARTMENTS,
+    P.REPORTS_UPDATE,
+    P.REPORTS_ASSIGN,
+    P.REPORTS_DELETE,
+    P.REPORTS_MERGE,
+    P.PRIORITY_MANAGE,
+    P.TEAM_VIEW,
+    P.NOTIFICATIONS_SEND,
+    P.NOTIFICATIONS_VIEW,
+    P.ADMINS_VIEW
+];
+
+const ROLE_PERMISSIONS = {
+    [ROLES.VIEWER]: new Set(FIELD_PERMISSIONS),
+    [ROLES.FIELD_ADMIN]: new Set(FIELD_PERMISSIONS),
+    [ROLES.ADMIN]: new Set(ADMIN_PERMISSIONS),
+    [ROLES.SUPER_ADMIN]: new Set(Object.values(PERMISSIONS))
+};
+
+// Roles whose report access is limited to their own department
+const DEPARTMENT_SCOPED_ROLES = new Set([ROLES.VIEWER, ROLES.FIELD_ADMIN]);
+
+// Which admin roles each role may list (admins.view)
+const VISIBLE_ADMIN_ROLES = {
+    [ROLES.ADMIN]: [ROLES.VIEWER, ROLES.FIELD_ADMIN],
+    [ROLES.SUPER_ADMIN]: Object.values(ROLES)
+};
+
+// Legacy spellings that still exist in the admins table and older clients
+const ROLE_ALIASES = {
+    'superadmin': ROLES.SUPER_ADMIN,
+    'super admin': ROLES.SUPER_ADMIN,
+    'super-admin': ROLES.SUPER_ADMIN,
+    'fieldadmin': ROLES.FIELD_ADMIN,
+    'field admin': ROLES.FIELD_ADMIN,
+    'field-admin': ROLES.FIELD_ADMIN
+};
+
+/**
+ * Normalize a role string to one of ROLES
+ * @param {string} role - Raw role from the database or token
+ * @returns {string|null} Canonical role or null when unknown
+ */
+export const normalizeRole = (role) => {
+    if (!role || typeof role !== 'string') return null;
+
+    const lower = role.trim().toLowerCase();
+    const canonical = ROLE_ALIASES[lower] || lower;
+
+    return ROLE_PERMISSIONS[canonical] ? canonical : null;
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Admin role
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => {
+    const canonical = normalizeRole(role);
+    return Boolean(canonical && ROLE_PERMISSIONS[canonical].has(permission));
+};
+
+/**
+ * Whether the role only sees reports from its own department
+ * @param {string} role - Admin role
+ * @returns {boolean}
+ */
+export const isDepartmentScoped = (role) => DEPARTMENT_SCOPED_ROLES.has(normalizeRole(role));
+
+/**
+ * Check whether an admin may act on a resource belonging to a department
+ * @param {Object} admin - { role, department }
+ * @param {string} department - Department of the report / resource
+ * @returns {boolean}
+ */
+export const canAccessDepartment = (admin, department) => {
+    if (!admin) return false;
+    if (!isDepartmentScoped(admin.role)) return true;
+    if (!admin.department || !department) return false;
+
+    return admin.department.toLowerCase() === department.toLowerCase();
+};
+
+/**
+ * Admin roles the given role is allowed to list
+ * @param {string} role - Requesting admin role
+ * @returns {string[]}
+ */
+export const getVisibleAdminRoles = (role) => VISIBLE_ADMIN_ROLES[normalizeRole(role)] || [];
+
+export default {
+    ROLES,
+    PERMISSIONS,
+    normalizeRole,
+    hasPermission,
+    isDepartmentScoped,
+    canAccessDepartment,
+    getVisibleAdminRoles
+};
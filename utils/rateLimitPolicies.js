@@ -0,0 +1,56 @@
+/**
+ * Rate limit policies, applied per route with `rateLimit(name)`
+ * (middlewares/rateLimit.middleware.js).
+ *
+ * `keyBy` lists who a policy counts against; every listed key gets its own
+ * window and the request must fit in all of them:
+ *
+ *   caller - the signed-in user/admin, or the client IP for anonymous callers
+ *   ip     - client IP (req.ip, resolved through the trusted proxies; see TRUST_PROXY in app.js)
+ *   phone  - body.phoneNumber
+ *   email  - body.email
+ *
+ * Limits can be overridden per deployment with RATE_LIMIT_<POLICY>=<limit>/<windowSeconds>,
+ * e.g. RATE_LIMIT_AI_CHAT=40/600.
+ */
+
+const DEFAULT_POLICIES = {
+    reportCreate: { limit: 10, windowSeconds: 60 * 60, keyBy: ['caller'], message: 'Too many reports submitted. Please try again later.' },
+    vote: { limit: 60, windowSeconds: 60, keyBy: ['caller'], message: 'Too many votes. Please slow down.' },
+    comment: { limit: 10, windowSeconds: 60, keyBy: ['caller'], message: 'Too many comments. Please slow down.' },
+    aiChat: { limit: 20, windowSeconds: 10 * 60, keyBy: ['caller'], message: 'Too many messages. Please wait before sending more.' },
+    mediaUpload: { limit: 30, windowSeconds: 60 * 60, keyBy: ['caller'], message: 'Too many uploads. Please try again later.' },
+    otpSend: { limit: 5, windowSeconds: 60 * 60, keyBy: ['phone', 'ip'], message: 'Too many OTP requests. Please try again later.' },
+    adminOtp: { limit: 5, windowSeconds: 15 * 60, keyBy: ['email', 'ip'], message: 'Too many OTP requests. Please try again later.' }
+};
+
+// reportCreate -> RATE_LIMIT_REPORT_CREATE
+const envName = (name) => `RATE_LIMIT_${name.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+
+const readOverride = (name) => {
+    const value = process.env[envName(name)];
+    if (!value) return null;
+
+    const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value);
+    if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+        console.warn(`⚠️ Ignoring ${envName(name)}="${value}" - expected <limit>/<windowSeconds>`);
+        return null;
+    }
+    return { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+};
+
+/**
+ * Resolve a policy, with any environment override applied
+ * @param {string} name - Key of DEFAULT_POLICIES
+ * @returns {{name: string, limit: number, windowSeconds: number, keyBy: string[], message: string}}
+ */
+export const getRateLimitPolicy = (name) => {
+    const policy = DEFAULT_POLICIES[name];
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy: ${name}`);
+    }
+    return { name, ...policy, ...readOverride(name) };
+};
+
+// Set RATE_LIMIT_ENABLED=false to turn every limit off (e.g. for load tests)
+export const isRateLimitEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
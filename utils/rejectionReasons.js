@@ -0,0 +1,63 @@
+/**
+ * Reasons an admin can give when rejecting a report, plus the appeal rules.
+ *
+ * The default list can be replaced per deployment with
+ * REPORT_REJECTION_REASONS=code:Label,code:Label (codes are lowercase
+ * snake_case; existing rejected reports keep whatever code they were given).
+ */
+
+const DEFAULT_REJECTION_REASONS = {
+    duplicate: 'Duplicate of an existing report',
+    out_of_jurisdiction: 'Outside the jurisdiction of this municipality',
+    insufficient_info: 'Not enough information to act on',
+    not_civic_issue: 'Not a civic issue'
+};
+
+const CODE_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+// Citizens may appeal a rejection once, within this many days
+export const MAX_APPEALS_PER_REPORT = 1;
+export const APPEAL_WINDOW_DAYS = Number(process.env.REPORT_APPEAL_WINDOW_DAYS) || 30;
+
+const parseReasons = (value) => {
+    const reasons = {};
+
+    for (const pair of value.split(',')) {
+        const separator = pair.indexOf(':');
+        const code = pair.slice(0, separator).trim();
+        const label = pair.slice(separator + 1).trim();
+
+        if (separator < 1 || !CODE_PATTERN.test(code) || !label) {
+            console.warn(`⚠️ Ignoring rejection reason "${pair}" - expected code:Label`);
+            continue;
+        }
+        reasons[code] = label;
+    }
+    return reasons;
+};
+
+/**
+ * Configured rejection reasons
+ * @returns {Object<string, string>} code -> label
+ */
+export const getRejectionReasons = () => {
+    const configured = process.env.REPORT_REJECTION_REASONS;
+    if (!configured) return DEFAULT_REJECTION_REASONS;
+
+    const reasons = parseReasons(configured);
+    return Object.keys(reasons).length > 0 ? reasons : DEFAULT_REJECTION_REASONS;
+};
+
+/**
+ * Label for a rejection code (null when the code is not configured)
+ * @param {string} code - Reason code
+ * @returns {string|null}
+ */
+export const getRejectionReasonLabel = (code) => getRejectionReasons()[code] || null;
+
+export default {
+    MAX_APPEALS_PER_REPORT,
+    APPEAL_WINDOW_DAYS,
+    getRejectionReasons,
+    getRejectionReasonLabel
+};
@@ -0,0 +1,25 @@
+/**
+ * Citizen verification of resolved reports.
+ *
+ * Every resolution starts out 'awaiting' the reporter's verdict. The reporter
+ * either confirms the fix or disputes it, which reopens the report (see
+ * services/reportLifecycle.js).
+ */
+
+export const CITIZEN_VERIFICATION = {
+    AWAITING: 'awaiting',
+    CONFIRMED: 'confirmed',
+    DISPUTED: 'disputed'
+};
+
+// How long after a resolution the reporter may still dispute it
+export const DISPUTE_WINDOW_DAYS = Number(process.env.REPORT_DISPUTE_WINDOW_DAYS) || 14;
+
+// Disputes allowed per report before it needs an admin to step in
+export const MAX_DISPUTES_PER_REPORT = Number(process.env.REPORT_MAX_DISPUTES) || 3;
+
+export default {
+    CITIZEN_VERIFICATION,
+    DISPUTE_WINDOW_DAYS,
+    MAX_DISPUTES_PER_REPORT
+};
@@ -0,0 +1,106 @@
+/**
+ * Resolution deadlines (SLA) per report category and priority.
+ *
+ * A report's due time is fixed when it is filed (or reopened) from the target
+ * below. Categories without their own entry use the '*' row. Any cell can be
+ * overridden per deployment with REPORT_SLA_POLICIES, a JSON object of the
+ * same shape, e.g. {"Waste Management":{"high":48},"*":{"low":240}}.
+ */
+
+const HOURS = 1;
+const DAYS = 24 * HOURS;
+
+const DEFAULT_SLA_POLICIES = {
+    '*': { critical: 2 * DAYS, high: 3 * DAYS, medium: 5 * DAYS, low: 7 * DAYS },
+    'Public Safety & Emergency': { critical: 24 * HOURS, high: 2 * DAYS, medium: 3 * DAYS, low: 5 * DAYS },
+    'Water Supply & Sewerage': { critical: 24 * HOURS, high: 2 * DAYS, medium: 4 * DAYS, low: 7 * DAYS },
+    'Traffic & Transport': { critical: 24 * HOURS, high: 2 * DAYS, medium: 4 * DAYS, low: 7 * DAYS },
+    'Street Lighting & Electrical': { critical: 24 * HOURS, high: 3 * DAYS, medium: 5 * DAYS, low: 7 * DAYS },
+    'Parks & Recreation': { critical: 3 * DAYS, high: 5 * DAYS, medium: 7 * DAYS, low: 7 * DAYS }
+};
+
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+export const SLA_STATUS = {
+    ON_TRACK: 'on_track',
+    AT_RISK: 'at_risk',       // inside the warning window before the due time
+    BREACHED: 'breached',     // past due and still open
+    MET: 'met',               // resolved on time
+    MISSED: 'missed',         // resolved late
+    PAUSED: 'paused'          // rejected / under appeal - the clock is stopped
+};
+
+// Escalation steps taken by the SLA sweep (reports.sla_escalation_level)
+export const SLA_ESCALATION = {
+    NONE: 0,
+    DEPARTMENT_ADMIN: 1,      // near breach
+    SUPER_ADMIN: 2            // breached
+};
+
+// A report is "at risk" once less than this share of its target remains
+export const SLA_AT_RISK_PERCENT = Number(process.env.REPORT_SLA_AT_RISK_PERCENT) || 20;
+
+const parseOverrides = () => {
+    const configured = process.env.REPORT_SLA_POLICIES;
+    if (!configured) return {};
+
+    try {
+        const parsed = JSON.parse(configured);
+        const overrides = {};
+
+        for (const [category, targets] of Object.entries(parsed)) {
+            for (const [priority, hours] of Object.entries(targets || {})) {
+                if (!PRIORITIES.includes(priority) || !(Number(hours) > 0)) {
+                    console.warn(`⚠️ Ignoring SLA target "${category}.${priority}" - expected a priority and a positive number of hours`);
+                    continue;
+                }
+                overrides[category] = { ...overrides[category], [priority]: Number(hours) };
+            }
+        }
+        return overrides;
+    } catch (error) {
+        console.warn('⚠️ Ignoring REPORT_SLA_POLICIES - not valid JSON:', error.message);
+        return {};
+    }
+};
+
+const OVERRIDES = parseOverrides();
+
+/**
+ * Hours allowed to resolve a report
+ * @param {string} category - Report category
+ * @param {string} priority - low | medium | high | critical (unknown values count as medium)
+ * @returns {number}
+ */
+export const getSlaTargetHours = (category, priority) => {
+    const level = PRIORITIES.includes(priority) ? priority : 'medium';
+
+    return OVERRIDES[category]?.[level]
+        ?? DEFAULT_SLA_POLICIES[category]?.[level]
+        ?? OVERRIDES['*']?.[level]
+        ?? DEFAULT_SLA_POLICIES['*'][level];
+};
+
+/**
+ * Full SLA matrix currently in effect, for admin dashboards
+ * @returns {Object<string, Object<string, number>>} category -> priority -> hours
+ */
+export const getSlaPolicies = () => {
+    const categories = new Set([...Object.keys(DEFAULT_SLA_POLICIES), ...Object.keys(OVERRIDES)]);
+    const policies = {};
+
+    for (const category of categories) {
+        policies[category] = Object.fromEntries(
+            PRIORITIES.map((priority) => [priority, getSlaTargetHours(category, priority)])
+        );
+    }
+    return policies;
+};
+
+export default {
+    SLA_STATUS,
+    SLA_ESCALATION,
+    SLA_AT_RISK_PERCENT,
+    getSlaTargetHours,
+    getSlaPolicies
+};
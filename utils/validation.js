@@ -0,0 +1,226 @@
+/**
+ * Schema rules for request validation.
+ *
+ * A schema maps request locations to field rules:
+ *
+ *   {
+ *       params: { reportId: rules.id({ required: true }) },
+ *       query:  { limit: rules.integer({ min: 1, max: 100 }) },
+ *       body:   { latitude: rules.latitude() }
+ *   }
+ *
+ * Route params, query strings and multipart bodies arrive as strings, so
+ * number and boolean rules also accept their string forms ("12", "true").
+ * Fields not listed in a schema are left alone. The `validate(schema)`
+ * middleware (middlewares/validate.middleware.js) applies a schema to a request.
+ */
+
+export const REPORT_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+export const REPORT_STATUSES = ['pending', 'assigned', 'in_progress', 'resolved', 'rejected', 'under_review', 'merged'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const INTEGER_ID_PATTERN = /^[1-9][0-9]{0,18}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9]{7,15}$/;
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,6})?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value);
+    return NaN;
+};
+
+// Each checker returns an error message, or null when the value is acceptable
+const checkers = {
+    string(value, rule) {
+        if (typeof value !== 'string') return 'must be a string';
+        if (rule.required && value.trim() === '') return 'must not be empty';
+        if (rule.min !== undefined && value.length < rule.min) return `must be at least ${rule.min} characters`;
+        if (rule.max !== undefined && value.length > rule.max) return `must be at most ${rule.max} characters`;
+        if (rule.pattern && !rule.pattern.test(value)) return rule.patternMessage || 'has an invalid format';
+        if (rule.values && !rule.values.includes(value)) return `must be one of: ${rule.values.join(', ')}`;
+        return null;
+    },
+
+    number(value, rule) {
+        const number = toNumber(value);
+        if (!Number.isFinite(number)) return 'must be a number';
+        if (rule.integer && !Number.isInteger(number)) return 'must be an integer';
+        if (rule.min !== undefined && rule.max !== undefined && (number < rule.min || number > rule.max)) {
+            return `must be between ${rule.min} and ${rule.max}`;
+        }
+        if (rule.min !== undefined && number < rule.min) return `must be at least ${rule.min}`;
+        if (rule.max !== undefined && number > rule.max) return `must be at most ${rule.max}`;
+        return null;
+    },
+
+    boolean(value) {
+        if (typeof value === 'boolean' || value === 'true' || value === 'false') return null;
+        return 'must be true or false';
+    },
+
+    id(value) {
+        const text = typeof value === 'number' ? String(value) : value;
+        if (typeof text !== 'string' || !(UUID_PATTERN.test(text) || INTEGER_ID_PATTERN.test(text))) {
+            return 'must be a valid id';
+        }
+        return null;
+    },
+
+    // 6-digit one-time code; clients send it as a string or a number
+    code(value) {
+        if ((typeof value !== 'string' && typeof value !== 'number') || !/^\d{6}$/.test(String(value))) {
+            return 'must be a 6-digit code';
+        }
+        return null;
+    },
+
+    // ISO 8601 date ("2026-03-01") or date-time ("2026-03-01T09:30:00Z")
+    date(value) {
+        if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+            return 'must be an ISO 8601 date or date-time';
+        }
+        return null;
+    },
+
+    array(value, rule) {
+        if (!Array.isArray(value)) return 'must be an array';
+        if (rule.min !== undefined && value.length < rule.min) return `must contain at least ${rule.min} items`;
+        if (rule.max !== undefined && value.length > rule.max) return `must contain at most ${rule.max} items`;
+
+        if (rule.items) {
+            for (let i = 0; i < value.length; i++) {
+                const error = checkValue(rule.items, value[i]);
+                if (error) return `item ${i} ${error}`;
+            }
+        }
+        return null;
+    },
+
+    // Nested JSON object; unknown keys are rejected so typos do not pass silently
+    object(value, rule) {
+        if (typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+
+        if (rule.fields) {
+            const unknown = Object.keys(value).find((key) => !(key in rule.fields));
+            if (unknown) return `has unknown field ${unknown}`;
+
+            for (const [field, fieldRule] of Object.entries(rule.fields)) {
+                const error = checkValue(fieldRule, value[field]);
+                if (error) return `field ${field} ${error}`;
+            }
+        }
+        return null;
+    }
+};
+
+/**
+ * Check one value against a rule
+ * @param {Object} rule - Rule built with `rules`
+ * @param {*} value - Value from the request
+ * @returns {string|null} Error message, or null when valid
+ */
+export const checkValue = (rule, value) => {
+    if (isBlank(value)) {
+        if (value === null && rule.nullable) return null;
+        return rule.required ? 'is required' : null;
+    }
+    return checkers[rule.type](value, rule);
+};
+
+/**
+ * Rule builders. Every rule accepts `required` (default false) and `nullable`.
+ */
+export const rules = {
+    // { min, max } length, { pattern, patternMessage }, { values } allowed list
+    string: (options = {}) => ({ type: 'string', ...options }),
+
+    // { min, max, integer }
+    number: (options = {}) => ({ type: 'number', ...options }),
+
+    integer: (options = {}) => ({ type: 'number', integer: true, ...options }),
+
+    boolean: (options = {}) => ({ type: 'boolean', ...options }),
+
+    // Database id: UUID or positive integer
+    id: (options = {}) => ({ type: 'id', ...options }),
+
+    oneOf: (values, options = {}) => ({ type: 'string', values, ...options }),
+
+    code: (options = {}) => ({ type: 'code', ...options }),
+
+    email: (options = {}) => ({
+        type: 'string',
+        max: 255,
+        pattern: EMAIL_PATTERN,
+        patternMessage: 'must be a valid email address',
+        ...options
+    }),
+
+    phone: (options = {}) => ({
+        type: 'string',
+        pattern: PHONE_PATTERN,
+        patternMessage: 'must be a phone number with 7-15 digits, optionally prefixed with +',
+        ...options
+    }),
+
+    latitude: (options = {}) => ({ type: 'number', min: -90, max: 90, ...options }),
+
+    longitude: (options = {}) => ({ type: 'number', min: -180, max: 180, ...options }),
+
+    // 24-hour clock time, "HH:MM"
+    time: (options = {}) => ({
+        type: 'string',
+        pattern: TIME_PATTERN,
+        patternMessage: 'must be a time in HH:MM format',
+        ...options
+    }),
+
+    date: (options = {}) => ({ type: 'date', ...options }),
+
+    // { items: rule, min, max } item count
+    array: (options = {}) => ({ type: 'array', ...options }),
+
+    // { fields: { name: rule } } for nested bodies
+    object: (options = {}) => ({ type: 'object', ...options })
+};
+
+/**
+ * Pagination query rules shared by list endpoints
+ * @param {number} maxLimit - Largest page size allowed
+ */
+export const paginationQuery = (maxLimit = 100) => ({
+    limit: rules.integer({ min: 1, max: maxLimit }),
+    offset: rules.integer({ min: 0, max: 100000 }),
+    page: rules.integer({ min: 1, max: 10000 })
+});
+
+/**
+ * Validate a request against a schema
+ * @param {Object} schema - { params?, query?, body? } maps of field rules
+ * @param {Object} req - Express request
+ * @returns {Array<{field: string, location: string, message: string}>} Empty when valid
+ */
+export const validateRequest = (schema, req) => {
+    const errors = [];
+
+    for (const location of ['params', 'query', 'body']) {
+        const fields = schema[location];
+        if (!fields) continue;
+
+        const source = req[location] || {};
+
+        for (const [field, rule] of Object.entries(fields)) {
+            const message = checkValue(rule, source[field]);
+            if (message) {
+                errors.push({ field, location, message: `${field} ${message}` });
+            }
+        }
+    }
+
+    return errors;
+};
@@ -0,0 +1,38 @@
+/**
+ * Upvote counts at which a post author is told their post is getting noticed.
+ *
+ * Override per deployment with POST_VOTE_MILESTONES=10,25,50 (positive
+ * integers; invalid entries are ignored).
+ */
+
+const DEFAULT_VOTE_MILESTONES = [10, 25, 50, 100, 250, 500, 1000];
+
+const parseMilestones = (value) => {
+    const milestones = value
+        .split(',')
+        .map((entry) => Number(entry.trim()))
+        .filter((n) => Number.isInteger(n) && n > 0);
+
+    return [...new Set(milestones)].sort((a, b) => a - b);
+};
+
+const configured = process.env.POST_VOTE_MILESTONES
+    ? parseMilestones(process.env.POST_VOTE_MILESTONES)
+    : [];
+
+export const VOTE_MILESTONES = configured.length > 0 ? configured : DEFAULT_VOTE_MILESTONES;
+
+/**
+ * Highest milestone reached at this upvote count
+ * @param {number} upvotes
+ * @returns {number|null}
+ */
+export const getReachedMilestone = (upvotes) => {
+    const reached = VOTE_MILESTONES.filter((milestone) => upvotes >= milestone);
+    return reached.length > 0 ? reached[reached.length - 1] : null;
+};
+
+export default {
+    VOTE_MILESTONES,
+    getReachedMilestone
+};
@@ -0,0 +1,62 @@
+import { rules, paginationQuery } from '../utils/validation.js';
+
+const adminIdParams = { adminId: rules.id({ required: true }) };
+
+// Roles are checked against utils/permissions.js by the controllers (aliases allowed)
+const role = rules.string({ max: 50 });
+
+export const sendAdminOtpSchema = {
+    body: {
+        email: rules.email({ required: true })
+    }
+};
+
+export const verifyAdminOtpSchema = {
+    body: {
+        email: rules.email({ required: true }),
+        otp: rules.code({ required: true })
+    }
+};
+
+export const adminLoginSchema = {
+    body: {
+        email: rules.email({ required: true })
+    }
+};
+
+export const adminIdSchema = {
+    params: adminIdParams
+};
+
+export const getAllAdminsSchema = {
+    body: {
+        requestedRoles: rules.array({ items: role, max: 10 })
+    }
+};
+
+export const createAdminSchema = {
+    body: {
+        email: rules.email({ required: true }),
+        fullName: rules.string({ required: true, max: 100 }),
+        department: rules.string({ required: true, max: 100 }),
+        role: rules.string({ required: true, max: 50 })
+    }
+};
+
+export const updateAdminSchema = {
+    params: adminIdParams,
+    body: {
+        fullName: rules.string({ min: 1, max: 100 }),
+        department: rules.string({ min: 1, max: 100 }),
+        role,
+        isActive: rules.boolean(),
+        jurisdictionId: rules.integer({ min: 1, nullable: true })
+    }
+};
+
+export const activityLogsSchema = {
+    query: {
+        adminId: rules.id(),
+        ...paginationQuery(200)
+    }
+};
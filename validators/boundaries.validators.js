@@ -0,0 +1,52 @@
+import { rules } from '../utils/validation.js';
+import { BOUNDARY_LEVELS } from '../services/boundaryService.js';
+
+const boundaryParams = {
+  id: rules.integer({ required: true, min: 1 })
+};
+
+export const boundaryListSchema = {
+  query: {
+    level: rules.oneOf(BOUNDARY_LEVELS),
+    parentId: rules.integer({ min: 1 }),
+    search: rules.string({ max: 100 })
+  }
+};
+
+export const boundaryLookupSchema = {
+  query: {
+    latitude: rules.latitude({ required: true }),
+    longitude: rules.longitude({ required: true })
+  }
+};
+
+export const boundarySchema = {
+  params: boundaryParams,
+  query: {
+    geometry: rules.boolean()
+  }
+};
+
+export const importBoundariesSchema = {
+  body: {
+    level: rules.oneOf(BOUNDARY_LEVELS, { required: true }),
+    geojson: rules.object({ required: true }),
+    parentId: rules.integer({ min: 1 }),
+    codeProperty: rules.string({ min: 1, max: 100 }),
+    nameProperty: rules.string({ min: 1, max: 100 }),
+    code: rules.string({ min: 1, max: 50 }),
+    name: rules.string({ min: 1, max: 200 })
+  }
+};
+
+export const updateBoundarySchema = {
+  params: boundaryParams,
+  body: {
+    name: rules.string({ min: 1, max: 200 }),
+    parentId: rules.integer({ min: 1, nullable: true })
+  }
+};
+
+export const deleteBoundarySchema = {
+  params: boundaryParams
+};
@@ -0,0 +1,57 @@
+import { rules, REPORT_PRIORITIES, REPORT_STATUSES } from '../utils/validation.js';
+
+const reportIdParams = { reportId: rules.id({ required: true }) };
+const adminIdParams = { adminId: rules.id({ required: true }) };
+
+// Work updates may arrive as multipart forms, so numbers can be strings here
+const workLocation = {
+    latitude: rules.latitude(),
+    longitude: rules.longitude()
+};
+
+export const assignedReportsSchema = {
+    params: adminIdParams,
+    query: {
+        status: rules.oneOf(REPORT_STATUSES),
+        priority: rules.oneOf(REPORT_PRIORITIES),
+        category: rules.string({ max: 100 })
+    }
+};
+
+export const adminIdSchema = {
+    params: adminIdParams
+};
+
+export const reportIdSchema = {
+    params: reportIdParams
+};
+
+export const workUpdateSchema = {
+    params: reportIdParams,
+    body: {
+        notes: rules.string({ max: 2000 }),
+        ...workLocation
+    }
+};
+
+export const completeReportSchema = {
+    params: reportIdParams,
+    body: {
+        resolvedNotes: rules.string({ max: 2000 }),
+        resolvedPhotos: rules.array({ items: rules.string({ max: 2048 }), max: 5 }),
+        timeSpentMinutes: rules.integer({ min: 0, max: 10080 })
+    }
+};
+
+export const updateLocationSchema = {
+    body: {
+        latitude: rules.latitude({ required: true }),
+        longitude: rules.longitude({ required: true })
+    }
+};
+
+export const teamLocationsSchema = {
+    query: {
+        department: rules.string({ max: 100 })
+    }
+};
@@ -0,0 +1,17 @@
+import { rules, paginationQuery } from '../utils/validation.js';
+
+const JOB_RUN_STATUSES = ['running', 'succeeded', 'failed'];
+
+export const jobRunsSchema = {
+  query: {
+    jobName: rules.string({ max: 100 }),
+    status: rules.oneOf(JOB_RUN_STATUSES),
+    ...paginationQuery(200)
+  }
+};
+
+export const runJobSchema = {
+  params: {
+    jobName: rules.string({ required: true, max: 100 })
+  }
+};
@@ -0,0 +1,49 @@
+import { rules, paginationQuery } from '../utils/validation.js';
+import { OUTBOX_STATUSES } from '../services/notifications/outboxService.js';
+import { DEVICE_PLATFORMS } from '../services/notifications/deviceTokenService.js';
+import { TEMPLATE_CHANNELS } from '../services/notifications/templates/templateRegistry.js';
+import { NOTIFICATION_LANGUAGES } from '../utils/notificationPreferences.js';
+
+const OUTBOX_CHANNELS = ['push', 'whatsapp', 'email', 'webhook'];
+
+export const registerDeviceSchema = {
+  body: {
+    token: rules.string({ required: true, max: 4096 }),
+    platform: rules.oneOf(DEVICE_PLATFORMS),
+    deviceId: rules.string({ max: 100 })
+  }
+};
+
+export const unregisterDeviceSchema = {
+  body: {
+    token: rules.string({ required: true, max: 4096 })
+  }
+};
+
+export const outboxListSchema = {
+  query: {
+    status: rules.oneOf(OUTBOX_STATUSES),
+    channel: rules.oneOf(OUTBOX_CHANNELS),
+    kind: rules.string({ max: 50 }),
+    reportId: rules.id(),
+    userId: rules.id(),
+    ...paginationQuery(200)
+  }
+};
+
+export const outboxMessageSchema = {
+  params: {
+    id: rules.integer({ required: true, min: 1 })
+  }
+};
+
+export const templatePreviewSchema = {
+  params: {
+    template: rules.string({ required: true, max: 50 })
+  },
+  body: {
+    locale: rules.oneOf(NOTIFICATION_LANGUAGES),
+    channel: rules.oneOf(TEMPLATE_CHANNELS),
+    variables: rules.object()
+  }
+};
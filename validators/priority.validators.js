@@ -0,0 +1,27 @@
+import { rules } from '../utils/validation.js';
+
+export const reportIdSchema = {
+  params: {
+    reportId: rules.id({ required: true })
+  }
+};
+
+export const batchRecalculateSchema = {
+  body: {
+    reportIds: rules.array({ items: rules.id(), min: 1, max: 1000 }),
+    onlyUnresolved: rules.boolean()
+  }
+};
+
+export const priorityStatsSchema = {
+  query: {
+    onlyUnresolved: rules.boolean()
+  }
+};
+
+export const needsUpdateSchema = {
+  query: {
+    days: rules.integer({ min: 1, max: 365 }),
+    limit: rules.integer({ min: 1, max: 500 })
+  }
+};
@@ -0,0 +1,200 @@
+import { rules, paginationQuery, REPORT_PRIORITIES, REPORT_STATUSES } from '../utils/validation.js';
+
+const reportIdParams = { reportId: rules.id({ required: true }) };
+
+const reportListFilters = {
+    isResolved: rules.boolean(),
+    category: rules.string({ max: 100 }),
+    priority: rules.oneOf(REPORT_PRIORITIES),
+    ...paginationQuery()
+};
+
+// Structured address filters (services/geocoding)
+const addressFilters = {
+    locality: rules.string({ max: 150 }),
+    city: rules.string({ max: 150 }),
+    district: rules.string({ max: 150 }),
+    pincode: rules.string({ pattern: /^[1-9][0-9]{5}$/, patternMessage: 'must be a 6-digit PIN code' })
+};
+
+export const createReportSchema = {
+    body: {
+        title: rules.string({ required: true, max: 200 }),
+        description: rules.string({ max: 5000 }),
+        category: rules.string({ max: 100 }),
+        priority: rules.oneOf([...REPORT_PRIORITIES, 'auto']),
+        mediaUrls: rules.array({ items: rules.string({ max: 2048 }), max: 10 }),
+        audioUrl: rules.string({ max: 2048, nullable: true }),
+        latitude: rules.latitude(),
+        longitude: rules.longitude(),
+        address: rules.string({ max: 500 }),
+        department: rules.string({ max: 100 })
+    }
+};
+
+export const updateReportSchema = {
+    params: reportIdParams,
+    body: {
+        title: rules.string({ min: 1, max: 200 }),
+        description: rules.string({ max: 5000 }),
+        category: rules.string({ max: 100 }),
+        priority: rules.oneOf(REPORT_PRIORITIES),
+        mediaUrls: rules.array({ items: rules.string({ max: 2048 }), max: 10 }),
+        audioUrl: rules.string({ max: 2048, nullable: true }),
+        latitude: rules.latitude(),
+        longitude: rules.longitude(),
+        address: rules.string({ max: 500 }),
+        department: rules.string({ max: 100 })
+    }
+};
+
+export const reportIdSchema = {
+    params: reportIdParams
+};
+
+export const resolveReportSchema = {
+    params: reportIdParams,
+    body: {
+        resolutionNotes: rules.string({ max: 2000 })
+    }
+};
+
+export const deleteReportSchema = {
+    params: reportIdParams,
+    body: {
+        reason: rules.string({ max: 1000 })
+    }
+};
+
+export const userReportsSchema = {
+    params: { userId: rules.id({ required: true }) },
+    query: reportListFilters
+};
+
+export const userReportStatsSchema = {
+    params: { userId: rules.id({ required: true }) }
+};
+
+export const adminReportsSchema = {
+    params: { adminId: rules.id({ required: true }) },
+    query: {
+        ...reportListFilters,
+        department: rules.string({ max: 100 }),
+        boundaryId: rules.integer({ min: 1 }),
+        ...addressFilters,
+        status: rules.oneOf(REPORT_STATUSES)
+    }
+};
+
+export const nearbyReportsSchema = {
+    query: {
+        latitude: rules.latitude({ required: true }),
+        longitude: rules.longitude({ required: true }),
+        radius: rules.number({ min: 0.1, max: 100 }),
+        ...paginationQuery()
+    }
+};
+
+export const assignReportSchema = {
+    params: reportIdParams,
+    body: {
+        assignedAdminId: rules.id({ required: true })
+    }
+};
+
+// reasonCode is checked against the configured list in the controller (utils/rejectionReasons.js)
+export const rejectReportSchema = {
+    params: reportIdParams,
+    body: {
+        reasonCode: rules.string({ required: true, max: 50 }),
+        note: rules.string({ max: 1000 })
+    }
+};
+
+export const appealReportSchema = {
+    params: reportIdParams,
+    body: {
+        reason: rules.string({ required: true, min: 10, max: 2000 })
+    }
+};
+
+export const appealDecisionSchema = {
+    params: reportIdParams,
+    body: {
+        decision: rules.oneOf(['reinstate', 'uphold'], { required: true }),
+        note: rules.string({ max: 1000 })
+    }
+};
+
+export const confirmResolutionSchema = {
+    params: reportIdParams,
+    body: {
+        rating: rules.integer({ min: 1, max: 5 }),
+        comment: rules.string({ max: 1000 })
+    }
+};
+
+// Photos come either as uploaded files (multipart `photos`) or as URLs from /upload-media
+export const disputeReportSchema = {
+    params: reportIdParams,
+    body: {
+        reason: rules.string({ required: true, min: 10, max: 2000 }),
+        photoUrls: rules.array({ items: rules.string({ max: 2048 }), max: 5 })
+    }
+};
+
+export const deletionAuditLogsSchema = {
+    query: {
+        reportId: rules.id(),
+        ...paginationQuery(200)
+    }
+};
+
+// Same fields as createReportSchema; a location is needed to look for duplicates
+export const duplicateCheckSchema = {
+    body: {
+        title: rules.string({ max: 200 }),
+        description: rules.string({ max: 5000 }),
+        category: rules.string({ max: 100 }),
+        latitude: rules.latitude({ required: true }),
+        longitude: rules.longitude({ required: true })
+    }
+};
+
+export const mergeReportsSchema = {
+    params: reportIdParams,
+    body: {
+        duplicateIds: rules.array({ items: rules.id(), min: 1, max: 20, required: true }),
+        note: rules.string({ max: 1000 })
+    }
+};
+
+// Map viewport corners are optional but come as a set (checked by the controller)
+const mapFilters = {
+    minLat: rules.latitude(),
+    minLng: rules.longitude(),
+    maxLat: rules.latitude(),
+    maxLng: rules.longitude(),
+    from: rules.date(),
+    to: rules.date(),
+    department: rules.string({ max: 100 }),
+    category: rules.string({ max: 100 }),
+    priority: rules.oneOf(REPORT_PRIORITIES),
+    status: rules.oneOf(REPORT_STATUSES),
+    boundaryId: rules.integer({ min: 1 }),
+    ...addressFilters
+};
+
+export const hotspotsSchema = {
+    query: {
+        zoom: rules.integer({ required: true, min: 0, max: 20 }),
+        ...mapFilters
+    }
+};
+
+export const addressSummarySchema = {
+    query: {
+        groupBy: rules.oneOf(['district', 'city', 'locality', 'ward', 'pincode'], { required: true }),
+        ...mapFilters
+    }
+};
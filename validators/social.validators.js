@@ -0,0 +1,60 @@
+import { rules, paginationQuery, REPORT_PRIORITIES } from '../utils/validation.js';
+
+const postIdParams = { postId: rules.id({ required: true }) };
+
+export const createSocialPostSchema = {
+    body: {
+        reportId: rules.id({ required: true }),
+        isPublic: rules.boolean(),
+        isAnonymous: rules.boolean()
+    }
+};
+
+export const socialPostsSchema = {
+    query: {
+        tab: rules.oneOf(['all', 'trending', 'nearby', 'my_activity', 'activity']),
+        latitude: rules.latitude(),
+        longitude: rules.longitude(),
+        radius: rules.number({ min: 0.1, max: 100 }),
+        category: rules.string({ max: 100 }),
+        priority: rules.oneOf(REPORT_PRIORITIES),
+        ...paginationQuery(50)
+    }
+};
+
+export const postIdSchema = {
+    params: postIdParams
+};
+
+export const voteOnPostSchema = {
+    params: postIdParams,
+    body: {
+        voteType: rules.oneOf(['upvote', 'downvote'], { required: true })
+    }
+};
+
+export const addCommentSchema = {
+    params: postIdParams,
+    body: {
+        content: rules.string({ required: true, max: 2000 }),
+        parentCommentId: rules.id({ nullable: true }),
+        isAnonymous: rules.boolean()
+    }
+};
+
+export const postCommentsSchema = {
+    params: postIdParams,
+    query: {
+        sortBy: rules.oneOf(['created_at', 'upvotes', 'downvotes']),
+        sortOrder: rules.oneOf(['asc', 'desc']),
+        ...paginationQuery(50)
+    }
+};
+
+export const socialStatsSchema = {
+    params: { userId: rules.id({ required: true }) }
+};
+
+export const reportSocialStatsSchema = {
+    params: { reportId: rules.id({ required: true }) }
+};
@@ -0,0 +1,49 @@
+import { rules } from '../utils/validation.js';
+import { NOTIFICATION_CHANNELS, NOTIFICATION_EVENTS, NOTIFICATION_LANGUAGES } from '../utils/notificationPreferences.js';
+
+export const createOrLoginUserSchema = {
+    body: {
+        phoneNumber: rules.phone({ required: true })
+    }
+};
+
+export const updateProfileSchema = {
+    body: {
+        fullName: rules.string({ max: 100 }),
+        email: rules.email({ nullable: true }),
+        profileImageUrl: rules.string({ max: 2048, nullable: true })
+    }
+};
+
+export const userIdSchema = {
+    params: {
+        id: rules.id({ required: true })
+    }
+};
+
+export const userByPhoneSchema = {
+    params: {
+        phoneNumber: rules.phone({ required: true })
+    }
+};
+
+export const notificationPreferencesSchema = {
+    body: {
+        channels: rules.object({
+            fields: Object.fromEntries(NOTIFICATION_CHANNELS.map((channel) => [channel, rules.boolean()]))
+        }),
+        events: rules.object({
+            fields: Object.fromEntries(Object.keys(NOTIFICATION_EVENTS).map((event) => [event, rules.boolean()]))
+        }),
+        language: rules.oneOf(NOTIFICATION_LANGUAGES),
+        // null turns quiet hours off
+        quietHours: rules.object({
+            nullable: true,
+            fields: {
+                start: rules.time({ required: true }),
+                end: rules.time({ required: true })
+            }
+        }),
+        timezone: rules.string({ max: 50 })
+    }
+};
@@ -0,0 +1,60 @@
+import { rules, paginationQuery } from '../utils/validation.js';
+import { OUTBOX_STATUSES } from '../services/notifications/outboxService.js';
+import { WEBHOOK_EVENTS } from '../services/webhooks/webhookService.js';
+
+const url = (options = {}) => rules.string({
+  max: 2048,
+  pattern: /^https?:\/\/\S+$/i,
+  patternMessage: 'must be an http(s) URL',
+  ...options
+});
+const events = (options = {}) => rules.array({ items: rules.oneOf(WEBHOOK_EVENTS), min: 1, max: WEBHOOK_EVENTS.length, ...options });
+const filterValues = rules.array({ items: rules.string({ min: 1, max: 100 }), max: 50 });
+
+const webhookParams = {
+  id: rules.integer({ required: true, min: 1 })
+};
+
+const deliveryParams = {
+  ...webhookParams,
+  deliveryId: rules.integer({ required: true, min: 1 })
+};
+
+export const createWebhookSchema = {
+  body: {
+    name: rules.string({ required: true, min: 1, max: 100 }),
+    url: url({ required: true }),
+    events: events({ required: true }),
+    departments: filterValues,
+    categories: filterValues
+  }
+};
+
+export const updateWebhookSchema = {
+  params: webhookParams,
+  body: {
+    name: rules.string({ min: 1, max: 100 }),
+    url: url(),
+    events: events(),
+    departments: filterValues,
+    categories: filterValues,
+    isActive: rules.boolean()
+  }
+};
+
+export const webhookSchema = {
+  params: webhookParams
+};
+
+export const deliveryListSchema = {
+  params: webhookParams,
+  query: {
+    status: rules.oneOf(OUTBOX_STATUSES),
+    event: rules.oneOf(WEBHOOK_EVENTS),
+    ...paginationQuery(200)
+  }
+};
+
+export const deliverySchema = {
+  params: deliveryParams
+};